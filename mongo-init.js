@@ -66,14 +66,47 @@ db.createCollection('feedbacks', {
 });
 
 db.createCollection('apilogs');
+db.createCollection('jobs');
+db.createCollection('ocrlayouts');
+db.createCollection('rubrics');
+db.createCollection('users');
+db.createCollection('apikeys');
+db.createCollection('classrooms');
+db.createCollection('assignments');
+db.createCollection('submissions');
+db.createCollection('batches');
 
 // Create indexes for better performance
 db.analyses.createIndex({ createdAt: -1 });
 db.analyses.createIndex({ status: 1 });
+db.analyses.createIndex({ userId: 1, createdAt: -1 });
+db.analyses.createIndex({ classId: 1, createdAt: -1 });
+db.analyses.createIndex({ batchId: 1 });
+db.analyses.createIndex({ 'contentHash.file': 1, 'contentHash.settings': 1, createdAt: -1 });
+db.analyses.createIndex({ 'contentHash.text': 1, 'contentHash.settings': 1, createdAt: -1 });
 db.feedbacks.createIndex({ analysisId: 1 });
 db.feedbacks.createIndex({ rating: 1 });
 db.feedbacks.createIndex({ createdAt: -1 });
+db.feedbacks.createIndex({ userId: 1 });
 db.apilogs.createIndex({ timestamp: 1 }, { expireAfterSeconds: 2592000 }); // 30 days TTL
 db.apilogs.createIndex({ endpoint: 1, timestamp: -1 });
+db.jobs.createIndex({ status: 1, runAt: 1 });
+db.jobs.createIndex({ finishedAt: 1 }, { expireAfterSeconds: 604800 }); // 7 days TTL
+db.ocrlayouts.createIndex({ analysisId: 1, page: 1 }, { unique: true });
+db.rubrics.createIndex({ createdAt: -1 });
+db.rubrics.createIndex({ subject: 1 });
+db.users.createIndex({ email: 1 }, { unique: true });
+db.users.createIndex({ createdAt: -1 });
+db.users.createIndex({ role: 1 });
+db.apikeys.createIndex({ keyHash: 1 }, { unique: true });
+db.apikeys.createIndex({ createdAt: -1 });
+db.apikeys.createIndex({ createdBy: 1 });
+db.classrooms.createIndex({ teacherId: 1, createdAt: -1 });
+db.classrooms.createIndex({ students: 1 });
+db.assignments.createIndex({ classId: 1, dueDate: 1 });
+db.submissions.createIndex({ assignmentId: 1, studentId: 1 }, { unique: true });
+db.submissions.createIndex({ analysisId: 1 });
+db.submissions.createIndex({ studentId: 1, submittedAt: -1 });
+db.batches.createIndex({ userId: 1, createdAt: -1 });
 
 print('AnswerLense database initialized successfully');
\ No newline at end of file
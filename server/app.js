@@ -3,12 +3,22 @@ import cors from 'cors';
 import helmet from 'helmet';
 import { apiLimiter } from './middleware/rateLimiter.js';
 import { apiLogger } from './middleware/apiLogger.js';
+import { requireAuth, requireRole } from './middleware/auth.js';
 import { logger } from './utils/logger.js';
+import aiProcessor from './utils/aiProcessor.js';
 
 // Import routes
 import uploadRoutes from './routes/upload.js';
+import analyzeRoutes from './routes/analyze.js';
 import resultsRoutes from './routes/results.js';
 import feedbackRoutes from './routes/feedback.js';
+import rubricRoutes from './routes/rubrics.js';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import classRoutes from './routes/classes.js';
+import assignmentRoutes from './routes/assignments.js';
+import batchRoutes from './routes/batches.js';
 
 const app = express();
 
@@ -46,7 +56,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With']
 };
 
 app.use(cors(corsOptions));
@@ -72,10 +82,30 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Model output quality since the process started; it says which prompts struggle, so admins only
+app.get('/health/llm', requireAuth, requireRole('admin'), (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      provider: aiProcessor.provider.name,
+      model: aiProcessor.provider.model,
+      llmOutput: aiProcessor.outputStats
+    }
+  });
+});
+
 // API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/analyze', analyzeRoutes);
 app.use('/api/results', resultsRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/classes', classRoutes);
+app.use('/api/assignments', assignmentRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -84,9 +114,17 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     status: 'running',
     endpoints: {
+      auth: '/api/auth',
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
       upload: '/api/upload',
+      batches: '/api/batches',
+      analyze: '/api/analyze',
       results: '/api/results/:id',
       feedback: '/api/feedback',
+      rubrics: '/api/rubrics',
+      classes: '/api/classes',
+      assignments: '/api/assignments',
       health: '/health'
     },
     documentation: 'https://github.com/yourusername/answerlense'
@@ -125,6 +163,13 @@ app.use((error, req, res, next) => {
       errors: ['File size exceeds the maximum limit']
     });
   }
+  if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid upload',
+      errors: [error.field ? `${error.message}: ${error.field}` : error.message]
+    });
+  }
 
   // Default error response
   res.status(error.status || 500).json({
@@ -0,0 +1,562 @@
+import fs from 'fs/promises';
+import Analysis from '../models/Analysis.js';
+import OcrLayout from '../models/OcrLayout.js';
+import Rubric from '../models/Rubric.js';
+import ocrProcessor from '../utils/ocrProcessor.js';
+import aiProcessor from '../utils/aiProcessor.js';
+import fileProcessor from '../utils/fileProcessor.js';
+import fileStorage from '../utils/fileStorage.js';
+import progressTracker from '../utils/progressTracker.js';
+import resultCache from '../utils/resultCache.js';
+import revisionService from '../utils/revisions.js';
+import mathNormalizer from '../utils/mathNormalizer.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Run OCR and AI analysis for an uploaded document.
+ * Each stage is skipped if a previous attempt already stored its result, so retries only redo what failed.
+ * @param {Object} job - Job document with payload { analysisId, storedFile, originalName, mimeType, size, pages, languages, preprocess, rubricId, force, modelAnswerFile };
+ *   multi-page photo uploads send pages [{ storedFile, originalName, mimeType, size, rotation }] in reading order instead of a single file.
+ *   storedFile is the original's record from Analysis.originalFiles; jobs queued before originals were stored carry a filePath instead
+ * @returns {Promise<void>}
+ */
+export async function processAnalysis(job) {
+  const { analysisId, languages, preprocess, rubricId, force, modelAnswerFile } = job.payload;
+
+  const analysis = await Analysis.findById(analysisId);
+  if (!analysis) {
+    logger.warn(`Analysis ${analysisId} no longer exists, dropping job ${job._id}`);
+    await deleteUploads(job.payload);
+    // Nothing links to the originals any more, so retention would never delete them
+    await fileStorage.removeAll([job.payload.storedFile, ...(job.payload.pages || []).map(page => page.storedFile)].filter(Boolean));
+    return;
+  }
+
+  // The model reads the normalized text; originalText keeps the transcription as OCR produced it
+  let text = analysis.math?.normalizedText || analysis.originalText;
+
+  if (!text) {
+    await progressTracker.record(analysisId, 'file_processing', { attempt: job.attempts });
+
+    // Process the uploaded file, or every photo of a multi-page answer
+    const fileResult = await readPages(job.payload);
+
+    if (!fileResult.success) {
+      await failAnalysis(analysisId, `File processing failed: ${fileResult.errors.join(', ')}`);
+      await deleteUploads(job.payload);
+      return;
+    }
+
+    // Perform OCR on the file
+    logger.info(`Starting OCR processing for analysis ${analysisId}`);
+    const ocrResult = await ocrProcessor.processMultipleImages(fileResult.imageBuffers, {
+      pageTexts: fileResult.pageTexts,
+      rotations: fileResult.rotations,
+      previews: true,
+      languages,
+      preprocess,
+      onProgress: progressTracker.ocrReporter(analysisId)
+    });
+
+    if (!ocrResult.success || !ocrResult.text.trim()) {
+      await failAnalysis(analysisId, 'OCR processing failed. The image quality may be too poor or the text may not be readable.');
+      await deleteUploads(job.payload);
+      return;
+    }
+
+    // Rewrite equations in LaTeX-like notation; prose lines are left alone
+    const normalized = mathNormalizer.normalize(ocrResult.text);
+
+    // Update analysis with OCR results
+    await Analysis.findByIdAndUpdate(analysisId, {
+      ...ocrFields(ocrResult, normalized, preprocess),
+      updatedAt: Date.now()
+    });
+
+    await saveLayouts(analysisId, ocrResult);
+
+    logger.info(`OCR completed with ${ocrResult.confidence}% confidence, ${normalized.formulaCount} formula lines`);
+    text = normalized.text;
+  }
+
+  // The same text was analyzed with the same settings (e.g. a second photo of the page): reuse that result
+  const cached = force ? null : await resultCache.findByText({
+    text: resultCache.hashText(text),
+    settings: analysis.contentHash?.settings
+  });
+  if (cached) {
+    const completed = await resultCache.applyResult(analysisId, cached);
+    await progressTracker.record(analysisId, 'completed', {
+      processingTime: completed.metadata.processingTime,
+      cachedFrom: cached._id.toString()
+    });
+    await deleteUploads(job.payload);
+    return;
+  }
+
+  // Read the model answer from its file, unless it was given as text or a previous attempt already did
+  let modelAnswer = analysis.modelAnswer?.text;
+
+  if (!modelAnswer && modelAnswerFile) {
+    await progressTracker.record(analysisId, 'ocr', { modelAnswer: true });
+    const modelAnswerResult = await readModelAnswer(modelAnswerFile, { languages, preprocess });
+
+    if (!modelAnswerResult.success) {
+      await failAnalysis(analysisId, `Model answer processing failed: ${modelAnswerResult.error}`);
+      await deleteUploads(job.payload);
+      return;
+    }
+
+    modelAnswer = modelAnswerResult.text;
+    await Analysis.findByIdAndUpdate(analysisId, {
+      modelAnswer: { text: modelAnswer, source: 'ocr', ocrConfidence: modelAnswerResult.confidence },
+      updatedAt: Date.now()
+    });
+  }
+
+  const results = await review(analysis, text, { rubricId, modelAnswer });
+
+  // Update analysis with AI results
+  const totalProcessingTime = Date.now() - analysis.createdAt.getTime();
+  await Analysis.findByIdAndUpdate(analysisId, {
+    ...results,
+    status: 'completed',
+    'metadata.processingTime': totalProcessingTime,
+    updatedAt: Date.now()
+  });
+
+  await progressTracker.record(analysisId, 'completed', { processingTime: totalProcessingTime });
+  await deleteUploads(job.payload);
+
+  logger.info(`Analysis ${analysisId} completed successfully in ${totalProcessingTime}ms`);
+}
+
+/**
+ * Mark the analysis failed once the job has run out of retries
+ * @param {Object} job - Failed job document
+ * @param {Error} error - Error from the last attempt
+ * @returns {Promise<void>}
+ */
+export async function processAnalysisFailed(job, error) {
+  const { analysisId } = job.payload;
+
+  logger.error(`Analysis ${analysisId} failed after ${job.attempts} attempts: ${error.message}`);
+
+  await failAnalysis(analysisId, 'Processing failed due to server error.');
+  await deleteUploads(job.payload);
+}
+
+/**
+ * Re-run an analysis with other settings and keep the result as a new revision, see utils/revisions.
+ * The stored text is analyzed again unless the options ask to read it again from the stored original.
+ * The current result is only replaced, and moved into revisions, once the new one is complete.
+ * @param {Object} job - Job document with payload { analysisId, number, options: { promptVersion, provider, model, languages, reocr } }
+ * @returns {Promise<void>}
+ */
+export async function processReanalysis(job) {
+  const { analysisId, number, options } = job.payload;
+
+  const analysis = await Analysis.findById(analysisId);
+  if (analysis?.reanalysis?.status !== 'processing' || analysis.reanalysis.number !== number) {
+    logger.warn(`Revision ${number} of analysis ${analysisId} is no longer pending, dropping job ${job._id}`);
+    return;
+  }
+
+  const startTime = Date.now();
+  let text = analysis.math?.normalizedText || analysis.originalText;
+  let ocr = null;
+
+  if (options.reocr) {
+    await progressTracker.record(analysisId, 'file_processing', { revision: number, attempt: job.attempts });
+
+    const fileResult = await readPages({
+      pages: analysis.originalFiles.map((file, i) => ({
+        storedFile: file,
+        originalName: file.originalName,
+        mimeType: file.mimeType,
+        size: file.size,
+        rotation: analysis.metadata.pageFiles[i]?.rotationHint ?? null
+      }))
+    });
+    if (!fileResult.success) {
+      await failReanalysis(analysisId, number, `File processing failed: ${fileResult.errors.join(', ')}`);
+      return;
+    }
+
+    // The upload's own preprocessing; languages are the new ones, or those its OCR ended up using
+    const preprocess = analysis.metadata.preprocessing?.requested;
+    const ocrResult = await ocrProcessor.processMultipleImages(fileResult.imageBuffers, {
+      pageTexts: fileResult.pageTexts,
+      rotations: fileResult.rotations,
+      previews: true,
+      languages: options.languages || analysis.metadata.ocrLanguages,
+      preprocess,
+      onProgress: progressTracker.ocrReporter(analysisId)
+    });
+
+    if (!ocrResult.success || !ocrResult.text.trim()) {
+      await failReanalysis(analysisId, number, 'OCR processing failed. The image quality may be too poor or the text may not be readable.');
+      return;
+    }
+
+    const normalized = mathNormalizer.normalize(ocrResult.text);
+    ocr = { result: ocrResult, fields: ocrFields(ocrResult, normalized, preprocess) };
+    text = normalized.text;
+  }
+
+  const results = await review(analysis, text, {
+    rubricId: analysis.rubricGrade?.rubricId,
+    modelAnswer: analysis.modelAnswer?.text,
+    promptVersion: options.promptVersion,
+    ai: aiProcessor.withProvider(options),
+    revision: number
+  });
+
+  // Fields an earlier result may have set that this run doesn't produce, e.g. the math review of a text
+  // that no longer reads as working
+  const cleared = ['mistakes', 'coverage', 'metadata.failedChunks'].filter(field => !(field in results));
+  const unset = ['scoreHint10', 'math.steps', 'math.firstErrorStep', 'metadata.chunkCount', ...(ocr ? ['math.normalizedText'] : [])]
+    .filter(field => !(field in results) && !(field in (ocr?.fields || {})));
+
+  const completedAt = new Date();
+  const completed = await Analysis.findOneAndUpdate(
+    { _id: analysisId, 'reanalysis.status': 'processing', 'reanalysis.number': number },
+    {
+      $set: {
+        ...Object.fromEntries(cleared.map(field => [field, []])),
+        ...results,
+        ...ocr?.fields,
+        status: 'completed',
+        revision: {
+          number,
+          requestedBy: analysis.reanalysis.requestedBy,
+          requestedAt: analysis.reanalysis.requestedAt,
+          completedAt,
+          options
+        },
+        'metadata.processingTime': completedAt.getTime() - startTime,
+        updatedAt: completedAt
+      },
+      $push: { revisions: revisionService.archive(analysis, { newText: ocr?.fields.originalText }) },
+      // The result no longer matches the settings it was cached under, so it is never reused for new uploads
+      $unset: {
+        ...Object.fromEntries(unset.map(field => [field, 1])),
+        reanalysis: 1,
+        cachedFrom: 1,
+        'contentHash.settings': 1
+      }
+    },
+    { new: true, projection: { _id: 1 } }
+  );
+  if (!completed) {
+    logger.warn(`Revision ${number} of analysis ${analysisId} was replaced while it ran, discarding its result`);
+    return;
+  }
+
+  if (ocr) {
+    await saveLayouts(analysisId, ocr.result);
+  }
+
+  await progressTracker.record(analysisId, 'completed', { revision: number, processingTime: completedAt.getTime() - startTime });
+
+  logger.info(`Analysis ${analysisId} revision ${number} completed in ${completedAt.getTime() - startTime}ms`);
+}
+
+/**
+ * Record a re-analysis as failed once the job has run out of retries; the current result stays as it was
+ * @param {Object} job - Failed job document
+ * @param {Error} error - Error from the last attempt
+ * @returns {Promise<void>}
+ */
+export async function processReanalysisFailed(job, error) {
+  const { analysisId, number } = job.payload;
+
+  logger.error(`Revision ${number} of analysis ${analysisId} failed after ${job.attempts} attempts: ${error.message}`);
+
+  await failReanalysis(analysisId, number, 'Processing failed due to server error.');
+}
+
+/**
+ * Run the model over an analysis' text: the main review, rubric grading and model answer comparison.
+ * Pasted answers get the answer review; uploads the document review, or the step-by-step math review for working.
+ * Throwing lets the queue retry with backoff; the job's failure handler deals with the final attempt.
+ * @param {Object} analysis - Analysis document
+ * @param {string} text - Text to review
+ * @param {Object} options - { rubricId, modelAnswer, promptVersion, ai: aiProcessor or one from withProvider, revision }
+ * @returns {Promise<Object>} Result fields to store on the analysis
+ */
+async function review(analysis, text, { rubricId, modelAnswer, promptVersion, ai = aiProcessor, revision } = {}) {
+  const analysisId = analysis._id;
+  const task = revisionService.reviewTask(analysis, text);
+  const progressData = revision ? { revision } : {};
+  const results = {};
+  let aiResult;
+
+  logger.info(`Starting AI analysis for analysis ${analysisId}${revision ? ` revision ${revision}` : ''}`);
+
+  if (task === 'answer') {
+    await progressTracker.record(analysisId, 'ai', progressData);
+    aiResult = await ai.analyzeAnswer(text, { subject: analysis.subject, promptVersion });
+    if (!aiResult.success) {
+      throw new Error(aiResult.error || 'Unknown AI processing error');
+    }
+
+    Object.assign(results, {
+      analysis: aiResult.overall,
+      suggestions: ai.mistakesToSuggestions(aiResult.mistakes),
+      mistakes: aiResult.mistakes,
+      scoreHint10: aiResult.scoreHint10
+    });
+  } else {
+    aiResult = await ai.analyzeText(text, {
+      subject: analysis.subject,
+      promptVersion,
+      // Workings get the step-by-step review rather than comments on their writing
+      math: task === 'math',
+      onProgress: progress => progressTracker.record(analysisId, 'ai', { ...progress, ...progressData })
+    });
+    if (!aiResult.success) {
+      throw new Error(aiResult.error || 'Unknown AI processing error');
+    }
+
+    if (aiResult.failedChunks.length > 0) {
+      logger.warn(`Analysis ${analysisId} is missing ${aiResult.failedChunks.length}/${aiResult.chunkCount} sections that failed to analyze`);
+    }
+
+    Object.assign(results, {
+      analysis: aiResult.analysis,
+      suggestions: aiResult.suggestions,
+      'math.reviewed': Boolean(aiResult.math),
+      ...(aiResult.math && { 'math.steps': aiResult.math.steps, 'math.firstErrorStep': aiResult.math.firstErrorStep }),
+      'metadata.chunkCount': aiResult.chunkCount,
+      'metadata.failedChunks': aiResult.failedChunks
+    });
+  }
+
+  const prompts = [{ task: aiResult.task || task, ...aiResult.prompt }];
+  if (aiResult.synthesisPrompt) {
+    prompts.push({ task: 'synthesis', ...aiResult.synthesisPrompt });
+  }
+
+  // Grade against the rubric, if one was requested
+  let gradeResult;
+  if (rubricId) {
+    const rubric = await Rubric.findById(rubricId);
+
+    if (rubric) {
+      await progressTracker.record(analysisId, 'ai', { rubric: rubric.name, ...progressData });
+      gradeResult = await ai.gradeWithRubric(text, rubric, { subject: analysis.subject });
+      if (!gradeResult.success) {
+        throw new Error(gradeResult.error || 'Unknown rubric grading error');
+      }
+
+      const { rubricName, criteria, totalScore, maxScore, overall } = gradeResult;
+      results.rubricGrade = { rubricId, rubricName, criteria, totalScore, maxScore, overall };
+      prompts.push({ task: 'rubric', ...gradeResult.prompt });
+    } else {
+      logger.warn(`Rubric ${rubricId} was deleted before analysis ${analysisId} could be graded`);
+    }
+  }
+
+  // Compare with the model answer, if one was attached
+  let comparisonResult;
+  if (modelAnswer) {
+    await progressTracker.record(analysisId, 'ai', { modelAnswer: true, ...progressData });
+    comparisonResult = await ai.compareWithModelAnswer(text, modelAnswer, { subject: analysis.subject });
+    if (!comparisonResult.success) {
+      throw new Error(comparisonResult.error || 'Unknown model answer comparison error');
+    }
+    results.coverage = comparisonResult.coverage;
+    prompts.push({ task: 'comparison', ...comparisonResult.prompt });
+  }
+
+  return {
+    ...results,
+    'metadata.aiProvider': aiResult.provider,
+    'metadata.aiModel': aiResult.model,
+    'metadata.promptId': aiResult.prompt.id,
+    'metadata.promptVersion': aiResult.prompt.version,
+    'metadata.prompts': prompts,
+    'metadata.llmOutput': ai.mergeOutputStats(aiResult.output, gradeResult?.output, comparisonResult?.output)
+  };
+}
+
+/**
+ * Analysis fields for the text and OCR details of an OCR result
+ * @param {Object} ocrResult - Result of ocrProcessor.processMultipleImages
+ * @param {Object} normalized - Result of mathNormalizer.normalize on its text
+ * @param {Array} preprocess - Preprocessing steps requested
+ * @returns {Object} Fields to store on the analysis
+ */
+function ocrFields(ocrResult, normalized, preprocess) {
+  return {
+    originalText: ocrResult.text,
+    'contentHash.text': resultCache.hashText(normalized.text),
+    'math.formulaCount': normalized.formulaCount,
+    ...(normalized.formulaCount > 0 && { 'math.normalizedText': normalized.text }),
+    'metadata.ocrConfidence': ocrResult.confidence,
+    'metadata.pageCount': ocrResult.totalPages,
+    'metadata.textLayerPages': ocrResult.textLayerPages,
+    'metadata.ocrLanguages': ocrResult.languages,
+    'metadata.detectedLanguage': ocrResult.languageDetection?.language,
+    'metadata.detectedScript': ocrResult.languageDetection?.script,
+    'metadata.preprocessing': {
+      requested: preprocess,
+      applied: [...new Set(ocrResult.preprocessing.flatMap(page => page.applied))],
+      pages: ocrResult.preprocessing
+    }
+  };
+}
+
+/**
+ * Read the stored original into page images, joining the photos of a multi-page upload in reading order
+ * @param {Object} payload - Job payload
+ * @returns {Promise<Object>} fileProcessor.processFile result, plus rotation hints per page
+ */
+async function readPages({ storedFile, filePath, originalName, mimeType, size, pages }) {
+  const files = pages?.length ? pages : [{ storedFile, filePath, originalName, mimeType, size, rotation: null }];
+  const imageBuffers = [];
+  const pageTexts = [];
+  const rotations = [];
+
+  for (const page of files) {
+    const fileResult = await fileProcessor.processFile({
+      originalname: page.originalName,
+      mimetype: page.mimeType,
+      size: page.size,
+      buffer: page.storedFile ? await fileStorage.read(page.storedFile) : await fs.readFile(page.filePath)
+    });
+
+    if (!fileResult.success) {
+      return {
+        ...fileResult,
+        errors: files.length > 1 ? fileResult.errors.map(error => `${page.originalName}: ${error}`) : fileResult.errors
+      };
+    }
+
+    imageBuffers.push(...fileResult.imageBuffers);
+    pageTexts.push(...fileResult.pageTexts);
+    rotations.push(...fileResult.imageBuffers.map(() => page.rotation ?? null));
+  }
+
+  return { success: true, imageBuffers, pageTexts, rotations };
+}
+
+/**
+ * OCR an uploaded model answer with the same languages and preprocessing as the document
+ * @param {Object} modelAnswerFile - { filePath, originalName, mimeType, size } from the job payload
+ * @param {Object} options - { languages, preprocess }
+ * @returns {Promise<Object>} { text, confidence, success, error }
+ */
+async function readModelAnswer(modelAnswerFile, { languages, preprocess }) {
+  const buffer = await fs.readFile(modelAnswerFile.filePath);
+
+  const fileResult = await fileProcessor.processFile({
+    originalname: modelAnswerFile.originalName,
+    mimetype: modelAnswerFile.mimeType,
+    size: modelAnswerFile.size,
+    buffer
+  });
+
+  if (!fileResult.success) {
+    return { success: false, error: fileResult.errors.join(', ') };
+  }
+
+  const ocrResult = await ocrProcessor.processMultipleImages(fileResult.imageBuffers, {
+    pageTexts: fileResult.pageTexts,
+    languages,
+    preprocess
+  });
+
+  if (!ocrResult.success || !ocrResult.text.trim()) {
+    return { success: false, error: 'the text could not be read' };
+  }
+
+  return {
+    // Keep within the stored length; marking schemes rarely come close
+    text: ocrResult.text.substring(0, 20000),
+    confidence: ocrResult.confidence,
+    success: true
+  };
+}
+
+/**
+ * Delete the temporary files of a job: the model answer, and the document and pages of jobs queued before
+ * originals were stored. Stored originals are kept, see utils/fileStorage.
+ * @param {Object} payload - Job payload
+ * @returns {Promise<void>}
+ */
+async function deleteUploads({ filePath, pages, modelAnswerFile }) {
+  await fileProcessor.deleteUpload(filePath);
+  for (const page of pages || []) {
+    await fileProcessor.deleteUpload(page.filePath);
+  }
+  await fileProcessor.deleteUpload(modelAnswerFile?.filePath);
+}
+
+/**
+ * Store word and line geometry and a preview image for every OCR'd page, replacing any left by an earlier attempt
+ * @param {string} analysisId - Analysis ID
+ * @param {Object} ocrResult - Result of ocrProcessor.processMultipleImages
+ * @returns {Promise<void>}
+ */
+async function saveLayouts(analysisId, ocrResult) {
+  const layouts = ocrResult.pageResults
+    .map((result, i) => ({ result, page: i + 1 }))
+    .filter(({ result }) => result.success && result.layout)
+    .map(({ result, page }) => {
+      const preprocessing = ocrResult.preprocessing.find(entry => entry.page === page) || {};
+      return {
+        analysisId,
+        page,
+        imageWidth: result.layout.width,
+        imageHeight: result.layout.height,
+        originalWidth: preprocessing.originalWidth,
+        originalHeight: preprocessing.originalHeight,
+        rotation: preprocessing.rotation || 0,
+        skewAngle: preprocessing.skewAngle || 0,
+        confidence: result.confidence,
+        text: result.text,
+        image: ocrResult.previews[page - 1] || undefined,
+        blocks: result.layout.blocks,
+        lines: result.layout.lines
+      };
+    });
+
+  await OcrLayout.deleteMany({ analysisId });
+  if (layouts.length > 0) {
+    await OcrLayout.insertMany(layouts);
+  }
+}
+
+/**
+ * Set an analysis to failed with a user-facing message
+ * @param {string} analysisId - Analysis ID
+ * @param {string} message - Failure message stored in the analysis field
+ * @returns {Promise<void>}
+ */
+async function failAnalysis(analysisId, message) {
+  await Analysis.findByIdAndUpdate(analysisId, {
+    status: 'failed',
+    analysis: message,
+    updatedAt: Date.now()
+  });
+
+  await progressTracker.record(analysisId, 'failed', { message });
+}
+
+/**
+ * Record a re-analysis as failed with a user-facing message, leaving the current result alone
+ * @param {string} analysisId - Analysis ID
+ * @param {number} number - Revision number the re-analysis would have had
+ * @param {string} message - Failure message
+ * @returns {Promise<void>}
+ */
+async function failReanalysis(analysisId, number, message) {
+  await Analysis.updateOne(
+    { _id: analysisId, 'reanalysis.number': number },
+    { $set: { 'reanalysis.status': 'failed', 'reanalysis.error': message, updatedAt: Date.now() } }
+  );
+
+  await progressTracker.record(analysisId, 'failed', { revision: number, message });
+}
@@ -0,0 +1,144 @@
+import ApiKey from '../models/ApiKey.js';
+import authService from '../utils/auth.js';
+import classroomService from '../utils/classroom.js';
+import { logger } from '../utils/logger.js';
+
+// API keys record use at most once a minute, so busy keys don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Send the shared 401/403 error shape
+ * @param {Object} res - Express response
+ * @param {number} statusCode - 401 (no valid credentials) or 403 (valid credentials, not allowed)
+ * @param {string} message - Error message
+ * @param {string} reason - Detail for the errors array
+ */
+const deny = (res, statusCode, message, reason) => {
+  res.status(statusCode).json({
+    status: 'error',
+    message,
+    errors: [reason]
+  });
+};
+
+/**
+ * Check an X-API-Key header and set req.user to the key's creator and req.apiKey to { id, name, scopes }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - API key from the header
+ * @param {string|null} scope - Scope the route accepts keys with, null if it doesn't accept keys
+ * @returns {Promise<boolean>} True if the request may continue
+ */
+const authenticateApiKey = async (req, res, key, scope) => {
+  const apiKey = await ApiKey.findOne({ keyHash: authService.hashApiKey(key), revokedAt: null });
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= Date.now())) {
+    logger.warn(`Rejected API key on ${req.method} ${req.baseUrl}${req.path}`);
+    deny(res, 401, 'Invalid or revoked API key', 'The API key does not exist, has expired or was revoked');
+    return false;
+  }
+
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    logger.warn(`API key ${apiKey.prefix} lacks access to ${req.method} ${req.baseUrl}${req.path}`);
+    deny(res, 403, 'Insufficient permissions', scope
+      ? `The API key needs the "${scope}" scope`
+      : 'This endpoint does not accept API keys');
+    return false;
+  }
+
+  req.user = { id: apiKey.createdBy.toString(), email: null, role: null };
+  req.apiKey = { id: apiKey._id.toString(), name: apiKey.name, scopes: apiKey.scopes };
+
+  const now = Date.now();
+  ApiKey.updateOne(
+    { _id: apiKey._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: now - LAST_USED_RESOLUTION_MS } }] },
+    { lastUsedAt: now }
+  ).catch(error => logger.error(`Failed to record API key use for ${apiKey.prefix}:`, error));
+
+  return true;
+};
+
+/**
+ * Build middleware that requires a valid access token (or API key) and sets req.user to { id, email, role }
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.allowQueryToken - Also accept ?access_token=, for EventSource which can't send headers
+ * @param {string} options.apiKeyScope - Also accept an X-API-Key header from keys with this scope
+ * @returns {Function} Express middleware
+ */
+export const authenticate = ({ allowQueryToken = false, apiKeyScope = null } = {}) => {
+  return async (req, res, next) => {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      try {
+        if (await authenticateApiKey(req, res, apiKey, apiKeyScope)) {
+          next();
+        }
+      } catch (error) {
+        logger.error('Error checking API key:', error);
+        res.status(500).json({
+          status: 'error',
+          message: 'Failed to authenticate',
+          errors: [error.message || 'Unknown server error']
+        });
+      }
+      return;
+    }
+
+    const header = req.get('Authorization') || '';
+    const [scheme, headerToken] = header.split(' ');
+    const token = scheme === 'Bearer' && headerToken
+      ? headerToken
+      : (allowQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null);
+
+    if (!token) {
+      return deny(res, 401, 'Authentication required', 'Send an access token in the Authorization header as "Bearer <token>"');
+    }
+
+    try {
+      req.user = authService.verifyAccessToken(token);
+      next();
+    } catch (error) {
+      logger.warn(`Rejected access token on ${req.method} ${req.baseUrl}${req.path}: ${error.message}`);
+      deny(res, 401, 'Invalid or expired access token', error.message);
+    }
+  };
+};
+
+/**
+ * Build middleware that allows only users with one of the given roles; use after authenticate.
+ * API keys have already been checked against the route's scope and pass.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (req.apiKey || roles.includes(req.user?.role)) {
+      return next();
+    }
+
+    logger.warn(`User ${req.user?.id} (${req.user?.role}) denied ${req.method} ${req.baseUrl}${req.path}`);
+    deny(res, 403, 'Insufficient permissions', `Requires one of the roles: ${roles.join(', ')}`);
+  };
+};
+
+/**
+ * Query filter for the analyses a request may read: admins and API keys see all, teachers their own
+ * and those submitted to their classes, everyone else their own
+ * @param {Object} req - Authenticated Express request
+ * @returns {Promise<Object>} MongoDB filter
+ */
+export const ownerFilter = async (req) => {
+  if (req.apiKey || req.user.role === 'admin') {
+    return {};
+  }
+  if (req.user.role === 'teacher') {
+    const classIds = await classroomService.taughtClassIds(req.user.id);
+    return classIds.length
+      ? { $or: [{ userId: req.user.id }, { classId: { $in: classIds } }] }
+      : { userId: req.user.id };
+  }
+  return { userId: req.user.id };
+};
+
+// Bearer token required
+export const requireAuth = authenticate();
\ No newline at end of file
@@ -39,6 +39,25 @@ export const uploadLimiter = rateLimit({
   }
 });
 
+// Text analysis rate limiter (no OCR, but every request is an AI call)
+export const analyzeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // limit each IP to 30 analyses per hour
+  message: {
+    error: 'Too many analysis requests from this IP, please try again later.',
+    retryAfter: 3600
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Analyze rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many analysis requests from this IP, please try again later.',
+      retryAfter: 3600
+    });
+  }
+});
+
 // Feedback rate limiter
 export const feedbackLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
@@ -56,4 +75,42 @@ export const feedbackLimiter = rateLimit({
       retryAfter: 300
     });
   }
+});
+
+// Login and registration limiter (slows down password guessing)
+export const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 login or registration attempts per 15 minutes
+  message: {
+    error: 'Too many authentication attempts, please try again later.',
+    retryAfter: 900
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Auth rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many authentication attempts, please try again later.',
+      retryAfter: 900
+    });
+  }
+});
+
+// Batch upload limiter (a batch holds many documents, so fewer are allowed than single uploads)
+export const batchLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 batches per hour
+  message: {
+    error: 'Too many batch uploads from this IP, please try again later.',
+    retryAfter: 3600
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Batch rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      error: 'Too many batch uploads from this IP, please try again later.',
+      retryAfter: 3600
+    });
+  }
 });
\ No newline at end of file
@@ -1,41 +1,271 @@
 import mongoose from 'mongoose';
 
+const suggestionSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['grammar', 'clarity', 'structure', 'content', 'formatting'],
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'medium'
+  },
+  suggestion: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  location: {
+    type: String,
+    maxlength: 200
+  },
+  formula: {
+    type: String, // Corrected formula in LaTeX-like notation, from the math review
+    maxlength: 500
+  }
+});
+
+const mistakeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['knowledge', 'logic', 'writing', 'format'],
+    required: true
+  },
+  what: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  why: {
+    type: String,
+    maxlength: 1000
+  },
+  fix: {
+    type: String,
+    maxlength: 1000
+  }
+});
+
+const coverageSchema = new mongoose.Schema({
+  point: {
+    type: String, // Key point from the model answer
+    required: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['covered', 'missed', 'incorrect'],
+    required: true
+  },
+  evidence: {
+    type: String, // Quote from the student's answer, empty when missed
+    maxlength: 1000
+  }
+}, { _id: false });
+
+// Settings a re-analysis was asked to change; anything unset kept the analysis' own, see utils/revisions
+const revisionOptionsSchema = new mongoose.Schema({
+  promptVersion: Number,
+  provider: {
+    type: String,
+    maxlength: 50
+  },
+  model: {
+    type: String,
+    maxlength: 200
+  },
+  languages: {
+    type: String,
+    maxlength: 100
+  },
+  reocr: Boolean // Text read again from the stored original instead of reusing the OCR text
+}, { _id: false });
+
+// A result replaced by a re-analysis
+const revisionSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String, // A failed upload can be re-analyzed too
+    enum: ['completed', 'failed']
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Unset for the result of the upload itself
+    ref: 'User'
+  },
+  requestedAt: Date,
+  completedAt: Date,
+  options: revisionOptionsSchema,
+  analysis: {
+    type: String,
+    maxlength: 20000
+  },
+  suggestions: [suggestionSchema],
+  mistakes: [mistakeSchema],
+  scoreHint10: Number,
+  rubricScore: {
+    totalScore: Number,
+    maxScore: Number
+  },
+  coverage: [coverageSchema],
+  math: {
+    reviewed: Boolean,
+    steps: Number,
+    firstErrorStep: Number
+  },
+  originalText: {
+    type: String, // Only kept when a later revision read the text again and replaced it
+    maxlength: 50000
+  },
+  textHash: String, // contentHash.text of the text this revision analyzed
+  ocrLanguages: String,
+  ocrConfidence: Number,
+  aiProvider: String,
+  aiModel: String,
+  promptId: String,
+  promptVersion: Number,
+  prompts: [{
+    _id: false,
+    task: String,
+    id: String,
+    version: Number
+  }]
+}, { _id: false });
+
 const analysisSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId, // Owner; only they can read the analysis
+    ref: 'User'
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId, // Set when submitted to an assignment; the class teacher can read it too
+    ref: 'Assignment'
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom'
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId, // Set for documents uploaded through POST /api/batches
+    ref: 'Batch'
+  },
   originalText: {
     type: String,
-    required: true,
+    // Records are created before OCR runs, so text is only guaranteed once processing completes
+    required: function() { return this.status === 'completed'; },
+    default: '',
     maxlength: 50000
   },
   analysis: {
     type: String,
-    required: true,
+    required: function() { return this.status === 'completed'; },
+    default: '',
     maxlength: 20000
   },
-  suggestions: [{
-    category: {
-      type: String,
-      enum: ['grammar', 'clarity', 'structure', 'content', 'formatting'],
-      required: true
+  suggestions: [suggestionSchema],
+  subject: {
+    type: String,
+    maxlength: 100,
+    default: 'general'
+  },
+  math: {
+    reviewed: {
+      type: Boolean, // Analyzed with the step-by-step math review instead of the writing review
+      default: false
+    },
+    formulaCount: {
+      type: Number, // OCR lines rewritten in LaTeX-like notation, see utils/mathNormalizer
+      default: 0
+    },
+    normalizedText: {
+      type: String, // OCR text with those lines rewritten, as the model read it; unset when no line was
+      maxlength: 50000
     },
-    priority: {
+    steps: Number,
+    firstErrorStep: {
+      type: Number, // Null when every step checks out
+      min: 1
+    }
+  },
+  mistakes: [mistakeSchema],
+  scoreHint10: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  modelAnswer: {
+    text: {
       type: String,
-      enum: ['high', 'medium', 'low'],
-      default: 'medium'
+      maxlength: 20000
     },
-    suggestion: {
+    source: {
       type: String,
-      required: true,
-      maxlength: 1000
+      enum: ['text', 'ocr', 'assignment']
+    },
+    ocrConfidence: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  },
+  coverage: [coverageSchema],
+  rubricGrade: {
+    // Criterion names and points are copied from the rubric so later rubric edits don't change old grades
+    rubricId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rubric'
     },
-    location: {
+    rubricName: {
       type: String,
       maxlength: 200
+    },
+    criteria: [{
+      _id: false,
+      criterionId: mongoose.Schema.Types.ObjectId,
+      criterion: {
+        type: String,
+        required: true,
+        maxlength: 200
+      },
+      maxPoints: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      score: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      level: {
+        type: String,
+        maxlength: 100
+      },
+      justification: {
+        type: String,
+        maxlength: 1000
+      }
+    }],
+    totalScore: {
+      type: Number,
+      min: 0
+    },
+    maxScore: {
+      type: Number,
+      min: 0
+    },
+    overall: {
+      type: String,
+      maxlength: 2000
     }
-  }],
+  },
   metadata: {
     fileType: {
       type: String,
-      enum: ['pdf', 'jpg', 'jpeg', 'png'],
+      enum: ['pdf', 'jpg', 'jpeg', 'png', 'text'],
       required: true
     },
     fileSize: {
@@ -46,20 +276,160 @@ const analysisSchema = new mongoose.Schema({
       type: Number,
       default: 1
     },
+    pageFiles: [{
+      _id: false, // Photos of a multi-page upload, in reading order
+      page: Number,
+      originalName: {
+        type: String,
+        maxlength: 500
+      },
+      uploadPosition: Number, // 1-based position in the upload, before reordering
+      rotationHint: Number
+    }],
+    textLayerPages: {
+      type: Number, // PDF pages read from their embedded text instead of OCR
+      default: 0
+    },
     ocrConfidence: {
       type: Number,
       min: 0,
       max: 100
     },
+    ocrLanguages: {
+      type: String, // Tesseract language string actually used, e.g. "eng+fra"
+      maxlength: 100
+    },
+    detectedLanguage: {
+      type: String, // Set when OCR ran in auto mode
+      maxlength: 20
+    },
+    detectedScript: {
+      type: String,
+      maxlength: 50
+    },
+    preprocessing: {
+      requested: [String], // Steps enabled for this upload
+      applied: [String], // Steps that changed at least one page
+      pages: [{
+        _id: false,
+        page: Number,
+        applied: [String],
+        rotation: Number,
+        skewAngle: Number
+      }]
+    },
     processingTime: {
       type: Number // in milliseconds
+    },
+    chunkCount: {
+      type: Number
+    },
+    failedChunks: [{
+      _id: false, // Sections of a long document left out of the synthesized analysis
+      chunk: Number,
+      error: {
+        type: String,
+        maxlength: 500
+      }
+    }],
+    aiProvider: {
+      type: String,
+      maxlength: 50
+    },
+    aiModel: {
+      type: String,
+      maxlength: 200
+    },
+    promptId: {
+      type: String, // Template that produced the main analysis, see utils/prompts
+      maxlength: 100
+    },
+    promptVersion: {
+      type: Number
+    },
+    prompts: [{
+      _id: false, // Every template used, including rubric grading and model answer comparison
+      task: String,
+      id: String,
+      version: Number
+    }],
+    llmOutput: {
+      responses: Number, // Model calls whose output was validated
+      repairs: Number, // Repair re-prompts sent for invalid output
+      normalized: Number, // Values mapped onto enums, truncated or dropped
+      fallbacks: Number // Responses that stayed invalid and were parsed heuristically
     }
   },
+  contentHash: {
+    // SHA-256 hex digests used to reuse results, see utils/resultCache
+    file: String, // Uploaded file bytes
+    text: String, // Normalized document text
+    ocr: String, // OCR languages and preprocessing
+    settings: String // Everything else that shapes the result: task, subject, prompts, model, rubric, model answer
+  },
+  originalFiles: [{
+    _id: false, // Uploaded document, or the photos of a multi-page upload in reading order, see utils/fileStorage
+    storage: {
+      type: String,
+      enum: ['local', 'gridfs']
+    },
+    key: String, // Adapter's file ID
+    originalName: {
+      type: String,
+      maxlength: 500
+    },
+    mimeType: String,
+    size: Number
+  }],
+  originalFilesDeletedAt: {
+    type: Date // Set when the retention policy deleted originalFiles
+  },
+  revision: {
+    // The current result; the results it replaced are kept in revisions
+    number: {
+      type: Number,
+      default: 1
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Unset for the result of the upload itself
+      ref: 'User'
+    },
+    requestedAt: Date,
+    completedAt: Date,
+    options: revisionOptionsSchema
+  },
+  revisions: [revisionSchema], // Oldest first
+  reanalysis: {
+    // Latest re-analysis that hasn't replaced the current result yet: queued or running, or failed with error
+    status: {
+      type: String,
+      enum: ['processing', 'failed']
+    },
+    number: Number,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    options: revisionOptionsSchema,
+    error: {
+      type: String,
+      maxlength: 1000
+    }
+  },
+  cachedFrom: {
+    type: mongoose.Schema.Types.ObjectId, // Analysis whose result was copied instead of recomputed
+    ref: 'Analysis'
+  },
   status: {
     type: String,
     enum: ['processing', 'completed', 'failed'],
     default: 'processing'
   },
+  progressSeq: {
+    type: Number, // Last progress event sequence number, see AnalysisEvent
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -78,6 +448,12 @@ analysisSchema.pre('save', function(next) {
 
 // Index for faster queries
 analysisSchema.index({ createdAt: -1 });
+analysisSchema.index({ userId: 1, createdAt: -1 });
+analysisSchema.index({ classId: 1, createdAt: -1 });
+analysisSchema.index({ batchId: 1 });
 analysisSchema.index({ status: 1 });
+analysisSchema.index({ 'metadata.promptId': 1, 'metadata.promptVersion': 1 });
+analysisSchema.index({ 'contentHash.file': 1, 'contentHash.settings': 1, createdAt: -1 });
+analysisSchema.index({ 'contentHash.text': 1, 'contentHash.settings': 1, createdAt: -1 });
 
 export default mongoose.model('Analysis', analysisSchema);
\ No newline at end of file
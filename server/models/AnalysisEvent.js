@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const analysisEventSchema = new mongoose.Schema({
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis',
+    required: true
+  },
+  seq: {
+    type: Number, // Per-analysis sequence, used as the SSE event id
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: ['queued', 'file_processing', 'ocr', 'ai', 'completed', 'failed'],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Replay in order after a given event id
+analysisEventSchema.index({ analysisId: 1, seq: 1 }, { unique: true });
+
+// TTL index - progress is only interesting while an analysis runs, keep it for 1 day
+analysisEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 86400 });
+
+export default mongoose.model('AnalysisEvent', analysisEventSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String, // First characters of the key, shown in listings so keys can be told apart
+    required: true
+  },
+  keyHash: {
+    type: String, // SHA-256 of the key; the key itself is only returned once, on creation
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: ['analyses:read', 'analyses:write', 'feedback:write', 'stats:read']
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId, // Admin who created the key; analyses created with it belong to them
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+apiKeySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for faster queries
+apiKeySchema.index({ createdAt: -1 });
+apiKeySchema.index({ createdBy: 1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
\ No newline at end of file
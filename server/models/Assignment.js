@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const assignmentSchema = new mongoose.Schema({
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  instructions: {
+    type: String,
+    maxlength: 5000
+  },
+  subject: {
+    type: String,
+    maxlength: 100,
+    default: 'general'
+  },
+  dueDate: {
+    type: Date // Submissions after it are accepted but marked late
+  },
+  rubricId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  },
+  modelAnswer: {
+    type: String, // Shown to teachers only
+    maxlength: 20000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+assignmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for faster queries
+assignmentSchema.index({ classId: 1, dueDate: 1 });
+
+export default mongoose.model('Assignment', assignmentSchema);
\ No newline at end of file
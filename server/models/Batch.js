@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const batchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId, // Uploader; only they (or an admin) can read the batch
+    ref: 'User',
+    required: true
+  },
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  },
+  items: [{
+    filename: {
+      type: String,
+      required: true,
+      maxlength: 500
+    },
+    analysisId: {
+      type: mongoose.Schema.Types.ObjectId, // Missing when the file was rejected before analysis
+      ref: 'Analysis'
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId, // Student matched from the filename, for assignment batches
+      ref: 'User'
+    },
+    error: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+batchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for faster queries
+batchSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('Batch', batchSchema);
\ No newline at end of file
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const classroomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  subject: {
+    type: String,
+    maxlength: 100,
+    default: 'general'
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+classroomSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for faster queries
+classroomSchema.index({ teacherId: 1, createdAt: -1 });
+classroomSchema.index({ students: 1 });
+
+export default mongoose.model('Classroom', classroomSchema);
\ No newline at end of file
@@ -6,6 +6,10 @@ const feedbackSchema = new mongoose.Schema({
     ref: 'Analysis',
     required: true
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   rating: {
     type: Number,
     min: 1,
@@ -37,6 +41,7 @@ const feedbackSchema = new mongoose.Schema({
 
 // Index for analytics queries
 feedbackSchema.index({ analysisId: 1 });
+feedbackSchema.index({ userId: 1 });
 feedbackSchema.index({ rating: 1 });
 feedbackSchema.index({ createdAt: -1 });
 
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lockedBy: {
+    type: String,
+    maxlength: 200
+  },
+  lastError: {
+    type: String,
+    maxlength: 2000
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+jobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for claiming the next due job
+jobSchema.index({ status: 1, runAt: 1 });
+
+// TTL index - remove finished jobs after 7 days (queued/running jobs have no finishedAt)
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 604800 });
+
+export default mongoose.model('Job', jobSchema);
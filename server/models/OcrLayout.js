@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const boxSchema = new mongoose.Schema({
+  x0: Number,
+  y0: Number,
+  x1: Number,
+  y1: Number
+}, { _id: false });
+
+const wordSchema = new mongoose.Schema({
+  text: String,
+  confidence: Number,
+  bbox: boxSchema
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  text: String,
+  confidence: Number,
+  bbox: boxSchema,
+  words: [wordSchema]
+}, { _id: false });
+
+const blockSchema = new mongoose.Schema({
+  text: String,
+  confidence: Number,
+  bbox: boxSchema
+}, { _id: false });
+
+// Word and line geometry per OCR'd page, kept out of Analysis because it can run to thousands of boxes
+const ocrLayoutSchema = new mongoose.Schema({
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis',
+    required: true
+  },
+  page: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Boxes are in the coordinate space of the image OCR ran on (after preprocessing)
+  imageWidth: {
+    type: Number,
+    required: true
+  },
+  imageHeight: {
+    type: Number,
+    required: true
+  },
+  // Uploaded page size and the transforms that map it onto the OCR image
+  originalWidth: {
+    type: Number
+  },
+  originalHeight: {
+    type: Number
+  },
+  rotation: {
+    type: Number, // clockwise degrees, 0/90/180/270
+    default: 0
+  },
+  skewAngle: {
+    type: Number, // degrees corrected by deskew
+    default: 0
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  text: {
+    type: String // This page's OCR text, before running headers are removed and pages are joined
+  },
+  // Colour JPEG of the page as OCR saw it (turned and deskewed, not binarized), for drawing boxes on
+  image: {
+    type: Buffer,
+    select: false
+  },
+  blocks: [blockSchema],
+  lines: [lineSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ocrLayoutSchema.index({ analysisId: 1, page: 1 }, { unique: true });
+
+export default mongoose.model('OcrLayout', ocrLayoutSchema);
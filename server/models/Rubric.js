@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const levelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  descriptor: {
+    type: String,
+    maxlength: 1000
+  }
+}, { _id: false });
+
+const criterionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  maxPoints: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  levels: [levelSchema]
+});
+
+const rubricSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  subject: {
+    type: String,
+    maxlength: 100,
+    default: 'general'
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: criteria => criteria.length > 0,
+      message: 'A rubric needs at least one criterion'
+    }
+  },
+  totalPoints: {
+    type: Number,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId, // Only they (and admins) can change or delete the rubric
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep updatedAt and the points total in step with the criteria
+rubricSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  this.totalPoints = this.criteria.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+  next();
+});
+
+// Index for faster queries
+rubricSchema.index({ createdAt: -1 });
+rubricSchema.index({ subject: 1 });
+
+export default mongoose.model('Rubric', rubricSchema);
\ No newline at end of file
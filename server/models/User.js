@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 254,
+    match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false // Only loaded explicitly, for login
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  role: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    default: 'student'
+  },
+  tokenVersion: {
+    type: Number, // Embedded in refresh tokens; incrementing it (logout) revokes all of them
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+userSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Never send the password hash, even if it was selected
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Index for faster queries
+userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1 });
+
+export default mongoose.model('User', userSchema);
\ No newline at end of file
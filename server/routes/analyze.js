@@ -0,0 +1,299 @@
+import express from 'express';
+import Analysis from '../models/Analysis.js';
+import Rubric from '../models/Rubric.js';
+import aiProcessor from '../utils/aiProcessor.js';
+import resultCache from '../utils/resultCache.js';
+import classroomService from '../utils/classroom.js';
+import { analyzeLimiter } from '../middleware/rateLimiter.js';
+import { authenticate } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_TEXT_LENGTH = 20000;
+
+/**
+ * POST /api/analyze
+ * Analyze pasted answer text (no OCR) and return mistakes with fixes.
+ * Text already analyzed with the same settings returns the cached result unless force is true.
+ * With an assignmentId the text is the student's submission, using the assignment's subject, rubric and model answer.
+ */
+router.post('/', authenticate({ apiKeyScope: 'analyses:write' }), analyzeLimiter, async (req, res) => {
+  const startTime = Date.now();
+  let analysisId = null;
+
+  try {
+    const body = req.body || {};
+    const { text, force, assignmentId } = body;
+
+    // Submissions to an assignment take its settings instead of the request's
+    let assignment = null;
+    if (assignmentId !== undefined && assignmentId !== null) {
+      const resolved = await classroomService.resolveForSubmission(assignmentId, req.user);
+      if (!resolved.isValid) {
+        return res.status(resolved.statusCode).json({
+          status: 'error',
+          message: resolved.message,
+          errors: resolved.errors
+        });
+      }
+      assignment = resolved.assignment;
+    }
+
+    const { subject, rubricId, modelAnswer } = assignment
+      ? { subject: assignment.subject, rubricId: assignment.rubricId?.toString(), modelAnswer: assignment.modelAnswer }
+      : body;
+
+    // Validate text
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing text',
+        errors: ['text is required and must be a non-empty string']
+      });
+    }
+
+    if (text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Text too long',
+        errors: [`Text must be ${MAX_TEXT_LENGTH} characters or less`]
+      });
+    }
+
+    // Validate subject if provided
+    if (subject !== undefined && (typeof subject !== 'string' || subject.length > 100)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid subject',
+        errors: ['Subject must be a string of 100 characters or less']
+      });
+    }
+
+    // Validate model answer if provided
+    if (modelAnswer !== undefined && modelAnswer !== null &&
+        (typeof modelAnswer !== 'string' || modelAnswer.length > MAX_TEXT_LENGTH)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid model answer',
+        errors: [`Model answer must be a string of ${MAX_TEXT_LENGTH} characters or less`]
+      });
+    }
+
+    // Validate and load the rubric to grade against, if any
+    let rubric = null;
+    if (rubricId !== undefined && rubricId !== null) {
+      if (typeof rubricId !== 'string' || !rubricId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid rubric ID format',
+          errors: ['Rubric ID must be a valid MongoDB ObjectId']
+        });
+      }
+
+      rubric = await Rubric.findById(rubricId);
+      if (!rubric) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Rubric not found',
+          errors: ['No rubric found with the provided ID']
+        });
+      }
+    }
+
+    const answerText = text.trim();
+    const modelAnswerText = modelAnswer?.trim() || '';
+    const answerSubject = subject?.trim() || rubric?.subject || 'general';
+
+    logger.info(`Text analysis request received (${answerText.length} chars, subject: ${answerSubject})`);
+
+    const contentHash = {
+      text: resultCache.hashText(answerText),
+      settings: resultCache.settingsHash({
+        task: 'answer',
+        subject: answerSubject,
+        rubric,
+        modelAnswer: modelAnswerText && resultCache.hashText(modelAnswerText)
+      })
+    };
+
+    // Create analysis record in database
+    const analysis = new Analysis({
+      userId: req.user.id,
+      originalText: answerText,
+      subject: answerSubject,
+      ...(modelAnswerText && { modelAnswer: { text: modelAnswerText, source: assignment ? 'assignment' : 'text' } }),
+      ...(assignment && { assignmentId: assignment._id, classId: assignment.classId }),
+      metadata: {
+        fileType: 'text',
+        fileSize: Buffer.byteLength(answerText)
+      },
+      contentHash,
+      status: 'processing'
+    });
+
+    await analysis.save();
+    analysisId = analysis._id;
+
+    if (assignment) {
+      await classroomService.recordSubmission(assignment, req.user.id, analysisId);
+      logger.info(`Analysis ${analysisId} submitted to assignment ${assignment._id} by ${req.user.id}`);
+    }
+
+    // Same text and settings analyzed recently: answer from that result without calling the model
+    const cached = force === true || force === 'true' ? null : await resultCache.findByText(contentHash);
+    if (cached) {
+      const completed = await resultCache.applyResult(analysisId, cached);
+
+      return res.json({
+        status: 'success',
+        analysisId: analysisId,
+        cachedFrom: cached._id,
+        subject: answerSubject,
+        overall: completed.analysis,
+        mistakes: completed.mistakes,
+        scoreHint10: completed.scoreHint10,
+        rubricGrade: rubric ? completed.rubricGrade : null,
+        coverage: modelAnswerText ? completed.coverage : null,
+        metadata: {
+          processingTime: completed.metadata.processingTime,
+          aiProvider: completed.metadata.aiProvider,
+          aiModel: completed.metadata.aiModel,
+          promptId: completed.metadata.promptId,
+          promptVersion: completed.metadata.promptVersion
+        }
+      });
+    }
+
+    // Perform AI analysis, grading against the rubric and model answer alongside the review
+    const [aiResult, gradeResult, comparisonResult] = await Promise.all([
+      aiProcessor.analyzeAnswer(answerText, { subject: answerSubject }),
+      rubric ? aiProcessor.gradeWithRubric(answerText, rubric, { subject: answerSubject }) : null,
+      modelAnswerText ? aiProcessor.compareWithModelAnswer(answerText, modelAnswerText, { subject: answerSubject }) : null
+    ]);
+
+    if (comparisonResult && !comparisonResult.success) {
+      await Analysis.findByIdAndUpdate(analysisId, {
+        status: 'failed',
+        analysis: 'Model answer comparison failed due to technical error. Please try again.',
+        updatedAt: Date.now()
+      });
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'Model answer comparison failed',
+        errors: [comparisonResult.error || 'Unknown model answer comparison error'],
+        analysisId: analysisId
+      });
+    }
+
+    if (gradeResult && !gradeResult.success) {
+      await Analysis.findByIdAndUpdate(analysisId, {
+        status: 'failed',
+        analysis: gradeResult.overall,
+        updatedAt: Date.now()
+      });
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'Rubric grading failed',
+        errors: [gradeResult.error || 'Unknown rubric grading error'],
+        analysisId: analysisId
+      });
+    }
+
+    const rubricGrade = gradeResult && {
+      rubricId: gradeResult.rubricId,
+      rubricName: gradeResult.rubricName,
+      criteria: gradeResult.criteria,
+      totalScore: gradeResult.totalScore,
+      maxScore: gradeResult.maxScore,
+      overall: gradeResult.overall
+    };
+
+    if (!aiResult.success) {
+      await Analysis.findByIdAndUpdate(analysisId, {
+        status: 'failed',
+        analysis: aiResult.overall,
+        updatedAt: Date.now()
+      });
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'AI analysis failed',
+        errors: [aiResult.error || 'Unknown AI processing error'],
+        analysisId: analysisId
+      });
+    }
+
+    // Update analysis with AI results
+    const totalProcessingTime = Date.now() - startTime;
+    await Analysis.findByIdAndUpdate(analysisId, {
+      analysis: aiResult.overall,
+      suggestions: aiProcessor.mistakesToSuggestions(aiResult.mistakes),
+      mistakes: aiResult.mistakes,
+      scoreHint10: aiResult.scoreHint10,
+      ...(rubricGrade && { rubricGrade }),
+      ...(comparisonResult && { coverage: comparisonResult.coverage }),
+      status: 'completed',
+      'metadata.processingTime': totalProcessingTime,
+      'metadata.aiProvider': aiResult.provider,
+      'metadata.aiModel': aiResult.model,
+      'metadata.promptId': aiResult.prompt.id,
+      'metadata.promptVersion': aiResult.prompt.version,
+      'metadata.prompts': [
+        { task: 'answer', ...aiResult.prompt },
+        ...(gradeResult ? [{ task: 'rubric', ...gradeResult.prompt }] : []),
+        ...(comparisonResult ? [{ task: 'comparison', ...comparisonResult.prompt }] : [])
+      ],
+      'metadata.llmOutput': aiProcessor.mergeOutputStats(aiResult.output, gradeResult?.output, comparisonResult?.output),
+      updatedAt: Date.now()
+    });
+
+    logger.info(`Text analysis completed successfully in ${totalProcessingTime}ms`);
+
+    res.json({
+      status: 'success',
+      analysisId: analysisId,
+      cachedFrom: null,
+      subject: answerSubject,
+      overall: aiResult.overall,
+      mistakes: aiResult.mistakes,
+      scoreHint10: aiResult.scoreHint10,
+      rubricGrade,
+      coverage: comparisonResult ? comparisonResult.coverage : null,
+      metadata: {
+        processingTime: totalProcessingTime,
+        aiProvider: aiResult.provider,
+        aiModel: aiResult.model,
+        promptId: aiResult.prompt.id,
+        promptVersion: aiResult.prompt.version
+      }
+    });
+
+  } catch (error) {
+    logger.error('Text analysis error:', error);
+
+    // Update analysis status if record was created
+    if (analysisId) {
+      try {
+        await Analysis.findByIdAndUpdate(analysisId, {
+          status: 'failed',
+          analysis: 'Processing failed due to server error.',
+          updatedAt: Date.now()
+        });
+      } catch (updateError) {
+        logger.error('Failed to update analysis status:', updateError);
+      }
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error during text analysis',
+      errors: [error.message || 'Unknown server error'],
+      analysisId: analysisId
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+import express from 'express';
+import ApiKey from '../models/ApiKey.js';
+import authService from '../utils/auth.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Public fields of an API key (never the hash)
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} API key summary
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    createdBy: apiKey.createdBy,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    expiresAt: apiKey.expiresAt || null,
+    revokedAt: apiKey.revokedAt || null,
+    createdAt: apiKey.createdAt
+  };
+}
+
+// Keys are managed by signed-in admins only, never with another key
+router.use(requireAuth, requireRole('admin'));
+
+/**
+ * POST /api/api-keys
+ * Create a scoped API key; the key is only returned in this response
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+
+    const validation = authService.validateApiKey({ name, scopes, expiresInDays });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid API key details',
+        errors: validation.errors
+      });
+    }
+
+    const { key, prefix, keyHash } = authService.generateApiKey();
+    const apiKey = new ApiKey({
+      name: name.trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+    await apiKey.save();
+
+    logger.info(`API key created: ${apiKey._id} (${prefix}) by ${req.user.id}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created. Store it now, it will not be shown again',
+      data: {
+        key,
+        ...formatApiKey(apiKey)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create API key',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/api-keys
+ * List API keys, newest first (?includeRevoked=true to include revoked keys)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: apiKeys.map(formatApiKey),
+      count: apiKeys.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching API keys:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch API keys',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke an API key; it stays listed (with ?includeRevoked=true) for auditing
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid API key ID format',
+        errors: ['API key ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { revokedAt: Date.now(), updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found',
+        errors: ['No active API key found with the provided ID']
+      });
+    }
+
+    logger.info(`API key revoked: ${id} (${apiKey.prefix}) by ${req.user.id}`);
+
+    res.json({
+      status: 'success',
+      message: 'API key revoked successfully',
+      data: formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke API key',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,180 @@
+import express from 'express';
+import Classroom from '../models/Classroom.js';
+import Assignment from '../models/Assignment.js';
+import Submission from '../models/Submission.js';
+import classroomService from '../utils/classroom.js';
+import { requireAuth } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+/**
+ * Load an assignment from the URL with its class and check the user may see it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { manage } requires the class teacher or an admin
+ * @returns {Promise<Object|null>} { assignment, classroom, canManage }, or null if an error response was sent
+ */
+async function loadAssignment(req, res, { manage = false } = {}) {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Invalid assignment ID format',
+      errors: ['Assignment ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  const assignment = await Assignment.findById(id);
+  const classroom = assignment && await Classroom.findById(assignment.classId, { teacherId: 1, students: 1 });
+  const canManage = classroom && classroomService.canManage(classroom, req.user);
+
+  // Assignments of classes the user isn't part of are reported as missing
+  if (!classroom || (!canManage && !classroomService.isEnrolled(classroom, req.user))) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Assignment not found',
+      errors: ['No assignment found with the provided ID']
+    });
+    return null;
+  }
+
+  if (manage && !canManage) {
+    res.status(403).json({
+      status: 'error',
+      message: 'Insufficient permissions',
+      errors: ['Only the class teacher can do this']
+    });
+    return null;
+  }
+
+  return { assignment, classroom, canManage };
+}
+
+/**
+ * GET /api/assignments/:id
+ * Fetch an assignment; students also get their own submission
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const loaded = await loadAssignment(req, res);
+    if (!loaded) return;
+    const { assignment, canManage } = loaded;
+
+    const submission = await Submission.findOne(
+      { assignmentId: assignment._id, studentId: req.user.id },
+      { analysisId: 1, attempts: 1, late: 1, submittedAt: 1 }
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        ...classroomService.formatAssignment(assignment, { includeModelAnswer: canManage }),
+        submission
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching assignment:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch assignment',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * PUT /api/assignments/:id
+ * Update an assignment; send null to clear the due date, rubric or model answer.
+ * Submissions already made keep the settings they were analyzed with.
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const loaded = await loadAssignment(req, res, { manage: true });
+    if (!loaded) return;
+    const { assignment } = loaded;
+
+    const { errors, fields } = classroomService.validateAssignment(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid assignment',
+        errors
+      });
+    }
+
+    // A rubric that is already attached stays usable, whoever attached it
+    if (fields.rubricId && fields.rubricId !== assignment.rubricId?.toString()) {
+      const rubricCheck = await classroomService.checkRubric(fields.rubricId, req.user);
+      if (!rubricCheck.isValid) {
+        return res.status(rubricCheck.statusCode).json({
+          status: 'error',
+          message: rubricCheck.message,
+          errors: rubricCheck.errors
+        });
+      }
+    }
+
+    assignment.set(fields);
+    await assignment.save();
+
+    logger.info(`Assignment updated: ${assignment._id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Assignment updated successfully',
+      data: classroomService.formatAssignment(assignment, { includeModelAnswer: true })
+    });
+
+  } catch (error) {
+    logger.error('Error updating assignment:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update assignment',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/assignments/:id/roster
+ * Every student in the class with their submission, processing status and scores, plus a summary
+ */
+router.get('/:id/roster', async (req, res) => {
+  try {
+    const loaded = await loadAssignment(req, res, { manage: true });
+    if (!loaded) return;
+    const { assignment } = loaded;
+
+    logger.info(`Building roster for assignment: ${assignment._id}`);
+
+    const roster = await classroomService.buildRoster(assignment);
+
+    res.json({
+      status: 'success',
+      data: {
+        assignment: classroomService.formatAssignment(assignment),
+        summary: roster.summary,
+        students: roster.students
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error building roster:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to build roster',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
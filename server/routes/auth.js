@@ -0,0 +1,244 @@
+import express from 'express';
+import User from '../models/User.js';
+import authService from '../utils/auth.js';
+import { requireAuth } from '../middleware/auth.js';
+import { authLimiter } from '../middleware/rateLimiter.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign in
+ */
+router.post('/register', authLimiter, async (req, res) => {
+  try {
+    const { email, password, name } = req.body || {};
+
+    const validation = authService.validateCredentials({ email, password, name }, { registering: true });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid registration details',
+        errors: validation.errors
+      });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Email already registered',
+        errors: ['An account with this email already exists']
+      });
+    }
+
+    const user = new User({
+      email: normalizedEmail,
+      passwordHash: await authService.hashPassword(password),
+      name: name?.trim(),
+      role: authService.isAdminEmail(normalizedEmail) ? 'admin' : 'student',
+      lastLoginAt: Date.now()
+    });
+    await user.save();
+
+    logger.info(`User registered: ${user._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Account created successfully',
+      data: {
+        user,
+        ...authService.issueTokens(user)
+      }
+    });
+
+  } catch (error) {
+    // Two registrations racing past the exists check
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Email already registered',
+        errors: ['An account with this email already exists']
+      });
+    }
+
+    logger.error('Error registering user:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to register',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for an access and refresh token pair
+ */
+router.post('/login', authLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+
+    const validation = authService.validateCredentials({ email, password });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid login details',
+        errors: validation.errors
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+
+    // Same response (and timing) for unknown emails and wrong passwords, so accounts can't be discovered
+    const passwordMatches = await authService.verifyPassword(password, user?.passwordHash);
+    if (!user || !passwordMatches) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid email or password',
+        errors: ['The email or password is incorrect']
+      });
+    }
+
+    // Accounts added to ADMIN_EMAILS after registering are promoted on their next login
+    if (user.role !== 'admin' && authService.isAdminEmail(user.email)) {
+      user.role = 'admin';
+      logger.info(`User promoted to admin from ADMIN_EMAILS: ${user._id}`);
+    }
+
+    user.lastLoginAt = Date.now();
+    await user.save();
+
+    logger.info(`User logged in: ${user._id}`);
+
+    res.json({
+      status: 'success',
+      data: {
+        user,
+        ...authService.issueTokens(user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error logging in:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log in',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Missing refresh token',
+        errors: ['refreshToken is required']
+      });
+    }
+
+    let claims;
+    try {
+      claims = authService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token',
+        errors: [error.message]
+      });
+    }
+
+    const user = await User.findById(claims.id);
+    if (!user || user.tokenVersion !== claims.version) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token',
+        errors: ['The refresh token has been revoked']
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: authService.issueTokens(user)
+    });
+
+  } catch (error) {
+    logger.error('Error refreshing token:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to refresh token',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke every refresh token of the current user; access tokens expire on their own
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 }, updatedAt: Date.now() });
+
+    logger.info(`User logged out: ${req.user.id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error logging out:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to log out',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the current user
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+        errors: ['The account for this token no longer exists']
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: user
+    });
+
+  } catch (error) {
+    logger.error('Error fetching current user:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch user',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,508 @@
+import express from 'express';
+import multer from 'multer';
+import Analysis from '../models/Analysis.js';
+import Assignment from '../models/Assignment.js';
+import Batch from '../models/Batch.js';
+import Classroom from '../models/Classroom.js';
+import Rubric from '../models/Rubric.js';
+import fileProcessor from '../utils/fileProcessor.js';
+import fileStorage from '../utils/fileStorage.js';
+import ocrProcessor from '../utils/ocrProcessor.js';
+import imagePreprocessor from '../utils/imagePreprocessor.js';
+import jobQueue from '../utils/jobQueue.js';
+import progressTracker from '../utils/progressTracker.js';
+import resultCache from '../utils/resultCache.js';
+import classroomService from '../utils/classroom.js';
+import { batchLimiter } from '../middleware/rateLimiter.js';
+import { authenticate } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_BATCH_FILES = parseInt(process.env.BATCH_MAX_FILES) || 50;
+const MAX_ARCHIVE_SIZE = parseInt(process.env.BATCH_MAX_ARCHIVE_SIZE) || 104857600; // 100MB
+const MAX_MODEL_ANSWER_LENGTH = 20000;
+
+/**
+ * Memory storage that only buffers documents up to MAX_FILE_SIZE: multer's own limit has to let ZIP archives through,
+ * so a larger document is read to the end without being kept, and rejected as its own batch item by its size
+ */
+const batchStorage = {
+  _handleFile(req, file, cb) {
+    const maxSize = fileProcessor.isArchive(file) ? MAX_ARCHIVE_SIZE : fileProcessor.maxFileSize;
+    let chunks = [];
+    let size = 0;
+
+    file.stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        chunks = null;
+      } else if (chunks) {
+        chunks.push(chunk);
+      }
+    });
+    file.stream.on('error', error => cb(error));
+    file.stream.on('end', () => cb(null, { buffer: chunks ? Buffer.concat(chunks, size) : Buffer.alloc(0), size }));
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+const upload = multer({
+  storage: batchStorage,
+  limits: {
+    fileSize: Math.max(MAX_ARCHIVE_SIZE, fileProcessor.maxFileSize),
+    files: MAX_BATCH_FILES
+  }
+});
+
+/**
+ * Receive the batch files, answering multer's limit errors with the batch limits; anything else goes to the
+ * app's error handler
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function receiveFiles(req, res, next) {
+  upload.array('files', MAX_BATCH_FILES)(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) {
+      return next(error);
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        status: 'error',
+        message: 'File too large',
+        errors: [`Archives may be up to ${MAX_ARCHIVE_SIZE / 1024 / 1024}MB and documents up to ${fileProcessor.maxFileSize / 1024 / 1024}MB`]
+      });
+    }
+    // Past the field's maxCount multer reports the extra file as unexpected
+    if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'files')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Too many files',
+        errors: [`A batch may contain up to ${MAX_BATCH_FILES} files`]
+      });
+    }
+    next(error);
+  });
+}
+
+/**
+ * Turn the uploaded files into batch items, extracting ZIP archives
+ * @param {Array} files - Multer file objects
+ * @returns {Promise<Array>} Items { filename, file } to analyze or { filename, error } rejected
+ */
+async function collectItems(files) {
+  const items = [];
+
+  for (const file of files) {
+    if (fileProcessor.isArchive(file)) {
+      try {
+        const remaining = MAX_BATCH_FILES - items.filter(item => item.file).length;
+        const archive = await fileProcessor.extractArchive(file.buffer, { maxFiles: remaining });
+        items.push(
+          ...archive.files.map(entry => ({ filename: `${file.originalname}/${entry.originalname}`, file: entry })),
+          ...archive.skipped.map(entry => ({ filename: `${file.originalname}/${entry.name}`, error: entry.reason }))
+        );
+      } catch (error) {
+        items.push({ filename: file.originalname, error: `Invalid ZIP archive: ${error.message}` });
+      }
+      // The extracted documents have their own buffers
+      file.buffer = null;
+      continue;
+    }
+
+    const validation = fileProcessor.validateFile(file);
+    if (validation.isValid) {
+      items.push({ filename: file.originalname, file });
+    } else {
+      items.push({ filename: file.originalname, error: validation.errors.join('; ') });
+      file.buffer = null;
+    }
+  }
+
+  // Paths inside archives can be long; the batch stores up to 500 characters
+  return items.map(item => ({ ...item, filename: item.filename.slice(0, 500) }));
+}
+
+/**
+ * POST /api/batches
+ * Upload many documents (files and/or ZIP archives) and queue one analysis per document.
+ * With an assignmentId the class teacher uploads scripts for the class, and each is matched to a student by filename.
+ * Responds 202 with the batch ID; poll GET /api/batches/:id for progress.
+ */
+router.post('/', authenticate({ apiKeyScope: 'analyses:write' }), batchLimiter, receiveFiles, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No files uploaded. Please select documents or a ZIP archive to analyze.',
+        errors: ['Missing files in request']
+      });
+    }
+
+    logger.info(`Batch upload received: ${files.length} files from ${req.user.id}`);
+
+    const languageSelection = ocrProcessor.parseLanguages(req.body?.languages);
+    if (!languageSelection.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid OCR language selection',
+        errors: languageSelection.errors
+      });
+    }
+
+    const preprocessSelection = imagePreprocessor.parseSteps(req.body?.preprocess);
+    if (!preprocessSelection.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid preprocessing selection',
+        errors: preprocessSelection.errors
+      });
+    }
+
+    // Assignment batches are uploaded by the class teacher and take the assignment's settings
+    let assignment = null;
+    let matchStudent = () => null;
+    if (req.body?.assignmentId) {
+      const { assignmentId } = req.body;
+      if (typeof assignmentId !== 'string' || !assignmentId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid assignment ID format',
+          errors: ['Assignment ID must be a valid MongoDB ObjectId']
+        });
+      }
+
+      assignment = await Assignment.findById(assignmentId);
+      const classroom = assignment && await Classroom.findById(assignment.classId, { teacherId: 1, students: 1 })
+        .populate('students', 'name email');
+      if (!classroom || (!req.apiKey && !classroomService.canManage(classroom, req.user))) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Assignment not found',
+          errors: ['No assignment found with the provided ID in a class you teach']
+        });
+      }
+
+      matchStudent = classroomService.buildStudentMatcher(classroom.students.filter(Boolean));
+    }
+
+    const subject = assignment ? assignment.subject : req.body?.subject;
+    if (subject !== undefined && (typeof subject !== 'string' || subject.length > 100)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid subject',
+        errors: ['Subject must be a string of 100 characters or less']
+      });
+    }
+
+    const modelAnswer = assignment
+      ? assignment.modelAnswer || ''
+      : (typeof req.body?.modelAnswer === 'string' ? req.body.modelAnswer.trim() : '');
+    if (modelAnswer.length > MAX_MODEL_ANSWER_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Model answer too long',
+        errors: [`Model answer must be ${MAX_MODEL_ANSWER_LENGTH} characters or less`]
+      });
+    }
+
+    const rubricId = assignment ? assignment.rubricId?.toString() : req.body?.rubricId;
+    let rubric = null;
+    if (rubricId) {
+      if (typeof rubricId !== 'string' || !rubricId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid rubric ID format',
+          errors: ['Rubric ID must be a valid MongoDB ObjectId']
+        });
+      }
+
+      rubric = await Rubric.findById(rubricId, { updatedAt: 1 });
+      if (!rubric) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Rubric not found',
+          errors: ['No rubric found with the provided ID']
+        });
+      }
+    }
+
+    const items = await collectItems(files);
+    if (!items.some(item => item.file)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No documents to analyze',
+        errors: items.map(item => `${item.filename}: ${item.error}`)
+      });
+    }
+
+    const force = ['true', '1', 'yes'].includes(String(req.body?.force).toLowerCase());
+    const analysisSubject = subject?.trim() || 'general';
+    const ocrHash = resultCache.ocrSettingsHash({ languages: languageSelection.languages, preprocess: preprocessSelection.steps });
+    const settingsHash = resultCache.settingsHash({
+      task: 'analysis',
+      subject: analysisSubject,
+      rubric,
+      modelAnswer: modelAnswer && resultCache.hashText(modelAnswer)
+    });
+
+    const batch = new Batch({ userId: req.user.id, ...(assignment && { assignmentId: assignment._id }) });
+
+    // Queue each document like a single upload; one bad document doesn't stop the rest
+    for (const item of items) {
+      if (!item.file) {
+        batch.items.push({ filename: item.filename, error: item.error });
+        continue;
+      }
+
+      const studentId = assignment ? matchStudent(item.filename) : null;
+      const contentHash = { file: resultCache.hash(item.file.buffer), ocr: ocrHash, settings: settingsHash };
+
+      const analysis = new Analysis({
+        userId: studentId || req.user.id,
+        batchId: batch._id,
+        suggestions: [],
+        subject: analysisSubject,
+        ...(rubricId && { rubricGrade: { rubricId } }),
+        ...(modelAnswer && { modelAnswer: { text: modelAnswer, source: assignment ? 'assignment' : 'text' } }),
+        ...(assignment && { assignmentId: assignment._id, classId: assignment.classId }),
+        metadata: {
+          fileType: fileProcessor.getFileType(item.file.mimetype),
+          fileSize: item.file.size
+        },
+        contentHash,
+        status: 'processing'
+      });
+
+      let saved = false;
+      try {
+        // Keep the original for download, audit and re-reading, see utils/fileStorage
+        analysis.originalFiles = await fileStorage.saveOriginals(
+          [{ ...item.file, originalname: item.filename }],
+          { userId: analysis.userId.toString() }
+        );
+        await analysis.save();
+        saved = true;
+        batch.items.push({ filename: item.filename, analysisId: analysis._id, studentId });
+
+        if (studentId) {
+          await classroomService.recordSubmission(assignment, studentId, analysis._id);
+        }
+
+        const cached = force ? null : await resultCache.findByFile(contentHash);
+        if (cached) {
+          const completed = await resultCache.applyResult(analysis._id, cached, { ocr: true });
+          await progressTracker.record(analysis._id, 'completed', {
+            processingTime: completed.metadata.processingTime,
+            cachedFrom: cached._id.toString()
+          });
+          continue;
+        }
+
+        await jobQueue.enqueue('analysis', {
+          analysisId: analysis._id.toString(),
+          storedFile: analysis.originalFiles[0],
+          originalName: item.filename,
+          mimeType: item.file.mimetype,
+          size: item.file.size,
+          languages: languageSelection.languages,
+          preprocess: preprocessSelection.steps,
+          rubricId: rubricId || null,
+          force,
+          modelAnswerFile: null
+        });
+        await progressTracker.record(analysis._id, 'queued');
+      } catch (error) {
+        logger.error(`Failed to queue batch document ${item.filename}:`, error);
+
+        if (!saved) {
+          await fileStorage.removeAll(analysis.originalFiles);
+          batch.items.push({ filename: item.filename, error: `Failed to queue: ${error.message}`.slice(0, 500) });
+          continue;
+        }
+
+        await Analysis.findByIdAndUpdate(analysis._id, {
+          status: 'failed',
+          analysis: 'Processing failed due to server error.',
+          updatedAt: Date.now()
+        }).catch(updateError => logger.error('Failed to update analysis status:', updateError));
+        await progressTracker.record(analysis._id, 'failed', { message: 'Processing failed due to server error.' });
+      } finally {
+        // Free the document as soon as it's handled, whatever the outcome; the request holds every file until it ends
+        item.file.buffer = null;
+      }
+    }
+
+    await batch.save();
+
+    const queued = batch.items.filter(item => item.analysisId).length;
+    logger.info(`Batch ${batch._id} created: ${queued} documents queued, ${batch.items.length - queued} rejected`);
+
+    res.status(202)
+      .location(`/api/batches/${batch._id}`)
+      .json({
+        status: 'accepted',
+        message: `${queued} documents queued for analysis`,
+        batchId: batch._id,
+        batchUrl: `/api/batches/${batch._id}`,
+        items: batch.items.map(item => ({
+          filename: item.filename,
+          analysisId: item.analysisId || null,
+          studentId: item.studentId || null,
+          error: item.error || null
+        }))
+      });
+
+  } catch (error) {
+    logger.error('Batch upload error:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error while queuing the batch',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/batches
+ * List the current user's batches, newest first
+ */
+router.get('/', authenticate({ apiKeyScope: 'analyses:read' }), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = { userId: req.user.id };
+
+    const batches = await Batch.find(filter, { assignmentId: 1, createdAt: 1, 'items.analysisId': 1 })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await Batch.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: batches.map(batch => ({
+        id: batch._id,
+        assignmentId: batch.assignmentId || null,
+        totalItems: batch.items.length,
+        queuedItems: batch.items.filter(item => item.analysisId).length,
+        createdAt: batch.createdAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching batches:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch batches',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/batches/:id
+ * Aggregate progress of a batch and the status of each document
+ */
+router.get('/:id', authenticate({ apiKeyScope: 'analyses:read' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid batch ID format',
+        errors: ['Batch ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const batch = await Batch.findOne({
+      _id: id,
+      ...(req.user.role !== 'admin' && !req.apiKey && { userId: req.user.id })
+    });
+    if (!batch) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Batch not found',
+        errors: ['No batch found with the provided ID']
+      });
+    }
+
+    const analysisIds = batch.items.filter(item => item.analysisId).map(item => item.analysisId);
+    const analyses = await Analysis.find(
+      { _id: { $in: analysisIds } },
+      { status: 1, scoreHint10: 1, cachedFrom: 1, 'metadata.processingTime': 1 }
+    );
+    const byId = new Map(analyses.map(analysis => [analysis._id.toString(), analysis]));
+    const latestEvents = await progressTracker.getLatestEvents(analysisIds);
+
+    const items = batch.items.map(item => {
+      const analysis = item.analysisId && byId.get(item.analysisId.toString());
+      const status = item.error ? 'rejected' : analysis?.status || 'failed';
+      const event = status === 'processing' ? latestEvents.get(item.analysisId.toString()) : null;
+
+      return {
+        filename: item.filename,
+        analysisId: item.analysisId || null,
+        studentId: item.studentId || null,
+        status,
+        // Where a processing document is: queued, file_processing, ocr or ai
+        stage: event?.stage || null,
+        scoreHint10: analysis?.scoreHint10 ?? null,
+        cachedFrom: analysis?.cachedFrom || null,
+        processingTime: analysis?.metadata?.processingTime ?? null,
+        error: item.error || null
+      };
+    });
+
+    const count = status => items.filter(item => item.status === status).length;
+    const progress = {
+      total: items.length,
+      processing: count('processing'),
+      completed: count('completed'),
+      failed: count('failed'),
+      rejected: count('rejected')
+    };
+    const analyzable = progress.total - progress.rejected;
+    progress.percent = analyzable ? Math.round(((progress.completed + progress.failed) / analyzable) * 100) : 100;
+
+    res.json({
+      status: 'success',
+      data: {
+        id: batch._id,
+        assignmentId: batch.assignmentId || null,
+        status: progress.processing > 0 ? 'processing' : 'finished',
+        progress,
+        items,
+        createdAt: batch.createdAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching batch:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch batch',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,387 @@
+import express from 'express';
+import Classroom from '../models/Classroom.js';
+import Assignment from '../models/Assignment.js';
+import User from '../models/User.js';
+import classroomService from '../utils/classroom.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_ENROLL_EMAILS = 200;
+
+router.use(requireAuth);
+
+/**
+ * Load a class from the URL and check the user may see it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { manage } requires the class teacher or an admin
+ * @returns {Promise<Object|null>} Classroom document, or null if an error response was sent
+ */
+async function loadClass(req, res, { manage = false } = {}) {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Invalid class ID format',
+      errors: ['Class ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  const classroom = await Classroom.findById(id);
+  const canManage = classroom && classroomService.canManage(classroom, req.user);
+
+  // Classes the user isn't part of are reported as missing
+  if (!classroom || (!canManage && !classroomService.isEnrolled(classroom, req.user))) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Class not found',
+      errors: ['No class found with the provided ID']
+    });
+    return null;
+  }
+
+  if (manage && !canManage) {
+    res.status(403).json({
+      status: 'error',
+      message: 'Insufficient permissions',
+      errors: ['Only the class teacher can change this class']
+    });
+    return null;
+  }
+
+  return classroom;
+}
+
+/**
+ * Class fields for a response; the student list is only shown to people who manage the class
+ * @param {Object} classroom - Classroom document, students optionally populated
+ * @param {Object} user - req.user
+ * @returns {Object} Class summary
+ */
+function formatClass(classroom, user) {
+  return {
+    id: classroom._id,
+    name: classroom.name,
+    description: classroom.description || '',
+    subject: classroom.subject,
+    teacherId: classroom.teacherId,
+    studentCount: classroom.students.length,
+    ...(classroomService.canManage(classroom, user) && { students: classroom.students }),
+    createdAt: classroom.createdAt,
+    updatedAt: classroom.updatedAt
+  };
+}
+
+/**
+ * POST /api/classes
+ * Create a class taught by the current user
+ */
+router.post('/', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const { errors, fields } = classroomService.validateClass(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid class',
+        errors
+      });
+    }
+
+    const classroom = new Classroom({ ...fields, teacherId: req.user.id });
+    await classroom.save();
+
+    logger.info(`Class created: ${classroom._id} by ${req.user.id}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Class created successfully',
+      data: formatClass(classroom, req.user)
+    });
+
+  } catch (error) {
+    logger.error('Error creating class:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create class',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/classes
+ * List the classes the user teaches or is enrolled in (admins see all)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin'
+      ? {}
+      : { $or: [{ teacherId: req.user.id }, { students: req.user.id }] };
+
+    const classes = await Classroom.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: classes.map(classroom => formatClass(classroom, req.user)),
+      count: classes.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching classes:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch classes',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/classes/:id
+ * Fetch a class; its teacher also gets the enrolled students
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const classroom = await loadClass(req, res);
+    if (!classroom) return;
+
+    if (classroomService.canManage(classroom, req.user)) {
+      await classroom.populate('students', 'name email');
+    }
+
+    res.json({
+      status: 'success',
+      data: formatClass(classroom, req.user)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching class:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch class',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * PUT /api/classes/:id
+ * Update a class's name, description or subject
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const classroom = await loadClass(req, res, { manage: true });
+    if (!classroom) return;
+
+    const { errors, fields } = classroomService.validateClass(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid class',
+        errors
+      });
+    }
+
+    classroom.set(fields);
+    await classroom.save();
+
+    logger.info(`Class updated: ${classroom._id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Class updated successfully',
+      data: formatClass(classroom, req.user)
+    });
+
+  } catch (error) {
+    logger.error('Error updating class:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update class',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * POST /api/classes/:id/students
+ * Enroll registered users by email; unknown emails are reported back
+ */
+router.post('/:id/students', async (req, res) => {
+  try {
+    const classroom = await loadClass(req, res, { manage: true });
+    if (!classroom) return;
+
+    const { emails } = req.body || {};
+    if (!Array.isArray(emails) || emails.length === 0 || emails.length > MAX_ENROLL_EMAILS ||
+        emails.some(email => typeof email !== 'string')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid student list',
+        errors: [`emails must be an array of 1 to ${MAX_ENROLL_EMAILS} email addresses`]
+      });
+    }
+
+    const normalized = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+    const users = await User.find({ email: { $in: normalized } }, { email: 1 });
+    const found = new Set(users.map(user => user.email));
+
+    await Classroom.updateOne(
+      { _id: classroom._id },
+      { $addToSet: { students: { $each: users.map(user => user._id) } }, updatedAt: Date.now() }
+    );
+
+    logger.info(`Enrolled ${users.length} students in class ${classroom._id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Students enrolled successfully',
+      data: {
+        enrolled: users.map(user => ({ id: user._id, email: user.email })),
+        notFound: normalized.filter(email => !found.has(email))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error enrolling students:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to enroll students',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * DELETE /api/classes/:id/students/:studentId
+ * Remove a student from a class; their submissions stay on assignment rosters
+ */
+router.delete('/:id/students/:studentId', async (req, res) => {
+  try {
+    const classroom = await loadClass(req, res, { manage: true });
+    if (!classroom) return;
+
+    const { studentId } = req.params;
+    if (!classroomService.isEnrolled(classroom, { id: studentId })) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found',
+        errors: ['The student is not enrolled in this class']
+      });
+    }
+
+    await Classroom.updateOne({ _id: classroom._id }, { $pull: { students: studentId }, updatedAt: Date.now() });
+
+    logger.info(`Student ${studentId} removed from class ${classroom._id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Student removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error removing student:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove student',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * POST /api/classes/:id/assignments
+ * Create an assignment with a due date, subject and optional rubric or model answer
+ */
+router.post('/:id/assignments', async (req, res) => {
+  try {
+    const classroom = await loadClass(req, res, { manage: true });
+    if (!classroom) return;
+
+    const { errors, fields } = classroomService.validateAssignment(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid assignment',
+        errors
+      });
+    }
+
+    if (fields.rubricId) {
+      const rubricCheck = await classroomService.checkRubric(fields.rubricId, req.user);
+      if (!rubricCheck.isValid) {
+        return res.status(rubricCheck.statusCode).json({
+          status: 'error',
+          message: rubricCheck.message,
+          errors: rubricCheck.errors
+        });
+      }
+    }
+
+    const assignment = new Assignment({
+      subject: classroom.subject,
+      ...fields,
+      classId: classroom._id,
+      createdBy: req.user.id
+    });
+    await assignment.save();
+
+    logger.info(`Assignment created: ${assignment._id} in class ${classroom._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Assignment created successfully',
+      data: classroomService.formatAssignment(assignment, { includeModelAnswer: true })
+    });
+
+  } catch (error) {
+    logger.error('Error creating assignment:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create assignment',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/classes/:id/assignments
+ * List a class's assignments by due date
+ */
+router.get('/:id/assignments', async (req, res) => {
+  try {
+    const classroom = await loadClass(req, res);
+    if (!classroom) return;
+
+    const includeModelAnswer = classroomService.canManage(classroom, req.user);
+    const assignments = await Assignment.find({ classId: classroom._id }).sort({ dueDate: 1, createdAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: assignments.map(assignment => classroomService.formatAssignment(assignment, { includeModelAnswer })),
+      count: assignments.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching assignments:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch assignments',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -2,15 +2,16 @@ import express from 'express';
 import Feedback from '../models/Feedback.js';
 import Analysis from '../models/Analysis.js';
 import { feedbackLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, requireRole, ownerFilter } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
 /**
  * POST /api/feedback
- * Submit user feedback for an analysis
+ * Submit user feedback for an analysis the user can read
  */
-router.post('/', feedbackLimiter, async (req, res) => {
+router.post('/', authenticate({ apiKeyScope: 'feedback:write' }), feedbackLimiter, async (req, res) => {
   try {
     const { analysisId, rating, feedback, categories } = req.body;
 
@@ -52,8 +53,8 @@ router.post('/', feedbackLimiter, async (req, res) => {
 
     logger.info(`Feedback submission for analysis: ${analysisId}`);
 
-    // Check if analysis exists
-    const analysis = await Analysis.findById(analysisId);
+    // Check if analysis exists and belongs to the user
+    const analysis = await Analysis.exists({ _id: analysisId, ...await ownerFilter(req) });
     if (!analysis) {
       return res.status(404).json({
         status: 'error',
@@ -73,6 +74,7 @@ router.post('/', feedbackLimiter, async (req, res) => {
     // Create feedback record
     const feedbackData = {
       analysisId,
+      userId: req.user.id,
       rating,
       feedback: feedback.trim(),
       categories: validatedCategories,
@@ -110,9 +112,9 @@ router.post('/', feedbackLimiter, async (req, res) => {
 
 /**
  * GET /api/feedback/stats
- * Get feedback statistics (for admin/analytics)
+ * Get feedback statistics (admins and API keys with the stats:read scope)
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', authenticate({ apiKeyScope: 'stats:read' }), requireRole('admin'), async (req, res) => {
   try {
     logger.info('Fetching feedback statistics');
 
@@ -158,6 +160,34 @@ router.get('/stats', async (req, res) => {
       }
     ]);
 
+    // Get rating by prompt template revision
+    const promptStats = await Feedback.aggregate([
+      {
+        $lookup: {
+          from: 'analyses',
+          localField: 'analysisId',
+          foreignField: '_id',
+          as: 'analysis'
+        }
+      },
+      {
+        $unwind: '$analysis'
+      },
+      {
+        $group: {
+          _id: {
+            promptId: '$analysis.metadata.promptId',
+            promptVersion: '$analysis.metadata.promptVersion'
+          },
+          count: { $sum: 1 },
+          averageRating: { $avg: '$rating' }
+        }
+      },
+      {
+        $sort: { '_id.promptId': 1, '_id.promptVersion': -1 }
+      }
+    ]);
+
     // Get recent feedback count (last 7 days)
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const recentFeedback = await Feedback.countDocuments({
@@ -171,6 +201,7 @@ router.get('/stats', async (req, res) => {
         averageRating: avgRating[0]?.averageRating || 0,
         ratingDistribution: ratingStats,
         categoryDistribution: categoryStats,
+        promptDistribution: promptStats,
         recentFeedback: recentFeedback,
         generatedAt: new Date().toISOString()
       }
@@ -191,9 +222,9 @@ router.get('/stats', async (req, res) => {
 
 /**
  * GET /api/feedback/:analysisId
- * Get feedback for a specific analysis
+ * Get feedback for an analysis the user can read
  */
-router.get('/:analysisId', async (req, res) => {
+router.get('/:analysisId', authenticate({ apiKeyScope: 'analyses:read' }), async (req, res) => {
   try {
     const { analysisId } = req.params;
 
@@ -208,6 +239,14 @@ router.get('/:analysisId', async (req, res) => {
 
     logger.info(`Fetching feedback for analysis: ${analysisId}`);
 
+    if (!await Analysis.exists({ _id: analysisId, ...await ownerFilter(req) })) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Analysis not found',
+        errors: ['No analysis found with the provided ID']
+      });
+    }
+
     // Get feedback for the analysis
     const feedback = await Feedback.find({ analysisId })
       .sort({ createdAt: -1 })
@@ -1,14 +1,59 @@
 import express from 'express';
 import Analysis from '../models/Analysis.js';
+import OcrLayout from '../models/OcrLayout.js';
+import progressTracker from '../utils/progressTracker.js';
+import reportExporter from '../utils/reportExporter.js';
+import pageAnnotator from '../utils/pageAnnotator.js';
+import jobQueue from '../utils/jobQueue.js';
+import revisionService from '../utils/revisions.js';
+import fileStorage from '../utils/fileStorage.js';
+import { analyzeLimiter } from '../middleware/rateLimiter.js';
+import { authenticate, ownerFilter } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+const readAuth = authenticate({ apiKeyScope: 'analyses:read' });
+
+/**
+ * Load an analysis with its revision history for the revision routes, checking the ID and who may read it
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { analysis } or { error: { statusCode, body } }
+ */
+async function findForRevisions(req) {
+  const { id } = req.params;
+
+  // Validate MongoDB ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return {
+      error: {
+        statusCode: 400,
+        body: { status: 'error', message: 'Invalid analysis ID format', errors: ['Analysis ID must be a valid MongoDB ObjectId'] }
+      }
+    };
+  }
+
+  const analysis = await Analysis.findOne(
+    { _id: id, ...await ownerFilter(req) },
+    { originalText: 0, 'math.normalizedText': 0, 'modelAnswer.text': 0, 'revisions.originalText': 0, 'metadata.preprocessing': 0 }
+  );
+  if (!analysis) {
+    return {
+      error: {
+        statusCode: 404,
+        body: { status: 'error', message: 'Analysis not found', errors: ['No analysis found with the provided ID'] }
+      }
+    };
+  }
+
+  return { analysis };
+}
+
 /**
  * GET /api/results/:id
- * Fetch analysis results by ID
+ * Fetch analysis results by ID; only the owner (or an admin) can read them
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', readAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -23,8 +68,8 @@ router.get('/:id', async (req, res) => {
 
     logger.info(`Fetching analysis results for ID: ${id}`);
 
-    // Find analysis by ID
-    const analysis = await Analysis.findById(id);
+    // Other users' analyses are reported as missing so their IDs can't be probed
+    const analysis = await Analysis.findOne({ _id: id, ...await ownerFilter(req) }, { revisions: 0 });
 
     if (!analysis) {
       return res.status(404).json({
@@ -34,6 +79,9 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Students see coverage against an assignment's model answer, not the teacher's answer itself
+    const hideModelAnswer = analysis.modelAnswer?.source === 'assignment' && req.user.role === 'student';
+
     // Return analysis data
     res.json({
       status: 'success',
@@ -42,7 +90,27 @@ router.get('/:id', async (req, res) => {
         originalText: analysis.originalText,
         analysis: analysis.analysis,
         suggestions: analysis.suggestions,
+        subject: analysis.subject,
+        math: analysis.math,
+        mistakes: analysis.mistakes,
+        scoreHint10: analysis.scoreHint10,
+        rubricGrade: analysis.rubricGrade?.rubricId ? analysis.rubricGrade : null,
+        modelAnswer: analysis.modelAnswer?.source
+          ? (hideModelAnswer ? { source: analysis.modelAnswer.source } : analysis.modelAnswer)
+          : null,
+        assignmentId: analysis.assignmentId || null,
+        coverage: analysis.coverage,
         metadata: analysis.metadata,
+        originalFiles: analysis.originalFiles.map((original, i) => ({
+          page: i + 1,
+          originalName: original.originalName,
+          mimeType: original.mimeType,
+          size: original.size
+        })),
+        originalFilesDeletedAt: analysis.originalFilesDeletedAt || null,
+        cachedFrom: analysis.cachedFrom || null,
+        revision: analysis.revision?.number || 1,
+        reanalysis: analysis.reanalysis?.status ? analysis.reanalysis : null,
         status: analysis.status,
         createdAt: analysis.createdAt,
         updatedAt: analysis.updatedAt
@@ -62,11 +130,686 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/results/:id/events
+ * Stream analysis progress as Server-Sent Events.
+ * Resumes after the Last-Event-ID header (or lastEventId query parameter) and closes once the analysis finishes.
+ * EventSource can't send headers, so the access token may also be passed as ?access_token=.
+ */
+router.get('/:id/events', authenticate({ allowQueryToken: true, apiKeyScope: 'analyses:read' }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid analysis ID format',
+        errors: ['Analysis ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const analysis = await Analysis.findOne({ _id: id, ...await ownerFilter(req) }, { status: 1 });
+    if (!analysis) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Analysis not found',
+        errors: ['No analysis found with the provided ID']
+      });
+    }
+
+    let lastSeq = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+    let closed = false;
+    let flushing = false;
+
+    logger.info(`Progress stream opened for analysis ${id} after event ${lastSeq}`);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.write('retry: 3000\n\n');
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(pollTimer);
+      clearInterval(heartbeatTimer);
+      unsubscribe();
+      res.end();
+    };
+
+    // Send everything after lastSeq; MongoDB is the source of truth so events from other worker processes arrive too
+    const flush = async () => {
+      if (closed || flushing) return;
+      flushing = true;
+
+      try {
+        const events = await progressTracker.getEvents(id, lastSeq);
+        for (const event of events) {
+          res.write(`id: ${event.seq}\nevent: progress\ndata: ${JSON.stringify({
+            stage: event.stage,
+            ...event.data,
+            timestamp: event.createdAt
+          })}\n\n`);
+          lastSeq = event.seq;
+
+          if (progressTracker.isTerminal(event.stage)) {
+            return close();
+          }
+        }
+
+        // Analyses finished before progress tracking existed have no terminal event
+        if (events.length === 0 && analysis.status !== 'processing') {
+          res.write(`event: progress\ndata: ${JSON.stringify({ stage: analysis.status })}\n\n`);
+          return close();
+        }
+      } catch (error) {
+        logger.error(`Failed to stream progress for analysis ${id}:`, error);
+      } finally {
+        flushing = false;
+      }
+    };
+
+    const unsubscribe = progressTracker.subscribe(id, () => flush());
+    const pollTimer = setInterval(flush, 1000);
+    const heartbeatTimer = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', close);
+    await flush();
+
+  } catch (error) {
+    logger.error('Error opening progress stream:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to open progress stream',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/layout
+ * Fetch word and line bounding boxes for each OCR'd page (optionally ?page=N)
+ */
+router.get('/:id/layout', readAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid analysis ID format',
+        errors: ['Analysis ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : null;
+    if (page !== null && (!Number.isInteger(page) || page < 1)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid page number',
+        errors: ['Page must be a positive integer']
+      });
+    }
+
+    logger.info(`Fetching OCR layout for analysis: ${id}${page ? ` (page ${page})` : ''}`);
+
+    const analysis = await Analysis.findOne({ _id: id, ...await ownerFilter(req) }, { status: 1, 'metadata.pageCount': 1 });
+    if (!analysis) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Analysis not found',
+        errors: ['No analysis found with the provided ID']
+      });
+    }
+
+    const layouts = await OcrLayout.find({ analysisId: id, ...(page && { page }) }, { analysisId: 0, __v: 0 })
+      .sort({ page: 1 })
+      .lean();
+
+    res.json({
+      status: 'success',
+      data: {
+        analysisId: id,
+        analysisStatus: analysis.status,
+        pageCount: analysis.metadata.pageCount,
+        pages: layouts.map(({ _id, ...layout }) => layout)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching OCR layout:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch OCR layout',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/export?format=pdf|docx|md|json
+ * Download a completed analysis as a report: overall analysis, suggestions by category and priority,
+ * rubric and coverage results, OCR text and details. schoolName, accentColor and footerText override the
+ * REPORT_* branding defaults.
+ */
+router.get('/:id/export', readAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid analysis ID format',
+        errors: ['Analysis ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const options = reportExporter.parseOptions(req.query);
+    if (!options.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid export options',
+        errors: options.errors
+      });
+    }
+
+    const analysis = await Analysis.findOne({ _id: id, ...await ownerFilter(req) }, { 'modelAnswer.text': 0 });
+    if (!analysis) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Analysis not found',
+        errors: ['No analysis found with the provided ID']
+      });
+    }
+
+    if (analysis.status !== 'completed') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Analysis not ready',
+        errors: [`Only completed analyses can be exported; this one is ${analysis.status}`]
+      });
+    }
+
+    logger.info(`Exporting analysis ${id} as ${options.format}`);
+
+    const report = await reportExporter.render(analysis, options);
+
+    res.attachment(report.filename)
+      .type(report.contentType)
+      .send(report.buffer);
+
+  } catch (error) {
+    logger.error('Error exporting analysis:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export analysis',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/annotated?format=png|pdf|json&page=N
+ * The student's pages with each suggestion highlighted where it applies, a numbered marker and a legend.
+ * png returns one page (default the first), pdf every OCR'd page, json only the marker positions.
+ */
+router.get('/:id/annotated', readAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid analysis ID format',
+        errors: ['Analysis ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const format = String(req.query.format || 'png').toLowerCase();
+    if (!pageAnnotator.formats[format]) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid format',
+        errors: [`Format must be one of: ${Object.keys(pageAnnotator.formats).join(', ')}`]
+      });
+    }
+
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : null;
+    if (page !== null && (!Number.isInteger(page) || page < 1)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid page number',
+        errors: ['Page must be a positive integer']
+      });
+    }
+
+    const analysis = await Analysis.findOne({ _id: id, ...await ownerFilter(req) }, { status: 1, suggestions: 1 });
+    if (!analysis) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Analysis not found',
+        errors: ['No analysis found with the provided ID']
+      });
+    }
+
+    if (analysis.status !== 'completed') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Analysis not ready',
+        errors: [`Only completed analyses can be annotated; this one is ${analysis.status}`]
+      });
+    }
+
+    // Every page's geometry is needed to count lines and paragraphs, even when drawing one page
+    const layouts = await OcrLayout.find({ analysisId: id }, { page: 1, lines: 1, blocks: 1 }).sort({ page: 1 }).lean();
+    const wanted = format === 'png' ? { page: page || layouts[0]?.page } : {};
+    const pages = format === 'json'
+      ? layouts.map(layout => ({ page: layout.page }))
+      : await OcrLayout.find({ analysisId: id, image: { $exists: true }, ...wanted })
+        .select('page +image')
+        .sort({ page: 1 })
+        .lean();
+
+    if (pages.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Page image not found',
+        errors: [page
+          ? `No page image for page ${page}`
+          : 'No page images are stored for this analysis; they are kept for pages read by OCR']
+      });
+    }
+
+    logger.info(`Annotating analysis ${id} as ${format}${format === 'png' ? ` (page ${pages[0].page})` : ''}`);
+
+    const markers = pageAnnotator.locateSuggestions(analysis.suggestions, layouts);
+    const result = await pageAnnotator.render({ analysisId: id, markers, pages, format });
+
+    res.type(result.contentType);
+    if (format !== 'json') {
+      res.attachment(result.filename);
+    }
+    res.send(result.buffer);
+
+  } catch (error) {
+    logger.error('Error annotating analysis:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to annotate analysis',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/original?page=N
+ * Download the file that was uploaded for an analysis; for a multi-page photo upload, page picks the photo
+ * in reading order (default the first). Originals deleted by the retention policy respond 410.
+ */
+router.get('/:id/original', readAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid analysis ID format',
+        errors: ['Analysis ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : 1;
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid page number',
+        errors: ['Page must be a positive integer']
+      });
+    }
+
+    const analysis = await Analysis.findOne(
+      { _id: id, ...await ownerFilter(req) },
+      { originalFiles: 1, originalFilesDeletedAt: 1 }
+    );
+    if (!analysis) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Analysis not found',
+        errors: ['No analysis found with the provided ID']
+      });
+    }
+
+    if (analysis.originalFilesDeletedAt) {
+      return res.status(410).json({
+        status: 'error',
+        message: 'Original file deleted',
+        errors: [`The original upload was deleted by the retention policy on ${analysis.originalFilesDeletedAt.toISOString()}`]
+      });
+    }
+
+    const original = analysis.originalFiles[page - 1];
+    if (!original) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Original file not found',
+        errors: [analysis.originalFiles.length
+          ? `This upload has ${analysis.originalFiles.length} page files`
+          : 'No original file is stored for this analysis; pasted text and older uploads have none']
+      });
+    }
+
+    let stream;
+    try {
+      stream = await fileStorage.createReadStream(original);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      logger.error(`Stored original ${original.storage}:${original.key} of analysis ${id} is missing`);
+      return res.status(404).json({
+        status: 'error',
+        message: 'Original file not found',
+        errors: ['The stored file is missing']
+      });
+    }
+
+    logger.info(`Downloading original file ${page} of analysis ${id}`);
+
+    res.attachment(original.originalName)
+      .type(original.mimeType)
+      .set('Content-Length', String(original.size));
+    stream.on('error', error => {
+      logger.error(`Failed to stream original of analysis ${id}:`, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    logger.error('Error downloading original file:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to download original file',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * POST /api/results/:id/reanalyze
+ * Run an analysis again, e.g. after a prompt or model change, without a new upload. promptVersion, provider
+ * and model (staff only) pick what the model stage uses; languages (or reocr) read the text again from the stored
+ * original instead of reusing it. Responds 202; the result becomes the next revision once complete, see GET /:id/revisions.
+ */
+router.post('/:id/reanalyze', authenticate({ apiKeyScope: 'analyses:write' }), analyzeLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid analysis ID format',
+        errors: ['Analysis ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    // Picking the provider or model spends the school's LLM budget, so only staff may
+    const { provider, model } = req.body || {};
+    const isStaff = req.apiKey || ['teacher', 'admin'].includes(req.user.role);
+    if (!isStaff && [provider, model].some(value => value !== undefined && value !== null && value !== '')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Insufficient permissions',
+        errors: ['Only teachers and admins can choose the provider or model of a re-analysis']
+      });
+    }
+
+    const analysis = await Analysis.findOne({ _id: id, ...await ownerFilter(req) }, { revisions: 0 });
+    if (!analysis) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Analysis not found',
+        errors: ['No analysis found with the provided ID']
+      });
+    }
+
+    if (analysis.status === 'processing' || analysis.reanalysis?.status === 'processing') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Analysis is busy',
+        errors: [analysis.status === 'processing'
+          ? 'The analysis is still being processed; re-run it once it has completed or failed'
+          : `Revision ${analysis.reanalysis.number} is already being analyzed`]
+      });
+    }
+
+    const selection = revisionService.parseOptions(req.body, analysis);
+    if (!selection.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid re-analysis options',
+        errors: selection.errors
+      });
+    }
+
+    // An upload whose OCR failed has no text to reuse
+    const options = { ...selection.options, reocr: selection.options.reocr || !analysis.originalText };
+    if (options.reocr && analysis.originalFiles.length === 0) {
+      return res.status(analysis.originalFilesDeletedAt ? 410 : 409).json({
+        status: 'error',
+        message: 'Original file not available',
+        errors: [analysis.originalFilesDeletedAt
+          ? 'The original upload was deleted by the retention policy, so the text can\'t be read again'
+          : 'No original file is stored for this analysis, so the text can\'t be read again']
+      });
+    }
+
+    const number = (analysis.revision?.number || 1) + 1;
+    const lastEventId = analysis.progressSeq;
+
+    // Claim the analysis so two requests can't both start the next revision
+    const claimed = await Analysis.findOneAndUpdate(
+      { _id: id, status: { $ne: 'processing' }, 'reanalysis.status': { $ne: 'processing' } },
+      {
+        $set: {
+          reanalysis: { status: 'processing', number, requestedBy: req.user.id, requestedAt: new Date(), options },
+          updatedAt: Date.now()
+        }
+      },
+      { new: true, projection: { _id: 1 } }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Analysis is busy',
+        errors: ['Another re-analysis of this analysis has just started']
+      });
+    }
+
+    // Record 'queued' before a worker can claim the job, so it stays ahead of the worker's events
+    try {
+      await progressTracker.record(id, 'queued', { revision: number });
+      await jobQueue.enqueue('reanalysis', { analysisId: id, number, options });
+    } catch (error) {
+      // Release the claim so the re-analysis isn't left looking like it's still running
+      await Analysis.updateOne(
+        { _id: id, 'reanalysis.number': number, 'reanalysis.status': 'processing' },
+        { $set: { 'reanalysis.status': 'failed', 'reanalysis.error': 'Failed to queue re-analysis', updatedAt: Date.now() } }
+      ).catch(updateError => logger.error(`Failed to release re-analysis claim on ${id}:`, updateError));
+      await progressTracker.record(id, 'failed', { revision: number, message: 'Failed to queue re-analysis' })
+        .catch(recordError => logger.error(`Failed to record re-analysis failure on ${id}:`, recordError));
+      throw error;
+    }
+
+    logger.info(`Analysis ${id} queued for revision ${number}`, options);
+
+    res.status(202)
+      .location(`/api/results/${id}/revisions/${number}`)
+      .json({
+        status: 'accepted',
+        message: 'Analysis queued for re-analysis',
+        analysisId: id,
+        revision: number,
+        options,
+        resultsUrl: `/api/results/${id}`,
+        revisionsUrl: `/api/results/${id}/revisions`,
+        eventsUrl: `/api/results/${id}/events?lastEventId=${lastEventId}`
+      });
+
+  } catch (error) {
+    logger.error('Error queuing re-analysis:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to queue re-analysis',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/revisions
+ * Every result the analysis has had, oldest first with the current one last, plus any pending or failed re-analysis
+ */
+router.get('/:id/revisions', readAuth, async (req, res) => {
+  try {
+    const { analysis, error } = await findForRevisions(req);
+    if (error) {
+      return res.status(error.statusCode).json(error.body);
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        analysisId: analysis._id,
+        currentRevision: analysis.revision?.number || 1,
+        revisions: revisionService.list(analysis).map(revision => revisionService.summarize(revision)),
+        reanalysis: analysis.reanalysis?.status ? analysis.reanalysis : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching revisions:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch revisions',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/revisions/compare?from=N&to=M
+ * Compare two revisions; to defaults to the current one and from to the one before to
+ */
+router.get('/:id/revisions/compare', readAuth, async (req, res) => {
+  try {
+    const { analysis, error } = await findForRevisions(req);
+    if (error) {
+      return res.status(error.statusCode).json(error.body);
+    }
+
+    const to = req.query.to !== undefined ? Number(req.query.to) : analysis.revision?.number || 1;
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+    if (![from, to].every(number => Number.isInteger(number) && number >= 1) || from === to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid revision numbers',
+        errors: ['from and to must be two different revision numbers']
+      });
+    }
+
+    const revisions = [from, to].map(number => revisionService.find(analysis, number));
+    const missing = [from, to].filter((number, i) => !revisions[i]);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found',
+        errors: missing.map(number => `This analysis has no revision ${number}`)
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        analysisId: analysis._id,
+        ...revisionService.compare(...revisions)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error comparing revisions:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to compare revisions',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/results/:id/revisions/:number
+ * One revision in full: analysis, suggestions, scores and the settings that produced it
+ */
+router.get('/:id/revisions/:number', readAuth, async (req, res) => {
+  try {
+    const { analysis, error } = await findForRevisions(req);
+    if (error) {
+      return res.status(error.statusCode).json(error.body);
+    }
+
+    const number = Number(req.params.number);
+    const revision = Number.isInteger(number) ? revisionService.find(analysis, number) : null;
+    if (!revision) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Revision not found',
+        errors: [`This analysis has no revision ${req.params.number}`]
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        analysisId: analysis._id,
+        ...revision
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching revision:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch revision',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
 /**
  * GET /api/results
- * Get recent analyses (for admin/debugging purposes)
+ * Get recent analyses: the current user's own, or everyone's for admins and API keys
  */
-router.get('/', async (req, res) => {
+router.get('/', readAuth, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const page = parseInt(req.query.page) || 1;
@@ -84,15 +827,20 @@ router.get('/', async (req, res) => {
     logger.info(`Fetching recent analyses: page ${page}, limit ${limit}`);
 
     // Get recent analyses (excluding full text for performance)
-    const analyses = await Analysis.find({}, {
-      originalText: 0 // Exclude original text for performance
+    const filter = await ownerFilter(req);
+
+    const analyses = await Analysis.find(filter, {
+      originalText: 0, // Exclude original text for performance
+      'math.normalizedText': 0,
+      revisions: 0,
+      ...(req.user.role === 'student' && { 'modelAnswer.text': 0 })
     })
     .sort({ createdAt: -1 })
     .limit(limit)
     .skip(skip);
 
     // Get total count for pagination
-    const total = await Analysis.countDocuments();
+    const total = await Analysis.countDocuments(filter);
 
     res.json({
       status: 'success',
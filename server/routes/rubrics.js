@@ -0,0 +1,333 @@
+import express from 'express';
+import Rubric from '../models/Rubric.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_CRITERIA = 30;
+const MAX_LEVELS = 10;
+
+router.use(requireAuth);
+
+/**
+ * Validate a rubric body and pick out the fields we store
+ * @param {Object} body - Request body
+ * @returns {Object} { errors, rubric }
+ */
+function validateRubric(body = {}) {
+  const errors = [];
+  const { name, description, subject, criteria } = body;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+    errors.push('name is required and must be 200 characters or less');
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 2000)) {
+    errors.push('description must be a string of 2000 characters or less');
+  }
+  if (subject !== undefined && (typeof subject !== 'string' || subject.length > 100)) {
+    errors.push('subject must be a string of 100 characters or less');
+  }
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    errors.push(`criteria must be an array of 1 to ${MAX_CRITERIA} criteria`);
+    return { errors, rubric: null };
+  }
+
+  criteria.forEach((criterion, i) => {
+    const label = `criteria[${i}]`;
+
+    if (typeof criterion?.name !== 'string' || !criterion.name.trim() || criterion.name.length > 200) {
+      errors.push(`${label}.name is required and must be 200 characters or less`);
+    }
+    if (criterion?.description !== undefined && (typeof criterion.description !== 'string' || criterion.description.length > 1000)) {
+      errors.push(`${label}.description must be a string of 1000 characters or less`);
+    }
+    if (typeof criterion?.maxPoints !== 'number' || !Number.isFinite(criterion.maxPoints) || criterion.maxPoints <= 0) {
+      errors.push(`${label}.maxPoints must be a positive number`);
+    }
+
+    const levels = criterion?.levels ?? [];
+    if (!Array.isArray(levels) || levels.length > MAX_LEVELS) {
+      errors.push(`${label}.levels must be an array of at most ${MAX_LEVELS} levels`);
+      return;
+    }
+
+    levels.forEach((level, j) => {
+      if (typeof level?.label !== 'string' || !level.label.trim() || level.label.length > 100) {
+        errors.push(`${label}.levels[${j}].label is required and must be 100 characters or less`);
+      }
+      if (typeof level?.points !== 'number' || level.points < 0 || level.points > criterion.maxPoints) {
+        errors.push(`${label}.levels[${j}].points must be between 0 and the criterion's maxPoints`);
+      }
+      if (level?.descriptor !== undefined && (typeof level.descriptor !== 'string' || level.descriptor.length > 1000)) {
+        errors.push(`${label}.levels[${j}].descriptor must be a string of 1000 characters or less`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    return { errors, rubric: null };
+  }
+
+  return {
+    errors,
+    rubric: {
+      name: name.trim(),
+      description: description?.trim() || '',
+      subject: subject?.trim() || 'general',
+      criteria: criteria.map(criterion => ({
+        name: criterion.name.trim(),
+        description: criterion.description?.trim() || '',
+        maxPoints: criterion.maxPoints,
+        levels: (criterion.levels || []).map(level => ({
+          label: level.label.trim(),
+          points: level.points,
+          descriptor: level.descriptor?.trim() || ''
+        }))
+      }))
+    }
+  };
+}
+
+/**
+ * Reject IDs that aren't MongoDB ObjectIds
+ * @param {string} id - Rubric ID from the URL
+ * @param {Object} res - Express response
+ * @returns {boolean} True if a 400 response was sent
+ */
+function rejectInvalidId(id, res) {
+  if (id.match(/^[0-9a-fA-F]{24}$/)) return false;
+
+  res.status(400).json({
+    status: 'error',
+    message: 'Invalid rubric ID format',
+    errors: ['Rubric ID must be a valid MongoDB ObjectId']
+  });
+  return true;
+}
+
+/**
+ * Load a rubric from the URL for a change and check the user created it; admins may change any rubric,
+ * and they alone those created before rubrics recorded their creator
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Rubric document, or null if an error response was sent
+ */
+async function loadRubricToManage(req, res) {
+  const { id } = req.params;
+  if (rejectInvalidId(id, res)) return null;
+
+  const rubric = await Rubric.findById(id);
+  if (!rubric) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Rubric not found',
+      errors: ['No rubric found with the provided ID']
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && rubric.createdBy?.toString() !== req.user.id) {
+    logger.warn(`User ${req.user.id} denied changing rubric ${id}`);
+    res.status(403).json({
+      status: 'error',
+      message: 'Insufficient permissions',
+      errors: ['Only the teacher who created this rubric can change it']
+    });
+    return null;
+  }
+
+  return rubric;
+}
+
+/**
+ * POST /api/rubrics
+ * Create a rubric
+ */
+router.post('/', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const { errors, rubric } = validateRubric(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid rubric',
+        errors
+      });
+    }
+
+    const newRubric = new Rubric({ ...rubric, createdBy: req.user.id });
+    await newRubric.save();
+
+    logger.info(`Rubric created: ${newRubric._id} (${newRubric.criteria.length} criteria)`);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Rubric created successfully',
+      data: newRubric
+    });
+
+  } catch (error) {
+    logger.error('Error creating rubric:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create rubric',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/rubrics
+ * List rubrics, optionally filtered by subject
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const skip = (page - 1) * limit;
+    const filter = req.query.subject ? { subject: String(req.query.subject) } : {};
+
+    logger.info(`Fetching rubrics (page: ${page}, limit: ${limit})`);
+
+    const rubrics = await Rubric.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('name description subject totalPoints createdAt updatedAt');
+
+    const total = await Rubric.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: rubrics,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching rubrics:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch rubrics',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * GET /api/rubrics/:id
+ * Fetch a rubric with its criteria
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (rejectInvalidId(id, res)) return;
+
+    const rubric = await Rubric.findById(id);
+    if (!rubric) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Rubric not found',
+        errors: ['No rubric found with the provided ID']
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: rubric
+    });
+
+  } catch (error) {
+    logger.error('Error fetching rubric:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch rubric',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * PUT /api/rubrics/:id
+ * Replace a rubric. Analyses already graded keep the criteria they were graded with.
+ */
+router.put('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (rejectInvalidId(id, res)) return;
+
+    const { errors, rubric: update } = validateRubric(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid rubric',
+        errors
+      });
+    }
+
+    const rubric = await loadRubricToManage(req, res);
+    if (!rubric) return;
+
+    // Save (rather than findByIdAndUpdate) so the pre-save hook recomputes totalPoints
+    rubric.set(update);
+    await rubric.save();
+
+    logger.info(`Rubric updated: ${id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Rubric updated successfully',
+      data: rubric
+    });
+
+  } catch (error) {
+    logger.error('Error updating rubric:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update rubric',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * DELETE /api/rubrics/:id
+ * Delete a rubric. Grades already stored on analyses are kept.
+ */
+router.delete('/:id', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rubric = await loadRubricToManage(req, res);
+    if (!rubric) return;
+
+    await rubric.deleteOne();
+
+    logger.info(`Rubric deleted: ${id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Rubric deleted successfully',
+      data: { id }
+    });
+
+  } catch (error) {
+    logger.error('Error deleting rubric:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete rubric',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
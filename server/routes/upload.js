@@ -1,20 +1,29 @@
 import express from 'express';
 import multer from 'multer';
 import Analysis from '../models/Analysis.js';
-import ocrProcessor from '../utils/ocrProcessor.js';
-import aiProcessor from '../utils/aiProcessor.js';
+import Rubric from '../models/Rubric.js';
 import fileProcessor from '../utils/fileProcessor.js';
+import fileStorage from '../utils/fileStorage.js';
+import ocrProcessor from '../utils/ocrProcessor.js';
+import imagePreprocessor from '../utils/imagePreprocessor.js';
+import jobQueue from '../utils/jobQueue.js';
+import progressTracker from '../utils/progressTracker.js';
+import resultCache from '../utils/resultCache.js';
+import classroomService from '../utils/classroom.js';
 import { uploadLimiter } from '../middleware/rateLimiter.js';
+import { authenticate } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+const MAX_MODEL_ANSWER_LENGTH = 20000;
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 20971520, // 20MB
-    files: 1
+    files: fileProcessor.maxPageImages + 1 // The document (or its page photos) and an optional model answer
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
@@ -26,17 +35,32 @@ const upload = multer({
   }
 });
 
+const uploadFields = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'pages', maxCount: fileProcessor.maxPageImages },
+  { name: 'modelAnswerFile', maxCount: 1 }
+]);
+
 /**
  * POST /api/upload
- * Upload and analyze document
+ * Upload a document (and optionally a model answer, as text or a file) and queue it for analysis.
+ * Instead of one file, an answer photographed over several pages can be sent as page images, which are read
+ * as one document in upload order or pageOrder, each turned by its rotations hint.
+ * Responds 202 straight away; poll GET /api/results/:id until status is completed or failed.
+ * A file already analyzed with the same settings responds 200 with the cached result unless force is set.
+ * With an assignmentId the upload is the student's submission, using the assignment's subject, rubric and model answer.
  */
-router.post('/', uploadLimiter, upload.single('file'), async (req, res) => {
-  const startTime = Date.now();
+router.post('/', authenticate({ apiKeyScope: 'analyses:write' }), uploadLimiter, uploadFields, async (req, res) => {
   let analysisId = null;
+  let storedFiles = [];
+  let modelAnswerPath = null;
 
   try {
+    const file = req.files?.file?.[0];
+    const pageFiles = req.files?.pages || [];
+
     // Check if file was uploaded
-    if (!req.file) {
+    if (!file && pageFiles.length === 0) {
       return res.status(400).json({
         status: 'error',
         message: 'No file uploaded. Please select a file to analyze.',
@@ -44,122 +68,307 @@ router.post('/', uploadLimiter, upload.single('file'), async (req, res) => {
       });
     }
 
-    logger.info(`Upload request received: ${req.file.originalname} (${req.file.size} bytes)`);
+    if (file && pageFiles.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid upload',
+        errors: ['Provide either a file or page images, not both']
+      });
+    }
+
+    logger.info(file
+      ? `Upload request received: ${file.originalname} (${file.size} bytes)`
+      : `Upload request received: ${pageFiles.length} page images (${pageFiles.reduce((sum, page) => sum + page.size, 0)} bytes)`);
 
-    // Process the uploaded file
-    const fileResult = await fileProcessor.processFile(req.file);
-    if (!fileResult.success) {
+    // Validate before queuing so bad files are rejected synchronously
+    const documents = file ? [file] : pageFiles;
+    const validations = documents.map(document => fileProcessor.validateFile(document));
+    const invalid = validations.find(validation => !validation.isValid);
+    if (invalid) {
       return res.status(400).json({
         status: 'error',
         message: 'File processing failed',
-        errors: fileResult.errors,
-        fileInfo: fileResult.fileInfo
+        errors: invalid.errors,
+        fileInfo: invalid.fileInfo
       });
     }
 
-    // Create analysis record in database
-    const analysis = new Analysis({
-      originalText: '', // Will be updated after OCR
-      analysis: '', // Will be updated after AI processing
-      suggestions: [],
-      metadata: {
-        fileType: fileResult.fileInfo.type,
-        fileSize: req.file.size,
-        pageCount: fileResult.pageCount
-      },
-      status: 'processing'
-    });
+    const notImage = pageFiles.find(page => !fileProcessor.pageImageTypes.includes(page.mimetype));
+    if (notImage) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid page image',
+        errors: [`${notImage.originalname} is not an image. Pages must be JPG or PNG; upload a PDF as file`]
+      });
+    }
 
-    await analysis.save();
-    analysisId = analysis._id;
+    if (file && (req.body?.pageOrder !== undefined || req.body?.rotations !== undefined)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid page options',
+        errors: ['pageOrder and rotations only apply to uploads sent as page images']
+      });
+    }
 
-    logger.info(`Analysis record created: ${analysisId}`);
+    // Put the pages in reading order with their rotation hints
+    const pageSelection = fileProcessor.parsePageOptions(pageFiles.length, {
+      pageOrder: req.body?.pageOrder,
+      rotations: req.body?.rotations
+    });
+    if (!pageSelection.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid page options',
+        errors: pageSelection.errors
+      });
+    }
 
-    // Perform OCR on the file
-    logger.info('Starting OCR processing...');
-    const ocrResult = await ocrProcessor.processMultipleImages(fileResult.imageBuffers);
+    const pages = pageSelection.order.map((index, i) => ({
+      file: pageFiles[index],
+      page: i + 1,
+      uploadPosition: index + 1,
+      rotation: pageSelection.rotations[index]
+    }));
+    const uploadInfo = file
+      ? { fileInfo: { ...validations[0].fileInfo, type: fileProcessor.getFileType(file.mimetype) } }
+      : {
+        pages: pages.map(({ file: page, ...position }) => ({
+          ...position,
+          ...validations[position.uploadPosition - 1].fileInfo,
+          type: fileProcessor.getFileType(page.mimetype)
+        }))
+      };
 
-    if (!ocrResult.success || !ocrResult.text.trim()) {
-      await Analysis.findByIdAndUpdate(analysisId, {
-        status: 'failed',
-        analysis: 'OCR processing failed. The image quality may be too poor or the text may not be readable.',
-        updatedAt: Date.now()
+    // Validate requested OCR languages ("auto", "eng+fra", ...)
+    const languageSelection = ocrProcessor.parseLanguages(req.body?.languages);
+    if (!languageSelection.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid OCR language selection',
+        errors: languageSelection.errors
       });
+    }
 
-      return res.status(422).json({
+    // Validate requested image preprocessing ("none", "all", "deskew,binarize", ...)
+    const preprocessSelection = imagePreprocessor.parseSteps(req.body?.preprocess);
+    if (!preprocessSelection.isValid) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Text extraction failed',
-        errors: ['Could not extract readable text from the uploaded file'],
-        analysisId: analysisId,
-        ocrDetails: {
-          confidence: ocrResult.confidence,
-          successfulPages: ocrResult.successfulPages,
-          totalPages: ocrResult.totalPages
-        }
+        message: 'Invalid preprocessing selection',
+        errors: preprocessSelection.errors
       });
     }
 
-    // Update analysis with OCR results
-    await Analysis.findByIdAndUpdate(analysisId, {
-      originalText: ocrResult.text,
-      'metadata.ocrConfidence': ocrResult.confidence,
-      updatedAt: Date.now()
-    });
-
-    logger.info(`OCR completed with ${ocrResult.confidence}% confidence`);
+    // Submissions to an assignment take its settings instead of the request's
+    let assignment = null;
+    if (req.body?.assignmentId) {
+      const resolved = await classroomService.resolveForSubmission(req.body.assignmentId, req.user);
+      if (!resolved.isValid) {
+        return res.status(resolved.statusCode).json({
+          status: 'error',
+          message: resolved.message,
+          errors: resolved.errors
+        });
+      }
+      assignment = resolved.assignment;
+    }
 
-    // Perform AI analysis
-    logger.info('Starting AI analysis...');
-    const aiResult = await aiProcessor.analyzeText(ocrResult.text);
+    // Validate subject if provided; it picks the prompt template
+    const subject = assignment ? assignment.subject : req.body?.subject;
+    if (subject !== undefined && (typeof subject !== 'string' || subject.length > 100)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid subject',
+        errors: ['Subject must be a string of 100 characters or less']
+      });
+    }
 
-    if (!aiResult.success) {
-      await Analysis.findByIdAndUpdate(analysisId, {
-        status: 'failed',
-        analysis: aiResult.analysis || 'AI analysis failed due to technical error.',
-        updatedAt: Date.now()
+    // Validate the model answer, given either as text or as a file to OCR
+    const modelAnswerFile = assignment ? null : req.files?.modelAnswerFile?.[0];
+    const modelAnswer = assignment
+      ? assignment.modelAnswer || ''
+      : (typeof req.body?.modelAnswer === 'string' ? req.body.modelAnswer.trim() : '');
+    if (modelAnswer && modelAnswerFile) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid model answer',
+        errors: ['Provide either modelAnswer text or a modelAnswerFile, not both']
       });
+    }
 
-      return res.status(500).json({
+    if (modelAnswer.length > MAX_MODEL_ANSWER_LENGTH) {
+      return res.status(400).json({
         status: 'error',
-        message: 'AI analysis failed',
-        errors: [aiResult.error || 'Unknown AI processing error'],
-        analysisId: analysisId,
-        original_text: ocrResult.text.substring(0, 500) + '...'
+        message: 'Model answer too long',
+        errors: [`Model answer must be ${MAX_MODEL_ANSWER_LENGTH} characters or less`]
       });
     }
 
-    // Update analysis with AI results
-    const totalProcessingTime = Date.now() - startTime;
-    await Analysis.findByIdAndUpdate(analysisId, {
-      analysis: aiResult.analysis,
-      suggestions: aiResult.suggestions,
-      status: 'completed',
-      'metadata.processingTime': totalProcessingTime,
-      updatedAt: Date.now()
-    });
+    if (modelAnswerFile) {
+      const modelAnswerValidation = fileProcessor.validateFile(modelAnswerFile);
+      if (!modelAnswerValidation.isValid) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Model answer file processing failed',
+          errors: modelAnswerValidation.errors,
+          fileInfo: modelAnswerValidation.fileInfo
+        });
+      }
+    }
 
-    logger.info(`Analysis completed successfully in ${totalProcessingTime}ms`);
+    // Validate the rubric to grade against, if any
+    const rubricId = assignment ? assignment.rubricId?.toString() : req.body?.rubricId;
+    let rubric = null;
+    if (rubricId) {
+      if (typeof rubricId !== 'string' || !rubricId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid rubric ID format',
+          errors: ['Rubric ID must be a valid MongoDB ObjectId']
+        });
+      }
 
-    // Return successful response
-    res.json({
-      status: 'success',
-      message: 'Document analyzed successfully',
-      analysisId: analysisId,
-      original_text: ocrResult.text,
-      analysis: aiResult.analysis,
-      suggestions: aiResult.suggestions,
-      metadata: {
-        fileInfo: fileResult.fileInfo,
-        ocrConfidence: ocrResult.confidence,
-        processingTime: totalProcessingTime,
-        pageCount: fileResult.pageCount,
-        chunkCount: aiResult.chunkCount
+      rubric = await Rubric.findById(rubricId, { updatedAt: 1 });
+      if (!rubric) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Rubric not found',
+          errors: ['No rubric found with the provided ID']
+        });
       }
+    }
+
+    // Hash the upload and everything that shapes its result, to find a cached analysis
+    const force = ['true', '1', 'yes'].includes(String(req.body?.force).toLowerCase());
+    const analysisSubject = subject?.trim() || 'general';
+    const contentHash = {
+      // Pages hash in reading order with their hints, which both change what OCR reads
+      file: file
+        ? resultCache.hash(file.buffer)
+        : resultCache.hash(JSON.stringify(pages.map(page => [resultCache.hash(page.file.buffer), page.rotation]))),
+      ocr: resultCache.ocrSettingsHash({ languages: languageSelection.languages, preprocess: preprocessSelection.steps }),
+      settings: resultCache.settingsHash({
+        task: 'analysis',
+        subject: analysisSubject,
+        rubric,
+        modelAnswer: modelAnswer ? resultCache.hashText(modelAnswer) : modelAnswerFile && resultCache.hash(modelAnswerFile.buffer)
+      })
+    };
+
+    // Keep the originals for download, audit and re-reading, see utils/fileStorage
+    storedFiles = await fileStorage.saveOriginals(file ? [file] : pages.map(page => page.file), { userId: req.user.id });
+
+    // Create analysis record in database
+    const analysis = new Analysis({
+      userId: req.user.id,
+      suggestions: [],
+      subject: analysisSubject,
+      ...(rubricId && { rubricGrade: { rubricId } }),
+      ...(modelAnswer && { modelAnswer: { text: modelAnswer, source: assignment ? 'assignment' : 'text' } }),
+      ...(assignment && { assignmentId: assignment._id, classId: assignment.classId }),
+      metadata: {
+        fileType: fileProcessor.getFileType(documents[0].mimetype),
+        fileSize: documents.reduce((sum, document) => sum + document.size, 0),
+        ...(!file && {
+          pageCount: pages.length,
+          pageFiles: pages.map(page => ({
+            page: page.page,
+            originalName: page.file.originalname.substring(0, 500),
+            uploadPosition: page.uploadPosition,
+            rotationHint: page.rotation
+          }))
+        })
+      },
+      originalFiles: storedFiles,
+      contentHash,
+      status: 'processing'
     });
 
+    await analysis.save();
+    analysisId = analysis._id;
+
+    logger.info(`Analysis record created: ${analysisId}`);
+
+    if (assignment) {
+      await classroomService.recordSubmission(assignment, req.user.id, analysisId);
+      logger.info(`Analysis ${analysisId} submitted to assignment ${assignment._id} by ${req.user.id}`);
+    }
+
+    // Identical file and settings: copy the earlier result instead of running OCR and the model again
+    const cached = force ? null : await resultCache.findByFile(contentHash);
+    if (cached) {
+      const completed = await resultCache.applyResult(analysisId, cached, { ocr: true });
+      await progressTracker.record(analysisId, 'completed', {
+        processingTime: completed.metadata.processingTime,
+        cachedFrom: cached._id.toString()
+      });
+
+      return res.status(200)
+        .location(`/api/results/${analysisId}`)
+        .json({
+          status: 'success',
+          message: 'Identical document already analyzed, returning the cached result',
+          analysisId: analysisId,
+          cachedFrom: cached._id,
+          resultsUrl: `/api/results/${analysisId}`,
+          eventsUrl: `/api/results/${analysisId}/events`,
+          metadata: uploadInfo
+        });
+    }
+
+    // Hand OCR and AI work to the job queue; it reads the stored originals
+    if (modelAnswerFile) {
+      modelAnswerPath = await fileProcessor.saveUpload(modelAnswerFile);
+    }
+    await jobQueue.enqueue('analysis', {
+      analysisId: analysisId.toString(),
+      ...(file ? {
+        storedFile: storedFiles[0],
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      } : {
+        pages: pages.map((page, i) => ({
+          storedFile: storedFiles[i],
+          originalName: page.file.originalname,
+          mimeType: page.file.mimetype,
+          size: page.file.size,
+          rotation: page.rotation
+        }))
+      }),
+      languages: languageSelection.languages,
+      preprocess: preprocessSelection.steps,
+      rubricId: rubricId || null,
+      force,
+      modelAnswerFile: modelAnswerFile ? {
+        filePath: modelAnswerPath,
+        originalName: modelAnswerFile.originalname,
+        mimeType: modelAnswerFile.mimetype,
+        size: modelAnswerFile.size
+      } : null
+    });
+    await progressTracker.record(analysisId, 'queued');
+
+    res.status(202)
+      .location(`/api/results/${analysisId}`)
+      .json({
+        status: 'accepted',
+        message: 'Document queued for analysis',
+        analysisId: analysisId,
+        resultsUrl: `/api/results/${analysisId}`,
+        eventsUrl: `/api/results/${analysisId}/events`,
+        metadata: uploadInfo
+      });
+
   } catch (error) {
     logger.error('Upload processing error:', error);
 
+    await fileProcessor.deleteUpload(modelAnswerPath);
+    // Originals stay linked to a failed analysis, like any other; unlinked ones would never be deleted
+    if (!analysisId) {
+      await fileStorage.removeAll(storedFiles);
+    }
+
     // Update analysis status if record was created
     if (analysisId) {
       try {
@@ -168,6 +377,7 @@ router.post('/', uploadLimiter, upload.single('file'), async (req, res) => {
           analysis: 'Processing failed due to server error.',
           updatedAt: Date.now()
         });
+        await progressTracker.record(analysisId, 'failed', { message: 'Processing failed due to server error.' });
       } catch (updateError) {
         logger.error('Failed to update analysis status:', updateError);
       }
@@ -186,7 +396,7 @@ router.post('/', uploadLimiter, upload.single('file'), async (req, res) => {
 
     res.status(500).json({
       status: 'error',
-      message: 'Internal server error during file processing',
+      message: 'Internal server error while queuing the upload',
       errors: [error.message || 'Unknown server error'],
       analysisId: analysisId
     });
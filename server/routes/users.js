@@ -0,0 +1,127 @@
+import express from 'express';
+import User from '../models/User.js';
+import authService from '../utils/auth.js';
+import { requireAuth, requireRole } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+/**
+ * GET /api/users
+ * List users, newest first (optionally ?role=teacher)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+    const { role } = req.query;
+
+    if (limit > 100) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Limit cannot exceed 100',
+        errors: ['Maximum limit is 100 results per request']
+      });
+    }
+    if (role !== undefined && !authService.roles.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid role',
+        errors: [`role must be one of: ${authService.roles.join(', ')}`]
+      });
+    }
+
+    const filter = role ? { role } : {};
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching users:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch users',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:id/role
+ * Change a user's role; it reaches their access token on the next refresh
+ */
+router.put('/:id/role', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user ID format',
+        errors: ['User ID must be a valid MongoDB ObjectId']
+      });
+    }
+    if (!authService.roles.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid role',
+        errors: [`role must be one of: ${authService.roles.join(', ')}`]
+      });
+    }
+    // Stops the last admin from locking everyone out by accident
+    if (id === req.user.id && role !== 'admin') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot change your own role',
+        errors: ['Ask another admin to change your role']
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { role, updatedAt: Date.now() }, { new: true });
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+        errors: ['No user found with the provided ID']
+      });
+    }
+
+    logger.info(`User ${id} role set to ${role} by ${req.user.id}`);
+
+    res.json({
+      status: 'success',
+      message: 'Role updated successfully',
+      data: user
+    });
+
+  } catch (error) {
+    logger.error('Error updating user role:', error);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update role',
+      errors: [error.message || 'Unknown server error']
+    });
+  }
+});
+
+export default router;
\ No newline at end of file
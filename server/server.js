@@ -2,12 +2,16 @@ import 'dotenv/config';
 import app from './app.js';
 import connectDB from './config/database.js';
 import fileProcessor from './utils/fileProcessor.js';
+import fileStorage from './utils/fileStorage.js';
+import jobQueue from './utils/jobQueue.js';
+import { processAnalysis, processAnalysisFailed, processReanalysis, processReanalysisFailed } from './jobs/processAnalysis.js';
+import { getProviderClass } from './utils/llm/index.js';
 import { logger } from './utils/logger.js';
 
 const PORT = process.env.PORT || 3001;
 
-// Validate required environment variables
-const requiredEnvVars = ['MONGODB_URI', 'GEMINI_API_KEY'];
+// Validate required environment variables (API keys depend on the configured LLM provider)
+const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET', ...getProviderClass(process.env.LLM_PROVIDER || 'gemini').requiredEnvVars];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -24,6 +28,13 @@ fileProcessor.ensureUploadDir().catch(error => {
   logger.error('Failed to create upload directory:', error);
 });
 
+// Start background workers (set JOB_WORKER_ENABLED=false to run an API-only instance)
+jobQueue.registerHandler('analysis', processAnalysis, { onFailure: processAnalysisFailed });
+jobQueue.registerHandler('reanalysis', processReanalysis, { onFailure: processReanalysisFailed });
+if (process.env.JOB_WORKER_ENABLED !== 'false') {
+  jobQueue.start();
+}
+
 // Start server
 const server = app.listen(PORT, () => {
   logger.info(`AnswerLense API Server running on port ${PORT}`);
@@ -35,6 +46,7 @@ const server = app.listen(PORT, () => {
     port: PORT,
     nodeEnv: process.env.NODE_ENV || 'development',
     mongoConnected: true,
+    llmProvider: process.env.LLM_PROVIDER || 'gemini',
     corsOrigins: [
       process.env.FRONTEND_URL,
       process.env.DEV_FRONTEND_URL
@@ -43,16 +55,18 @@ const server = app.listen(PORT, () => {
 });
 
 // Graceful shutdown handling
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await jobQueue.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await jobQueue.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -70,11 +84,12 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// Cleanup old files periodically (every 6 hours)
+// Cleanup old temporary files and expired originals periodically (every 6 hours)
 setInterval(() => {
   fileProcessor.cleanupOldFiles(24).catch(error => {
     logger.error('File cleanup failed:', error);
   });
+  fileStorage.applyRetention();
 }, 6 * 60 * 60 * 1000);
 
 export default server;
\ No newline at end of file
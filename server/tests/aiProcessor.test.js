@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import aiProcessor from '../utils/aiProcessor.js';
+
+describe('aiProcessor.chunkText', () => {
+  const limits = { maxTokensPerChunk: aiProcessor.maxTokensPerChunk, chunkOverlapTokens: aiProcessor.chunkOverlapTokens };
+
+  beforeEach(() => {
+    aiProcessor.maxTokensPerChunk = 100;
+    aiProcessor.chunkOverlapTokens = 5;
+  });
+
+  afterEach(() => {
+    Object.assign(aiProcessor, limits);
+  });
+
+  /**
+   * Sentences of varying length, so chunk boundaries fall at different places
+   * @param {number} count - Number of sentences
+   * @returns {Array<string>} Sentences
+   */
+  const sentences = count => Array.from({ length: count }, (_, i) =>
+    `Sentence ${i + 1} talks about ${'cells and energy '.repeat((i % 5) + 1).trim()}.`);
+
+  it('returns short text as a single chunk', () => {
+    assert.deepEqual(aiProcessor.chunkText('A short answer.'), ['A short answer.']);
+  });
+
+  it('keeps every chunk within the token limit, separators included', () => {
+    const paragraphs = [];
+    const all = sentences(60);
+    for (let i = 0; i < all.length; i += 3) {
+      paragraphs.push(all.slice(i, i + 3).join(i % 2 ? '\n' : ' '));
+    }
+
+    for (const text of [paragraphs.join('\n\n'), all.join(' '), all.join('\n')]) {
+      const chunks = aiProcessor.chunkText(text);
+      assert.ok(chunks.length > 1);
+      for (const chunk of chunks) {
+        assert.ok(aiProcessor.estimateTokens(chunk) <= 100, `chunk of ${aiProcessor.estimateTokens(chunk)} tokens`);
+      }
+    }
+  });
+
+  it('covers the whole text and repeats the end of a chunk at the start of the next', () => {
+    aiProcessor.chunkOverlapTokens = 30;
+    const all = sentences(30);
+    const chunks = aiProcessor.chunkText(all.join(' '));
+
+    for (const sentence of all) {
+      assert.ok(chunks.some(chunk => chunk.includes(sentence)), `missing "${sentence}"`);
+    }
+    const overlapping = chunks.slice(1).filter((chunk, i) => {
+      const lastSentence = chunks[i].split(/(?<=\.)\s+/).pop();
+      return chunk.startsWith(lastSentence);
+    });
+    assert.ok(overlapping.length > 0);
+  });
+
+  it('splits a single sentence longer than a chunk between words', () => {
+    const words = Array.from({ length: 200 }, (_, i) => `word${i}`);
+    const chunks = aiProcessor.chunkText(words.join(' '));
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(aiProcessor.estimateTokens(chunk) <= 100);
+    }
+    assert.ok(chunks.join(' ').includes('word199'));
+  });
+
+  it('counts CJK characters as a token each and cuts unbroken CJK text to the limit', () => {
+    const text = '细胞是生命的基本单位'.repeat(30);
+    assert.equal(aiProcessor.estimateTokens(text), text.length);
+
+    const chunks = aiProcessor.chunkText(text);
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(aiProcessor.estimateTokens(chunk) <= 100, `chunk of ${aiProcessor.estimateTokens(chunk)} tokens`);
+    }
+    assert.equal(chunks.join(''), text);
+  });
+});
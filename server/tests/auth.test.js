@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { authenticate, ownerFilter, requireAuth, requireRole } from '../middleware/auth.js';
+import ApiKey from '../models/ApiKey.js';
+import authService from '../utils/auth.js';
+import classroomService from '../utils/classroom.js';
+
+/**
+ * Run a middleware and report whether it called next or which error it sent
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Fake request; headers as a plain object
+ * @returns {Promise<Object>} { next, statusCode, body, req }
+ */
+const run = async (middleware, { headers = {}, ...req } = {}) => {
+  const result = { next: false, statusCode: null, body: null };
+  const res = {
+    status(code) {
+      result.statusCode = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+  result.req = {
+    method: 'GET',
+    baseUrl: '/api/test',
+    path: '/',
+    query: {},
+    get: name => headers[name.toLowerCase()],
+    ...req
+  };
+  await middleware(result.req, res, () => {
+    result.next = true;
+  });
+  return result;
+};
+
+const student = { _id: '64f8a1b2c3d4e5f6a7b8c9d2', email: 'student@example.com', role: 'student', tokenVersion: 0 };
+
+describe('authService', () => {
+  it('issues access tokens that verify to the user', () => {
+    const { accessToken, refreshToken, tokenType } = authService.issueTokens(student);
+
+    assert.equal(tokenType, 'Bearer');
+    assert.deepEqual(authService.verifyAccessToken(accessToken), { id: student._id, email: student.email, role: 'student' });
+    assert.deepEqual(authService.verifyRefreshToken(refreshToken), { id: student._id, version: 0 });
+  });
+
+  it('does not accept a refresh token as an access token, or the other way round', () => {
+    const { accessToken, refreshToken } = authService.issueTokens(student);
+
+    assert.throws(() => authService.verifyAccessToken(refreshToken), /Not an access token/);
+    assert.throws(() => authService.verifyRefreshToken(accessToken), /Not a refresh token/);
+  });
+
+  it('validates registration details', () => {
+    assert.equal(authService.validateCredentials({ email: 'a@example.com', password: 'long enough' }, { registering: true }).isValid, true);
+    assert.equal(authService.validateCredentials({ email: 'not-an-email', password: 'long enough' }, { registering: true }).isValid, false);
+    assert.equal(authService.validateCredentials({ email: 'a@example.com', password: 'short' }, { registering: true }).isValid, false);
+  });
+});
+
+describe('requireAuth', () => {
+  it('sets req.user from a valid bearer token', async () => {
+    const { accessToken } = authService.issueTokens(student);
+    const result = await run(requireAuth, { headers: { authorization: `Bearer ${accessToken}` } });
+
+    assert.equal(result.next, true);
+    assert.deepEqual(result.req.user, { id: student._id, email: student.email, role: 'student' });
+  });
+
+  it('answers 401 without a token or with a bad one', async () => {
+    const missing = await run(requireAuth);
+    assert.equal(missing.statusCode, 401);
+    assert.equal(missing.body.message, 'Authentication required');
+
+    const invalid = await run(requireAuth, { headers: { authorization: 'Bearer not-a-token' } });
+    assert.equal(invalid.next, false);
+    assert.equal(invalid.statusCode, 401);
+    assert.equal(invalid.body.message, 'Invalid or expired access token');
+  });
+
+  it('accepts ?access_token= only where allowed', async () => {
+    const { accessToken } = authService.issueTokens(student);
+
+    assert.equal((await run(requireAuth, { query: { access_token: accessToken } })).statusCode, 401);
+    assert.equal((await run(authenticate({ allowQueryToken: true }), { query: { access_token: accessToken } })).next, true);
+  });
+});
+
+describe('API keys', () => {
+  const { key, keyHash } = authService.generateApiKey();
+  const apiKey = {
+    _id: 'k1',
+    name: 'LMS',
+    prefix: key.slice(0, 11),
+    scopes: ['analyses:read'],
+    createdBy: '64f8a1b2c3d4e5f6a7b8c9d1',
+    expiresAt: null
+  };
+
+  it('authenticate a route that accepts their scope as the admin who created them', async (t) => {
+    const findOne = t.mock.method(ApiKey, 'findOne', async () => apiKey);
+    t.mock.method(ApiKey, 'updateOne', async () => ({}));
+
+    const result = await run(authenticate({ apiKeyScope: 'analyses:read' }), { headers: { 'x-api-key': key } });
+
+    assert.equal(result.next, true);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], { keyHash, revokedAt: null });
+    assert.deepEqual(result.req.user, { id: apiKey.createdBy, email: null, role: null });
+    assert.deepEqual(result.req.apiKey, { id: 'k1', name: 'LMS', scopes: ['analyses:read'] });
+  });
+
+  it('answer 403 without the route\'s scope, or where keys are not accepted', async (t) => {
+    t.mock.method(ApiKey, 'findOne', async () => apiKey);
+
+    const wrongScope = await run(authenticate({ apiKeyScope: 'analyses:write' }), { headers: { 'x-api-key': key } });
+    assert.equal(wrongScope.statusCode, 403);
+    assert.deepEqual(wrongScope.body.errors, ['The API key needs the "analyses:write" scope']);
+
+    assert.equal((await run(requireAuth, { headers: { 'x-api-key': key } })).statusCode, 403);
+  });
+
+  it('answer 401 when unknown or expired', async (t) => {
+    const findOne = t.mock.method(ApiKey, 'findOne', async () => null);
+    assert.equal((await run(authenticate({ apiKeyScope: 'analyses:read' }), { headers: { 'x-api-key': key } })).statusCode, 401);
+
+    findOne.mock.mockImplementation(async () => ({ ...apiKey, expiresAt: new Date(Date.now() - 1000) }));
+    assert.equal((await run(authenticate({ apiKeyScope: 'analyses:read' }), { headers: { 'x-api-key': key } })).statusCode, 401);
+  });
+});
+
+describe('requireRole', () => {
+  it('lets users with one of the roles through', async () => {
+    const teacherOrAdmin = requireRole('teacher', 'admin');
+    assert.equal((await run(teacherOrAdmin, { user: { id: 't1', role: 'teacher' } })).next, true);
+    assert.equal((await run(teacherOrAdmin, { user: { id: 'a1', role: 'admin' } })).next, true);
+  });
+
+  it('answers 403 for other roles', async () => {
+    const result = await run(requireRole('teacher', 'admin'), { user: { id: 's1', role: 'student' } });
+    assert.equal(result.next, false);
+    assert.equal(result.statusCode, 403);
+    assert.equal(result.body.status, 'error');
+    assert.deepEqual(result.body.errors, ['Requires one of the roles: teacher, admin']);
+  });
+
+  it('lets API keys through, since authenticate has already checked their scope', async () => {
+    const result = await run(requireRole('admin'), { user: { id: 'u1', role: null }, apiKey: { id: 'k1', scopes: ['analyses:read'] } });
+    assert.equal(result.next, true);
+  });
+});
+
+describe('ownerFilter', () => {
+  it('limits students to their own analyses', async () => {
+    assert.deepEqual(await ownerFilter({ user: { id: 's1', role: 'student' } }), { userId: 's1' });
+  });
+
+  it('does not filter for admins and API keys', async (t) => {
+    const taughtClassIds = t.mock.method(classroomService, 'taughtClassIds', async () => []);
+
+    assert.deepEqual(await ownerFilter({ user: { id: 'a1', role: 'admin' } }), {});
+    assert.deepEqual(await ownerFilter({ user: { id: 'u1', role: null }, apiKey: { id: 'k1' } }), {});
+    assert.equal(taughtClassIds.mock.callCount(), 0);
+  });
+
+  it('adds the analyses submitted to a teacher\'s classes', async (t) => {
+    const taughtClassIds = t.mock.method(classroomService, 'taughtClassIds', async () => ['c1', 'c2']);
+
+    assert.deepEqual(await ownerFilter({ user: { id: 't1', role: 'teacher' } }), {
+      $or: [{ userId: 't1' }, { classId: { $in: ['c1', 'c2'] } }]
+    });
+    assert.deepEqual(taughtClassIds.mock.calls[0].arguments, ['t1']);
+  });
+
+  it('limits teachers without classes to their own analyses', async (t) => {
+    t.mock.method(classroomService, 'taughtClassIds', async () => []);
+
+    assert.deepEqual(await ownerFilter({ user: { id: 't1', role: 'teacher' } }), { userId: 't1' });
+  });
+});
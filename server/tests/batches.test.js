@@ -0,0 +1,119 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fileProcessor from '../utils/fileProcessor.js';
+import classroomService from '../utils/classroom.js';
+import { buildZip, startServer, tokenFor } from './helpers.js';
+
+describe('fileProcessor.extractArchive', () => {
+  const maxFileSize = fileProcessor.maxFileSize;
+
+  afterEach(() => {
+    fileProcessor.maxFileSize = maxFileSize;
+  });
+
+  it('extracts supported documents typed by extension', async () => {
+    const { files, skipped } = await fileProcessor.extractArchive(buildZip({
+      'class-7b/ada.pdf': '%PDF-1.4 ada',
+      'class-7b/grace.JPG': 'jpeg bytes',
+      'class-7b/notes.docx': 'word'
+    }));
+
+    assert.deepEqual(files.map(file => [file.originalname, file.mimetype, file.buffer.toString()]), [
+      ['class-7b/ada.pdf', 'application/pdf', '%PDF-1.4 ada'],
+      ['class-7b/grace.JPG', 'image/jpeg', 'jpeg bytes']
+    ]);
+    assert.equal(files[0].size, 12);
+    assert.deepEqual(skipped, [{ name: 'class-7b/notes.docx', reason: 'Unsupported file type. Supported types: PDF, JPG, PNG' }]);
+  });
+
+  it('ignores folders, hidden files and macOS metadata', async () => {
+    const { files, skipped } = await fileProcessor.extractArchive(buildZip({
+      'scripts/': '',
+      'scripts/.DS_Store': 'x',
+      '__MACOSX/scripts/._ada.pdf': 'x',
+      'scripts/ada.pdf': '%PDF'
+    }));
+
+    assert.deepEqual(files.map(file => file.originalname), ['scripts/ada.pdf']);
+    assert.deepEqual(skipped, []);
+  });
+
+  it('skips entries over the file size limit without reading them', async () => {
+    fileProcessor.maxFileSize = 10;
+    const { files, skipped } = await fileProcessor.extractArchive(buildZip({ 'small.png': 'tiny', 'large.png': 'x'.repeat(11) }));
+
+    assert.deepEqual(files.map(file => file.originalname), ['small.png']);
+    assert.equal(skipped[0].name, 'large.png');
+    assert.match(skipped[0].reason, /^File too large/);
+  });
+
+  it('stops extracting at maxFiles and reports the rest', async () => {
+    const { files, skipped } = await fileProcessor.extractArchive(
+      buildZip({ 'a.pdf': '1', 'b.pdf': '2', 'c.pdf': '3' }),
+      { maxFiles: 2 }
+    );
+
+    assert.equal(files.length, 2);
+    assert.deepEqual(skipped, [{ name: 'c.pdf', reason: 'Batch limit of 2 files reached' }]);
+  });
+
+  it('rejects data that is not a ZIP archive', async () => {
+    await assert.rejects(fileProcessor.extractArchive(Buffer.from('not a zip at all, just some text')));
+  });
+});
+
+describe('classroomService.buildStudentMatcher', () => {
+  const students = [
+    { _id: 's1', name: 'Ada Lovelace', email: 'ada@school.test' },
+    { _id: 's2', name: 'Grace Hopper', email: 'ghopper@school.test' },
+    { _id: 's3', name: 'José Núñez', email: 'jose@school.test' },
+    { _id: 's4', name: 'Alan Turing', email: 'alan.t@school.test' },
+    { _id: 's5', name: 'Alan Turing', email: 'turing2@school.test' }
+  ];
+  const match = classroomService.buildStudentMatcher(students);
+
+  it('matches the file name to an email, its local part or a name', () => {
+    assert.equal(match('ada@school.test.pdf'), 's1');
+    assert.equal(match('ghopper.jpg'), 's2');
+    assert.equal(match('Grace_Hopper.png'), 's2');
+  });
+
+  it('ignores case, accents and separators, and allows text after the name', () => {
+    assert.equal(match('jose-nunez.pdf'), 's3');
+    assert.equal(match('ada_lovelace_essay.pdf'), 's1');
+  });
+
+  it('falls back to the folder name', () => {
+    assert.equal(match('scripts.zip/Ada Lovelace/page1.jpg'), 's1');
+  });
+
+  it('never guesses between students sharing a name', () => {
+    assert.equal(match('alan_turing.pdf'), null);
+    assert.equal(match('alan.t.pdf'), 's4');
+    assert.equal(match('unknown.pdf'), null);
+  });
+});
+
+describe('POST /api/batches', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('answers a batch over the file limit with the batch limit', async () => {
+    const body = new FormData();
+    for (let i = 0; i <= 50; i++) {
+      body.append('files', new Blob(['%PDF'], { type: 'application/pdf' }), `script-${i}.pdf`);
+    }
+
+    const response = await server.request('POST', '/api/batches', { token: tokenFor('64f8a1b2c3d4e5f6a7b8c9d1', 'teacher'), body });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body, { status: 'error', message: 'Too many files', errors: ['A batch may contain up to 50 files'] });
+  });
+});
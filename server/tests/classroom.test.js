@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Assignment from '../models/Assignment.js';
+import Classroom from '../models/Classroom.js';
+import Rubric from '../models/Rubric.js';
+import classroomService from '../utils/classroom.js';
+import { startServer, tokenFor } from './helpers.js';
+
+const classroom = { teacherId: 't1', students: ['s1', 's2'] };
+
+describe('classroomService', () => {
+  describe('access', () => {
+    it('lets the class teacher and admins manage a class', () => {
+      assert.equal(classroomService.canManage(classroom, { id: 't1', role: 'teacher' }), true);
+      assert.equal(classroomService.canManage(classroom, { id: 't2', role: 'teacher' }), false);
+      assert.equal(classroomService.canManage(classroom, { id: 'a1', role: 'admin' }), true);
+    });
+
+    it('knows which students are enrolled', () => {
+      assert.equal(classroomService.isEnrolled(classroom, { id: 's2', role: 'student' }), true);
+      assert.equal(classroomService.isEnrolled(classroom, { id: 's3', role: 'student' }), false);
+    });
+  });
+
+  describe('validateAssignment', () => {
+    it('requires a title on create but not on update', () => {
+      assert.deepEqual(classroomService.validateAssignment({}).errors, ['title is required and must be 200 characters or less']);
+      assert.deepEqual(classroomService.validateAssignment({}, { partial: true }), { errors: [], fields: {} });
+    });
+
+    it('picks out and trims the stored fields', () => {
+      const { errors, fields } = classroomService.validateAssignment({
+        title: '  Essay 1 ',
+        dueDate: '2026-11-01T09:00:00Z',
+        rubricId: '64f8a1b2c3d4e5f6a7b8c9e0',
+        modelAnswer: ' The answer. ',
+        ignored: true
+      });
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(fields, {
+        title: 'Essay 1',
+        dueDate: new Date('2026-11-01T09:00:00Z'),
+        rubricId: '64f8a1b2c3d4e5f6a7b8c9e0',
+        modelAnswer: 'The answer.'
+      });
+    });
+
+    it('rejects bad dates and rubric IDs, and null clears optional fields', () => {
+      const { errors } = classroomService.validateAssignment({ title: 'x', dueDate: 'next week', rubricId: 'abc' });
+      assert.deepEqual(errors, ['dueDate must be an ISO 8601 date string', 'rubricId must be a valid MongoDB ObjectId']);
+
+      const cleared = classroomService.validateAssignment({ dueDate: null, rubricId: null, modelAnswer: null }, { partial: true });
+      assert.deepEqual(cleared.fields, { dueDate: null, rubricId: null, modelAnswer: null });
+    });
+  });
+
+  describe('formatAssignment', () => {
+    it('shows the model answer only when asked to', () => {
+      const assignment = { _id: 'as1', classId: 'c1', title: 'Essay', subject: 'english', modelAnswer: 'Secret' };
+
+      assert.equal(classroomService.formatAssignment(assignment).modelAnswer, undefined);
+      assert.equal(classroomService.formatAssignment(assignment).hasModelAnswer, true);
+      assert.equal(classroomService.formatAssignment(assignment, { includeModelAnswer: true }).modelAnswer, 'Secret');
+    });
+  });
+
+  describe('checkRubric', () => {
+    const teacher = { id: '64f8a1b2c3d4e5f6a7b8c9d1', role: 'teacher' };
+
+    it('allows the rubric\'s creator and admins', async (t) => {
+      t.mock.method(Rubric, 'findById', async () => ({ createdBy: teacher.id }));
+
+      assert.equal((await classroomService.checkRubric('r1', teacher)).isValid, true);
+      assert.equal((await classroomService.checkRubric('r1', { id: 'other', role: 'admin' })).isValid, true);
+    });
+
+    it('refuses another teacher\'s rubric and reports missing ones', async (t) => {
+      const findById = t.mock.method(Rubric, 'findById', async () => ({ createdBy: '64f8a1b2c3d4e5f6a7b8c9d3' }));
+      assert.equal((await classroomService.checkRubric('r1', teacher)).statusCode, 403);
+
+      findById.mock.mockImplementation(async () => null);
+      assert.equal((await classroomService.checkRubric('r1', teacher)).statusCode, 404);
+    });
+  });
+});
+
+describe('assignment rubrics', () => {
+  const teacherId = '64f8a1b2c3d4e5f6a7b8c9d1';
+  const classId = '64f8a1b2c3d4e5f6a7b8c9c0';
+  const assignmentId = '64f8a1b2c3d4e5f6a7b8c9a0';
+  const othersRubricId = '64f8a1b2c3d4e5f6a7b8c9e1';
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('can\'t be set to another teacher\'s rubric', async (t) => {
+    const classroom = { _id: classId, teacherId, students: [], subject: 'biology' };
+    const assignment = new Assignment({ _id: assignmentId, classId, title: 'Cells', subject: 'biology', createdBy: teacherId });
+    const saved = t.mock.method(assignment, 'save', async () => assignment);
+    t.mock.method(Assignment, 'findById', async () => assignment);
+    t.mock.method(Classroom, 'findById', async () => classroom);
+    t.mock.method(Rubric, 'findById', async () => ({ createdBy: '64f8a1b2c3d4e5f6a7b8c9d3' }));
+    const token = tokenFor(teacherId, 'teacher');
+
+    const updated = await server.request('PUT', `/api/assignments/${assignmentId}`, { token, body: { rubricId: othersRubricId } });
+    assert.equal(updated.status, 403);
+    assert.deepEqual(updated.body.errors, ['Only rubrics you created can be used for your assignments']);
+
+    const created = await server.request('POST', `/api/classes/${classId}/assignments`, { token, body: { title: 'Cells', rubricId: othersRubricId } });
+    assert.equal(created.status, 403);
+    assert.deepEqual(created.body.errors, updated.body.errors);
+    assert.equal(saved.mock.callCount(), 0);
+  });
+});
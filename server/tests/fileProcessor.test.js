@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import fileProcessor from '../utils/fileProcessor.js';
+
+/**
+ * Build a PDF with pdfkit
+ * @param {Array<Function>} pages - Functions drawing each page onto the document
+ * @returns {Promise<Buffer>} PDF file
+ */
+const buildPdf = pages => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: [300, 400], autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  for (const draw of pages) {
+    doc.addPage();
+    draw(doc);
+  }
+  doc.end();
+});
+
+const typedPage = doc => doc.fontSize(12).text('Photosynthesis turns light energy into chemical energy stored in glucose.', 20, 20);
+const handwrittenPage = doc => doc.rect(50, 50, 100, 100).fill('#000000');
+
+describe('fileProcessor PDF handling', () => {
+  const settings = { pdfMaxPages: fileProcessor.pdfMaxPages, pdfRenderDpi: fileProcessor.pdfRenderDpi };
+
+  beforeEach(() => {
+    fileProcessor.pdfRenderDpi = 72;
+  });
+
+  afterEach(() => {
+    Object.assign(fileProcessor, settings);
+  });
+
+  it('uses the text layer of typed pages and renders the others', async () => {
+    const result = await fileProcessor.processPdf(await buildPdf([typedPage, handwrittenPage]));
+
+    assert.equal(result.pageCount, 2);
+    assert.equal(result.truncated, false);
+
+    const [typed, scanned] = result.pages;
+    assert.equal(typed.imageBuffer, null);
+    assert.match(typed.text, /^Photosynthesis turns light energy/);
+
+    assert.equal(scanned.text, null);
+    const { width, height, format } = await sharp(scanned.imageBuffer).metadata();
+    assert.deepEqual({ width, height, format }, { width: 300, height: 400, format: 'png' });
+  });
+
+  it('renders on a white page at the configured DPI', async () => {
+    fileProcessor.pdfRenderDpi = 144;
+    const { pages } = await fileProcessor.processPdf(await buildPdf([handwrittenPage]));
+
+    const { data, info } = await sharp(pages[0].imageBuffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    assert.deepEqual([info.width, info.height], [600, 800]);
+
+    const pixel = (x, y) => [...data.subarray((y * info.width + x) * 3, (y * info.width + x) * 3 + 3)];
+    assert.deepEqual(pixel(10, 10), [255, 255, 255]);
+    assert.deepEqual(pixel(200, 200), [0, 0, 0]);
+  });
+
+  it('stops at PDF_MAX_PAGES and reports the truncation', async () => {
+    fileProcessor.pdfMaxPages = 2;
+    const result = await fileProcessor.processPdf(await buildPdf([typedPage, typedPage, typedPage]));
+
+    assert.equal(result.pageCount, 2);
+    assert.equal(result.totalPages, 3);
+    assert.equal(result.truncated, true);
+    assert.equal(result.pages.length, 2);
+  });
+
+  it('returns page images and texts from processFile', async () => {
+    const buffer = await buildPdf([handwrittenPage, typedPage]);
+    const result = await fileProcessor.processFile({
+      originalname: 'answer.pdf',
+      mimetype: 'application/pdf',
+      size: buffer.length,
+      buffer
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.pageCount, 2);
+    assert.ok(Buffer.isBuffer(result.imageBuffers[0]));
+    assert.equal(result.imageBuffers[1], null);
+    assert.equal(result.pageTexts[0], null);
+    assert.match(result.pageTexts[1], /glucose/);
+    assert.equal(result.fileInfo.type, 'pdf');
+  });
+
+  it('reports a file that is not a PDF', async () => {
+    const buffer = Buffer.from('not a pdf');
+    const result = await fileProcessor.processFile({ originalname: 'answer.pdf', mimetype: 'application/pdf', size: buffer.length, buffer });
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /^File processing failed/);
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Analysis from '../models/Analysis.js';
+import fileStorage from '../utils/fileStorage.js';
+import { createStorage, supportedStorages } from '../utils/storage/index.js';
+import { LocalStorage } from '../utils/storage/localStorage.js';
+import { GridFsStorage } from '../utils/storage/gridfsStorage.js';
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * In-memory stand-in for a GridFS bucket
+ * @returns {Object} Bucket with the methods GridFsStorage uses
+ */
+const memoryBucket = () => {
+  const files = new Map();
+  return {
+    files,
+    openUploadStream(filename, options) {
+      const id = new mongoose.Types.ObjectId();
+      const chunks = [];
+      const stream = new PassThrough();
+      stream.id = id;
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        files.set(id.toString(), { filename, metadata: options.metadata, data: Buffer.concat(chunks) });
+        stream.emit('finish');
+      });
+      return stream;
+    },
+    find({ _id }) {
+      const found = files.has(_id.toString()) ? [{ _id }] : [];
+      return { limit: () => ({ toArray: async () => found }) };
+    },
+    openDownloadStream(id) {
+      return Readable.from([files.get(id.toString()).data]);
+    },
+    async delete(id) {
+      if (!files.delete(id.toString())) throw new Error(`File not found for id ${id}`);
+    }
+  };
+};
+
+describe('storage adapters', () => {
+  it('are created by name', () => {
+    assert.deepEqual(supportedStorages, ['local', 'gridfs']);
+    assert.ok(createStorage('local') instanceof LocalStorage);
+    assert.throws(() => createStorage('s3'), /Unknown storage adapter "s3"/);
+  });
+
+  describe('local', () => {
+    let dir;
+    let storage;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'answerlense-storage-'));
+      storage = new LocalStorage({ dir: path.relative(projectRoot, dir) });
+    });
+
+    after(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('saves, reads, streams and removes files under random keys', async () => {
+      const key = await storage.save(Buffer.from('scan'), { filename: 'Page 1.PNG' });
+      assert.match(key, /^[0-9a-f-]{36}\.png$/);
+      assert.deepEqual(await fs.readdir(dir), [key]);
+
+      assert.equal((await storage.read(key)).toString(), 'scan');
+      const chunks = [];
+      for await (const chunk of await storage.createReadStream(key)) chunks.push(chunk);
+      assert.equal(Buffer.concat(chunks).toString(), 'scan');
+
+      await storage.remove(key);
+      await storage.remove(key);
+      await assert.rejects(storage.createReadStream(key), { code: 'ENOENT' });
+    });
+
+    it('refuses keys that point outside the storage directory', async () => {
+      await assert.rejects(storage.read('../package.json'), /Invalid storage key/);
+      await assert.rejects(storage.remove(''), /Invalid storage key/);
+    });
+  });
+
+  describe('gridfs', () => {
+    it('saves, reads and removes files in the bucket', async (t) => {
+      const storage = new GridFsStorage({ bucketName: 'test' });
+      const bucket = memoryBucket();
+      t.mock.getter(GridFsStorage.prototype, 'bucket', () => bucket);
+
+      const key = await storage.save(Buffer.from('scan'), { filename: 'page1.png', contentType: 'image/png', metadata: { userId: 'u1' } });
+      assert.ok(mongoose.isValidObjectId(key));
+      assert.deepEqual(bucket.files.get(key).metadata, { contentType: 'image/png', userId: 'u1' });
+      assert.equal((await storage.read(key)).toString(), 'scan');
+
+      await storage.remove(key);
+      await storage.remove(key);
+      await assert.rejects(storage.read(key), { code: 'ENOENT' });
+    });
+
+    it('needs a database connection and ObjectId keys', async () => {
+      const storage = new GridFsStorage();
+      await assert.rejects(storage.save(Buffer.from('x')), /needs a MongoDB connection/);
+      await assert.rejects(storage.read('not-an-id'), /Invalid storage key/);
+    });
+  });
+});
+
+describe('fileStorage', () => {
+  const files = [{ storage: 'local', key: 'a.png' }, { storage: 'local', key: 'b.png' }];
+
+  it('removes the files already stored when saving one fails', async (t) => {
+    let saved = 0;
+    t.mock.method(fileStorage.storage, 'save', async () => {
+      if (saved++ === 1) throw new Error('disk full');
+      return 'first.png';
+    });
+    const remove = t.mock.method(fileStorage.storage, 'remove', async () => {});
+
+    await assert.rejects(fileStorage.saveOriginals([
+      { originalname: 'p1.png', mimetype: 'image/png', size: 1, buffer: Buffer.from('1') },
+      { originalname: 'p2.png', mimetype: 'image/png', size: 1, buffer: Buffer.from('2') }
+    ]), /disk full/);
+    assert.deepEqual(remove.mock.calls.map(call => call.arguments[0]), ['first.png']);
+  });
+
+  describe('applyRetention', () => {
+    const retentionMs = fileStorage.retentionMs;
+    let batches;
+    let updates;
+
+    beforeEach((t) => {
+      fileStorage.retentionMs = 30 * 24 * 60 * 60 * 1000;
+      updates = [];
+      t.mock.method(Analysis, 'find', (filter) => {
+        const batch = batches.shift() || [];
+        return { limit: () => ({ lean: async () => batch.filter(analysis => !filter._id.$nin.includes(analysis._id)) }) };
+      });
+      t.mock.method(Analysis, 'updateOne', async (filter, update) => {
+        updates.push([filter._id, update.$set]);
+      });
+    });
+
+    afterEach(() => {
+      fileStorage.retentionMs = retentionMs;
+    });
+
+    it('deletes the originals of expired analyses and unlinks them', async (t) => {
+      batches = [[{ _id: 'a1', originalFiles: files }]];
+      const remove = t.mock.method(fileStorage.storage, 'remove', async () => {});
+
+      assert.equal(await fileStorage.applyRetention(), 1);
+
+      assert.deepEqual(remove.mock.calls.map(call => call.arguments[0]), ['a.png', 'b.png']);
+      assert.equal(updates[0][0], 'a1');
+      assert.deepEqual(updates[0][1].originalFiles, []);
+      assert.ok(updates[0][1].originalFilesDeletedAt instanceof Date);
+
+      const filter = Analysis.find.mock.calls[0].arguments[0];
+      assert.deepEqual(filter.status, { $ne: 'processing' });
+      assert.deepEqual(filter['reanalysis.status'], { $ne: 'processing' });
+      assert.ok(Date.now() - filter.createdAt.$lt.getTime() >= fileStorage.retentionMs);
+    });
+
+    it('keeps the links of analyses whose files could not all be deleted, for the next run', async (t) => {
+      const failing = [{ _id: 'a1', originalFiles: files }];
+      batches = [failing, failing];
+      t.mock.method(fileStorage.storage, 'remove', async (key) => {
+        if (key === 'b.png') throw new Error('permission denied');
+      });
+
+      assert.equal(await fileStorage.applyRetention(), 0);
+      assert.deepEqual(updates, []);
+      assert.deepEqual(Analysis.find.mock.calls[1].arguments[0]._id, { $nin: ['a1'] });
+    });
+
+    it('keeps originals forever when the retention period is 0', async () => {
+      fileStorage.retentionMs = 0;
+
+      assert.equal(await fileStorage.applyRetention(), 0);
+      assert.equal(Analysis.find.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import app from '../app.js';
+import ApiLog from '../models/ApiLog.js';
+import authService from '../utils/auth.js';
+
+/**
+ * Start the app on a free port for route tests; API logging is stubbed out since there is no database
+ * @returns {Promise<Object>} { request, close }
+ */
+export async function startServer() {
+  ApiLog.create = async () => ({});
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a JSON request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path starting with /
+   * @param {Object} options - { token, body, headers }
+   * @returns {Promise<Object>} { status, body }
+   */
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && !(body instanceof FormData) && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body instanceof FormData ? body : (body !== undefined ? JSON.stringify(body) : undefined)
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: res.status, body: json };
+  };
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Access token for a test user
+ * @param {string} id - User ID (24 hex characters)
+ * @param {string} role - student, teacher or admin
+ * @returns {string} Access token
+ */
+export function tokenFor(id, role) {
+  return authService.issueTokens({ _id: id, email: `${role}@example.com`, role, tokenVersion: 0 }).accessToken;
+}
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} data - Data to checksum
+ * @returns {number} CRC-32 as used by ZIP
+ */
+const crc32 = data => {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a ZIP archive with stored (uncompressed) entries
+ * @param {Object} entries - File name to content; names ending in / are folders
+ * @returns {Buffer} ZIP archive
+ */
+export function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(entries)) {
+    const fileName = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x21, 12); // 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, data);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
@@ -0,0 +1,50 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import Tesseract from 'tesseract.js';
+import imagePreprocessor from '../utils/imagePreprocessor.js';
+
+describe('imagePreprocessor rotation detection', () => {
+  let dir;
+  let page;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'answerlense-osd-'));
+    page = await sharp({ create: { width: 60, height: 40, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    imagePreprocessor.warnedMissingOsd = false;
+  });
+
+  it('skips detection when osd.traineddata is missing from the local data directory', async (t) => {
+    const detect = t.mock.method(Tesseract, 'detect', async () => {
+      throw new Error('should not be called');
+    });
+
+    const result = await imagePreprocessor.process(page, { steps: ['rotation'], osdOptions: { langPath: dir, gzip: false } });
+
+    assert.equal(result.rotation, 0);
+    assert.deepEqual(result.applied, []);
+    assert.equal(detect.mock.callCount(), 0);
+    assert.equal(imagePreprocessor.hasOrientationData({ langPath: dir }), false);
+  });
+
+  it('detects the orientation when the data file is there', async (t) => {
+    await fs.writeFile(path.join(dir, 'osd.traineddata'), '');
+    const detect = t.mock.method(Tesseract, 'detect', async () => ({
+      data: { orientation_degrees: 90, orientation_confidence: 8 }
+    }));
+
+    const osdOptions = { langPath: dir, gzip: false };
+    assert.equal(await imagePreprocessor.detectRotation(page, { osdOptions }), 270);
+    assert.deepEqual(detect.mock.calls[0].arguments[1], osdOptions);
+  });
+});
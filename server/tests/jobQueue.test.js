@@ -0,0 +1,203 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../models/Job.js';
+import jobQueue from '../utils/jobQueue.js';
+
+describe('jobQueue', () => {
+  beforeEach(() => {
+    jobQueue.handlers.clear();
+    jobQueue.running = true;
+  });
+
+  afterEach(() => {
+    jobQueue.handlers.clear();
+    jobQueue.running = false;
+  });
+
+  describe('claimNextJob', () => {
+    it('locks the oldest due queued job of a registered type', async (t) => {
+      jobQueue.registerHandler('analysis', async () => {});
+      jobQueue.registerHandler('reanalysis', async () => {});
+      const findOneAndUpdate = t.mock.method(Job, 'findOneAndUpdate', async () => ({ _id: 'j1' }));
+
+      const before = Date.now();
+      assert.deepEqual(await jobQueue.claimNextJob(), { _id: 'j1' });
+
+      const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+      assert.equal(filter.status, 'queued');
+      assert.deepEqual(filter.type, { $in: ['analysis', 'reanalysis'] });
+      assert.ok(filter.runAt.$lte.getTime() >= before);
+      assert.equal(update.$set.status, 'running');
+      assert.equal(update.$set.lockedBy, jobQueue.workerId);
+      assert.ok(update.$set.lockedAt instanceof Date);
+      assert.deepEqual(update.$inc, { attempts: 1 });
+      assert.deepEqual(options, { sort: { runAt: 1 }, new: true });
+    });
+  });
+
+  describe('releaseStaleJobs', () => {
+    it('requeues running jobs locked for longer than the lock timeout that have attempts left', async (t) => {
+      const updateMany = t.mock.method(Job, 'updateMany', async () => ({ modifiedCount: 1 }));
+      t.mock.method(Job, 'find', () => ({ limit: async () => [] }));
+
+      const now = Date.now();
+      await jobQueue.releaseStaleJobs();
+
+      const [filter, update] = updateMany.mock.calls[0].arguments;
+      assert.equal(filter.status, 'running');
+      const cutoff = filter.lockedAt.$lt.getTime();
+      assert.ok(cutoff >= now - jobQueue.lockTimeout && cutoff <= Date.now() - jobQueue.lockTimeout);
+      assert.deepEqual(filter.$expr, { $lt: ['$attempts', '$maxAttempts'] });
+      assert.equal(update.$set.status, 'queued');
+      assert.deepEqual(update.$unset, { lockedAt: '', lockedBy: '' });
+    });
+
+    it('fails stale jobs that have used up their attempts and runs onFailure', async (t) => {
+      const onFailure = t.mock.fn(async () => {});
+      jobQueue.registerHandler('analysis', async () => {}, { onFailure });
+      t.mock.method(Job, 'updateMany', async () => ({ modifiedCount: 0 }));
+      const lockedAt = new Date(Date.now() - jobQueue.lockTimeout - 1000);
+      const find = t.mock.method(Job, 'find', () => ({
+        limit: async () => [{ _id: 'j1', lockedAt }, { _id: 'j2', lockedAt }]
+      }));
+      // j2 was failed by another worker in the meantime
+      const findOneAndUpdate = t.mock.method(Job, 'findOneAndUpdate', async (filter, update) => (
+        filter._id === 'j1' ? { _id: 'j1', type: 'analysis', attempts: 3, maxAttempts: 3, status: update.status } : null
+      ));
+
+      await jobQueue.releaseStaleJobs();
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.deepEqual(filter.type, { $in: ['analysis'] });
+      assert.deepEqual(filter.$expr, { $gte: ['$attempts', '$maxAttempts'] });
+      assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], { _id: 'j1', status: 'running', lockedAt });
+      assert.equal(findOneAndUpdate.mock.calls[0].arguments[1].status, 'failed');
+      assert.equal(onFailure.mock.callCount(), 1);
+      assert.equal(onFailure.mock.calls[0].arguments[0]._id, 'j1');
+      assert.match(onFailure.mock.calls[0].arguments[1].message, /lock timed out/);
+    });
+  });
+
+  describe('poll', () => {
+    it('releases stale locks, then claims until every slot is busy', async (t) => {
+      const calls = [];
+      let release;
+      const blocked = new Promise(resolve => {
+        release = resolve;
+      });
+      jobQueue.registerHandler('analysis', () => blocked);
+      t.mock.method(Job, 'updateMany', async () => {
+        calls.push('release');
+        return { modifiedCount: 0 };
+      });
+      t.mock.method(Job, 'find', () => ({ limit: async () => [] }));
+      t.mock.method(Job, 'findOneAndUpdate', async () => {
+        calls.push('claim');
+        return { _id: `j${calls.length}`, type: 'analysis', attempts: 1, maxAttempts: 3 };
+      });
+
+      await jobQueue.poll();
+
+      assert.deepEqual(calls, ['release', ...new Array(jobQueue.concurrency).fill('claim')]);
+      assert.equal(jobQueue.activeJobs.size, jobQueue.concurrency);
+
+      release();
+      await Promise.all([...jobQueue.activeJobs]);
+      assert.equal(jobQueue.activeJobs.size, 0);
+    });
+
+    it('stops claiming when no job is due', async (t) => {
+      jobQueue.registerHandler('analysis', async () => {});
+      t.mock.method(Job, 'updateMany', async () => ({ modifiedCount: 0 }));
+      t.mock.method(Job, 'find', () => ({ limit: async () => [] }));
+      const findOneAndUpdate = t.mock.method(Job, 'findOneAndUpdate', async () => null);
+
+      await jobQueue.poll();
+
+      assert.equal(findOneAndUpdate.mock.callCount(), 1);
+      assert.equal(jobQueue.activeJobs.size, 0);
+    });
+  });
+
+  describe('execute', () => {
+    it('marks a finished job completed and unlocks it while it still holds the lock', async (t) => {
+      jobQueue.registerHandler('analysis', async () => {});
+      const findOneAndUpdate = t.mock.method(Job, 'findOneAndUpdate', async () => ({}));
+
+      await jobQueue.execute({ _id: 'j1', type: 'analysis', attempts: 1, maxAttempts: 3 });
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: 'j1', status: 'running', lockedBy: jobQueue.workerId, attempts: 1 });
+      assert.equal(update.status, 'completed');
+      assert.deepEqual(update.$unset, { lockedAt: '', lockedBy: '' });
+    });
+
+    it('refreshes the lock while the handler runs', async (t) => {
+      const lockTimeout = jobQueue.lockTimeout;
+      jobQueue.lockTimeout = 30;
+      t.after(() => {
+        jobQueue.lockTimeout = lockTimeout;
+      });
+      jobQueue.registerHandler('analysis', () => new Promise(resolve => setTimeout(resolve, 60)));
+      t.mock.method(Job, 'findOneAndUpdate', async () => ({}));
+      const updateOne = t.mock.method(Job, 'updateOne', async () => ({}));
+
+      await jobQueue.execute({ _id: 'j1', type: 'analysis', attempts: 1, maxAttempts: 3 });
+      const heartbeats = updateOne.mock.callCount();
+
+      assert.ok(heartbeats >= 2, `expected heartbeats, got ${heartbeats}`);
+      const [filter, update] = updateOne.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: 'j1', status: 'running', lockedBy: jobQueue.workerId, attempts: 1 });
+      assert.ok(update.$set.lockedAt instanceof Date);
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+      assert.equal(updateOne.mock.callCount(), heartbeats);
+    });
+
+    it('requeues a failed attempt with backoff while attempts remain', async (t) => {
+      const onFailure = t.mock.fn();
+      jobQueue.registerHandler('analysis', async () => {
+        throw new Error('provider unavailable');
+      }, { onFailure });
+      const findOneAndUpdate = t.mock.method(Job, 'findOneAndUpdate', async () => ({}));
+
+      const before = Date.now();
+      await jobQueue.execute({ _id: 'j1', type: 'analysis', attempts: 2, maxAttempts: 3 });
+
+      const update = findOneAndUpdate.mock.calls[0].arguments[1];
+      assert.equal(update.status, 'queued');
+      assert.equal(update.lastError, 'provider unavailable');
+      assert.ok(update.runAt.getTime() >= before + 4000);
+      assert.equal(onFailure.mock.callCount(), 0);
+    });
+
+    it('fails the job and calls onFailure once attempts run out', async (t) => {
+      const onFailure = t.mock.fn(async () => {});
+      jobQueue.registerHandler('analysis', async () => {
+        throw new Error('provider unavailable');
+      }, { onFailure });
+      const findOneAndUpdate = t.mock.method(Job, 'findOneAndUpdate', async () => ({}));
+
+      const job = { _id: 'j1', type: 'analysis', attempts: 3, maxAttempts: 3 };
+      await jobQueue.execute(job);
+
+      assert.equal(findOneAndUpdate.mock.calls[0].arguments[1].status, 'failed');
+      assert.equal(onFailure.mock.callCount(), 1);
+      assert.equal(onFailure.mock.calls[0].arguments[0], job);
+      assert.equal(onFailure.mock.calls[0].arguments[1].message, 'provider unavailable');
+    });
+
+    it('leaves a job alone once its lock has passed to another claim', async (t) => {
+      const onFailure = t.mock.fn(async () => {});
+      jobQueue.registerHandler('analysis', async () => {
+        throw new Error('provider unavailable');
+      }, { onFailure });
+      const findOneAndUpdate = t.mock.method(Job, 'findOneAndUpdate', async () => null);
+
+      await jobQueue.execute({ _id: 'j1', type: 'analysis', attempts: 3, maxAttempts: 3 });
+
+      assert.equal(findOneAndUpdate.mock.callCount(), 1);
+      assert.equal(onFailure.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider, getProviderClass, supportedProviders } from '../utils/llm/index.js';
+import { MockProvider } from '../utils/llm/mockProvider.js';
+import { OpenAIProvider } from '../utils/llm/openaiProvider.js';
+import aiProcessor from '../utils/aiProcessor.js';
+
+describe('LLM providers', () => {
+  it('creates the provider named by LLM_PROVIDER', () => {
+    const provider = createProvider();
+    assert.ok(provider instanceof MockProvider);
+    assert.equal(provider.name, 'mock');
+    assert.equal(provider.model, 'mock-1');
+  });
+
+  it('creates an explicitly requested provider and model', () => {
+    const provider = createProvider({ provider: 'openai', model: 'gpt-test' });
+    assert.ok(provider instanceof OpenAIProvider);
+    assert.equal(provider.model, 'gpt-test');
+  });
+
+  it('rejects unknown providers', () => {
+    assert.deepEqual(supportedProviders, ['gemini', 'openai', 'mock']);
+    assert.throws(() => getProviderClass('claude'), /Unknown LLM provider "claude"/);
+  });
+
+  it('answers the same prompt the same way with the mock provider', async () => {
+    const provider = new MockProvider();
+    const prompt = 'Review this:\n"""\nThe cell is small. It has a nucleus.\n"""';
+
+    const first = JSON.parse(await provider.generate(prompt));
+    assert.deepEqual(JSON.parse(await provider.generate(prompt)), first);
+    assert.equal(first.analysis, 'Mock analysis of 8 words in 2 sentences.');
+  });
+
+  it('sends OpenAI-compatible chat completion requests', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(
+      JSON.stringify({ choices: [{ message: { content: 'Looks fine.' } }] }),
+      { status: 200, headers: { 'Content-Type': 'application/json' } }
+    ));
+
+    const provider = new OpenAIProvider({ model: 'gpt-test' });
+    assert.equal(await provider.generate('Hello', { temperature: 0.3, maxOutputTokens: 100 }), 'Looks fine.');
+
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'https://api.openai.com/v1/chat/completions');
+    assert.deepEqual(JSON.parse(init.body), {
+      model: 'gpt-test',
+      messages: [{ role: 'user', content: 'Hello' }],
+      temperature: 0.3,
+      max_tokens: 100
+    });
+  });
+
+  it('reports failed OpenAI-compatible requests with their status', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('rate limited', { status: 429 }));
+
+    await assert.rejects(new OpenAIProvider().generate('Hello'), /failed with status 429: rate limited/);
+  });
+});
+
+describe('aiProcessor with the mock provider', () => {
+  it('reviews an answer end to end', async () => {
+    const result = await aiProcessor.analyzeAnswer('Photosynthesis makes glucose. Plants need light for it.', { subject: 'biology' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.model, 'mock-1');
+    assert.ok(result.overall.startsWith('Mock review'));
+    assert.equal(result.mistakes.length, 1);
+    assert.equal(result.scoreHint10, 1);
+  });
+
+  it('binds a copy to another provider without changing the default', () => {
+    const processor = aiProcessor.withProvider({ model: 'mock-2' });
+
+    assert.equal(processor.provider.model, 'mock-2');
+    assert.equal(aiProcessor.provider.model, 'mock-1');
+    assert.equal(aiProcessor.withProvider({}), aiProcessor);
+  });
+});
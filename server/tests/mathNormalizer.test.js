@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mathNormalizer from '../utils/mathNormalizer.js';
+import aiProcessor from '../utils/aiProcessor.js';
+
+const working = 'Solve x² + 3x − 4 = 0\n(x + 4)(x − 1) = 0\nx = -4 or x = 1';
+
+describe('mathNormalizer', () => {
+  it('tells equations from prose', () => {
+    assert.equal(mathNormalizer.isMathLine('x² + 3x − 4 = 0'), true);
+    assert.equal(mathNormalizer.isMathLine('sin θ = 1/2'), true);
+    assert.equal(mathNormalizer.isMathLine('The cell membrane controls what enters the cell.'), false);
+    assert.equal(mathNormalizer.isMathLine('$E = mc^2$'), true);
+  });
+
+  it('treats text as working only when enough lines are equations', () => {
+    assert.equal(mathNormalizer.isMathText(working), true);
+    assert.equal(mathNormalizer.isMathText('I like maths.\nIt is fun.\nx + 1 = 2'), false);
+    assert.equal(mathNormalizer.isMathSubject(' Algebra '), true);
+    assert.equal(mathNormalizer.isMathSubject('history'), false);
+  });
+
+  it('rewrites equations in LaTeX notation and leaves prose alone', () => {
+    const cases = {
+      'x² + 3x − 4 = 0': '$x^{2} + 3x - 4 = 0$',
+      '12 x 3 = 36': '$12 \\times 3 = 36$',
+      'sin θ = 1/2': '$\\sin \\theta = \\frac{1}{2}$',
+      'Area = √(16) × 2': '$Area = \\sqrt{16} \\times 2$',
+      'The cell membrane controls what enters the cell.': 'The cell membrane controls what enters the cell.'
+    };
+
+    for (const [line, expected] of Object.entries(cases)) {
+      assert.equal(mathNormalizer.normalize(line).text, expected, line);
+    }
+  });
+
+  it('counts the formulas it rewrote and keeps the line structure', () => {
+    const { text, formulaCount } = mathNormalizer.normalize(working);
+
+    assert.equal(formulaCount, 2);
+    assert.deepEqual(text.split('\n'), ['Solve $x^{2} + 3x - 4 = 0$', '$(x + 4)(x - 1) = 0$', 'x = -4 or x = 1']);
+    assert.deepEqual(mathNormalizer.normalize(text), { text, formulaCount: 0 });
+  });
+
+  it('numbers the non-empty lines as steps', () => {
+    assert.deepEqual(mathNormalizer.numberSteps('a = 1\n\nb = 2'), { text: '[Step 1] a = 1\n\n[Step 2] b = 2', steps: 2 });
+  });
+});
+
+describe('math review', () => {
+  it('reviews working step by step and points suggestions at steps', async () => {
+    const result = await aiProcessor.analyzeText(mathNormalizer.normalize(working).text, { math: true, subject: 'math' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.task, 'math');
+    assert.deepEqual(result.math, { steps: 3, firstErrorStep: null });
+
+    const stepSuggestion = result.suggestions.find(suggestion => suggestion.formula);
+    assert.equal(stepSuggestion.location, 'Step 1');
+    assert.equal(stepSuggestion.formula, 'x^{2} + 3x - 4 = 0');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Tesseract from 'tesseract.js';
+import ocrProcessor from '../utils/ocrProcessor.js';
+
+describe('ocrProcessor with OCR_LANG_PATH', () => {
+  const { langPath, languages } = ocrProcessor;
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'answerlense-tessdata-'));
+    for (const file of ['eng.traineddata', 'fra.traineddata.gz', 'spa.traineddata', 'spa.traineddata.gz', 'osd.traineddata']) {
+      await fs.writeFile(path.join(dir, file), '');
+    }
+    ocrProcessor.langPath = dir;
+    ocrProcessor.languages = 'eng';
+    ocrProcessor.loadLanguageData();
+  });
+
+  after(async () => {
+    ocrProcessor.langPath = langPath;
+    ocrProcessor.languages = languages;
+    ocrProcessor.loadLanguageData();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('supports only the languages with a traineddata file', () => {
+    assert.deepEqual(ocrProcessor.supportedLanguages, ['eng', 'fra', 'spa']);
+    assert.equal(ocrProcessor.parseLanguages('fra+spa').languages, 'fra+spa');
+
+    const selection = ocrProcessor.parseLanguages('tam');
+    assert.equal(selection.isValid, false);
+    assert.deepEqual(selection.errors, ['Unsupported OCR language: tam. Supported languages: auto, eng, fra, spa']);
+  });
+
+  it('picks plain or gzipped files for every language together', () => {
+    assert.equal(ocrProcessor.getLanguageDataOptions('eng+spa').gzip, false);
+    assert.equal(ocrProcessor.getLanguageDataOptions('fra+spa').gzip, true);
+    assert.equal(ocrProcessor.getLanguageDataOptions('osd').gzip, false);
+
+    const selection = ocrProcessor.parseLanguages('eng+fra');
+    assert.equal(selection.isValid, false);
+    assert.match(selection.errors[0], /eng, fra cannot be combined/);
+  });
+
+  it('never starts Tesseract for a language without data', async (t) => {
+    const createWorker = t.mock.method(Tesseract, 'createWorker', async () => {
+      throw new Error('should not be called');
+    });
+
+    const result = await ocrProcessor.processImage(Buffer.from('image'), { languages: 'eng+tam' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'No OCR language data for tam in OCR_LANG_PATH');
+    assert.equal(createWorker.mock.callCount(), 0);
+  });
+
+  it('runs the auto detection pass with the languages that have data', () => {
+    assert.equal(ocrProcessor.getDetectLanguages(), 'eng');
+  });
+});
+
+describe('ocrProcessor without OCR_LANG_PATH', () => {
+  it('accepts every known language, downloading its data', () => {
+    assert.deepEqual(ocrProcessor.supportedLanguages, ocrProcessor.knownLanguages);
+    assert.equal(ocrProcessor.parseLanguages('tam+eng').languages, 'tam+eng');
+    assert.equal(ocrProcessor.getLanguageDataOptions('tam').langPath, undefined);
+  });
+});
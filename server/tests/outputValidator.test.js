@@ -0,0 +1,160 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import outputValidator from '../utils/outputValidator.js';
+import aiProcessor from '../utils/aiProcessor.js';
+import { startServer, tokenFor } from './helpers.js';
+
+const validAnswer = { overall: 'Mostly right.', mistakes: [{ type: 'knowledge', what: 'ATP', why: 'Wrong organelle', fix: 'Say mitochondria' }], scoreHint10: 7 };
+
+describe('outputValidator', () => {
+  it('finds the JSON object inside markdown fences and prose', () => {
+    const response = `Here is the review:\n\`\`\`json\n${JSON.stringify(validAnswer)}\n\`\`\`\nLet me know {if} you need more.`;
+    const result = outputValidator.validate('answer', response);
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.value, validAnswer);
+    assert.equal(result.normalized, 0);
+  });
+
+  it('marks responses without usable JSON or required fields invalid', () => {
+    assert.deepEqual(outputValidator.validate('answer', 'I cannot help with that.').errors, ['Response contains no JSON object']);
+    assert.match(outputValidator.validate('answer', '{"overall": "cut off').errors[0], /incomplete/);
+    assert.equal(outputValidator.validate('answer', '{"overall": "Fine."}').valid, false);
+    assert.equal(outputValidator.validate('analysis', '{"analysis": 3, "suggestions": []}').valid, false);
+  });
+
+  it('maps synonyms onto the schema enums and counts the changes', () => {
+    const result = outputValidator.validate('analysis', JSON.stringify({
+      analysis: 'Good start.',
+      suggestions: [
+        { category: 'Spelling', priority: 'critical', suggestion: 'Fix "recieve"', location: 'Paragraph 1' },
+        { category: 'vibes', priority: 'whenever', suggestion: 'Tighten the ending', location: '' }
+      ]
+    }));
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.value.suggestions.map(s => [s.category, s.priority]), [['grammar', 'high'], ['content', 'medium']]);
+    assert.ok(result.normalized >= 4);
+  });
+
+  it('clamps scores, truncates long text and drops malformed list items', () => {
+    const result = outputValidator.validate('answer', JSON.stringify({
+      overall: 'x'.repeat(outputValidator.limits.analysis + 100),
+      mistakes: [{ type: 'grammar', what: 'their/there' }, { why: 'no what' }, 'not an object'],
+      scoreHint10: 14
+    }));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.value.overall.length, outputValidator.limits.analysis);
+    assert.deepEqual(result.value.mistakes.map(m => [m.type, m.what]), [['writing', 'their/there']]);
+    assert.equal(result.value.scoreHint10, 10);
+  });
+
+  it('turns bare step numbers into "Step N" in math reviews', () => {
+    const result = outputValidator.validate('math', JSON.stringify({
+      analysis: 'Sign error.',
+      firstErrorStep: '2',
+      suggestions: [{ category: 'content', priority: 'high', suggestion: 'Check the sign', location: '2', formula: 'x = -3' }]
+    }));
+
+    assert.equal(result.value.suggestions[0].location, 'Step 2');
+    assert.equal(result.value.firstErrorStep, 2);
+  });
+});
+
+describe('aiProcessor.generateValidated', () => {
+  const maxRepairAttempts = aiProcessor.maxRepairAttempts;
+  const prompt = { id: 'answer-default', version: 1, text: 'Review this answer' };
+
+  beforeEach(() => {
+    aiProcessor.maxRepairAttempts = 2;
+  });
+
+  afterEach(() => {
+    aiProcessor.maxRepairAttempts = maxRepairAttempts;
+  });
+
+  /**
+   * Make the provider answer with the given responses in turn
+   * @param {Object} t - Test context
+   * @param {Array<string>} responses - Raw responses
+   * @returns {Object} Mocked generate
+   */
+  const respond = (t, responses) => {
+    let call = 0;
+    return t.mock.method(aiProcessor.provider, 'generate', async () => responses[call++]);
+  };
+
+  it('returns valid output without repairs', async (t) => {
+    const generate = respond(t, [JSON.stringify(validAnswer)]);
+
+    const { value, output } = await aiProcessor.generateValidated(prompt, 'answer');
+
+    assert.deepEqual(value, validAnswer);
+    assert.deepEqual(output, { responses: 1, repairs: 0, normalized: 0, fallbacks: 0 });
+    assert.equal(generate.mock.callCount(), 1);
+  });
+
+  it('re-prompts with the errors and the invalid response until the output is valid', async (t) => {
+    const generate = respond(t, ['Sure! The answer is fine.', '{"overall": "Fine."}', JSON.stringify(validAnswer)]);
+    const repaired = aiProcessor.outputStats.repaired;
+
+    const { value, output } = await aiProcessor.generateValidated(prompt, 'answer');
+
+    assert.deepEqual(value, validAnswer);
+    assert.equal(output.repairs, 2);
+    assert.equal(aiProcessor.outputStats.repaired, repaired + 1);
+
+    const repairPrompt = generate.mock.calls[1].arguments[0];
+    assert.match(repairPrompt, /Response contains no JSON object/);
+    assert.match(repairPrompt, /Sure! The answer is fine\./);
+    assert.match(repairPrompt, /"scoreHint10": number/);
+  });
+
+  it('falls back on the first response once repairs run out', async (t) => {
+    const generate = respond(t, ['First try', 'Second try', 'Third try']);
+    const fallback = t.mock.fn(response => ({ overall: response, mistakes: [], scoreHint10: null }));
+
+    const { value, output } = await aiProcessor.generateValidated(prompt, 'answer', fallback);
+
+    assert.equal(generate.mock.callCount(), 3);
+    assert.deepEqual(fallback.mock.calls[0].arguments, ['First try']);
+    assert.equal(value.overall, 'First try');
+    assert.deepEqual(output, { responses: 1, repairs: 2, normalized: 0, fallbacks: 1 });
+  });
+
+  it('throws when repairs run out and there is no fallback', async (t) => {
+    respond(t, ['nope', 'nope', 'nope']);
+
+    await assert.rejects(aiProcessor.generateValidated(prompt, 'answer'), /Invalid answer output after 2 repair attempts/);
+  });
+});
+
+describe('model output stats', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('are left out of the public health check', async () => {
+    const response = await server.request('GET', '/health');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.llmOutput, undefined);
+  });
+
+  it('are reported to admins only', async () => {
+    assert.equal((await server.request('GET', '/health/llm')).status, 401);
+    assert.equal((await server.request('GET', '/health/llm', { token: tokenFor('64f8a1b2c3d4e5f6a7b8c9d1', 'teacher') })).status, 403);
+
+    const response = await server.request('GET', '/health/llm', { token: tokenFor('64f8a1b2c3d4e5f6a7b8c9d4', 'admin') });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.provider, 'mock');
+    assert.deepEqual(response.body.data.llmOutput, aiProcessor.outputStats);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import pageAnnotator from '../utils/pageAnnotator.js';
+
+/**
+ * OCR layout of a page with one word per 100px column and one line per 50px row
+ * @param {number} page - Page number
+ * @param {Array<string>} lines - Line texts
+ * @returns {Object} Layout { page, lines, blocks }
+ */
+const layout = (page, lines) => ({
+  page,
+  lines: lines.map((text, row) => ({
+    text,
+    bbox: { x0: 0, y0: row * 50, x1: text.split(' ').length * 100, y1: row * 50 + 40 },
+    words: text.split(' ').map((word, column) => ({
+      text: word,
+      bbox: { x0: column * 100 + 10, y0: row * 50, x1: column * 100 + 90, y1: row * 50 + 40 }
+    }))
+  })),
+  blocks: [{ bbox: { x0: 0, y0: 0, x1: 600, y1: lines.length * 50 } }]
+});
+
+const layouts = [
+  layout(1, ['The mitochondria make energy', 'for the cell.']),
+  layout(2, ['Plants use sunlight', 'to make glucose'])
+];
+
+/**
+ * @param {Object} fields - Suggestion fields
+ * @returns {Object} Suggestion
+ */
+const suggestion = fields => ({ category: 'grammar', priority: 'high', suggestion: 'Fix this', ...fields });
+
+describe('pageAnnotator.locateSuggestions', () => {
+  it('places "Line N" and "Paragraph N" locations by position across pages', () => {
+    const [line, paragraph] = pageAnnotator.locateSuggestions([
+      suggestion({ location: 'Line 3' }),
+      suggestion({ location: 'Paragraph 2' })
+    ], layouts);
+
+    assert.deepEqual([line.page, line.matchedBy, line.boxes], [2, 'position', [layouts[1].lines[0].bbox]]);
+    assert.deepEqual([paragraph.page, paragraph.boxes], [2, [layouts[1].blocks[0].bbox]]);
+  });
+
+  it('finds quoted text, tolerating some OCR misreads, with one box per line', () => {
+    const [quoted, misread, spanning] = pageAnnotator.locateSuggestions([
+      suggestion({ suggestion: 'Write "makes" instead of "make energy"' }),
+      suggestion({ location: 'Plants use sunIight' }),
+      suggestion({ suggestion: 'Rephrase "make energy for the cell"' })
+    ], layouts);
+
+    assert.equal(quoted.matchedBy, 'text');
+    assert.deepEqual([quoted.page, quoted.boxes], [1, [{ x0: 210, y0: 0, x1: 390, y1: 40 }]]);
+    assert.equal(misread.page, 2);
+    assert.deepEqual(spanning.boxes, [{ x0: 210, y0: 0, x1: 390, y1: 40 }, { x0: 10, y0: 50, x1: 290, y1: 90 }]);
+  });
+
+  it('leaves suggestions it cannot place without a page', () => {
+    const [marker] = pageAnnotator.locateSuggestions([suggestion({ location: 'Conclusion', suggestion: 'Add one' })], layouts);
+
+    assert.deepEqual([marker.number, marker.page, marker.boxes, marker.matchedBy], [1, null, [], null]);
+  });
+});
+
+describe('pageAnnotator.render', () => {
+  const page = () => sharp({ create: { width: 600, height: 200, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  const markers = pageAnnotator.locateSuggestions([
+    suggestion({ location: 'Line 1' }),
+    suggestion({ location: 'Nowhere to be found', priority: 'low' })
+  ], layouts);
+
+  it('draws highlights on the page and adds a legend below it', async () => {
+    const { buffer, contentType, filename } = await pageAnnotator.render({
+      analysisId: 'a1', markers, pages: [{ page: 1, image: await page() }], format: 'png'
+    });
+
+    assert.equal(contentType, 'image/png');
+    assert.equal(filename, 'answerlense-annotated-a1-page-1.png');
+
+    const { data, info } = await sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    assert.equal(info.width, 600);
+    assert.ok(info.height > 200);
+
+    // Inside the line's box the page is tinted with the high priority colour, outside it stays white
+    const pixel = (x, y) => [...data.subarray((y * info.width + x) * 3, (y * info.width + x) * 3 + 3)];
+    const [r, g, b] = pixel(300, 20);
+    assert.ok(r > g && r > b && g < 255, `expected a red tint, got ${[r, g, b]}`);
+    assert.deepEqual(pixel(550, 150), [255, 255, 255]);
+  });
+
+  it('renders every page into a PDF', async () => {
+    const { buffer, contentType } = await pageAnnotator.render({
+      analysisId: 'a1', markers, pages: [{ page: 1, image: await page() }, { page: 2, image: await page() }], format: 'pdf'
+    });
+
+    assert.equal(contentType, 'application/pdf');
+    const pdf = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+    assert.equal(pdf.numPages, 2);
+    await pdf.destroy();
+  });
+
+  it('returns marker positions as JSON', async () => {
+    const { buffer } = await pageAnnotator.render({ analysisId: 'a1', markers, pages: [{ page: 1 }], format: 'json' });
+    const body = JSON.parse(buffer.toString('utf8'));
+
+    assert.deepEqual(body.pages, [1]);
+    assert.deepEqual(body.markers.map(marker => marker.page), [1, null]);
+  });
+});
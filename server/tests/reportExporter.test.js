@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import yauzl from 'yauzl';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import reportExporter from '../utils/reportExporter.js';
+
+const analysis = {
+  _id: '64f8a1b2c3d4e5f6a7b8c9d0',
+  subject: 'biology',
+  createdAt: new Date('2026-03-02T10:00:00Z'),
+  status: 'completed',
+  analysis: 'A clear answer that needs more detail on respiration.',
+  scoreHint10: 7,
+  originalText: 'Mitochondria make energy ```for``` the cell.',
+  suggestions: [
+    { category: 'grammar', priority: 'low', suggestion: 'Use "makes"', location: 'Line 1' },
+    { category: 'content', priority: 'low', suggestion: 'Name the molecule' },
+    { category: 'content', priority: 'high', suggestion: 'Explain aerobic respiration', location: 'Paragraph 2' }
+  ],
+  coverage: [{ point: 'ATP is produced', status: 'missed', evidence: '' }],
+  rubricGrade: {
+    rubricId: '64f8a1b2c3d4e5f6a7b8c9e0',
+    rubricName: 'Short answer',
+    totalScore: 3,
+    maxScore: 5,
+    criteria: [{ criterion: 'Accuracy', score: 3, maxPoints: 5, level: 'Good', justification: 'Mostly correct.' }]
+  },
+  metadata: { pageCount: 1, fileType: 'png', ocrConfidence: 91.6, ocrLanguages: 'eng', aiModel: 'mock-1' }
+};
+
+/**
+ * Read one entry of a ZIP container such as a DOCX file
+ * @param {Buffer} buffer - ZIP data
+ * @param {string} name - Entry name
+ * @returns {Promise<string>} Entry content
+ */
+const readZipEntry = (buffer, name) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+    if (error) return reject(error);
+    zip.on('entry', entry => {
+      if (entry.fileName !== name) return zip.readEntry();
+      zip.openReadStream(entry, (streamError, stream) => {
+        if (streamError) return reject(streamError);
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          zip.close();
+          resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+      });
+    });
+    zip.on('end', () => reject(new Error(`${name} not found`)));
+    zip.readEntry();
+  });
+});
+
+/**
+ * @param {Buffer} buffer - PDF file
+ * @returns {Promise<string>} Text of every page
+ */
+const pdfText = async (buffer) => {
+  const pdf = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const content = await (await pdf.getPage(i)).getTextContent();
+    pages.push(content.items.map(item => item.str).join(' '));
+  }
+  await pdf.destroy();
+  return pages.join('\n');
+};
+
+describe('reportExporter', () => {
+  const branding = { schoolName: 'Hillside High', accentColor: '#0f766e', footerText: 'Feedback is generated automatically' };
+
+  it('parses the format and branding overrides', () => {
+    const options = reportExporter.parseOptions({ format: 'DOCX', schoolName: ' Hillside High ', accentColor: '0f766e' });
+    assert.equal(options.isValid, true);
+    assert.equal(options.format, 'docx');
+    assert.equal(options.branding.schoolName, 'Hillside High');
+    assert.equal(options.branding.accentColor, '#0f766e');
+
+    assert.equal(reportExporter.parseOptions().format, 'pdf');
+    assert.deepEqual(reportExporter.parseOptions({ format: 'odt', accentColor: 'teal' }).errors, [
+      'Unknown export format: odt. Available formats: pdf, docx, md, json',
+      'accentColor must be a hex colour such as #1d4ed8'
+    ]);
+  });
+
+  it('orders suggestions by category, then priority', () => {
+    const report = reportExporter.buildReport(analysis);
+
+    assert.deepEqual(report.suggestionGroups.map(group => group.category), ['content', 'grammar']);
+    assert.deepEqual(report.suggestionGroups[0].suggestions.map(s => s.priority), ['high', 'low']);
+    assert.deepEqual(report.details.find(detail => detail.label === 'OCR confidence'), { label: 'OCR confidence', value: '92%' });
+    assert.equal(report.rubric.totalScore, 3);
+  });
+
+  it('renders Markdown with every section and a fence the OCR text cannot close', async () => {
+    const { buffer, contentType, filename } = await reportExporter.render(analysis, { format: 'md', branding });
+    const markdown = buffer.toString('utf8');
+
+    assert.equal(contentType, 'text/markdown; charset=utf-8');
+    assert.equal(filename, `answerlense-report-${analysis._id}.md`);
+    assert.ok(markdown.startsWith('**Hillside High**\n\n# Answer Analysis Report'));
+    assert.match(markdown, /- \*\*High:\*\* Explain aerobic respiration \(Paragraph 2\)/);
+    assert.match(markdown, /## Rubric: Short answer \(3\/5\)/);
+    assert.match(markdown, /- \*\*Missed:\*\* ATP is produced/);
+    assert.match(markdown, /````text\nMitochondria make energy ```for``` the cell.\n````/);
+    assert.ok(markdown.trimEnd().endsWith('Feedback is generated automatically'));
+  });
+
+  it('renders a PDF with the report text', async () => {
+    const { buffer, contentType } = await reportExporter.render(analysis, { format: 'pdf', branding });
+    assert.equal(contentType, 'application/pdf');
+    assert.equal(buffer.subarray(0, 5).toString(), '%PDF-');
+
+    const text = await pdfText(buffer);
+    for (const expected of ['Hillside High', 'Answer Analysis Report', 'Explain aerobic respiration', 'ATP is produced']) {
+      assert.ok(text.includes(expected), `PDF is missing "${expected}"`);
+    }
+  });
+
+  it('renders a DOCX with the report text', async () => {
+    const { buffer, filename } = await reportExporter.render(analysis, { format: 'docx', branding });
+    assert.equal(filename, `answerlense-report-${analysis._id}.docx`);
+
+    const document = await readZipEntry(buffer, 'word/document.xml');
+    for (const expected of ['Answer Analysis Report', 'Explain aerobic respiration', 'Mostly correct.']) {
+      assert.ok(document.includes(expected), `DOCX is missing "${expected}"`);
+    }
+  });
+
+  it('renders JSON with the school name', async () => {
+    const { buffer } = await reportExporter.render(analysis, { format: 'json', branding });
+    const report = JSON.parse(buffer.toString('utf8'));
+
+    assert.equal(report.schoolName, 'Hillside High');
+    assert.equal(report.analysisId, analysis._id);
+    assert.equal(report.coverage[0].status, 'missed');
+  });
+});
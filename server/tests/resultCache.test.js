@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Analysis from '../models/Analysis.js';
+import resultCache from '../utils/resultCache.js';
+import aiProcessor from '../utils/aiProcessor.js';
+import promptRegistry from '../utils/prompts/index.js';
+import { MockProvider } from '../utils/llm/mockProvider.js';
+
+describe('resultCache', () => {
+  const rubric = { _id: 'r1', updatedAt: new Date('2026-01-01T00:00:00Z') };
+  const settings = { task: 'analysis', subject: 'biology', rubric, modelAnswer: 'answer-hash' };
+
+  describe('settingsHash', () => {
+    it('is stable for the same settings', () => {
+      assert.equal(resultCache.settingsHash(settings), resultCache.settingsHash({ ...settings }));
+    });
+
+    it('changes with the task, subject, rubric and model answer', () => {
+      const base = resultCache.settingsHash(settings);
+      const variants = [
+        { task: 'answer' },
+        { subject: 'math' },
+        { rubric: null },
+        { rubric: { _id: 'r2', updatedAt: rubric.updatedAt } },
+        { modelAnswer: null },
+        { modelAnswer: 'other-answer-hash' }
+      ];
+
+      for (const variant of variants) {
+        assert.notEqual(resultCache.settingsHash({ ...settings, ...variant }), base, JSON.stringify(variant));
+      }
+    });
+
+    it('changes when the rubric is edited', () => {
+      const edited = { ...rubric, updatedAt: new Date('2026-01-02T00:00:00Z') };
+      assert.notEqual(resultCache.settingsHash({ ...settings, rubric: edited }), resultCache.settingsHash(settings));
+    });
+
+    it('changes with the provider model', (t) => {
+      const base = resultCache.settingsHash(settings);
+      const provider = aiProcessor.provider;
+      aiProcessor.provider = new MockProvider({ model: 'mock-2' });
+      t.after(() => {
+        aiProcessor.provider = provider;
+      });
+
+      assert.notEqual(resultCache.settingsHash(settings), base);
+    });
+
+    it('changes when a prompt template gets a new version', (t) => {
+      const base = resultCache.settingsHash(settings);
+      const resolve = promptRegistry.resolve.bind(promptRegistry);
+      t.mock.method(promptRegistry, 'resolve', (task, options) => {
+        const template = resolve(task, options);
+        return task === 'synthesis' ? { ...template, version: template.version + 1 } : template;
+      });
+
+      assert.notEqual(resultCache.settingsHash(settings), base);
+    });
+  });
+
+  describe('hashText', () => {
+    it('ignores spacing and Unicode composition', () => {
+      assert.equal(resultCache.hashText('Café  au\nlait '), resultCache.hashText('Café au lait'));
+      assert.notEqual(resultCache.hashText('Café au lait'), resultCache.hashText('Cafe au lait'));
+    });
+  });
+
+  describe('applyResult', () => {
+    const source = {
+      _id: 's1',
+      analysis: 'Covers most of the key points.',
+      suggestions: [],
+      coverage: [{ point: 'ATP is produced', status: 'covered', evidence: 'makes ATP' }],
+      modelAnswer: { text: 'Mitochondria produce ATP.', source: 'text' },
+      metadata: { aiProvider: 'mock', aiModel: 'mock-1' },
+      toObject() {
+        return this;
+      }
+    };
+
+    /**
+     * Stub the analysis being completed and capture the update applied to it
+     * @param {Object} t - Test context
+     * @param {Object} target - Fields of the analysis being completed
+     * @returns {Object} findByIdAndUpdate call tracker
+     */
+    const stubTarget = (t, target) => {
+      t.mock.method(Analysis, 'findById', async () => ({ createdAt: new Date(), ...target }));
+      return t.mock.method(Analysis, 'findByIdAndUpdate', async (id, update) => ({ _id: id, ...update }));
+    };
+
+    it('copies the comparison but keeps the model answer of an assignment submission', async (t) => {
+      const findByIdAndUpdate = stubTarget(t, { modelAnswer: { source: 'assignment' } });
+
+      await resultCache.applyResult('a1', source);
+
+      const update = findByIdAndUpdate.mock.calls[0].arguments[1];
+      assert.equal(update.cachedFrom, 's1');
+      assert.deepEqual(update.coverage, source.coverage);
+      assert.equal(update.modelAnswer, undefined);
+      assert.ok(!Object.keys(update).some(field => field.startsWith('modelAnswer')));
+    });
+
+    it('copies the model answer read from the same file when the analysis has not read its own yet', async (t) => {
+      const fromFile = { ...source, modelAnswer: { text: 'Mitochondria produce ATP.', source: 'ocr', ocrConfidence: 91 } };
+      const findByIdAndUpdate = stubTarget(t, {});
+
+      await resultCache.applyResult('a1', fromFile);
+
+      assert.deepEqual(findByIdAndUpdate.mock.calls[0].arguments[1].modelAnswer, fromFile.modelAnswer);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Analysis from '../models/Analysis.js';
+import revisionService from '../utils/revisions.js';
+import classroomService from '../utils/classroom.js';
+import { startServer, tokenFor } from './helpers.js';
+
+/**
+ * A revision as find returns it
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Revision
+ */
+const revision = (fields = {}) => ({
+  number: 1,
+  current: false,
+  status: 'completed',
+  analysis: 'Clear answer with a few grammar slips.',
+  suggestions: [],
+  coverage: [],
+  textHash: 'text-1',
+  aiProvider: 'mock',
+  aiModel: 'mock-1',
+  promptId: 'analysis-default',
+  promptVersion: 1,
+  ocrLanguages: 'eng',
+  scoreHint10: 6,
+  ...fields
+});
+
+describe('revisionService.compare', () => {
+  it('lists only the settings that changed', () => {
+    const result = revisionService.compare(
+      revision(),
+      revision({ number: 2, aiModel: 'mock-2', promptVersion: 2 })
+    );
+
+    assert.deepEqual(result.settings, [
+      { field: 'aiModel', from: 'mock-1', to: 'mock-2' },
+      { field: 'promptVersion', from: 1, to: 2 }
+    ]);
+    assert.equal(result.from.number, 1);
+    assert.equal(result.to.number, 2);
+  });
+
+  it('reports a text change only when both revisions have a text hash', () => {
+    assert.equal(revisionService.compare(revision(), revision({ textHash: 'text-2' })).textChanged, true);
+    assert.equal(revisionService.compare(revision(), revision()).textChanged, false);
+    assert.equal(revisionService.compare(revision({ textHash: undefined }), revision({ textHash: 'text-2' })).textChanged, false);
+  });
+
+  it('reports analysis and score changes', () => {
+    const result = revisionService.compare(revision(), revision({ analysis: 'Much improved.', scoreHint10: 7.5 }));
+
+    assert.equal(result.analysisChanged, true);
+    assert.deepEqual(result.analysis, { from: 'Clear answer with a few grammar slips.', to: 'Much improved.' });
+    assert.deepEqual(result.scoreHint10, { from: 6, to: 7.5, change: 1.5 });
+    assert.equal(revisionService.compare(revision({ scoreHint10: undefined }), revision({ scoreHint10: undefined })).scoreHint10, null);
+  });
+
+  it('matches suggestions by category and wording, ignoring case and punctuation', () => {
+    const before = [
+      { category: 'grammar', priority: 'high', suggestion: 'Use "makes" instead of "make".' },
+      { category: 'clarity', priority: 'medium', suggestion: 'Define ATP before using it' },
+      { category: 'structure', priority: 'low', suggestion: 'Add a conclusion' }
+    ];
+    const after = [
+      { category: 'grammar', priority: 'high', suggestion: 'use makes instead of make' },
+      { category: 'clarity', priority: 'high', suggestion: 'Define ATP before using it.' },
+      { category: 'content', priority: 'medium', suggestion: 'Mention the electron transport chain' }
+    ];
+
+    const { suggestions } = revisionService.compare(revision({ suggestions: before }), revision({ suggestions: after }));
+
+    assert.equal(suggestions.unchanged, 1);
+    assert.deepEqual(suggestions.added.map(s => s.category), ['content']);
+    assert.deepEqual(suggestions.removed.map(s => s.category), ['structure']);
+    assert.equal(suggestions.changed.length, 1);
+    assert.equal(suggestions.changed[0].from.priority, 'medium');
+    assert.equal(suggestions.changed[0].to.priority, 'high');
+  });
+
+  it('lists model answer points whose coverage changed', () => {
+    const result = revisionService.compare(
+      revision({ coverage: [{ point: 'Mitochondria make ATP.', status: 'missed' }, { point: 'Cells divide.', status: 'covered' }] }),
+      revision({ coverage: [{ point: 'mitochondria make ATP', status: 'covered' }, { point: 'Cells divide.', status: 'covered' }] })
+    );
+
+    assert.deepEqual(result.coverage, [{ point: 'mitochondria make ATP', from: 'missed', to: 'covered' }]);
+  });
+});
+
+describe('revisionService.find', () => {
+  const analysis = {
+    status: 'completed',
+    analysis: 'Second result',
+    suggestions: [],
+    revision: { number: 2 },
+    revisions: [revision({ analysis: 'First result' })],
+    metadata: { aiProvider: 'mock' },
+    contentHash: { text: 'text-1' },
+    createdAt: new Date('2026-01-01T00:00:00Z')
+  };
+
+  it('returns the stored revisions and the current result', () => {
+    assert.equal(revisionService.find(analysis, 1).analysis, 'First result');
+    assert.equal(revisionService.find(analysis, 1).current, false);
+    assert.equal(revisionService.find(analysis, 2).analysis, 'Second result');
+    assert.equal(revisionService.find(analysis, 2).current, true);
+    assert.equal(revisionService.find(analysis, 3), null);
+  });
+
+  it('lists revisions oldest first with the current one last', () => {
+    assert.deepEqual(revisionService.list(analysis).map(r => r.number), [1, 2]);
+  });
+});
+
+describe('revisionService.archive', () => {
+  const analysis = {
+    status: 'completed',
+    analysis: 'First result',
+    originalText: 'Mitochondria make energy.',
+    suggestions: [],
+    metadata: { aiProvider: 'mock' },
+    createdAt: new Date('2026-01-01T00:00:00Z')
+  };
+
+  it('keeps only the latest maxRevisions results', () => {
+    const update = revisionService.archive(analysis);
+
+    assert.equal(update.$each.length, 1);
+    assert.equal(update.$each[0].analysis, 'First result');
+    assert.equal(update.$slice, -revisionService.maxRevisions);
+  });
+
+  it('keeps the text only when the new revision read a different one', () => {
+    assert.equal(revisionService.archive(analysis).$each[0].originalText, undefined);
+    assert.equal(revisionService.archive(analysis, { newText: analysis.originalText }).$each[0].originalText, undefined);
+    assert.equal(revisionService.archive(analysis, { newText: 'Mitochondria makes energy.' }).$each[0].originalText, analysis.originalText);
+  });
+});
+
+describe('revisionService.parseOptions', () => {
+  const pasted = { subject: 'biology', metadata: { fileType: 'text' } };
+
+  /**
+   * Set environment variables for one test
+   * @param {Object} t - Test context
+   * @param {Object} values - Variables to set, undefined to unset
+   */
+  const setEnv = (t, values) => {
+    const previous = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+    const apply = entries => Object.entries(entries).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    apply(values);
+    t.after(() => apply(previous));
+  };
+
+  it('accepts the default model of a provider and models in LLM_ALLOWED_MODELS', (t) => {
+    setEnv(t, { OPENAI_API_KEY: 'key' });
+    const allowedModels = revisionService.allowedModels;
+    revisionService.allowedModels = ['gpt-4o'];
+    t.after(() => {
+      revisionService.allowedModels = allowedModels;
+    });
+
+    assert.deepEqual(revisionService.parseOptions({ provider: 'openai', model: 'gpt-4o-mini' }, pasted).options,
+      { provider: 'openai', model: 'gpt-4o-mini', reocr: false });
+    assert.equal(revisionService.parseOptions({ provider: 'openai', model: 'gpt-4o' }, pasted).isValid, true);
+    assert.deepEqual(revisionService.parseOptions({ provider: 'openai', model: 'o1-pro' }, pasted).errors,
+      ['model o1-pro is not allowed on this server']);
+  });
+
+  it('takes a model without a provider as one of the server\'s provider, LLM_MODEL included', (t) => {
+    setEnv(t, { LLM_MODEL: 'mock-2' });
+
+    assert.equal(revisionService.parseOptions({ model: 'mock-2' }, pasted).isValid, true);
+    assert.equal(revisionService.parseOptions({ model: 'gpt-4o-mini' }, pasted).isValid, false);
+  });
+
+  it('accepts the mock provider only when it is configured or in development', (t) => {
+    setEnv(t, { LLM_PROVIDER: 'gemini', NODE_ENV: 'production' });
+    assert.deepEqual(revisionService.parseOptions({ provider: 'mock' }, pasted).errors,
+      ['provider mock is only available in development']);
+
+    process.env.NODE_ENV = 'development';
+    assert.equal(revisionService.parseOptions({ provider: 'mock' }, pasted).isValid, true);
+  });
+});
+
+describe('POST /api/results/:id/reanalyze', () => {
+  const analysisId = '64f8a1b2c3d4e5f6a7b8c9d0';
+  const studentId = '64f8a1b2c3d4e5f6a7b8c9d2';
+  const teacherId = '64f8a1b2c3d4e5f6a7b8c9d1';
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('lets only staff choose the provider or model', async (t) => {
+    const findOne = t.mock.method(Analysis, 'findOne', async () => null);
+
+    const response = await server.request('POST', `/api/results/${analysisId}/reanalyze`, {
+      token: tokenFor(studentId, 'student'),
+      body: { provider: 'mock', model: 'mock-1' }
+    });
+
+    assert.equal(response.status, 403);
+    assert.deepEqual(response.body.errors, ['Only teachers and admins can choose the provider or model of a re-analysis']);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it('checks the model of a staff re-analysis against the allowed models', async (t) => {
+    t.mock.method(classroomService, 'taughtClassIds', async () => []);
+    t.mock.method(Analysis, 'findOne', async () => ({
+      _id: analysisId, userId: teacherId, status: 'completed', subject: 'biology', metadata: { fileType: 'text' }, originalFiles: []
+    }));
+
+    const response = await server.request('POST', `/api/results/${analysisId}/reanalyze`, {
+      token: tokenFor(teacherId, 'teacher'),
+      body: { model: 'expensive-model' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors, ['model expensive-model is not allowed on this server']);
+  });
+});
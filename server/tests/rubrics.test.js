@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Rubric from '../models/Rubric.js';
+import { startServer, tokenFor } from './helpers.js';
+
+const teacherId = '64f8a1b2c3d4e5f6a7b8c9d1';
+const otherTeacherId = '64f8a1b2c3d4e5f6a7b8c9d3';
+const rubricId = '64f8a1b2c3d4e5f6a7b8c9e0';
+
+const body = {
+  name: 'Lab report',
+  criteria: [{ name: 'Method', maxPoints: 4, levels: [{ label: 'Complete', points: 4 }] }]
+};
+
+describe('rubric routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * Stub the rubric lookup with one created by a teacher and record saves and deletes
+   * @param {Object} t - Test context
+   * @returns {Object} { saved, deleted } call trackers
+   */
+  const stubRubric = (t) => {
+    const rubric = new Rubric({ _id: rubricId, ...body, createdBy: teacherId });
+    const saved = t.mock.method(rubric, 'save', async () => rubric);
+    const deleted = t.mock.method(rubric, 'deleteOne', async () => ({}));
+    t.mock.method(Rubric, 'findById', async () => rubric);
+    return { saved, deleted };
+  };
+
+  it('require a signed-in user', async () => {
+    assert.equal((await server.request('GET', '/api/rubrics')).status, 401);
+  });
+
+  it('let only teachers and admins create rubrics, recording the creator', async (t) => {
+    const save = t.mock.method(Rubric.prototype, 'save', async function () {
+      return this;
+    });
+
+    assert.equal((await server.request('POST', '/api/rubrics', { token: tokenFor(teacherId, 'student'), body })).status, 403);
+
+    const created = await server.request('POST', '/api/rubrics', { token: tokenFor(teacherId, 'teacher'), body });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.createdBy, teacherId);
+    assert.equal(save.mock.callCount(), 1);
+  });
+
+  it('let the creating teacher change and delete a rubric', async (t) => {
+    const { saved, deleted } = stubRubric(t);
+    const token = tokenFor(teacherId, 'teacher');
+
+    assert.equal((await server.request('PUT', `/api/rubrics/${rubricId}`, { token, body: { ...body, name: 'Renamed' } })).status, 200);
+    assert.equal(saved.mock.callCount(), 1);
+    assert.equal((await server.request('DELETE', `/api/rubrics/${rubricId}`, { token })).status, 200);
+    assert.equal(deleted.mock.callCount(), 1);
+  });
+
+  it('refuse changes from other teachers but allow admins', async (t) => {
+    const { saved, deleted } = stubRubric(t);
+
+    const other = tokenFor(otherTeacherId, 'teacher');
+    const denied = await server.request('PUT', `/api/rubrics/${rubricId}`, { token: other, body });
+    assert.equal(denied.status, 403);
+    assert.deepEqual(denied.body.errors, ['Only the teacher who created this rubric can change it']);
+    assert.equal((await server.request('DELETE', `/api/rubrics/${rubricId}`, { token: other })).status, 403);
+    assert.equal(saved.mock.callCount() + deleted.mock.callCount(), 0);
+
+    assert.equal((await server.request('DELETE', `/api/rubrics/${rubricId}`, { token: tokenFor(otherTeacherId, 'admin') })).status, 200);
+  });
+});
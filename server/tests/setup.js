@@ -0,0 +1,8 @@
+// Loaded before every test file (node --import): offline provider, a signing secret and quiet logs
+process.env.LLM_PROVIDER = 'mock';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { logger } = await import('../utils/logger.js');
+logger.silent = true;
+// The CORS debug line in app.js writes to stdout, which the test runner reads its results from
+console.log = () => {};
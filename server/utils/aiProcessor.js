@@ -1,41 +1,84 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider } from './llm/index.js';
+import promptRegistry from './prompts/index.js';
+import outputValidator from './outputValidator.js';
+import mathNormalizer from './mathNormalizer.js';
 import { logger } from './logger.js';
 
 class AIProcessor {
   constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
-    this.maxTokensPerChunk = 8000; // Conservative limit for Gemini
+    this.provider = createProvider();
+    this.maxTokensPerChunk = parseInt(process.env.LLM_CHUNK_TOKENS) || 2000; // Estimated tokens of document text per request
+    this.chunkOverlapTokens = Math.floor(this.maxTokensPerChunk / 20); // Context repeated at the start of the next chunk
     this.temperature = 0.3;
+    this.chunkConcurrency = parseInt(process.env.LLM_CONCURRENCY) || 3; // Chunks analyzed at the same time
+    const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS);
+    this.maxRepairAttempts = Number.isInteger(repairAttempts) && repairAttempts >= 0 ? repairAttempts : 1;
+    // Process-wide output quality counters, reported by /health
+    this.outputStats = { responses: 0, repaired: 0, repairs: 0, normalized: 0, fallbacks: 0 };
   }
 
   /**
-   * Generate academic analysis using Gemini
+   * A processor that sends every prompt to another provider or model, e.g. to re-run an analysis on a new model.
+   * Output statistics stay shared with this processor.
+   * @param {Object} options - { provider, model } passed to createProvider; both optional
+   * @returns {AIProcessor} This processor when neither is given, otherwise a copy bound to the other provider
+   */
+  withProvider({ provider, model } = {}) {
+    if (!provider && !model) return this;
+
+    const processor = Object.create(this);
+    processor.provider = createProvider({ provider, model });
+    return processor;
+  }
+
+  /**
+   * Generate academic analysis using the configured LLM provider
    * @param {string} text - Extracted text from document
    * @param {Object} options - Analysis options
+   * @param {Function} options.onProgress - Called with { chunk, totalChunks } as each chunk starts, then { synthesis: true, totalChunks }
+   * @param {string} options.subject - Subject used to pick the prompt template
+   * @param {number} options.promptVersion - Prompt template version, defaults to the latest
+   * @param {boolean} options.math - Review the text as mathematical working, step by step
    * @returns {Promise<Object>} Analysis results
    */
   async analyzeText(text, options = {}) {
+    const { onProgress, subject, promptVersion, math = false } = options;
+    const task = math ? 'math' : 'analysis';
+    const promptOptions = { task, subject, version: promptVersion };
+
     try {
       const startTime = Date.now();
-      logger.info('Starting AI analysis with Gemini');
+      const template = promptRegistry.resolve(task, promptOptions);
+      logger.info(`Starting AI analysis with ${this.provider.name} (${this.provider.model}), prompt ${template.id} v${template.version}`);
+
+      // Number the steps before chunking so step labels stay the same across chunks
+      const steps = math ? mathNormalizer.numberSteps(text) : null;
 
       // Check if text needs to be chunked
-      const chunks = this.chunkText(text);
+      const chunks = this.chunkText(steps ? steps.text : text);
       logger.info(`Text split into ${chunks.length} chunks for analysis`);
 
-      let analysis, suggestions;
+      let analysis, suggestions, output, firstErrorStep;
+      let failedChunks = [];
+      let synthesisPrompt = null;
 
       if (chunks.length === 1) {
         // Single chunk analysis
-        const result = await this.analyzeSingleChunk(chunks[0]);
+        onProgress?.({ chunk: 1, totalChunks: 1 });
+        const result = await this.analyzeSingleChunk(chunks[0], promptOptions);
         analysis = result.analysis;
         suggestions = result.suggestions;
+        output = result.output;
+        firstErrorStep = result.firstErrorStep ?? null;
       } else {
         // Multi-chunk analysis
-        const result = await this.analyzeMultipleChunks(chunks);
+        const result = await this.analyzeMultipleChunks(chunks, onProgress, promptOptions);
         analysis = result.analysis;
         suggestions = result.suggestions;
+        output = result.output;
+        failedChunks = result.failedChunks;
+        synthesisPrompt = result.synthesisPrompt;
+        firstErrorStep = result.firstErrorStep;
       }
 
       const processingTime = Date.now() - startTime;
@@ -46,6 +89,14 @@ class AIProcessor {
         suggestions,
         processingTime,
         chunkCount: chunks.length,
+        failedChunks,
+        task,
+        math: steps ? { steps: steps.steps, firstErrorStep } : null,
+        prompt: { id: template.id, version: template.version },
+        synthesisPrompt,
+        output,
+        provider: this.provider.name,
+        model: this.provider.model,
         success: true
       };
 
@@ -64,118 +115,528 @@ class AIProcessor {
   /**
    * Analyze a single text chunk
    * @param {string} text - Text chunk to analyze
+   * @param {Object} promptOptions - { task, subject, version } for the prompt template; task is analysis or math
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeSingleChunk(text) {
-    const prompt = this.buildAnalysisPrompt(text);
-    
-    const result = await this.model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: this.temperature,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 2048,
-      }
+  async analyzeSingleChunk(text, promptOptions = {}) {
+    const prompt = this.buildAnalysisPrompt(text, promptOptions);
+    const task = promptOptions.task || 'analysis';
+    const { value, output } = await this.generateValidated(prompt, task, response => this.fallbackAnalysisResponse(response));
+    return { ...value, output };
+  }
+
+  /**
+   * Send a prompt to the configured LLM provider
+   * @param {string} prompt - Full prompt text
+   * @returns {Promise<string>} Raw response text
+   */
+  async generateContent(prompt) {
+    return this.provider.generate(prompt, {
+      temperature: this.temperature,
+      maxOutputTokens: 2048
     });
+  }
 
-    const response = result.response.text();
-    return this.parseAnalysisResponse(response);
+  /**
+   * Generate a response and validate it against the task's output schema.
+   * Invalid responses get up to maxRepairAttempts repair re-prompts before the fallback is used.
+   * @param {Object} prompt - Rendered prompt { id, version, text }
+   * @param {string} task - Output schema: analysis, answer, rubric or comparison
+   * @param {Function} fallback - Builds a result from the original response when repair fails; without one we throw
+   * @returns {Promise<Object>} { value, output: { responses, repairs, normalized, fallbacks } }
+   */
+  async generateValidated(prompt, task, fallback) {
+    const firstResponse = await this.generateContent(prompt.text);
+    let response = firstResponse;
+    let result = outputValidator.validate(task, response);
+    let repairs = 0;
+
+    while (!result.valid && repairs < this.maxRepairAttempts) {
+      repairs++;
+      logger.warn(`Invalid ${task} output from ${prompt.id} v${prompt.version} (${result.errors.join('; ')}), repair attempt ${repairs}/${this.maxRepairAttempts}`);
+      response = await this.generateContent(this.buildRepairPrompt(task, response, result.errors).text);
+      result = outputValidator.validate(task, response);
+    }
+
+    this.outputStats.responses++;
+    this.outputStats.repairs += repairs;
+    this.outputStats.normalized += result.normalized;
+    const output = { responses: 1, repairs, normalized: result.normalized, fallbacks: 0 };
+
+    if (result.valid) {
+      if (repairs > 0) this.outputStats.repaired++;
+      if (result.normalized > 0) logger.info(`Normalized ${result.normalized} ${task} output values`);
+      return { value: result.value, output };
+    }
+
+    if (!fallback) {
+      throw new Error(`Invalid ${task} output after ${repairs} repair attempts: ${result.errors.join('; ')}`);
+    }
+
+    this.outputStats.fallbacks++;
+    logger.warn(`Invalid ${task} output after ${repairs} repair attempts (${result.errors.join('; ')}), using heuristic fallback`);
+    return { value: fallback(firstResponse || ''), output: { ...output, fallbacks: 1 } };
   }
 
   /**
-   * Analyze multiple text chunks and combine results
-   * @param {Array<string>} chunks - Text chunks to analyze
-   * @returns {Promise<Object>} Combined analysis result
+   * Build a re-prompt asking the model to fix its own output
+   * @param {string} task - Output schema the response failed
+   * @param {string} response - Invalid response
+   * @param {Array<string>} errors - Validation errors
+   * @returns {Object} { id, version, text }
+   */
+  buildRepairPrompt(task, response, errors) {
+    return promptRegistry.render('repair', {
+      format: outputValidator.formats[task],
+      errors: errors.map(error => `- ${error}`).join('\n'),
+      response: String(response || '').substring(0, 8000)
+    });
+  }
+
+  /**
+   * Add up output counters from several model calls
+   * @param {...Object} outputs - { responses, repairs, normalized, fallbacks }, missing entries are skipped
+   * @returns {Object} Summed counters
    */
-  async analyzeMultipleChunks(chunks) {
-    const chunkAnalyses = [];
+  mergeOutputStats(...outputs) {
+    return outputs.filter(Boolean).reduce((total, output) => ({
+      responses: total.responses + output.responses,
+      repairs: total.repairs + output.repairs,
+      normalized: total.normalized + output.normalized,
+      fallbacks: total.fallbacks + output.fallbacks
+    }), { responses: 0, repairs: 0, normalized: 0, fallbacks: 0 });
+  }
+
+  /**
+   * Review a single exam answer and list its mistakes
+   * @param {string} text - Student answer text
+   * @param {Object} options - Review options
+   * @param {string} options.subject - Subject the answer was written for
+   * @param {number} options.promptVersion - Prompt template version, defaults to the latest
+   * @returns {Promise<Object>} Overall verdict, mistakes and a score hint out of 10
+   */
+  async analyzeAnswer(text, options = {}) {
+    const { subject = 'general', promptVersion } = options;
+
+    try {
+      const startTime = Date.now();
+      logger.info(`Starting answer review with ${this.provider.name} (subject: ${subject})`);
+
+      const prompt = this.buildAnswerPrompt(text, subject, promptVersion);
+      const { value: result, output } = await this.generateValidated(prompt, 'answer', response => this.fallbackAnswerResponse(response));
+
+      const processingTime = Date.now() - startTime;
+      logger.info(`Answer review completed in ${processingTime}ms with ${result.mistakes.length} mistakes`);
+
+      return {
+        ...result,
+        processingTime,
+        prompt: { id: prompt.id, version: prompt.version },
+        output,
+        provider: this.provider.name,
+        model: this.provider.model,
+        success: true
+      };
 
-    // Analyze each chunk
-    for (let i = 0; i < chunks.length; i++) {
+    } catch (error) {
+      logger.error('Answer review failed:', error);
+      return {
+        overall: 'Analysis failed due to technical error. Please try again.',
+        mistakes: [],
+        scoreHint10: null,
+        processingTime: 0,
+        error: error.message,
+        success: false
+      };
+    }
+  }
+
+  /**
+   * Score an answer against each criterion of a rubric
+   * @param {string} text - Student answer text
+   * @param {Object} rubric - Rubric document with criteria { _id, name, description, maxPoints, levels }
+   * @param {Object} options - Grading options
+   * @param {string} options.subject - Subject the answer was written for, defaults to the rubric's
+   * @returns {Promise<Object>} Per-criterion scores with justifications and the total
+   */
+  async gradeWithRubric(text, rubric, options = {}) {
+    const subject = options.subject || rubric.subject || 'general';
+    const maxScore = rubric.criteria.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+
+    try {
+      const startTime = Date.now();
+      logger.info(`Starting rubric grading with ${this.provider.name} (rubric: ${rubric.name})`);
+
+      const prompt = this.buildRubricPrompt(text, rubric, subject);
+      // Without usable output every criterion is reported as not assessed
+      const { value, output } = await this.generateValidated(prompt, 'rubric', () => ({ overall: 'Grading completed.', criteria: [] }));
+      const result = this.mapRubricScores(value, rubric);
+
+      const processingTime = Date.now() - startTime;
+      logger.info(`Rubric grading completed in ${processingTime}ms: ${result.totalScore}/${maxScore}`);
+
+      return {
+        rubricId: rubric._id,
+        rubricName: rubric.name,
+        ...result,
+        maxScore,
+        processingTime,
+        prompt: { id: prompt.id, version: prompt.version },
+        output,
+        provider: this.provider.name,
+        model: this.provider.model,
+        success: true
+      };
+
+    } catch (error) {
+      logger.error('Rubric grading failed:', error);
+      return {
+        rubricId: rubric._id,
+        rubricName: rubric.name,
+        criteria: [],
+        totalScore: null,
+        maxScore,
+        overall: 'Grading failed due to technical error. Please try again.',
+        processingTime: 0,
+        error: error.message,
+        success: false
+      };
+    }
+  }
+
+  /**
+   * Compare an answer with a model answer and report which key points it covers
+   * @param {string} text - Student answer text
+   * @param {string} modelAnswer - Reference answer or marking scheme text
+   * @param {Object} options - Comparison options
+   * @param {string} options.subject - Subject the answer was written for
+   * @returns {Promise<Object>} Coverage entries { point, status, evidence }
+   */
+  async compareWithModelAnswer(text, modelAnswer, options = {}) {
+    const { subject = 'general' } = options;
+
+    try {
+      const startTime = Date.now();
+      logger.info(`Starting model answer comparison with ${this.provider.name} (subject: ${subject})`);
+
+      const prompt = this.buildComparisonPrompt(text, modelAnswer, subject);
+      // No heuristic can tell covered points from missed ones, so invalid output fails the comparison
+      const { value: { coverage }, output } = await this.generateValidated(prompt, 'comparison');
+
+      const processingTime = Date.now() - startTime;
+      const covered = coverage.filter(entry => entry.status === 'covered').length;
+      logger.info(`Model answer comparison completed in ${processingTime}ms: ${covered}/${coverage.length} points covered`);
+
+      return {
+        coverage,
+        processingTime,
+        prompt: { id: prompt.id, version: prompt.version },
+        output,
+        provider: this.provider.name,
+        model: this.provider.model,
+        success: true
+      };
+
+    } catch (error) {
+      logger.error('Model answer comparison failed:', error);
+      return {
+        coverage: [],
+        processingTime: 0,
+        error: error.message,
+        success: false
+      };
+    }
+  }
+
+  /**
+   * Analyze chunks in parallel (map), then merge their findings with a synthesis pass (reduce)
+   * @param {Array<string>} chunks - Text chunks to analyze
+   * @param {Function} onProgress - Optional progress callback
+   * @param {Object} promptOptions - { task, subject, version } for the prompt template
+   * @returns {Promise<Object>} Combined analysis result with failedChunks, firstErrorStep and the synthesis prompt used
+   */
+  async analyzeMultipleChunks(chunks, onProgress, promptOptions = {}) {
+    const chunkAnalyses = await this.mapWithConcurrency(chunks, this.chunkConcurrency, async (chunk, i) => {
       logger.info(`Analyzing chunk ${i + 1}/${chunks.length}`);
+      onProgress?.({ chunk: i + 1, totalChunks: chunks.length });
       try {
-        const result = await this.analyzeSingleChunk(chunks[i]);
-        chunkAnalyses.push({
+        const result = await this.analyzeSingleChunk(chunk, promptOptions);
+        return {
           ...result,
           chunkIndex: i,
-          chunkText: chunks[i].substring(0, 100) + '...'
-        });
+          chunkText: chunk.substring(0, 100) + '...'
+        };
       } catch (error) {
         logger.error(`Failed to analyze chunk ${i + 1}:`, error);
-        chunkAnalyses.push({
+        return {
           analysis: `Chunk ${i + 1} analysis failed`,
           suggestions: [],
           chunkIndex: i,
           error: error.message
-        });
+        };
       }
+    });
+
+    const failedChunks = chunkAnalyses
+      .filter(a => a.error)
+      .map(a => ({ chunk: a.chunkIndex + 1, error: a.error.substring(0, 500) }));
+
+    if (failedChunks.length === chunks.length) {
+      throw new Error(`All ${chunks.length} chunks failed to analyze: ${failedChunks[0].error}`);
     }
 
-    // Combine results
-    return this.combineChunkAnalyses(chunkAnalyses);
+    onProgress?.({ synthesis: true, totalChunks: chunks.length });
+    const result = await this.synthesizeChunkAnalyses(chunkAnalyses, promptOptions);
+
+    // Steps are numbered across the whole document, so the earliest error over all chunks is the first one
+    const errorSteps = chunkAnalyses.map(a => a.firstErrorStep).filter(Number.isInteger);
+    const firstErrorStep = errorSteps.length > 0 ? Math.min(...errorSteps) : null;
+
+    return { ...result, failedChunks, firstErrorStep };
   }
 
   /**
-   * Build analysis prompt for Gemini
-   * @param {string} text - Text to analyze
-   * @returns {string} Formatted prompt
+   * Merge per-chunk findings into one report with globally ranked suggestions.
+   * Falls back to concatenating the sections if synthesis output is unusable or the call fails.
+   * @param {Array} chunkAnalyses - Chunk results in document order, failed ones carrying error
+   * @param {Object} promptOptions - { subject } for the prompt
+   * @returns {Promise<Object>} { analysis, suggestions, output, synthesisPrompt }
    */
-  buildAnalysisPrompt(text) {
-    return `You are an expert academic writing assistant. Analyze the following student document for correctness, clarity, grammar, and improvements. Provide actionable feedback.
-
-Document Text:
-"""
-${text}
-"""
-
-Please provide your analysis in the following JSON format:
-{
-  "analysis": "Overall analysis of the document (2-3 paragraphs)",
-  "suggestions": [
-    {
-      "category": "grammar|clarity|structure|content|formatting",
-      "priority": "high|medium|low",
-      "suggestion": "Specific actionable suggestion",
-      "location": "Where in the document this applies (optional)"
+  async synthesizeChunkAnalyses(chunkAnalyses, promptOptions = {}) {
+    const chunkOutput = this.mergeOutputStats(...chunkAnalyses.map(a => a.output));
+    const prompt = this.buildSynthesisPrompt(chunkAnalyses, promptOptions.subject);
+
+    try {
+      const { value, output } = await this.generateValidated(prompt, 'analysis', () => this.combineChunkAnalyses(chunkAnalyses));
+      logger.info(`Synthesized ${chunkAnalyses.length} chunk analyses into ${value.suggestions.length} suggestions`);
+
+      return {
+        analysis: value.analysis,
+        suggestions: this.deduplicateSuggestions(value.suggestions),
+        output: this.mergeOutputStats(chunkOutput, output),
+        synthesisPrompt: { id: prompt.id, version: prompt.version }
+      };
+
+    } catch (error) {
+      logger.warn(`Synthesis failed, combining chunk analyses directly: ${error.message}`);
+      this.outputStats.fallbacks++;
+      return {
+        ...this.combineChunkAnalyses(chunkAnalyses),
+        output: this.mergeOutputStats(chunkOutput, { responses: 0, repairs: 0, normalized: 0, fallbacks: 1 }),
+        synthesisPrompt: null
+      };
     }
-  ]
-}
+  }
 
-Focus on:
-1. Grammar and language usage
-2. Clarity and coherence
-3. Structure and organization
-4. Content accuracy and completeness
-5. Formatting and presentation
+  /**
+   * Run an async worker over items with at most limit in flight, keeping results in input order
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent workers
+   * @param {Function} worker - Called with (item, index); should handle its own errors
+   * @returns {Promise<Array>} Worker results
+   */
+  async mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
 
-Provide constructive, specific, and actionable feedback. Be encouraging while pointing out areas for improvement.`;
+    await Promise.all(runners);
+    return results;
   }
 
   /**
-   * Parse Gemini response into structured format
-   * @param {string} response - Raw Gemini response
-   * @returns {Object} Parsed analysis and suggestions
+   * Build analysis (or math review) prompt from the subject's template
+   * @param {string} text - Text to analyze
+   * @param {Object} options - { task, subject, version } for the prompt template
+   * @returns {Object} { id, version, text }
    */
-  parseAnalysisResponse(response) {
-    try {
-      // Try to extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
+  buildAnalysisPrompt(text, options = {}) {
+    return promptRegistry.render(options.task || 'analysis', { text, subject: options.subject || 'general' }, options);
+  }
+
+  /**
+   * Build synthesis prompt from per-chunk findings
+   * @param {Array} chunkAnalyses - Chunk results in document order
+   * @param {string} subject - Subject of the document
+   * @returns {Object} { id, version, text }
+   */
+  buildSynthesisPrompt(chunkAnalyses, subject = 'general') {
+    const findings = chunkAnalyses
+      .filter(a => !a.error)
+      .map(a => {
+        const suggestions = a.suggestions
+          .map(s => `- [${s.priority}] (${s.category}) ${s.suggestion}${s.location ? ` (${s.location})` : ''}${s.formula ? ` [formula: ${s.formula}]` : ''}`)
+          .join('\n');
+        return `Section ${a.chunkIndex + 1}:\n${a.analysis}\nSuggestions:\n${suggestions || '- none'}`;
+      })
+      .join('\n\n');
+
+    const failed = chunkAnalyses.filter(a => a.error).map(a => a.chunkIndex + 1);
+
+    return promptRegistry.render('synthesis', {
+      subject,
+      sectionCount: chunkAnalyses.length,
+      findings,
+      failedSections: failed.length > 0 ? failed.join(', ') : 'none'
+    }, { subject });
+  }
+
+  /**
+   * Build exam answer review prompt
+   * @param {string} text - Student answer
+   * @param {string} subject - Subject the answer was written for
+   * @param {number} version - Prompt template version, defaults to the latest
+   * @returns {Object} { id, version, text }
+   */
+  buildAnswerPrompt(text, subject, version) {
+    return promptRegistry.render('answer', { text, subject }, { subject, version });
+  }
+
+  /**
+   * Build rubric grading prompt
+   * @param {string} text - Student answer
+   * @param {Object} rubric - Rubric to grade against
+   * @param {string} subject - Subject the answer was written for
+   * @returns {Object} { id, version, text }
+   */
+  buildRubricPrompt(text, rubric, subject) {
+    const criteria = rubric.criteria.map((criterion, i) => {
+      const lines = [`[${i + 1}] ${criterion.name} (max ${criterion.maxPoints} points)`];
+      if (criterion.description) {
+        lines.push(`    ${criterion.description}`);
+      }
+      for (const level of criterion.levels || []) {
+        lines.push(`    - ${level.label} (${level.points} points)${level.descriptor ? `: ${level.descriptor}` : ''}`);
+      }
+      return lines.join('\n');
+    }).join('\n');
+
+    return promptRegistry.render('rubric', { text, subject, rubricName: rubric.name, criteria }, { subject });
+  }
+
+  /**
+   * Map validated rubric output onto the rubric's criteria, clamping scores to each criterion's points
+   * @param {Object} graded - Validated output { overall, criteria: [{ criterion, score, level, justification }] }
+   * @param {Object} rubric - Rubric that was graded against
+   * @returns {Object} { criteria, totalScore, overall }
+   */
+  mapRubricScores(graded, rubric) {
+    const criteria = rubric.criteria.map((criterion, i) => {
+      // Models sometimes answer with the criterion name instead of its number
+      const entry = graded.criteria.find(item => Number(item.criterion) === i + 1)
+        || graded.criteria.find(item => String(item.criterion).trim().toLowerCase() === criterion.name.toLowerCase());
+
+      if (!entry) {
         return {
-          analysis: parsed.analysis || 'Analysis completed successfully.',
-          suggestions: Array.isArray(parsed.suggestions) ? parsed.suggestions : []
+          criterionId: criterion._id,
+          criterion: criterion.name,
+          maxPoints: criterion.maxPoints,
+          score: 0,
+          level: '',
+          justification: 'Not assessed by the grader.'
         };
       }
-    } catch (error) {
-      logger.warn('Failed to parse JSON response, using fallback parsing');
-    }
 
-    // Fallback parsing if JSON extraction fails
+      const score = Math.min(criterion.maxPoints, Math.max(0, entry.score));
+
+      return {
+        criterionId: criterion._id,
+        criterion: criterion.name,
+        maxPoints: criterion.maxPoints,
+        score,
+        level: this.matchRubricLevel(criterion, entry.level, score),
+        justification: entry.justification
+      };
+    });
+
     return {
-      analysis: response || 'Analysis completed successfully.',
-      suggestions: this.extractSuggestionsFromText(response)
+      criteria,
+      totalScore: criteria.reduce((sum, criterion) => sum + criterion.score, 0),
+      overall: graded.overall
+    };
+  }
+
+  /**
+   * Pick the rubric level for a score, preferring the label the model chose when it exists
+   * @param {Object} criterion - Rubric criterion
+   * @param {string} label - Level label returned by the model
+   * @param {number} score - Clamped score
+   * @returns {string} Level label, or an empty string for criteria without levels
+   */
+  matchRubricLevel(criterion, label, score) {
+    const levels = criterion.levels || [];
+    if (levels.length === 0) return '';
+
+    const named = levels.find(level => level.label.toLowerCase() === String(label || '').trim().toLowerCase());
+    if (named) return named.label;
+
+    // Otherwise the highest level the score reaches
+    const reached = levels
+      .filter(level => level.points <= score)
+      .sort((a, b) => b.points - a.points)[0];
+    return reached ? reached.label : '';
+  }
+
+  /**
+   * Build model answer comparison prompt
+   * @param {string} text - Student answer
+   * @param {string} modelAnswer - Reference answer or marking scheme
+   * @param {string} subject - Subject the answer was written for
+   * @returns {Object} { id, version, text }
+   */
+  buildComparisonPrompt(text, modelAnswer, subject) {
+    return promptRegistry.render('comparison', { text, modelAnswer, subject }, { subject });
+  }
+
+  /**
+   * Heuristic answer review for responses that stayed invalid after repair
+   * @param {string} response - Original model response
+   * @returns {Object} Raw response as the verdict, with no mistakes or score
+   */
+  fallbackAnswerResponse(response) {
+    return {
+      overall: outputValidator.truncate(response, outputValidator.limits.analysis) || 'Analysis completed successfully.',
+      mistakes: [],
+      scoreHint10: null
+    };
+  }
+
+  /**
+   * Convert answer review mistakes into the suggestion format stored on analyses
+   * @param {Array} mistakes - Mistakes from analyzeAnswer
+   * @returns {Array} Suggestions
+   */
+  mistakesToSuggestions(mistakes) {
+    const categories = {
+      knowledge: 'content',
+      logic: 'structure',
+      writing: 'grammar',
+      format: 'formatting'
+    };
+
+    return mistakes.map(mistake => ({
+      category: categories[mistake.type] || 'content',
+      priority: ['knowledge', 'logic'].includes(mistake.type) ? 'high' : 'medium',
+      suggestion: [mistake.what, mistake.fix].filter(Boolean).join(' Fix: ').substring(0, 1000),
+      location: ''
+    }));
+  }
+
+  /**
+   * Heuristic analysis for responses that stayed invalid after repair
+   * @param {string} response - Original model response
+   * @returns {Object} Raw response as the analysis, with suggestions picked out of its lines
+   */
+  fallbackAnalysisResponse(response) {
+    return {
+      analysis: outputValidator.truncate(response, outputValidator.limits.analysis) || 'Analysis completed successfully.',
+      suggestions: outputValidator.normalizeSuggestions(this.extractSuggestionsFromText(response))
     };
   }
 
@@ -191,7 +652,7 @@ Provide constructive, specific, and actionable feedback. Be encouraging while po
     for (const line of lines) {
       if (line.includes('suggest') || line.includes('improve') || line.includes('consider')) {
         suggestions.push({
-          category: 'general',
+          category: 'content',
           priority: 'medium',
           suggestion: line.trim(),
           location: ''
@@ -203,31 +664,27 @@ Provide constructive, specific, and actionable feedback. Be encouraging while po
   }
 
   /**
-   * Combine analyses from multiple chunks
+   * Combine analyses from multiple chunks without a model call, used when synthesis fails
    * @param {Array} chunkAnalyses - Individual chunk analyses
    * @returns {Object} Combined analysis
    */
   combineChunkAnalyses(chunkAnalyses) {
     const validAnalyses = chunkAnalyses.filter(a => !a.error);
-    
-    if (validAnalyses.length === 0) {
-      return {
-        analysis: 'Unable to analyze document due to processing errors.',
-        suggestions: []
-      };
-    }
 
     // Combine analyses
     const combinedAnalysis = validAnalyses
-      .map((a, i) => `Section ${i + 1}: ${a.analysis}`)
+      .map(a => `Section ${a.chunkIndex + 1}: ${a.analysis}`)
       .join('\n\n');
 
-    // Combine and deduplicate suggestions
+    // Combine, deduplicate and rank suggestions by priority (stable, so document order breaks ties)
+    const rank = { high: 0, medium: 1, low: 2 };
     const allSuggestions = validAnalyses.flatMap(a => a.suggestions);
-    const uniqueSuggestions = this.deduplicateSuggestions(allSuggestions);
+    const uniqueSuggestions = this.deduplicateSuggestions(allSuggestions)
+      .sort((a, b) => rank[a.priority] - rank[b.priority]);
 
     return {
-      analysis: `Document Analysis (${validAnalyses.length} sections):\n\n${combinedAnalysis}`,
+      analysis: `Document Analysis (${validAnalyses.length} of ${chunkAnalyses.length} sections):\n\n${combinedAnalysis}`
+        .substring(0, outputValidator.limits.analysis),
       suggestions: uniqueSuggestions
     };
   }
@@ -250,51 +707,158 @@ Provide constructive, specific, and actionable feedback. Be encouraging while po
   }
 
   /**
-   * Split text into manageable chunks for AI processing
+   * Estimate the token count of text without a tokenizer: about 4 characters per token,
+   * except CJK and Hangul characters, which are usually a token each
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    const wide = (text.match(/[\u3040-\u9fff\uac00-\ud7af]/g) || []).length;
+    return Math.ceil((text.length - wide) / 4) + wide;
+  }
+
+  /**
+   * Split text into manageable chunks for AI processing.
+   * Chunks end on paragraph or sentence boundaries where possible, and each chunk after the first
+   * starts with the last sentences of the previous one so nothing is read without its context.
    * @param {string} text - Text to chunk
    * @returns {Array<string>} Text chunks
    */
   chunkText(text) {
-    if (text.length <= this.maxTokensPerChunk) {
+    if (this.estimateTokens(text) <= this.maxTokensPerChunk) {
       return [text];
     }
 
+    const segments = this.splitIntoSegments(text);
     const chunks = [];
-    const paragraphs = text.split('\n\n');
-    let currentChunk = '';
+    let current = [];
+    let currentTokens = 0;
+
+    // Segments are joined with their separators, except the first of a chunk, so those count towards the limit too
+    const joinedTokens = segment => segment.tokens + this.estimateTokens(segment.separator);
+
+    for (const segment of segments) {
+      if (current.length > 0 && currentTokens + joinedTokens(segment) > this.maxTokensPerChunk) {
+        chunks.push(current);
+
+        // Carry over the closing sentences, if they leave room for the new segment
+        const overlap = this.overlapSegments(current);
+        const overlapTokens = overlap.reduce((total, s, i) => total + (i === 0 ? s.tokens : joinedTokens(s)), 0);
+        const fits = overlapTokens + joinedTokens(segment) <= this.maxTokensPerChunk;
+
+        current = fits ? overlap : [];
+        currentTokens = fits ? overlapTokens : 0;
+      }
+
+      currentTokens += current.length > 0 ? joinedTokens(segment) : segment.tokens;
+      current.push(segment);
+    }
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks
+      .map(chunk => chunk.map((segment, i) => (i === 0 ? '' : segment.separator) + segment.text).join('').trim())
+      .filter(chunk => chunk.length > 0);
+  }
+
+  /**
+   * Take the end of a chunk, within chunkOverlapTokens, to repeat at the start of the next one.
+   * Whole trailing segments are used when they fit, otherwise the last sentences of the final one.
+   * @param {Array<Object>} segments - Segments of the finished chunk
+   * @returns {Array<Object>} Overlap segments
+   */
+  overlapSegments(segments) {
+    const overlap = [];
+    let tokens = 0;
+
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const segment = segments[i];
+      if (tokens + segment.tokens <= this.chunkOverlapTokens) {
+        overlap.unshift(segment);
+        tokens += segment.tokens;
+        continue;
+      }
+
+      // Too big to repeat whole, so keep as many of its closing sentences as fit
+      const sentences = segment.text.split(/(?<=[.!?]["')\]]?)\s+/);
+      let tail = '';
+      for (let j = sentences.length - 1; j > 0; j--) {
+        const candidate = tail ? `${sentences[j]} ${tail}` : sentences[j];
+        if (tokens + this.estimateTokens(candidate) > this.chunkOverlapTokens) break;
+        tail = candidate;
+      }
+      if (tail) {
+        overlap.unshift({ text: tail, separator: segment.separator, tokens: this.estimateTokens(tail) });
+      }
+      break;
+    }
+
+    return overlap;
+  }
+
+  /**
+   * Break text into pieces no larger than a chunk: whole paragraphs where they fit,
+   * otherwise sentences, and words only for sentences that are still too long
+   * @param {string} text - Text to split
+   * @returns {Array<Object>} { text, separator, tokens } in order; separator is the whitespace before the piece
+   */
+  splitIntoSegments(text) {
+    const segments = [];
+    const add = (piece, separator) => segments.push({ text: piece, separator, tokens: this.estimateTokens(piece) });
+
+    const paragraphs = text.split(/\n[^\S\n]*\n\s*/).map(p => p.trim()).filter(Boolean);
 
     for (const paragraph of paragraphs) {
-      if ((currentChunk + paragraph).length <= this.maxTokensPerChunk) {
-        currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
-      } else {
-        if (currentChunk) {
-          chunks.push(currentChunk);
-          currentChunk = paragraph;
-        } else {
-          // Paragraph is too long, split by sentences
-          const sentences = paragraph.split('. ');
-          for (const sentence of sentences) {
-            if ((currentChunk + sentence).length <= this.maxTokensPerChunk) {
-              currentChunk += (currentChunk ? '. ' : '') + sentence;
-            } else {
-              if (currentChunk) {
-                chunks.push(currentChunk);
-                currentChunk = sentence;
-              } else {
-                // Even single sentence is too long, force split
-                chunks.push(sentence);
-              }
+      if (this.estimateTokens(paragraph) <= this.maxTokensPerChunk) {
+        add(paragraph, '\n\n');
+        continue;
+      }
+
+      // Sentences, keeping the line break or space that followed each one
+      const parts = paragraph.split(/(?<=[.!?]["')\]]?)(\s+)/);
+      for (let i = 0; i < parts.length; i += 2) {
+        const sentence = parts[i];
+        const separator = i === 0 ? '\n\n' : (parts[i - 1].includes('\n') ? '\n' : ' ');
+        if (!sentence) continue;
+
+        if (this.estimateTokens(sentence) <= this.maxTokensPerChunk) {
+          add(sentence, separator);
+          continue;
+        }
+
+        // Even a single sentence is too long, split it between words (or inside one very long word)
+        let piece = '';
+        let pieceSeparator = separator;
+        for (const word of sentence.split(/\s+/)) {
+          const candidate = piece ? `${piece} ${word}` : word;
+          if (this.estimateTokens(candidate) <= this.maxTokensPerChunk) {
+            piece = candidate;
+            continue;
+          }
+          if (piece) {
+            add(piece, pieceSeparator);
+            pieceSeparator = ' ';
+          }
+          piece = word;
+          while (this.estimateTokens(piece) > this.maxTokensPerChunk) {
+            // About 4 characters per token, fewer for CJK, so shrink the cut until it fits
+            let cut = this.maxTokensPerChunk * 4;
+            let cutTokens;
+            while ((cutTokens = this.estimateTokens(piece.substring(0, cut))) > this.maxTokensPerChunk) {
+              cut = Math.floor(cut * this.maxTokensPerChunk / cutTokens);
             }
+            add(piece.substring(0, cut), pieceSeparator);
+            pieceSeparator = '';
+            piece = piece.substring(cut);
           }
         }
+        if (piece) add(piece, pieceSeparator);
       }
     }
 
-    if (currentChunk) {
-      chunks.push(currentChunk);
-    }
-
-    return chunks.filter(chunk => chunk.trim().length > 0);
+    return segments;
   }
 }
 
@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Password hashing, JWT handling and API keys.
+ * Access tokens are short-lived and stateless; refresh tokens carry the user's tokenVersion
+ * so logging out (which bumps it) revokes every refresh token issued before.
+ */
+class AuthService {
+  constructor() {
+    this.accessSecret = process.env.JWT_SECRET;
+    this.refreshSecret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+    this.accessTtl = process.env.JWT_ACCESS_TTL || '15m';
+    this.refreshTtl = process.env.JWT_REFRESH_TTL || '7d';
+    this.bcryptRounds = 12;
+    this.minPasswordLength = 8;
+    this.maxPasswordLength = 72; // bcrypt ignores anything past 72 bytes
+    this.roles = ['student', 'teacher', 'admin'];
+    this.apiKeyScopes = ['analyses:read', 'analyses:write', 'feedback:write', 'stats:read'];
+    this.apiKeyPrefix = 'al_';
+    this.adminEmails = (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether an email is listed in ADMIN_EMAILS, which is how the first admins get their role
+   * @param {string} email - Normalized email
+   * @returns {boolean} True if the account should be an admin
+   */
+  isAdminEmail(email) {
+    return this.adminEmails.includes(email);
+  }
+
+  /**
+   * Validate registration or login input
+   * @param {Object} input - { email, password, name }
+   * @param {Object} options - { registering } applies password strength and name rules
+   * @returns {Object} { isValid, errors }
+   */
+  validateCredentials({ email, password, name }, { registering = false } = {}) {
+    const errors = [];
+
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()) || email.length > 254) {
+      errors.push('A valid email address is required');
+    }
+
+    if (typeof password !== 'string' || !password) {
+      errors.push('Password is required');
+    } else if (registering) {
+      if (password.length < this.minPasswordLength) {
+        errors.push(`Password must be at least ${this.minPasswordLength} characters`);
+      }
+      if (Buffer.byteLength(password) > this.maxPasswordLength) {
+        errors.push(`Password must be ${this.maxPasswordLength} bytes or less`);
+      }
+    }
+
+    if (registering && name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+      errors.push('Name must be a string of 100 characters or less');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} bcrypt hash
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, this.bcryptRounds);
+  }
+
+  /**
+   * Compare a password with a stored hash. Without a hash (unknown email) a dummy hash is compared instead,
+   * so the response time doesn't reveal which emails have accounts.
+   * @param {string} password - Plain text password
+   * @param {string} hash - Stored bcrypt hash, if the user exists
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async verifyPassword(password, hash) {
+    if (!hash) {
+      this.dummyHash = this.dummyHash || await bcrypt.hash('no account', this.bcryptRounds);
+      await bcrypt.compare(password, this.dummyHash);
+      return false;
+    }
+    return bcrypt.compare(password, hash);
+  }
+
+  /**
+   * Issue an access and refresh token pair
+   * @param {Object} user - User document
+   * @returns {Object} { accessToken, refreshToken, tokenType, expiresIn }
+   */
+  issueTokens(user) {
+    this.requireSecrets();
+    const subject = user._id.toString();
+
+    const accessToken = jwt.sign({ type: 'access', email: user.email, role: user.role }, this.accessSecret, {
+      subject,
+      expiresIn: this.accessTtl
+    });
+    const refreshToken = jwt.sign({ type: 'refresh', ver: user.tokenVersion }, this.refreshSecret, {
+      subject,
+      expiresIn: this.refreshTtl
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT from the Authorization header
+   * @returns {Object} { id, email, role }
+   * @throws {Error} If the token is invalid, expired or not an access token
+   */
+  verifyAccessToken(token) {
+    this.requireSecrets();
+    const payload = jwt.verify(token, this.accessSecret);
+    if (payload.type !== 'access') {
+      throw new Error('Not an access token');
+    }
+    return { id: payload.sub, email: payload.email, role: payload.role || 'student' };
+  }
+
+  /**
+   * Verify a refresh token's signature and expiry; the caller checks its version against the user
+   * @param {string} token - Refresh JWT
+   * @returns {Object} { id, version }
+   * @throws {Error} If the token is invalid, expired or not a refresh token
+   */
+  verifyRefreshToken(token) {
+    this.requireSecrets();
+    const payload = jwt.verify(token, this.refreshSecret);
+    if (payload.type !== 'refresh') {
+      throw new Error('Not a refresh token');
+    }
+    return { id: payload.sub, version: payload.ver };
+  }
+
+  /**
+   * Generate a new API key. Keys are random, so a plain SHA-256 is enough to store them safely
+   * and lets them be looked up by hash.
+   * @returns {Object} { key, prefix, keyHash }
+   */
+  generateApiKey() {
+    const key = `${this.apiKeyPrefix}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.slice(0, 11), keyHash: this.hashApiKey(key) };
+  }
+
+  /**
+   * @param {string} key - API key as sent by a client
+   * @returns {string} SHA-256 hex digest
+   */
+  hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Validate API key creation input
+   * @param {Object} input - { name, scopes, expiresInDays }
+   * @returns {Object} { isValid, errors }
+   */
+  validateApiKey({ name, scopes, expiresInDays }) {
+    const errors = [];
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      errors.push('name is required and must be 100 characters or less');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !this.apiKeyScopes.includes(scope))) {
+      errors.push(`scopes must be a non-empty array of: ${this.apiKeyScopes.join(', ')}`);
+    }
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+      errors.push('expiresInDays must be an integer between 1 and 3650');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * @throws {Error} If JWT_SECRET is not set
+   */
+  requireSecrets() {
+    if (!this.accessSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,376 @@
+import Classroom from '../models/Classroom.js';
+import Assignment from '../models/Assignment.js';
+import Rubric from '../models/Rubric.js';
+import Submission from '../models/Submission.js';
+
+/**
+ * Access rules for classes and assignments, linking submitted analyses to them and building rosters.
+ * Teachers manage the classes they created (admins manage all); enrolled students can view them and submit.
+ */
+class ClassroomService {
+  constructor() {
+    this.maxModelAnswerLength = 20000;
+  }
+
+  /**
+   * Validate a class body and pick out the fields we store
+   * @param {Object} body - Request body
+   * @param {Object} options - { partial } for updates, where every field is optional
+   * @returns {Object} { errors, fields }
+   */
+  validateClass(body = {}, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
+    const { name, description, subject } = body;
+
+    if (name !== undefined || !partial) {
+      if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+        errors.push('name is required and must be 200 characters or less');
+      } else {
+        fields.name = name.trim();
+      }
+    }
+    if (description !== undefined) {
+      if (typeof description !== 'string' || description.length > 2000) {
+        errors.push('description must be a string of 2000 characters or less');
+      } else {
+        fields.description = description.trim();
+      }
+    }
+    if (subject !== undefined) {
+      if (typeof subject !== 'string' || !subject.trim() || subject.length > 100) {
+        errors.push('subject must be a non-empty string of 100 characters or less');
+      } else {
+        fields.subject = subject.trim();
+      }
+    }
+
+    return { errors, fields };
+  }
+
+  /**
+   * Validate an assignment body and pick out the fields we store; null clears optional fields on update
+   * @param {Object} body - Request body
+   * @param {Object} options - { partial } for updates, where every field is optional
+   * @returns {Object} { errors, fields }
+   */
+  validateAssignment(body = {}, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
+    const { title, instructions, subject, dueDate, rubricId, modelAnswer } = body;
+
+    if (title !== undefined || !partial) {
+      if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+        errors.push('title is required and must be 200 characters or less');
+      } else {
+        fields.title = title.trim();
+      }
+    }
+    if (instructions !== undefined) {
+      if (instructions !== null && (typeof instructions !== 'string' || instructions.length > 5000)) {
+        errors.push('instructions must be a string of 5000 characters or less');
+      } else {
+        fields.instructions = instructions?.trim() || '';
+      }
+    }
+    if (subject !== undefined) {
+      if (typeof subject !== 'string' || !subject.trim() || subject.length > 100) {
+        errors.push('subject must be a non-empty string of 100 characters or less');
+      } else {
+        fields.subject = subject.trim();
+      }
+    }
+    if (dueDate !== undefined) {
+      const due = dueDate === null ? null : new Date(dueDate);
+      if (due !== null && (typeof dueDate !== 'string' || Number.isNaN(due.getTime()))) {
+        errors.push('dueDate must be an ISO 8601 date string');
+      } else {
+        fields.dueDate = due;
+      }
+    }
+    if (rubricId !== undefined) {
+      if (rubricId !== null && (typeof rubricId !== 'string' || !rubricId.match(/^[0-9a-fA-F]{24}$/))) {
+        errors.push('rubricId must be a valid MongoDB ObjectId');
+      } else {
+        fields.rubricId = rubricId;
+      }
+    }
+    if (modelAnswer !== undefined) {
+      if (modelAnswer !== null && (typeof modelAnswer !== 'string' || modelAnswer.length > this.maxModelAnswerLength)) {
+        errors.push(`modelAnswer must be a string of ${this.maxModelAnswerLength} characters or less`);
+      } else {
+        fields.modelAnswer = modelAnswer?.trim() || null;
+      }
+    }
+
+    return { errors, fields };
+  }
+
+  /**
+   * Assignment fields for a response; the model answer is only shown to people who manage the class
+   * @param {Object} assignment - Assignment document
+   * @param {Object} options - { includeModelAnswer }
+   * @returns {Object} Assignment summary
+   */
+  formatAssignment(assignment, { includeModelAnswer = false } = {}) {
+    return {
+      id: assignment._id,
+      classId: assignment.classId,
+      title: assignment.title,
+      instructions: assignment.instructions || '',
+      subject: assignment.subject,
+      dueDate: assignment.dueDate || null,
+      rubricId: assignment.rubricId || null,
+      hasModelAnswer: Boolean(assignment.modelAnswer),
+      ...(includeModelAnswer && { modelAnswer: assignment.modelAnswer || null }),
+      createdAt: assignment.createdAt,
+      updatedAt: assignment.updatedAt
+    };
+  }
+
+  /**
+   * @param {Object} classroom - Classroom document
+   * @param {Object} user - req.user
+   * @returns {boolean} True if the user teaches the class or is an admin
+   */
+  canManage(classroom, user) {
+    return user.role === 'admin' || classroom.teacherId.toString() === user.id;
+  }
+
+  /**
+   * @param {Object} classroom - Classroom document
+   * @param {Object} user - req.user
+   * @returns {boolean} True if the user is enrolled in the class
+   */
+  isEnrolled(classroom, user) {
+    return classroom.students.some(studentId => studentId.toString() === user.id);
+  }
+
+  /**
+   * IDs of the classes a teacher manages, whose submitted analyses they may read
+   * @param {string} userId - Teacher's user ID
+   * @returns {Promise<Array>} Classroom IDs
+   */
+  async taughtClassIds(userId) {
+    return Classroom.distinct('_id', { teacherId: userId });
+  }
+
+  /**
+   * Check a user may attach a rubric to an assignment: the same rule as changing it, its creator or an admin
+   * @param {string} rubricId - Rubric ID from the request
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} { isValid, statusCode, message, errors }
+   */
+  async checkRubric(rubricId, user) {
+    const rubric = await Rubric.findById(rubricId, { createdBy: 1 });
+    if (!rubric) {
+      return {
+        isValid: false,
+        statusCode: 404,
+        message: 'Rubric not found',
+        errors: ['No rubric found with the provided ID']
+      };
+    }
+
+    if (user.role !== 'admin' && rubric.createdBy?.toString() !== user.id) {
+      return {
+        isValid: false,
+        statusCode: 403,
+        message: 'Insufficient permissions',
+        errors: ['Only rubrics you created can be used for your assignments']
+      };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Load an assignment a user wants to submit to and check they are enrolled in its class
+   * @param {string} assignmentId - Assignment ID from the request
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} { isValid, statusCode, message, errors, assignment }
+   */
+  async resolveForSubmission(assignmentId, user) {
+    if (typeof assignmentId !== 'string' || !assignmentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return {
+        isValid: false,
+        statusCode: 400,
+        message: 'Invalid assignment ID format',
+        errors: ['Assignment ID must be a valid MongoDB ObjectId']
+      };
+    }
+
+    const assignment = await Assignment.findById(assignmentId);
+    const classroom = assignment && await Classroom.findById(assignment.classId, { teacherId: 1, students: 1 });
+    if (!classroom) {
+      return {
+        isValid: false,
+        statusCode: 404,
+        message: 'Assignment not found',
+        errors: ['No assignment found with the provided ID']
+      };
+    }
+
+    if (!this.isEnrolled(classroom, user)) {
+      return {
+        isValid: false,
+        statusCode: 403,
+        message: 'Insufficient permissions',
+        errors: ['Only students enrolled in the class can submit to this assignment']
+      };
+    }
+
+    return { isValid: true, assignment };
+  }
+
+  /**
+   * Link an analysis to a student's submission for an assignment, replacing any earlier attempt
+   * @param {Object} assignment - Assignment document
+   * @param {string} studentId - Submitting user's ID
+   * @param {string} analysisId - New analysis ID
+   * @returns {Promise<Object>} Submission document
+   */
+  async recordSubmission(assignment, studentId, analysisId) {
+    const submittedAt = new Date();
+
+    return Submission.findOneAndUpdate(
+      { assignmentId: assignment._id, studentId },
+      {
+        $set: {
+          classId: assignment.classId,
+          analysisId,
+          late: Boolean(assignment.dueDate && submittedAt > assignment.dueDate),
+          submittedAt,
+          updatedAt: submittedAt
+        },
+        $inc: { attempts: 1 },
+        $setOnInsert: { createdAt: submittedAt }
+      },
+      // No defaults on insert: $inc on the missing attempts field makes it 1
+      { upsert: true, new: true, setDefaultsOnInsert: false }
+    );
+  }
+
+  /**
+   * Build a function that finds the enrolled student a scanned script belongs to from its filename.
+   * The file name (or else its folder) must match a student's email, the part of it before "@", or their name,
+   * ignoring case, accents and separators; "ada_lovelace_essay.pdf" also matches "Ada Lovelace".
+   * Keys shared by several students are ignored so a script is never given to the wrong one.
+   * @param {Array} students - Users with name and email
+   * @returns {Function} (filename) => student ID or null
+   */
+  buildStudentMatcher(students) {
+    const normalize = value => String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[\s_.-]+/g, ' ')
+      .trim();
+
+    const owners = new Map();
+    for (const student of students) {
+      const keys = new Set([student.email, student.email?.split('@')[0], student.name].map(normalize).filter(Boolean));
+      for (const key of keys) {
+        owners.set(key, owners.has(key) && owners.get(key) !== student._id.toString() ? null : student._id.toString());
+      }
+    }
+    const keys = [...owners.keys()].filter(key => owners.get(key)).sort((a, b) => b.length - a.length);
+
+    return filename => {
+      const parts = String(filename).split('/').filter(Boolean);
+      const stem = (parts.pop() || '').replace(/\.[^.]+$/, '');
+      const candidates = [stem, parts.pop()].map(normalize).filter(Boolean);
+
+      for (const candidate of candidates) {
+        if (owners.get(candidate)) return owners.get(candidate);
+        const key = keys.find(key => candidate.startsWith(`${key} `));
+        if (key) return owners.get(key);
+      }
+      return null;
+    };
+  }
+
+  /**
+   * Build the roster of an assignment: every enrolled student with their latest submission
+   * @param {Object} assignment - Assignment document
+   * @returns {Promise<Object>} { students, summary }
+   */
+  async buildRoster(assignment) {
+    const classroom = await Classroom.findById(assignment.classId, { students: 1 })
+      .populate('students', 'name email');
+    const submissions = await Submission.find({ assignmentId: assignment._id })
+      .populate('studentId', 'name email')
+      .populate('analysisId', 'status scoreHint10 rubricGrade.totalScore rubricGrade.maxScore');
+
+    const byStudent = new Map(submissions.map(submission => [submission.studentId?._id.toString(), submission]));
+    const enrolled = (classroom?.students || []).filter(Boolean);
+    const enrolledIds = new Set(enrolled.map(student => student._id.toString()));
+
+    // Students who submitted and were unenrolled later stay on the roster, flagged
+    const entries = [
+      ...enrolled.map(student => this.rosterEntry(student, byStudent.get(student._id.toString()), true)),
+      ...submissions
+        .filter(submission => submission.studentId && !enrolledIds.has(submission.studentId._id.toString()))
+        .map(submission => this.rosterEntry(submission.studentId, submission, false))
+    ];
+
+    return { students: entries, summary: this.summarizeRoster(entries) };
+  }
+
+  /**
+   * @param {Object} student - Populated user (name, email)
+   * @param {Object} submission - Populated submission, if any
+   * @param {boolean} enrolled - Whether the student is still in the class
+   * @returns {Object} Roster row
+   */
+  rosterEntry(student, submission, enrolled) {
+    const analysis = submission?.analysisId;
+    const rubricGrade = analysis?.rubricGrade;
+
+    return {
+      student: { id: student._id, name: student.name || null, email: student.email },
+      enrolled,
+      submitted: Boolean(submission),
+      submittedAt: submission?.submittedAt || null,
+      late: submission?.late || false,
+      attempts: submission?.attempts || 0,
+      analysisId: analysis?._id || null,
+      status: submission ? analysis?.status || 'failed' : 'missing',
+      scoreHint10: analysis?.scoreHint10 ?? null,
+      rubricScore: Number.isFinite(rubricGrade?.totalScore)
+        ? { totalScore: rubricGrade.totalScore, maxScore: rubricGrade.maxScore }
+        : null
+    };
+  }
+
+  /**
+   * Counts by status and average scores over completed submissions
+   * @param {Array} entries - Roster rows
+   * @returns {Object} Roster summary
+   */
+  summarizeRoster(entries) {
+    const enrolled = entries.filter(entry => entry.enrolled);
+    const completed = entries.filter(entry => entry.status === 'completed');
+    const scores = completed.map(entry => entry.scoreHint10).filter(Number.isFinite);
+    const rubricPercents = completed
+      .filter(entry => entry.rubricScore?.maxScore > 0)
+      .map(entry => (entry.rubricScore.totalScore / entry.rubricScore.maxScore) * 100);
+    const average = values => (values.length
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+      : null);
+
+    return {
+      enrolled: enrolled.length,
+      submitted: entries.filter(entry => entry.submitted).length,
+      missing: enrolled.filter(entry => !entry.submitted).length,
+      late: entries.filter(entry => entry.late).length,
+      processing: entries.filter(entry => entry.status === 'processing').length,
+      completed: completed.length,
+      failed: entries.filter(entry => entry.status === 'failed').length,
+      averageScoreHint10: average(scores),
+      averageRubricPercent: average(rubricPercents)
+    };
+  }
+}
+
+export default new ClassroomService();
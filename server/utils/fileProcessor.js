@@ -1,16 +1,146 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import yauzl from 'yauzl';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
 import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// pdfjs needs its bundled font data to render PDFs that don't embed standard fonts
+const pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const standardFontDataUrl = path.join(pdfjsRoot, 'standard_fonts') + path.sep;
 
 class FileProcessor {
   constructor() {
     this.supportedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
     this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 20971520; // 20MB
     this.uploadDir = process.env.UPLOAD_DIR || 'uploads/';
+    this.pdfMaxPages = parseInt(process.env.PDF_MAX_PAGES) || 10;
+    this.pdfRenderDpi = parseInt(process.env.PDF_RENDER_DPI) || 200;
+    this.pdfTextMinChars = parseInt(process.env.PDF_TEXT_MIN_CHARS) || 50; // Per page, below this we OCR instead
+    this.archiveTypes = ['application/zip', 'application/x-zip-compressed'];
+    this.extensionTypes = { '.pdf': 'application/pdf', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+    this.pageImageTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+    this.maxPageImages = parseInt(process.env.UPLOAD_MAX_PAGES) || 20;
+    this.pageRotations = [0, 90, 180, 270];
+  }
+
+  /**
+   * Parse the reading order and rotation hints of a multi-page photo upload.
+   * pageOrder lists upload positions (1-based) in reading order, e.g. "2,1,3"; rotations gives the clockwise
+   * degrees each uploaded photo needs to be upright, in upload order, e.g. "0,90,0". Both are optional.
+   * @param {number} count - Number of uploaded pages
+   * @param {Object} input - { pageOrder, rotations } as comma separated strings or arrays
+   * @returns {Object} { isValid, errors, order: upload indexes in reading order, rotations: degrees by upload index, null without hints }
+   */
+  parsePageOptions(count, { pageOrder, rotations } = {}) {
+    const errors = [];
+    const toList = input => (Array.isArray(input) ? input : String(input).split(','))
+      .map(value => String(value).trim())
+      .filter(Boolean);
+
+    let order = Array.from({ length: count }, (_, i) => i);
+    if (pageOrder !== undefined && pageOrder !== '') {
+      const positions = toList(pageOrder).map(Number);
+      const isPermutation = positions.length === count &&
+        positions.every(position => Number.isInteger(position) && position >= 1 && position <= count) &&
+        new Set(positions).size === count;
+
+      if (isPermutation) {
+        order = positions.map(position => position - 1);
+      } else {
+        errors.push(`pageOrder must list each of the ${count} uploaded pages once, by upload position from 1 to ${count}`);
+      }
+    }
+
+    // Null leaves rotation to detection; an explicit 0 says the page is already upright
+    let hints = new Array(count).fill(null);
+    if (rotations !== undefined && rotations !== '') {
+      const degrees = toList(rotations).map(Number);
+      if (degrees.length === count && degrees.every(value => this.pageRotations.includes(value))) {
+        hints = degrees;
+      } else {
+        errors.push(`rotations must give one of ${this.pageRotations.join(', ')} for each of the ${count} uploaded pages`);
+      }
+    }
+
+    return { isValid: errors.length === 0, errors, order, rotations: hints };
+  }
+
+  /**
+   * Check whether an upload is a ZIP archive (browsers often send ZIPs as application/octet-stream)
+   * @param {Object} file - Multer file object
+   * @returns {boolean} True for ZIP archives
+   */
+  isArchive(file) {
+    return this.archiveTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip';
+  }
+
+  /**
+   * Extract the documents in a ZIP archive as multer-like file objects.
+   * Entries are typed by extension; folders, hidden files and anything unsupported or too large are skipped.
+   * Sizes are checked against the entry headers before inflating, and yauzl fails entries that inflate past them.
+   * @param {Buffer} buffer - ZIP archive
+   * @param {Object} options - { maxFiles } stops extracting after this many documents
+   * @returns {Promise<Object>} { files, skipped: [{ name, reason }] }
+   */
+  async extractArchive(buffer, { maxFiles = Infinity } = {}) {
+    const zip = await new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipFile) => (error ? reject(error) : resolve(zipFile)));
+    });
+
+    const files = [];
+    const skipped = [];
+
+    const readEntry = entry => new Promise((resolve, reject) => {
+      zip.openReadStream(entry, (error, stream) => {
+        if (error) return reject(error);
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+      });
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        zip.on('entry', async entry => {
+          const name = entry.fileName;
+          const baseName = path.posix.basename(name);
+          const mimetype = this.extensionTypes[path.extname(baseName).toLowerCase()];
+
+          try {
+            if (name.endsWith('/') || name.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+              // Folders and OS metadata aren't documents
+            } else if (!mimetype) {
+              skipped.push({ name, reason: 'Unsupported file type. Supported types: PDF, JPG, PNG' });
+            } else if (entry.uncompressedSize > this.maxFileSize) {
+              skipped.push({ name, reason: `File too large. Maximum size: ${this.maxFileSize / 1024 / 1024}MB` });
+            } else if (files.length >= maxFiles) {
+              skipped.push({ name, reason: `Batch limit of ${maxFiles} files reached` });
+            } else {
+              const data = await readEntry(entry);
+              files.push({ originalname: name, mimetype, size: data.length, buffer: data });
+            }
+          } catch (error) {
+            skipped.push({ name, reason: `Could not extract: ${error.message}` });
+          }
+
+          zip.readEntry();
+        });
+        zip.on('end', resolve);
+        zip.on('error', reject);
+        zip.readEntry();
+      });
+    } finally {
+      zip.close();
+    }
+
+    return { files, skipped };
   }
 
   /**
@@ -67,19 +197,29 @@ class FileProcessor {
       logger.info(`Processing file: ${file.originalname} (${validation.fileInfo.sizeFormatted})`);
 
       let imageBuffers = [];
+      let pageTexts = [];
       let pageCount = 1;
+      const fileInfo = { ...validation.fileInfo };
 
       if (file.mimetype === 'application/pdf') {
-        // For PDF files, we would need a PDF-to-image converter
-        // For now, return an error as PDF processing requires additional dependencies
-        return {
-          success: false,
-          errors: ['PDF processing not yet implemented. Please upload images (JPG, PNG) instead.'],
-          fileInfo: validation.fileInfo
-        };
+        const pdfResult = await this.processPdf(file.buffer);
+        if (pdfResult.pageCount === 0) {
+          return {
+            success: false,
+            errors: ['PDF contains no pages'],
+            fileInfo: validation.fileInfo
+          };
+        }
+
+        imageBuffers = pdfResult.pages.map(page => page.imageBuffer);
+        pageTexts = pdfResult.pages.map(page => page.text);
+        pageCount = pdfResult.pageCount;
+        fileInfo.totalPdfPages = pdfResult.totalPages;
+        fileInfo.truncated = pdfResult.truncated;
       } else {
         // For image files, use the buffer directly
         imageBuffers = [file.buffer];
+        pageTexts = [null];
         pageCount = 1;
       }
 
@@ -95,9 +235,10 @@ class FileProcessor {
       return {
         success: true,
         imageBuffers,
+        pageTexts,
         pageCount,
         fileInfo: {
-          ...validation.fileInfo,
+          ...fileInfo,
           type: this.getFileType(file.mimetype)
         }
       };
@@ -116,6 +257,84 @@ class FileProcessor {
     }
   }
 
+  /**
+   * Render PDF pages to PNG buffers, keeping the embedded text of pages that have a text layer
+   * @param {Buffer} buffer - PDF file buffer
+   * @returns {Promise<Object>} Pages with either an image buffer or embedded text
+   */
+  async processPdf(buffer) {
+    const pdf = await getDocument({
+      data: new Uint8Array(buffer),
+      standardFontDataUrl,
+      isEvalSupported: false,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const totalPages = pdf.numPages;
+      const pageCount = Math.min(totalPages, this.pdfMaxPages);
+      const scale = this.pdfRenderDpi / 72; // PDF user space is 72 units per inch
+      const pages = [];
+
+      if (totalPages > pageCount) {
+        logger.warn(`PDF has ${totalPages} pages, only the first ${pageCount} will be processed`);
+      }
+
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+
+        try {
+          const text = await this.extractPdfPageText(page);
+          if (text.replace(/\s/g, '').length >= this.pdfTextMinChars) {
+            logger.info(`PDF page ${pageNumber}/${pageCount} has a text layer, skipping rasterization`);
+            pages.push({ pageNumber, imageBuffer: null, text });
+            continue;
+          }
+
+          logger.info(`Rendering PDF page ${pageNumber}/${pageCount} at ${this.pdfRenderDpi} DPI`);
+          const viewport = page.getViewport({ scale });
+          const { canvas, context } = pdf.canvasFactory.create(
+            Math.ceil(viewport.width),
+            Math.ceil(viewport.height)
+          );
+
+          // Tesseract reads transparent areas as black, so paint a white page first
+          context.fillStyle = '#ffffff';
+          context.fillRect(0, 0, canvas.width, canvas.height);
+
+          await page.render({ canvas, canvasContext: context, viewport }).promise;
+          pages.push({ pageNumber, imageBuffer: canvas.toBuffer('image/png'), text: null });
+          pdf.canvasFactory.destroy({ canvas, context });
+        } finally {
+          page.cleanup();
+        }
+      }
+
+      return {
+        pages,
+        pageCount,
+        totalPages,
+        truncated: totalPages > pageCount
+      };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Extract the embedded text layer of a PDF page
+   * @param {Object} page - pdfjs page proxy
+   * @returns {Promise<string>} Page text with line breaks preserved
+   */
+  async extractPdfPageText(page) {
+    const content = await page.getTextContent();
+    return content.items
+      .map(item => item.str + (item.hasEOL ? '\n' : ''))
+      .join('')
+      .trim();
+  }
+
   /**
    * Get simplified file type from MIME type
    * @param {string} mimeType - MIME type
@@ -150,6 +369,39 @@ class FileProcessor {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  /**
+   * Persist an uploaded file so a background job can pick it up
+   * @param {Object} file - Multer file object
+   * @returns {Promise<string>} Path of the stored file
+   */
+  async saveUpload(file) {
+    const uploadPath = path.join(__dirname, '../../', this.uploadDir);
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const filePath = path.join(uploadPath, `upload-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+
+    await fs.mkdir(uploadPath, { recursive: true });
+    await fs.writeFile(filePath, file.buffer);
+
+    return filePath;
+  }
+
+  /**
+   * Delete a stored upload, ignoring files that are already gone
+   * @param {string} filePath - Path returned by saveUpload (optional uploads may pass nothing)
+   * @returns {Promise<void>}
+   */
+  async deleteUpload(filePath) {
+    if (!filePath) return;
+
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to delete upload ${filePath}:`, error);
+      }
+    }
+  }
+
   /**
    * Create upload directory if it doesn't exist
    * @returns {Promise<void>}
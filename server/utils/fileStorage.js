@@ -0,0 +1,151 @@
+import Analysis from '../models/Analysis.js';
+import { createStorage } from './storage/index.js';
+import { logger } from './logger.js';
+
+/**
+ * Durable storage of the original uploads behind each analysis, so they can be downloaded, audited and read again.
+ * New files go to the STORAGE_DRIVER adapter (local or gridfs); every stored file records its adapter, so files
+ * written before a driver change stay readable. Originals are deleted STORAGE_RETENTION_DAYS after the upload.
+ */
+class FileStorage {
+  constructor() {
+    this.storage = createStorage(process.env.STORAGE_DRIVER || 'local');
+    this.adapters = new Map([[this.storage.name, this.storage]]);
+
+    const retentionDays = parseFloat(process.env.STORAGE_RETENTION_DAYS);
+    // 0 keeps originals forever
+    this.retentionMs = (Number.isFinite(retentionDays) && retentionDays >= 0 ? retentionDays : 365) * 24 * 60 * 60 * 1000;
+    this.retentionBatchSize = 100;
+  }
+
+  /**
+   * @param {string} name - Adapter name recorded on a stored file
+   * @returns {Object} Adapter instance
+   */
+  adapter(name) {
+    if (!this.adapters.has(name)) {
+      this.adapters.set(name, createStorage(name));
+    }
+    return this.adapters.get(name);
+  }
+
+  /**
+   * Store the uploaded files of one analysis; if any fails, the ones already stored are removed
+   * @param {Array} files - Multer file objects, in reading order
+   * @param {Object} metadata - Extra metadata for adapters that keep it, e.g. { userId }
+   * @returns {Promise<Array>} Stored file records { storage, key, originalName, mimeType, size } for Analysis.originalFiles
+   */
+  async saveOriginals(files, metadata = {}) {
+    const stored = [];
+
+    try {
+      for (const file of files) {
+        const key = await this.storage.save(file.buffer, {
+          filename: file.originalname,
+          contentType: file.mimetype,
+          metadata
+        });
+        stored.push({
+          storage: this.storage.name,
+          key,
+          originalName: file.originalname.substring(0, 500),
+          mimeType: file.mimetype,
+          size: file.size
+        });
+      }
+    } catch (error) {
+      await this.removeAll(stored);
+      throw error;
+    }
+
+    return stored;
+  }
+
+  /**
+   * @param {Object} file - Stored file record
+   * @returns {Promise<Buffer>} File contents
+   */
+  async read(file) {
+    return this.adapter(file.storage).read(file.key);
+  }
+
+  /**
+   * @param {Object} file - Stored file record
+   * @returns {Promise<stream.Readable>} Stream of the file contents; rejects with code ENOENT if it is gone
+   */
+  async createReadStream(file) {
+    return this.adapter(file.storage).createReadStream(file.key);
+  }
+
+  /**
+   * Delete stored files, logging (not throwing) failures so one bad file doesn't block the rest
+   * @param {Array} files - Stored file records
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async removeAll(files = []) {
+    let removed = 0;
+
+    for (const file of files) {
+      try {
+        await this.adapter(file.storage).remove(file.key);
+        removed++;
+      } catch (error) {
+        logger.warn(`Failed to delete stored file ${file.storage}:${file.key}:`, error);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Delete the originals of analyses older than the retention period, keeping the analyses themselves.
+   * Analyses still processing, or being re-analyzed, are left alone so a running job can still read its files.
+   * @returns {Promise<number>} Number of analyses whose originals were deleted
+   */
+  async applyRetention() {
+    if (!this.retentionMs) return 0;
+
+    const cutoff = new Date(Date.now() - this.retentionMs);
+    // Analyses with a file that couldn't be deleted keep their links and are retried on the next run
+    const skipped = [];
+    let count = 0;
+
+    try {
+      for (;;) {
+        const expired = await Analysis.find({
+          _id: { $nin: skipped },
+          'originalFiles.0': { $exists: true },
+          status: { $ne: 'processing' },
+          'reanalysis.status': { $ne: 'processing' },
+          createdAt: { $lt: cutoff }
+        }, { originalFiles: 1 })
+          .limit(this.retentionBatchSize)
+          .lean();
+
+        if (expired.length === 0) break;
+
+        for (const analysis of expired) {
+          if (await this.removeAll(analysis.originalFiles) < analysis.originalFiles.length) {
+            skipped.push(analysis._id);
+            continue;
+          }
+          await Analysis.updateOne(
+            { _id: analysis._id },
+            { $set: { originalFiles: [], originalFilesDeletedAt: new Date() } }
+          );
+          count++;
+        }
+      }
+
+      if (count > 0) {
+        logger.info(`Retention policy deleted the original files of ${count} analyses`);
+      }
+    } catch (error) {
+      logger.error('Failed to apply the file retention policy:', error);
+    }
+
+    return count;
+  }
+}
+
+export default new FileStorage();
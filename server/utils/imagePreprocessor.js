@@ -0,0 +1,367 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import Tesseract from 'tesseract.js';
+import { logger } from './logger.js';
+
+class ImagePreprocessor {
+  constructor() {
+    // Order matters: orient and shrink first, binarize last
+    this.availableSteps = ['orientation', 'downscale', 'grayscale', 'rotation', 'deskew', 'binarize'];
+    this.defaultSteps = [...this.availableSteps];
+    if (process.env.OCR_PREPROCESS) {
+      const configured = this.parseSteps(process.env.OCR_PREPROCESS);
+      if (configured.isValid) {
+        this.defaultSteps = configured.steps;
+      } else {
+        logger.warn(`Ignoring OCR_PREPROCESS: ${configured.errors.join(', ')}`);
+      }
+    }
+    this.maxDimension = parseInt(process.env.OCR_MAX_IMAGE_DIMENSION) || 3000;
+    this.maxSkewAngle = 10; // degrees; anything steeper is treated as a rotation problem
+    this.minRotationConfidence = 2; // Tesseract OSD orientation confidence
+    // Guessing rotation by OCR'ing the page twice more is slow, so without OSD data pages are left as they are
+    this.rotationFallback = ['true', '1', 'yes'].includes(String(process.env.OCR_ROTATION_FALLBACK).toLowerCase());
+    this.warnedMissingOsd = false;
+  }
+
+  /**
+   * Check that orientation data can be loaded. From a local langPath a missing osd.traineddata
+   * makes Tesseract throw outside of the promise and take the process down, so look first.
+   * @param {Object} osdOptions - Traineddata loading options for orientation detection
+   * @returns {boolean} Whether Tesseract.detect can run
+   */
+  hasOrientationData(osdOptions = {}) {
+    if (!osdOptions?.langPath) {
+      return true;
+    }
+
+    const file = path.join(osdOptions.langPath, `osd.traineddata${osdOptions.gzip === false ? '' : '.gz'}`);
+    if (fs.existsSync(file)) {
+      return true;
+    }
+
+    if (!this.warnedMissingOsd) {
+      logger.warn(`Skipping orientation detection: ${file} not found`);
+      this.warnedMissingOsd = true;
+    }
+    return false;
+  }
+
+  /**
+   * Parse and validate a step list
+   * @param {string|Array<string>} input - "none", "all", or a comma separated list of steps
+   * @returns {Object} { isValid, errors, steps }
+   */
+  parseSteps(input) {
+    if (input === undefined || input === null || input === '') {
+      return { isValid: true, errors: [], steps: this.defaultSteps };
+    }
+
+    const names = (Array.isArray(input) ? input : String(input).split(','))
+      .map(name => String(name).trim().toLowerCase())
+      .filter(Boolean);
+
+    if (names.length === 1 && names[0] === 'none') {
+      return { isValid: true, errors: [], steps: [] };
+    }
+    if (names.length === 1 && names[0] === 'all') {
+      return { isValid: true, errors: [], steps: [...this.availableSteps] };
+    }
+
+    const unknown = names.filter(name => !this.availableSteps.includes(name));
+    if (unknown.length > 0) {
+      return {
+        isValid: false,
+        errors: [`Unknown preprocessing step: ${unknown.join(', ')}. Available steps: none, all, ${this.availableSteps.join(', ')}`],
+        steps: null
+      };
+    }
+
+    // Keep pipeline order regardless of the order requested
+    return { isValid: true, errors: [], steps: this.availableSteps.filter(step => names.includes(step)) };
+  }
+
+  /**
+   * Run the preprocessing pipeline on an image
+   * @param {Buffer} imageBuffer - Original image buffer
+   * @param {Object} options - Preprocessing options
+   * @param {Array<string>} options.steps - Steps to run, defaults to OCR_PREPROCESS
+   * @param {string} options.languages - OCR languages, used when rotation needs an OCR comparison
+   * @param {Object} options.tesseractOptions - Traineddata loading options for that comparison
+   * @param {Object} options.osdOptions - Traineddata loading options for orientation detection
+   * @param {number} options.rotation - Clockwise rotation the uploader says the page needs; it is applied
+   *   whatever the steps and replaces rotation detection, even when 0
+   * @param {boolean} options.preview - Also return a colour JPEG of the page with only the geometric steps applied,
+   *   the same size as the OCR image so word boxes can be drawn on it
+   * @returns {Promise<Object>} { buffer, preview, applied, rotation, skewAngle, originalWidth, originalHeight }
+   */
+  async process(imageBuffer, options = {}) {
+    const steps = options.steps || this.defaultSteps;
+    const startTime = Date.now();
+    const applied = [];
+    const rotationHint = options.rotation ?? null;
+    let rotation = rotationHint || 0;
+    let skewAngle = 0;
+
+    const { width: originalWidth, height: originalHeight } = await sharp(imageBuffer).metadata();
+
+    let buffer = imageBuffer;
+    let colour = options.preview ? imageBuffer : null;
+
+    // Geometric changes go to the colour copy too; both are computed before either is replaced so they stay aligned
+    const transform = async (apply) => {
+      const next = await apply(sharp(buffer)).png().toBuffer();
+      const nextColour = colour && colour !== buffer ? await apply(sharp(colour)).png().toBuffer() : next;
+      buffer = next;
+      colour = colour && nextColour;
+    };
+    const toPreview = async () => (colour ? sharp(colour).jpeg({ quality: 80 }).toBuffer() : null);
+
+    // The hint is relative to the photo as displayed, so EXIF orientation goes first
+    if (rotationHint) {
+      await transform(image => image.autoOrient().rotate(rotationHint));
+    }
+
+    if (steps.length === 0) {
+      return { buffer, preview: await toPreview(), applied, rotation, skewAngle, originalWidth, originalHeight, processingTime: 0 };
+    }
+
+    for (const step of steps) {
+      try {
+        switch (step) {
+          case 'orientation': {
+            const { orientation } = await sharp(buffer).metadata();
+            if (orientation && orientation !== 1) {
+              await transform(image => image.rotate());
+              applied.push(step);
+            }
+            break;
+          }
+          case 'downscale': {
+            const { width, height } = await sharp(buffer).metadata();
+            if (Math.max(width, height) > this.maxDimension) {
+              await transform(image => image.resize({ width: this.maxDimension, height: this.maxDimension, fit: 'inside' }));
+              applied.push(step);
+            }
+            break;
+          }
+          case 'grayscale':
+            buffer = await sharp(buffer).grayscale().normalise().png().toBuffer();
+            applied.push(step);
+            break;
+          case 'rotation':
+            if (rotationHint !== null) break;
+            rotation = await this.detectRotation(buffer, options);
+            if (rotation !== 0) {
+              await transform(image => image.rotate(rotation));
+              applied.push(step);
+            }
+            break;
+          case 'deskew':
+            skewAngle = await this.detectSkew(buffer);
+            if (Math.abs(skewAngle) >= 0.5) {
+              await transform(image => image.rotate(-skewAngle, { background: '#ffffff' }));
+              applied.push(step);
+            }
+            break;
+          case 'binarize':
+            buffer = await this.binarize(buffer);
+            applied.push(step);
+            break;
+        }
+      } catch (error) {
+        // A failed step shouldn't cost us the page, carry on with what we have
+        logger.warn(`Image preprocessing step "${step}" failed:`, error);
+      }
+    }
+
+    const processingTime = Date.now() - startTime;
+    logger.info(`Image preprocessed in ${processingTime}ms (${applied.join(', ') || 'no changes'})`);
+
+    return { buffer, preview: await toPreview(), applied, rotation, skewAngle, originalWidth, originalHeight, processingTime };
+  }
+
+  /**
+   * Detect 90/180/270 degree rotation.
+   * Tesseract orientation detection is tried first; it needs a fair amount of text, so with OCR_ROTATION_FALLBACK
+   * sparse pages fall back to a projection profile (portrait vs landscape) and a quick OCR confidence comparison
+   * (upright vs upside down). Without it they are taken as upright.
+   * @param {Buffer} buffer - Image buffer
+   * @param {Object} options - { languages, tesseractOptions, osdOptions } used for detection
+   * @returns {Promise<number>} Clockwise rotation needed to make the page upright
+   */
+  async detectRotation(buffer, options = {}) {
+    if (this.hasOrientationData(options.osdOptions)) {
+      try {
+        const result = await Tesseract.detect(buffer, options.osdOptions);
+        const { orientation_degrees: degrees, orientation_confidence: confidence } = result.data;
+
+        if (confidence >= this.minRotationConfidence) {
+          logger.info(`Detected page orientation ${degrees}° (confidence ${confidence})`);
+          // OSD reports how far the page is rotated counter-clockwise
+          return (360 - (degrees || 0)) % 360;
+        }
+      } catch (error) {
+        logger.debug(`Orientation detection unavailable: ${error.message}`);
+      }
+    }
+
+    if (!this.rotationFallback) return 0;
+
+    // Text lines give a far spikier row profile when they run horizontally
+    const pixels = await this.loadDarkPixels(buffer);
+    const sideways = this.profileScore(pixels, 90) > this.profileScore(pixels, 0) * 1.5;
+    const candidates = sideways ? [90, 270] : [0, 180];
+
+    const small = await sharp(buffer)
+      .resize({ width: 1000, height: 1000, fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    const confidences = [];
+    for (const angle of candidates) {
+      const rotated = angle === 0 ? small : await sharp(small).rotate(angle).png().toBuffer();
+      const result = await Tesseract.recognize(rotated, options.languages || 'eng', options.tesseractOptions);
+      confidences.push(result.data.confidence);
+    }
+
+    const rotation = confidences[1] > confidences[0] + 10 ? candidates[1] : candidates[0];
+    logger.info(`Estimated page rotation ${rotation}° (OCR confidence ${confidences.join(' vs ')})`);
+
+    return rotation;
+  }
+
+  /**
+   * Estimate text skew with a projection profile: text lines are horizontal when row sums vary the most
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<number>} Skew angle in degrees (positive is clockwise)
+   */
+  async detectSkew(buffer) {
+    const pixels = await this.loadDarkPixels(buffer);
+    if (pixels.coordinates.length === 0) return 0;
+
+    // Coarse search in 1° steps, then refine around the best angle
+    let bestAngle = 0;
+    let bestScore = this.profileScore(pixels, 0);
+    for (let angle = -this.maxSkewAngle; angle <= this.maxSkewAngle; angle += 1) {
+      const score = this.profileScore(pixels, angle);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    const coarseAngle = bestAngle;
+    for (let angle = coarseAngle - 1; angle <= coarseAngle + 1; angle += 0.1) {
+      const score = this.profileScore(pixels, angle);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    return Math.round(bestAngle * 10) / 10;
+  }
+
+  /**
+   * Collect dark pixel coordinates (relative to the centre) from a small grayscale copy
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Object>} { coordinates: [x0, y0, x1, y1, ...], diagonal }
+   */
+  async loadDarkPixels(buffer) {
+    // A small copy is plenty to measure angles
+    const { data, info } = await sharp(buffer)
+      .grayscale()
+      .resize({ width: 800, height: 800, fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const coordinates = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] < 128) {
+          coordinates.push(x - width / 2, y - height / 2);
+        }
+      }
+    }
+
+    return { coordinates, diagonal: Math.ceil(Math.sqrt(width * width + height * height)) };
+  }
+
+  /**
+   * Score how sharply dark pixels cluster into rows when the page is rotated by an angle
+   * @param {Object} pixels - Result of loadDarkPixels
+   * @param {number} angle - Rotation in degrees
+   * @returns {number} Sum of squared differences between neighbouring row counts
+   */
+  profileScore({ coordinates, diagonal }, angle) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Float64Array(diagonal + 1);
+
+    for (let i = 0; i < coordinates.length; i += 2) {
+      const row = Math.round(coordinates[i + 1] * cos - coordinates[i] * sin + diagonal / 2);
+      rows[row]++;
+    }
+
+    let score = 0;
+    for (let i = 1; i < rows.length; i++) {
+      const diff = rows[i] - rows[i - 1];
+      score += diff * diff;
+    }
+    return score;
+  }
+
+  /**
+   * Adaptive (Bradley) thresholding, which copes with shadows that defeat a global threshold
+   * @param {Buffer} buffer - Image buffer
+   * @returns {Promise<Buffer>} Black and white PNG
+   */
+  async binarize(buffer) {
+    const { data, info } = await sharp(buffer)
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const windowSize = Math.max(15, Math.floor(Math.max(width, height) / 16));
+    const half = Math.floor(windowSize / 2);
+    const threshold = 0.15; // pixel is black when it's 15% darker than its neighbourhood
+
+    // Integral image; 32 bits is enough unless a huge image skipped the downscale step
+    const IntegralArray = width * height * 255 < 2 ** 32 ? Uint32Array : Float64Array;
+    const integral = new IntegralArray((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += data[y * width + x];
+        integral[(y + 1) * (width + 1) + (x + 1)] = integral[y * (width + 1) + (x + 1)] + rowSum;
+      }
+    }
+
+    const output = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      const y1 = Math.max(0, y - half);
+      const y2 = Math.min(height, y + half + 1);
+
+      for (let x = 0; x < width; x++) {
+        const x1 = Math.max(0, x - half);
+        const x2 = Math.min(width, x + half + 1);
+        const count = (x2 - x1) * (y2 - y1);
+        const sum = integral[y2 * (width + 1) + x2]
+          - integral[y1 * (width + 1) + x2]
+          - integral[y2 * (width + 1) + x1]
+          + integral[y1 * (width + 1) + x1];
+
+        output[y * width + x] = data[y * width + x] * count <= sum * (1 - threshold) ? 0 : 255;
+      }
+    }
+
+    return sharp(output, { raw: { width, height, channels: 1 } }).png().toBuffer();
+  }
+}
+
+export default new ImagePreprocessor();
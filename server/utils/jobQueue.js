@@ -0,0 +1,303 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import { logger } from './logger.js';
+
+class JobQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.lockTimeout = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutes
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.activeJobs = new Set();
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - Async function receiving the job document
+   * @param {Object} options - Handler options
+   * @param {Function} options.onFailure - Called once retries are exhausted, with (job, error)
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers.set(type, { handler, onFailure: options.onFailure });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Data the handler needs
+   * @param {Object} options - Job options
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, payload, options = {}) {
+    const job = await Job.create({
+      type,
+      payload,
+      maxAttempts: options.maxAttempts || 3,
+      runAt: options.runAt || Date.now()
+    });
+
+    logger.info(`Job queued: ${job._id} (${type})`);
+
+    // Pick it up straight away if a worker slot is free
+    if (this.running) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    logger.info(`Job worker ${this.workerId} started with concurrency ${this.concurrency}`);
+    this.schedulePoll();
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+
+    if (this.activeJobs.size > 0) {
+      logger.info(`Waiting for ${this.activeJobs.size} running jobs to finish`);
+      await Promise.allSettled([...this.activeJobs]);
+    }
+
+    logger.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  /**
+   * Schedule the next poll
+   */
+  schedulePoll() {
+    if (!this.running) return;
+
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(async () => {
+      await this.poll();
+      this.schedulePoll();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Claim due jobs until every worker slot is busy
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    // An enqueue-triggered poll can overlap the timer; one claimer keeps the concurrency cap exact
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.releaseStaleJobs();
+
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        const execution = this.execute(job).finally(() => {
+          this.activeJobs.delete(execution);
+        });
+        this.activeJobs.add(execution);
+      }
+    } catch (error) {
+      logger.error('Job polling failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically lock the oldest due job this worker can handle
+   * @returns {Promise<Object|null>} Claimed job
+   */
+  async claimNextJob() {
+    return Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        type: { $in: [...this.handlers.keys()] },
+        runAt: { $lte: new Date() }
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedAt: new Date(),
+          lockedBy: this.workerId,
+          updatedAt: Date.now()
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Requeue jobs whose worker died while holding the lock. A job that has used up its attempts
+   * is failed instead, so one that keeps taking the worker down is not retried forever.
+   * @returns {Promise<void>}
+   */
+  async releaseStaleJobs() {
+    const stale = {
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - this.lockTimeout) }
+    };
+
+    const result = await Job.updateMany(
+      { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: { status: 'queued', updatedAt: Date.now() },
+        $unset: { lockedAt: '', lockedBy: '' }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn(`Requeued ${result.modifiedCount} stale jobs`);
+    }
+
+    // Only fail jobs whose onFailure this worker can run; other workers handle the rest
+    const exhausted = await Job.find({
+      ...stale,
+      type: { $in: [...this.handlers.keys()] },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    }).limit(100);
+
+    for (const staleJob of exhausted) {
+      const error = new Error('Job lock timed out: the worker stopped while running it');
+      // Another worker may have got there first, the lock timestamp tells
+      const job = await Job.findOneAndUpdate(
+        { _id: staleJob._id, status: 'running', lockedAt: staleJob.lockedAt },
+        {
+          status: 'failed',
+          lastError: error.message,
+          finishedAt: Date.now(),
+          updatedAt: Date.now(),
+          $unset: { lockedAt: '', lockedBy: '' }
+        },
+        { new: true }
+      );
+      if (!job) continue;
+
+      logger.warn(`Job ${job._id} (${job.type}) failed after ${job.attempts} attempts that never finished`);
+      await this.runFailureHandler(job, error);
+    }
+  }
+
+  /**
+   * Filter matching a job only while this worker still holds the lock from its claim;
+   * the attempt count changes whenever the job is claimed again
+   * @param {Object} job - Claimed job document
+   * @returns {Object} Query filter
+   */
+  lockFilter(job) {
+    return { _id: job._id, status: 'running', lockedBy: this.workerId, attempts: job.attempts };
+  }
+
+  /**
+   * Keep the lock of a running job fresh so long jobs are not taken for dead
+   * @param {Object} job - Claimed job document
+   * @returns {NodeJS.Timeout} Interval to clear when the job ends
+   */
+  startHeartbeat(job) {
+    const heartbeat = setInterval(() => {
+      Job.updateOne(this.lockFilter(job), { $set: { lockedAt: new Date() } })
+        .catch(error => logger.warn(`Heartbeat for job ${job._id} failed: ${error.message}`));
+    }, Math.max(Math.floor(this.lockTimeout / 3), 10));
+    heartbeat.unref();
+    return heartbeat;
+  }
+
+  /**
+   * Let the job type clean up after a job that will not be retried
+   * @param {Object} job - Failed job document
+   * @param {Error} error - Last error
+   * @returns {Promise<void>}
+   */
+  async runFailureHandler(job, error) {
+    const onFailure = this.handlers.get(job.type)?.onFailure;
+    if (!onFailure) return;
+
+    try {
+      await onFailure(job, error);
+    } catch (failureError) {
+      logger.error(`Failure handler for job ${job._id} failed:`, failureError);
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Claimed job document
+   * @returns {Promise<void>}
+   */
+  async execute(job) {
+    const { handler } = this.handlers.get(job.type);
+    const startTime = Date.now();
+    const heartbeat = this.startHeartbeat(job);
+
+    logger.info(`Job ${job._id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+
+    try {
+      await handler(job);
+
+      const completed = await Job.findOneAndUpdate(this.lockFilter(job), {
+        status: 'completed',
+        finishedAt: Date.now(),
+        updatedAt: Date.now(),
+        $unset: { lockedAt: '', lockedBy: '' }
+      });
+
+      if (!completed) {
+        logger.warn(`Job ${job._id} finished after its lock was released, leaving it to the new owner`);
+        return;
+      }
+
+      logger.info(`Job ${job._id} completed in ${Date.now() - startTime}ms`);
+
+    } catch (error) {
+      logger.error(`Job ${job._id} attempt ${job.attempts} failed:`, error);
+
+      if (job.attempts < job.maxAttempts) {
+        // Retry later (exponential backoff)
+        const delay = Math.pow(2, job.attempts) * 1000;
+        await Job.findOneAndUpdate(this.lockFilter(job), {
+          status: 'queued',
+          runAt: new Date(Date.now() + delay),
+          lastError: error.message?.substring(0, 2000),
+          updatedAt: Date.now(),
+          $unset: { lockedAt: '', lockedBy: '' }
+        });
+        return;
+      }
+
+      const failed = await Job.findOneAndUpdate(this.lockFilter(job), {
+        status: 'failed',
+        lastError: error.message?.substring(0, 2000),
+        finishedAt: Date.now(),
+        updatedAt: Date.now(),
+        $unset: { lockedAt: '', lockedBy: '' }
+      });
+
+      if (!failed) {
+        logger.warn(`Job ${job._id} failed after its lock was released, leaving it to the new owner`);
+        return;
+      }
+
+      await this.runFailureHandler(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+export default new JobQueue();
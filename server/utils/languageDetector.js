@@ -0,0 +1,82 @@
+/**
+ * Lightweight script and language detection for OCR output.
+ * Scripts are identified by Unicode block; Latin-script languages by stopwords and diacritics.
+ */
+
+// Unicode blocks of the non-Latin scripts we have traineddata for
+const SCRIPTS = [
+  { script: 'Sinhala', language: 'sin', pattern: /[඀-෿]/g },
+  { script: 'Tamil', language: 'tam', pattern: /[஀-௿]/g }
+];
+
+const LATIN_PATTERN = /[A-Za-zÀ-ɏ]/g;
+
+const LATIN_LANGUAGES = {
+  eng: {
+    stopwords: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'was', 'for', 'with', 'are', 'this', 'be'],
+    diacritics: null // English has none worth counting
+  },
+  fra: {
+    stopwords: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'un', 'que', 'dans', 'pour', 'du', 'au', 'sont', 'pas'],
+    diacritics: /[çèêëàâîïôûùœ]/gi
+  },
+  spa: {
+    stopwords: ['el', 'la', 'los', 'las', 'y', 'de', 'que', 'en', 'es', 'por', 'una', 'del', 'con', 'para', 'se'],
+    diacritics: /[ñáíóú¿¡]/gi
+  }
+};
+
+/**
+ * Count regex matches in text
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number} Match count
+ */
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Detect the dominant script and language of a text
+ * @param {string} text - Text to classify (usually a first OCR pass)
+ * @returns {Object|null} { script, language, confidence } or null if there is too little text
+ */
+export function detectLanguage(text) {
+  if (!text || text.trim().length < 10) return null;
+
+  const latinCount = countMatches(text, LATIN_PATTERN);
+  const scriptCounts = SCRIPTS.map(entry => ({ ...entry, count: countMatches(text, entry.pattern) }));
+  const letterCount = latinCount + scriptCounts.reduce((sum, entry) => sum + entry.count, 0);
+
+  if (letterCount === 0) return null;
+
+  // A non-Latin script wins as soon as it dominates the letters we recognised
+  const topScript = scriptCounts.sort((a, b) => b.count - a.count)[0];
+  if (topScript.count > latinCount) {
+    return {
+      script: topScript.script,
+      language: topScript.language,
+      confidence: Math.round((topScript.count / letterCount) * 100)
+    };
+  }
+
+  // Latin script: score each language by stopword hits, with diacritics as a tie-breaker
+  const words = text.toLowerCase().split(/[^a-zÀ-ɏ]+/).filter(Boolean);
+  const scores = Object.entries(LATIN_LANGUAGES).map(([language, { stopwords, diacritics }]) => ({
+    language,
+    score: words.filter(word => stopwords.includes(word)).length + (diacritics ? countMatches(text, diacritics) * 0.5 : 0)
+  }));
+
+  const totalScore = scores.reduce((sum, entry) => sum + entry.score, 0);
+  const best = scores.sort((a, b) => b.score - a.score)[0];
+
+  if (totalScore === 0) {
+    return { script: 'Latin', language: 'eng', confidence: 0 };
+  }
+
+  return {
+    script: 'Latin',
+    language: best.language,
+    confidence: Math.round((best.score / totalScore) * 100)
+  };
+}
@@ -0,0 +1,36 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Google Gemini adapter
+ */
+export class GeminiProvider {
+  static requiredEnvVars = ['GEMINI_API_KEY'];
+  static defaultModel = 'gemini-pro';
+
+  constructor({ model } = {}) {
+    this.name = 'gemini';
+    this.model = model || GeminiProvider.defaultModel;
+    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    this.client = this.genAI.getGenerativeModel({ model: this.model });
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - Generation options
+   * @returns {Promise<string>} Raw response text
+   */
+  async generate(prompt, options = {}) {
+    const result = await this.client.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: options.temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: options.maxOutputTokens,
+      }
+    });
+
+    return result.response.text();
+  }
+}
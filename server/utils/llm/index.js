@@ -0,0 +1,41 @@
+import { GeminiProvider } from './geminiProvider.js';
+import { OpenAIProvider } from './openaiProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+const providers = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+/**
+ * Get the provider class for a name
+ * @param {string} name - Provider name (gemini, openai, mock)
+ * @returns {Function} Provider class
+ */
+export function getProviderClass(name) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Supported providers: ${Object.keys(providers).join(', ')}`);
+  }
+  return Provider;
+}
+
+/**
+ * Create an LLM provider from configuration
+ * @param {Object} options - Provider options
+ * @param {string} options.provider - Provider name, defaults to LLM_PROVIDER or gemini
+ * @param {string} options.model - Model name, defaults to LLM_MODEL or the provider's default
+ * @returns {Object} Provider instance exposing name, model and generate(prompt, options)
+ */
+export function createProvider(options = {}) {
+  const name = options.provider || process.env.LLM_PROVIDER || 'gemini';
+  const Provider = getProviderClass(name);
+
+  // LLM_MODEL belongs to LLM_PROVIDER, don't pass it to an explicitly requested different provider
+  const defaultModel = options.provider ? undefined : process.env.LLM_MODEL;
+
+  return new Provider({ model: options.model || defaultModel });
+}
+
+export const supportedProviders = Object.keys(providers);
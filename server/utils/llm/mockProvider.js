@@ -0,0 +1,79 @@
+/**
+ * Deterministic offline provider for development and tests.
+ * Responses depend only on the prompt, so the same input always produces the same analysis.
+ */
+export class MockProvider {
+  static requiredEnvVars = [];
+  static defaultModel = 'mock-1';
+
+  constructor({ model } = {}) {
+    this.name = 'mock';
+    this.model = model || MockProvider.defaultModel;
+  }
+
+  /**
+   * Generate a canned analysis for a prompt
+   * @param {string} prompt - Full prompt text
+   * @returns {Promise<string>} JSON response covering the document, math review, answer review, rubric grading and model answer comparison formats
+   */
+  async generate(prompt) {
+    // Prompts wrap the student's text in triple quotes
+    const quoted = prompt.match(/"""\n?([\s\S]*?)\n?"""/);
+    const text = (quoted ? quoted[1] : prompt).trim();
+
+    const words = text.split(/\s+/).filter(Boolean);
+    const sentences = text.split(/(?<=[.!?])\s+/).filter(s => s.trim());
+    const longestSentence = sentences.reduce((longest, s) => (s.length > longest.length ? s : longest), '');
+    const excerpt = longestSentence.substring(0, 80);
+
+    // Comparison prompts quote the model answer second; a point counts as covered when its longest word appears
+    const modelAnswer = [...prompt.matchAll(/"""\n?([\s\S]*?)\n?"""/g)][1]?.[1] || '';
+    const coverage = modelAnswer.split(/(?<=[.!?])\s+/).filter(s => s.trim()).map(point => {
+      const keyword = point.split(/\W+/).reduce((longest, w) => (w.length > longest.length ? w : longest), '').toLowerCase();
+      const evidence = sentences.find(s => keyword && s.toLowerCase().includes(keyword)) || '';
+      return { point: point.trim(), status: evidence ? 'covered' : 'missed', evidence };
+    });
+
+    // Rubric prompts list criteria as "[n] Name (max P points)"; award half marks on each
+    const criteria = [...prompt.matchAll(/^\[(\d+)\] .+ \(max ([\d.]+) points\)$/gm)].map(match => ({
+      criterion: Number(match[1]),
+      score: Math.round(Number(match[2]) / 2),
+      justification: `Mock grade for an answer of ${words.length} words.`
+    }));
+
+    // Math reviews label lines "[Step N]"; point the suggestion at the first step with a formula
+    const formulaStep = text.match(/^\[Step (\d+)\][^$\n]*\$([^$\n]+)\$/m);
+
+    return JSON.stringify({
+      analysis: `Mock analysis of ${words.length} words in ${sentences.length} sentences.`,
+      suggestions: [
+        {
+          category: 'clarity',
+          priority: longestSentence.length > 150 ? 'high' : 'low',
+          suggestion: `Consider splitting the longest sentence (${longestSentence.length} characters).`,
+          location: excerpt
+        },
+        ...(formulaStep ? [{
+          category: 'content',
+          priority: 'medium',
+          suggestion: 'Show the working that leads to this line.',
+          location: `Step ${formulaStep[1]}`,
+          formula: formulaStep[2]
+        }] : [])
+      ],
+      firstErrorStep: null,
+      overall: `Mock review of ${words.length} words in ${sentences.length} sentences.`,
+      mistakes: [
+        {
+          type: 'writing',
+          what: `"${excerpt}"`,
+          why: 'This is the longest sentence in the answer.',
+          fix: 'Split it into shorter sentences.'
+        }
+      ],
+      scoreHint10: Math.min(10, Math.max(1, Math.round(words.length / 20))),
+      criteria,
+      coverage
+    });
+  }
+}
@@ -0,0 +1,59 @@
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Adapter for any OpenAI-compatible chat completions endpoint
+ * (OpenAI itself, or local servers such as Ollama, vLLM and LM Studio)
+ */
+export class OpenAIProvider {
+  static defaultModel = 'gpt-4o-mini';
+
+  static get requiredEnvVars() {
+    // Self-hosted endpoints usually don't need a key, the public API does
+    return process.env.OPENAI_BASE_URL ? [] : ['OPENAI_API_KEY'];
+  }
+
+  constructor({ model } = {}) {
+    this.name = 'openai';
+    this.model = model || OpenAIProvider.defaultModel;
+    this.baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.timeout = parseInt(process.env.LLM_TIMEOUT_MS) || 60000;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - Generation options
+   * @returns {Promise<string>} Raw response text
+   */
+  async generate(prompt, options = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature,
+        max_tokens: options.maxOutputTokens
+      }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`OpenAI-compatible request failed with status ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('OpenAI-compatible response did not contain a message');
+    }
+
+    return content;
+  }
+}
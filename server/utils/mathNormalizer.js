@@ -0,0 +1,149 @@
+/**
+ * Finds equations in OCR text and rewrites them in LaTeX-like notation, and decides when a document
+ * is mathematical working that should get the step-by-step math review instead of the writing review.
+ */
+class MathNormalizer {
+  constructor() {
+    this.mathSubjects = ['math', 'maths', 'mathematics', 'algebra', 'calculus', 'geometry', 'trigonometry', 'statistics'];
+    this.minMathRatio = 0.4; // Share of non-empty lines that must be math for a document to count as working
+
+    this.symbols = {
+      '×': '\\times', '÷': '\\div', '·': '\\cdot', '±': '\\pm', '∓': '\\mp',
+      '≤': '\\leq', '≥': '\\geq', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv', '∝': '\\propto',
+      '→': '\\to', '⇒': '\\Rightarrow', '∞': '\\infty', '∑': '\\sum', '∫': '\\int', '∂': '\\partial',
+      'Δ': '\\Delta', 'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'θ': '\\theta',
+      'λ': '\\lambda', 'μ': '\\mu', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'φ': '\\phi', 'ω': '\\omega',
+      '°': '^{\\circ}'
+    };
+    this.superscripts = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-', 'ⁿ': 'n' };
+    this.subscripts = { '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9' };
+    this.functions = ['sin', 'cos', 'tan', 'log', 'ln', 'exp', 'lim', 'sqrt'];
+  }
+
+  /**
+   * Check whether a subject always uses the math review
+   * @param {string} subject - Analysis subject
+   * @returns {boolean} True for math subjects
+   */
+  isMathSubject(subject) {
+    return this.mathSubjects.includes(String(subject || '').trim().toLowerCase());
+  }
+
+  /**
+   * Check whether text is mostly mathematical working
+   * @param {string} text - Document text
+   * @returns {boolean} True if enough lines are equations
+   */
+  isMathText(text) {
+    const lines = String(text || '').split('\n').filter(line => line.trim());
+    const mathLines = lines.filter(line => this.isMathLine(line)).length;
+    return mathLines >= 2 && mathLines / lines.length >= this.minMathRatio;
+  }
+
+  /**
+   * Score a line for equation features against the amount of prose in it
+   * @param {string} line - One line of text
+   * @returns {boolean} True if the line is an equation or calculation
+   */
+  isMathLine(line) {
+    const text = line.trim();
+    if (!text) return false;
+    if (text.includes('$')) return true; // Already normalized or typed as LaTeX
+
+    let score = 0;
+    if (/[\w)\]]\s*(=|<|>|≤|≥|≠|≈)\s*[-\w(√\\]/.test(text)) score += 2;
+    score += Math.min(3, (text.match(/[\w)²³]\s*[-+*/×÷^]\s*[\w(√]/g) || []).length);
+    if (/[×÷±≤≥≠≈√∫∑∞π²³⁴₀-₉θαβλμσω]/.test(text)) score += 2;
+    if (/\d\s*[a-z]\b|\b[a-z]\^/.test(text)) score += 1;
+    if (new RegExp(`\\b(${this.functions.join('|')})\\b`).test(text)) score += 1;
+
+    const prose = (text.match(/\b[A-Za-z]{4,}\b/g) || [])
+      .filter(word => !this.functions.includes(word.toLowerCase())).length;
+
+    return score >= 3 && prose <= 3 && prose < score;
+  }
+
+  /**
+   * Rewrite the equation lines of OCR text in LaTeX-like notation, leaving prose lines as they are
+   * @param {string} text - Cleaned OCR text
+   * @returns {Object} { text, formulaCount }
+   */
+  normalize(text) {
+    let formulaCount = 0;
+
+    const lines = String(text || '').split('\n').map(line => {
+      if (line.includes('$') || !this.isMathLine(line)) return line;
+      formulaCount++;
+      return this.normalizeLine(line);
+    });
+
+    return { text: lines.join('\n'), formulaCount };
+  }
+
+  /**
+   * Fix common OCR confusions in an equation and wrap it in $...$, keeping a leading phrase such as "Therefore" outside
+   * @param {string} line - Equation line
+   * @returns {string} Normalized line
+   */
+  normalizeLine(line) {
+    // Leading words count as prose until the next token is a variable, number or relation ("Area = ..." stays whole)
+    const tokens = line.trim().split(/\s+/);
+    let proseEnd = 0;
+    while (
+      proseEnd < tokens.length - 1 &&
+      /^[A-Za-z]{2,}[,:]?$/.test(tokens[proseEnd]) &&
+      !this.functions.includes(tokens[proseEnd].toLowerCase()) &&
+      !/^(=|<|>|≤|≥|≠|≈)$/.test(tokens[proseEnd + 1])
+    ) {
+      proseEnd++;
+    }
+    const prefix = tokens.slice(0, proseEnd).join(' ');
+    let formula = tokens.slice(proseEnd).join(' ');
+
+    formula = formula
+      // Dashes and minus signs OCR picks up instead of "-"
+      .replace(/[−–—]/g, '-')
+      // Letters read inside numbers
+      .replace(/(?<=\d)[Oo](?![A-Za-z])/g, '0')
+      .replace(/(?<=\d)[lI|](?=\d)/g, '1')
+      // Multiplication written as a spaced x or an asterisk
+      .replace(/(\d)\s+[xX]\s+(?=\d)/g, '$1 × ')
+      .replace(/\s*\*\s*/g, ' × ')
+      // Superscripts and subscripts
+      .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻ⁿ]+/g, run => `^{${[...run].map(c => this.superscripts[c]).join('')}}`)
+      .replace(/[₀₁₂₃₄₅₆₇₈₉]+/g, run => `_{${[...run].map(c => this.subscripts[c]).join('')}}`)
+      .replace(/\^(\d{2,})/g, '^{$1}')
+      // Roots and simple numeric fractions
+      .replace(/(?:√|\bsqrt)\s*\(([^()]*)\)/g, '\\sqrt{$1}')
+      .replace(/√\s*(\w+)/g, '\\sqrt{$1}')
+      .replace(/(?<![\w/.])(\d+)\s*\/\s*(\d+)(?![\w/.])/g, '\\frac{$1}{$2}')
+      .replace(/\(([^()]+)\)\s*\/\s*(\d+|\w)(?![\w(])/g, '\\frac{$1}{$2}')
+      // Named functions
+      .replace(new RegExp(`(?<!\\\\)\\b(${this.functions.filter(name => name !== 'sqrt').join('|')})\\b`, 'g'), '\\$1');
+
+    formula = [...formula].map(char => (this.symbols[char] ? `${this.symbols[char]} ` : char)).join('')
+      .replace(/ \^/g, '^')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return `${prefix ? `${prefix} ` : ''}$${formula}$`;
+  }
+
+  /**
+   * Label each non-empty line as a numbered step so feedback can point at "Step N"
+   * @param {string} text - Working text
+   * @returns {Object} { text, steps }
+   */
+  numberSteps(text) {
+    let steps = 0;
+    const lines = String(text || '').split('\n').map(line => {
+      if (!line.trim()) return line;
+      steps++;
+      return `[Step ${steps}] ${line.trim()}`;
+    });
+
+    return { text: lines.join('\n'), steps };
+  }
+}
+
+export default new MathNormalizer();
@@ -1,38 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
 import Tesseract from 'tesseract.js';
+import { detectLanguage } from './languageDetector.js';
+import imagePreprocessor from './imagePreprocessor.js';
 import { logger } from './logger.js';
 
 class OCRProcessor {
   constructor() {
     this.maxRetries = 3;
-    this.languages = 'eng'; // Default to English, can be extended
+    this.knownLanguages = ['eng', 'sin', 'tam', 'fra', 'spa'];
+    this.languages = process.env.OCR_LANGUAGES || 'eng';
+    // First pass for auto mode: one traineddata per script we can tell apart
+    this.detectLanguages = process.env.OCR_DETECT_LANGUAGES || 'eng+sin+tam';
+    this.langPath = process.env.OCR_LANG_PATH; // Local traineddata directory for offline use
+    this.cachePath = process.env.OCR_CACHE_PATH;
+    this.loadLanguageData();
+  }
+
+  /**
+   * Work out which languages can be loaded. Offline, only languages with a traineddata file
+   * in OCR_LANG_PATH are supported: Tesseract crashes the process when a file is missing.
+   */
+  loadLanguageData() {
+    // Language code -> 'plain' and/or 'gz', the traineddata files found for it
+    this.languageFiles = null;
+    this.supportedLanguages = [...this.knownLanguages];
+
+    if (!this.langPath) {
+      return;
+    }
+
+    this.languageFiles = {};
+    // osd is the orientation data used by rotation detection, not an OCR language
+    for (const code of [...this.knownLanguages, 'osd']) {
+      const formats = [];
+      if (fs.existsSync(path.join(this.langPath, `${code}.traineddata`))) formats.push('plain');
+      if (fs.existsSync(path.join(this.langPath, `${code}.traineddata.gz`))) formats.push('gz');
+      if (formats.length > 0) {
+        this.languageFiles[code] = formats;
+      }
+    }
+
+    this.supportedLanguages = this.knownLanguages.filter(code => this.languageFiles[code]);
+    const missing = this.knownLanguages.filter(code => !this.languageFiles[code]);
+    if (missing.length > 0) {
+      logger.warn(`OCR_LANG_PATH has no traineddata for ${missing.join(', ')}; these languages are disabled`);
+    }
+    const defaultError = this.checkLanguageData(this.languages);
+    if (defaultError) {
+      logger.warn(`OCR_LANGUAGES can't be used: ${defaultError}`);
+    }
+  }
+
+  /**
+   * Pick the traineddata file format for a set of languages. Tesseract loads every language
+   * of a worker with the same file name suffix, so all of them need a file in that format.
+   * @param {string} languages - Tesseract language string, e.g. "eng+fra"
+   * @returns {string|null} 'plain', 'gz', or null when the files can't be loaded together
+   */
+  getDataFormat(languages) {
+    const formats = languages.split('+').map(code => this.languageFiles[code] || []);
+    if (formats.every(available => available.includes('plain'))) return 'plain';
+    if (formats.every(available => available.includes('gz'))) return 'gz';
+    return null;
+  }
+
+  /**
+   * Check that a language string can be loaded before handing it to Tesseract
+   * @param {string} languages - Tesseract language string, e.g. "eng+fra"
+   * @returns {string|null} Error message, or null when every language has usable data
+   */
+  checkLanguageData(languages) {
+    if (!this.languageFiles) {
+      return null;
+    }
+
+    const missing = languages.split('+').filter(code => !this.languageFiles[code]);
+    if (missing.length > 0) {
+      return `No OCR language data for ${missing.join(', ')} in OCR_LANG_PATH`;
+    }
+    if (!this.getDataFormat(languages)) {
+      return `OCR languages ${languages.split('+').join(', ')} cannot be combined: OCR_LANG_PATH needs their traineddata files all plain or all gzipped`;
+    }
+    return null;
+  }
+
+  /**
+   * Parse and validate a requested language list
+   * @param {string|Array<string>} input - "auto", "eng+fra", "eng,fra" or an array of codes
+   * @returns {Object} { isValid, errors, languages, auto }
+   */
+  parseLanguages(input) {
+    if (input === undefined || input === null || input === '') {
+      return { isValid: true, errors: [], languages: this.languages, auto: false };
+    }
+
+    const codes = (Array.isArray(input) ? input : String(input).split(/[+,\s]+/))
+      .map(code => String(code).trim().toLowerCase())
+      .filter(Boolean);
+
+    if (codes.length === 1 && codes[0] === 'auto') {
+      return { isValid: true, errors: [], languages: 'auto', auto: true };
+    }
+
+    const unsupported = codes.filter(code => !this.supportedLanguages.includes(code));
+    if (codes.length === 0 || unsupported.length > 0) {
+      return {
+        isValid: false,
+        errors: [`Unsupported OCR language: ${unsupported.join(', ') || input}. Supported languages: auto, ${this.supportedLanguages.join(', ')}`],
+        languages: null,
+        auto: false
+      };
+    }
+
+    const languages = [...new Set(codes)].join('+');
+    const dataError = this.checkLanguageData(languages);
+    if (dataError) {
+      return { isValid: false, errors: [dataError], languages: null, auto: false };
+    }
+
+    return { isValid: true, errors: [], languages, auto: false };
+  }
+
+  /**
+   * Languages for the first pass of auto mode; offline, only those with traineddata
+   * @returns {string} Tesseract language string
+   */
+  getDetectLanguages() {
+    if (!this.languageFiles) {
+      return this.detectLanguages;
+    }
+    return this.detectLanguages.split('+').filter(code => this.languageFiles[code]).join('+') || this.languages;
+  }
+
+  /**
+   * Build Tesseract options for loading traineddata
+   * @param {string} languages - Tesseract language string, e.g. "eng+fra"
+   * @returns {Object} langPath/cachePath/gzip options
+   */
+  getLanguageDataOptions(languages) {
+    const options = {};
+
+    if (this.cachePath) {
+      options.cachePath = this.cachePath;
+    }
+
+    if (this.langPath) {
+      options.langPath = this.langPath;
+      // tessdata ships plain .traineddata files, tesseract.js defaults to .traineddata.gz
+      options.gzip = this.getDataFormat(languages) === 'gz';
+    }
+
+    return options;
   }
 
   /**
    * Process image with OCR
    * @param {Buffer} imageBuffer - Image buffer
-   * @param {Object} options - OCR options
+   * @param {Object} options - OCR options, passed through to Tesseract
+   * @param {Function} options.onProgress - Called with recognition progress as a 0-100 percentage
+   * @param {string} options.languages - Tesseract language string, defaults to OCR_LANGUAGES
    * @returns {Promise<Object>} OCR result with text and confidence
    */
   async processImage(imageBuffer, options = {}) {
+    const { onProgress, languages = this.languages, ...tesseractOptions } = options;
     const startTime = Date.now();
     let attempt = 0;
 
+    const dataError = this.checkLanguageData(languages);
+    if (dataError) {
+      logger.error(`OCR skipped: ${dataError}`);
+      return { text: '', confidence: 0, processingTime: 0, error: dataError, success: false };
+    }
+
     while (attempt < this.maxRetries) {
       try {
-        logger.info(`OCR attempt ${attempt + 1} for image processing`);
+        logger.info(`OCR attempt ${attempt + 1} for image processing (${languages})`);
 
-        const result = await Tesseract.recognize(imageBuffer, this.languages, {
+        const worker = await Tesseract.createWorker(languages, 1, {
+          ...this.getLanguageDataOptions(languages),
           logger: (m) => {
             if (m.status === 'recognizing text') {
               logger.debug(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+              onProgress?.(Math.round(m.progress * 100));
             }
           },
-          ...options
+          ...tesseractOptions
         });
 
+        let result;
+        try {
+          // Blocks carry the word and line geometry that plain recognize() leaves out
+          result = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+        } finally {
+          await worker.terminate();
+        }
+
         const processingTime = Date.now() - startTime;
         const cleanedText = this.cleanText(result.data.text);
         const confidence = result.data.confidence;
+        const { width, height } = await sharp(imageBuffer).metadata();
 
         logger.info(`OCR completed in ${processingTime}ms with confidence: ${confidence}%`);
 
@@ -41,6 +209,9 @@ class OCRProcessor {
           confidence: confidence,
           processingTime: processingTime,
           rawText: result.data.text,
+          layout: this.extractLayout(result.data, width, height),
+          languages,
+          source: 'ocr',
           success: true
         };
 
@@ -65,54 +236,205 @@ class OCRProcessor {
   }
 
   /**
-   * Clean extracted text by removing common artifacts
+   * Flatten Tesseract blocks into lines with word boxes
+   * @param {Object} data - Tesseract result data with blocks
+   * @param {number} width - Width of the image OCR ran on
+   * @param {number} height - Height of the image OCR ran on
+   * @returns {Object} { width, height, blocks, lines } with bounding boxes in image pixels
+   */
+  extractLayout(data, width, height) {
+    const toBox = ({ x0, y0, x1, y1 }) => ({ x0, y0, x1, y1 });
+    const blocks = data.blocks || [];
+    const lines = [];
+
+    for (const block of blocks) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const line of paragraph.lines || []) {
+          lines.push({
+            text: line.text.trim(),
+            confidence: line.confidence,
+            bbox: toBox(line.bbox),
+            words: (line.words || []).map(word => ({
+              text: word.text,
+              confidence: word.confidence,
+              bbox: toBox(word.bbox)
+            }))
+          });
+        }
+      }
+    }
+
+    return {
+      width,
+      height,
+      blocks: blocks.map(block => ({
+        text: block.text.trim(),
+        confidence: block.confidence,
+        bbox: toBox(block.bbox)
+      })),
+      lines
+    };
+  }
+
+  /**
+   * Clean extracted text by removing common artifacts.
+   * Line breaks are kept and blank lines still separate paragraphs, so later steps can rely on the structure.
    * @param {string} text - Raw OCR text
    * @returns {string} Cleaned text
    */
   cleanText(text) {
     if (!text) return '';
 
-    let cleaned = text
-      // Remove excessive whitespace
-      .replace(/\s+/g, ' ')
-      // Remove common page artifacts
-      .replace(/Page \d+/gi, '')
-      .replace(/^\d+\s*$/gm, '') // Remove standalone numbers (page numbers)
-      // Remove common headers/footers patterns
-      .replace(/^[-=_]{3,}$/gm, '')
-      // Remove watermark-like patterns
-      .replace(/CONFIDENTIAL|DRAFT|COPY/gi, '')
-      // Clean up line breaks
-      .replace(/\n\s*\n/g, '\n\n')
-      // Remove leading/trailing whitespace
+    const lines = text
+      .replace(/\r\n?/g, '\n')
+      .replace(/\f/g, '\n\n')
+      // Rejoin words hyphenated across a line break
+      .replace(/(\p{L})-\n[ \t]*(\p{Ll})/gu, '$1$2')
+      .split('\n')
+      // Collapse whitespace within a line only
+      .map(line => line.replace(/[^\S\n]+/g, ' ').trim())
+      .filter(line => !this.isArtifactLine(line));
+
+    return lines
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
       .trim();
+  }
 
-    // Remove very short lines that are likely artifacts
-    cleaned = cleaned
-      .split('\n')
-      .filter(line => line.trim().length > 2 || /[.!?]$/.test(line.trim()))
-      .join('\n');
+  /**
+   * Check whether a line is a page artifact rather than content. Empty lines are kept as paragraph breaks.
+   * @param {string} line - Trimmed line
+   * @returns {boolean} True if the line should be dropped
+   */
+  isArtifactLine(line) {
+    if (!line) return false;
+
+    return /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i.test(line) // Page numbers: "3", "Page 3", "3 of 10"
+      || /^[-\u2013\u2014]\s*\d+\s*[-\u2013\u2014]$/.test(line) // "- 3 -"
+      || /^[-=_*~.\s]{3,}$/.test(line) // Rules and separators
+      || /^(confidential|draft|copy)$/i.test(line) // Watermarks read as a line of their own
+      || !/[\p{L}\p{N}]/u.test(line) // Specks and stray punctuation
+      || (line.length <= 2 && !/^[\p{L}\p{N}]+$/u.test(line) && !/[.!?]$/.test(line));
+  }
+
+  /**
+   * Remove running headers and footers: lines at the top or bottom of at least half the pages.
+   * Digits are ignored when comparing, so "Page 2 of 9" and "Page 3 of 9" count as the same line.
+   * @param {Array<string>} pageTexts - Cleaned text per page
+   * @returns {Array<string>} Page texts without repeated headers and footers
+   */
+  removeRunningHeaders(pageTexts) {
+    if (pageTexts.length < 2) return pageTexts;
+
+    const edgeLines = 2; // Lines checked at each end of a page
+    const key = line => line.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+    const pages = pageTexts.map(text => text.split('\n'));
+
+    const edgeIndexes = lines => {
+      const content = lines.map((line, index) => (line.trim() ? index : -1)).filter(index => index !== -1);
+      return new Set([...content.slice(0, edgeLines), ...content.slice(-edgeLines)]);
+    };
+
+    const counts = new Map();
+    for (const lines of pages) {
+      const keys = new Set([...edgeIndexes(lines)].map(index => key(lines[index])));
+      keys.forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+    }
+
+    const threshold = Math.max(2, Math.ceil(pageTexts.length / 2));
+    const repeated = new Set([...counts].filter(([, count]) => count >= threshold).map(([k]) => k));
+    if (repeated.size === 0) return pageTexts;
 
-    return cleaned;
+    logger.info(`Removing ${repeated.size} running header/footer lines from ${pageTexts.length} pages`);
+    return pages.map(lines => {
+      const edges = edgeIndexes(lines);
+      return lines
+        .filter((line, index) => !(edges.has(index) && repeated.has(key(line))))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    });
   }
 
   /**
-   * Process multiple images (for PDF pages)
-   * @param {Array<Buffer>} imageBuffers - Array of image buffers
+   * Process multiple images (PDF pages or photos of a multi-page answer)
+   * @param {Array<Buffer|null>} imageBuffers - Array of image buffers, one per page
+   * @param {Object} options - Processing options
+   * @param {Array<string|null>} options.pageTexts - Embedded text per page; pages with text skip OCR
+   * @param {Array<number>} options.rotations - Clockwise rotation hints per page, replacing rotation detection
+   * @param {boolean} options.previews - Also return a colour preview of each OCR'd page, aligned with its layout
+   * @param {Function} options.onProgress - Called with { page, totalPages, percent } as pages are read
+   * @param {string} options.languages - Tesseract language string, or "auto" to detect it first
+   * @param {Array<string>} options.preprocess - Image preprocessing steps, defaults to OCR_PREPROCESS
    * @returns {Promise<Object>} Combined OCR results
    */
-  async processMultipleImages(imageBuffers) {
+  async processMultipleImages(imageBuffers, options = {}) {
+    const { pageTexts = [], rotations = [], onProgress, preprocess, previews: withPreviews = false } = options;
+    let languages = options.languages || this.languages;
+    let languageDetection = null;
+
+    // Clean up page images before anything reads them, language detection included
+    const preprocessing = [];
+    const pageImages = [];
+    const previews = [];
+    for (let i = 0; i < imageBuffers.length; i++) {
+      if (pageTexts[i] || !imageBuffers[i]) {
+        pageImages.push(imageBuffers[i]);
+        previews.push(null);
+        continue;
+      }
+
+      const passLanguages = languages === 'auto' ? this.getDetectLanguages() : languages;
+      const prepared = await imagePreprocessor.process(imageBuffers[i], {
+        steps: preprocess,
+        rotation: rotations[i],
+        preview: withPreviews,
+        languages: passLanguages,
+        tesseractOptions: this.getLanguageDataOptions(passLanguages),
+        osdOptions: this.getLanguageDataOptions('osd')
+      });
+
+      pageImages.push(prepared.buffer);
+      previews.push(prepared.preview);
+      preprocessing.push({
+        page: i + 1,
+        applied: prepared.applied,
+        rotation: prepared.rotation,
+        skewAngle: prepared.skewAngle,
+        originalWidth: prepared.originalWidth,
+        originalHeight: prepared.originalHeight
+      });
+    }
+
+    if (languages === 'auto') {
+      languageDetection = await this.detectDocumentLanguage(pageImages, pageTexts);
+      // A detected language without traineddata can't be loaded, read with the default instead
+      const detected = languageDetection?.language;
+      languages = detected && !this.checkLanguageData(detected) ? detected : this.languages;
+      logger.info(`OCR language detection: ${languageDetection ? `${languageDetection.language} (${languageDetection.script}, ${languageDetection.confidence}%)` : 'inconclusive'}, using ${languages}`);
+    }
+
     const results = [];
     let totalConfidence = 0;
     let totalProcessingTime = 0;
 
-    logger.info(`Processing ${imageBuffers.length} images with OCR`);
+    logger.info(`Processing ${imageBuffers.length} pages with OCR`);
 
     for (let i = 0; i < imageBuffers.length; i++) {
       logger.info(`Processing page ${i + 1}/${imageBuffers.length}`);
-      
-      const result = await this.processImage(imageBuffers[i]);
+
+      const page = i + 1;
+      const totalPages = imageBuffers.length;
+      onProgress?.({ page, totalPages, percent: 0 });
+
+      const result = pageTexts[i]
+        ? this.useEmbeddedText(pageTexts[i])
+        : await this.processImage(pageImages[i], {
+          languages,
+          onProgress: (percent) => onProgress?.({ page, totalPages, percent })
+        });
       results.push(result);
+      onProgress?.({ page, totalPages, percent: 100 });
       
       if (result.success) {
         totalConfidence += result.confidence;
@@ -121,7 +443,7 @@ class OCRProcessor {
     }
 
     const successfulResults = results.filter(r => r.success);
-    const combinedText = successfulResults.map(r => r.text).join('\n\n');
+    const combinedText = this.removeRunningHeaders(successfulResults.map(r => r.text)).join('\n\n');
     const averageConfidence = successfulResults.length > 0 
       ? totalConfidence / successfulResults.length 
       : 0;
@@ -132,10 +454,54 @@ class OCRProcessor {
       processingTime: totalProcessingTime,
       pageResults: results,
       successfulPages: successfulResults.length,
+      textLayerPages: results.filter(r => r.source === 'text-layer').length,
       totalPages: imageBuffers.length,
+      languages,
+      languageDetection,
+      preprocessing,
+      previews,
       success: successfulResults.length > 0
     };
   }
+
+  /**
+   * Detect the document language from embedded text or a first OCR pass over the first page
+   * @param {Array<Buffer|null>} imageBuffers - Page image buffers
+   * @param {Array<string|null>} pageTexts - Embedded text per page
+   * @returns {Promise<Object|null>} { script, language, confidence } or null if inconclusive
+   */
+  async detectDocumentLanguage(imageBuffers, pageTexts = []) {
+    // A text layer is exact, no need to OCR anything to classify it
+    const embeddedText = pageTexts.find(Boolean);
+    if (embeddedText) {
+      return detectLanguage(embeddedText);
+    }
+
+    const firstImage = imageBuffers.find(Boolean);
+    if (!firstImage) return null;
+
+    const detectLanguages = this.getDetectLanguages();
+    logger.info(`Running language detection pass with ${detectLanguages}`);
+    const firstPass = await this.processImage(firstImage, { languages: detectLanguages });
+
+    return firstPass.success ? detectLanguage(firstPass.rawText) : null;
+  }
+
+  /**
+   * Build a page result from a PDF's embedded text layer instead of running OCR
+   * @param {string} text - Embedded page text
+   * @returns {Object} Page result in the same shape as processImage
+   */
+  useEmbeddedText(text) {
+    return {
+      text: this.cleanText(text),
+      confidence: 100, // Text layers are exact, there is nothing to be unsure about
+      processingTime: 0,
+      rawText: text,
+      source: 'text-layer',
+      success: true
+    };
+  }
 }
 
 export default new OCRProcessor();
\ No newline at end of file
@@ -0,0 +1,364 @@
+import Analysis from '../models/Analysis.js';
+
+/**
+ * Validates and normalizes LLM JSON output against the Analysis schema.
+ * Structural problems (no JSON, missing required fields) make a response invalid so it can be repaired;
+ * value problems (unknown enum values, over-long strings, malformed list items) are fixed in place and counted.
+ */
+class OutputValidator {
+  constructor() {
+    // Enums and lengths come from the schema so model output can always be saved
+    const schema = Analysis.schema;
+    const suggestion = schema.path('suggestions').schema;
+    const mistake = schema.path('mistakes').schema;
+    const coverage = schema.path('coverage').schema;
+    const criterion = schema.path('rubricGrade.criteria').schema;
+
+    this.enums = {
+      category: suggestion.path('category').enumValues,
+      priority: suggestion.path('priority').enumValues,
+      mistakeType: mistake.path('type').enumValues,
+      coverageStatus: coverage.path('status').enumValues
+    };
+
+    this.limits = {
+      analysis: schema.path('analysis').options.maxlength,
+      suggestion: suggestion.path('suggestion').options.maxlength,
+      location: suggestion.path('location').options.maxlength,
+      formula: suggestion.path('formula').options.maxlength,
+      mistake: mistake.path('what').options.maxlength,
+      point: coverage.path('point').options.maxlength,
+      evidence: coverage.path('evidence').options.maxlength,
+      justification: criterion.path('justification').options.maxlength,
+      level: criterion.path('level').options.maxlength,
+      rubricOverall: schema.path('rubricGrade.overall').options.maxlength
+    };
+
+    // Values models commonly use instead of ours; anything else falls back to the last argument of normalizeEnum
+    this.synonyms = {
+      category: {
+        general: 'content', accuracy: 'content', knowledge: 'content', argument: 'content', evidence: 'content',
+        spelling: 'grammar', punctuation: 'grammar', language: 'grammar', vocabulary: 'grammar',
+        style: 'clarity', readability: 'clarity', coherence: 'clarity', tone: 'clarity', writing: 'clarity',
+        organization: 'structure', organisation: 'structure', logic: 'structure', flow: 'structure',
+        format: 'formatting', presentation: 'formatting', layout: 'formatting', citation: 'formatting', citations: 'formatting'
+      },
+      priority: {
+        critical: 'high', urgent: 'high', major: 'high', important: 'high',
+        moderate: 'medium', normal: 'medium', med: 'medium',
+        minor: 'low', optional: 'low', trivial: 'low'
+      },
+      mistakeType: {
+        content: 'knowledge', factual: 'knowledge', accuracy: 'knowledge', concept: 'knowledge',
+        reasoning: 'logic', structure: 'logic', argument: 'logic', method: 'logic',
+        grammar: 'writing', spelling: 'writing', language: 'writing', clarity: 'writing', style: 'writing',
+        formatting: 'format', presentation: 'format', layout: 'format', units: 'format'
+      },
+      coverageStatus: {
+        correct: 'covered', present: 'covered', met: 'covered', yes: 'covered',
+        wrong: 'incorrect', inaccurate: 'incorrect', contradicted: 'incorrect', partial: 'incorrect',
+        absent: 'missed', missing: 'missed', omitted: 'missed', no: 'missed', 'not covered': 'missed'
+      }
+    };
+
+    // Expected shapes, quoted back to the model in repair prompts
+    this.formats = {
+      analysis: '{ "analysis": string, "suggestions": [{ "category": "grammar|clarity|structure|content|formatting", "priority": "high|medium|low", "suggestion": string, "location": string }] }',
+      math: '{ "analysis": string, "firstErrorStep": number|null, "suggestions": [{ "category": "content|structure|clarity|formatting", "priority": "high|medium|low", "suggestion": string, "location": "Step N", "formula": string }] }',
+      answer: '{ "overall": string, "mistakes": [{ "type": "knowledge|logic|writing|format", "what": string, "why": string, "fix": string }], "scoreHint10": number }',
+      rubric: '{ "overall": string, "criteria": [{ "criterion": number, "score": number, "level": string, "justification": string }] }',
+      comparison: '{ "coverage": [{ "point": string, "status": "covered|missed|incorrect", "evidence": string }] }'
+    };
+  }
+
+  /**
+   * Parse and validate a raw model response
+   * @param {string} task - analysis, math, answer, rubric or comparison
+   * @param {string} response - Raw model response
+   * @returns {Object} { valid, value, errors, normalized }
+   */
+  validate(task, response) {
+    const report = { errors: [], normalized: 0 };
+
+    let data;
+    try {
+      data = this.extractJson(response);
+    } catch (error) {
+      return { valid: false, value: null, errors: [error.message], normalized: 0 };
+    }
+
+    const checkers = {
+      analysis: () => this.checkAnalysis(data, report),
+      math: () => this.checkMath(data, report),
+      answer: () => this.checkAnswer(data, report),
+      rubric: () => this.checkRubric(data, report),
+      comparison: () => this.checkComparison(data, report)
+    };
+    if (!checkers[task]) {
+      throw new Error(`No output schema for task ${task}`);
+    }
+
+    const value = checkers[task]();
+    const valid = report.errors.length === 0;
+
+    return { valid, value: valid ? value : null, errors: report.errors, normalized: report.normalized };
+  }
+
+  /**
+   * Find the JSON object in a response, tolerating markdown fences and prose around it
+   * @param {string} response - Raw model response
+   * @returns {Object} Parsed object
+   */
+  extractJson(response) {
+    const text = String(response || '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    if (start === -1) {
+      throw new Error('Response contains no JSON object');
+    }
+
+    // Walk to the matching closing brace rather than the last one in the text
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          const parsed = JSON.parse(text.slice(start, i + 1));
+          if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('not an object');
+          }
+          return parsed;
+        } catch (error) {
+          throw new Error(`Response JSON is invalid: ${error.message}`);
+        }
+      }
+    }
+
+    throw new Error('Response JSON is incomplete (unbalanced braces)');
+  }
+
+  /**
+   * @param {Object} data - Parsed document analysis
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {Object} { analysis, suggestions }
+   */
+  checkAnalysis(data, report) {
+    this.requireString(data, 'analysis', report);
+    this.requireArray(data, 'suggestions', report);
+    if (report.errors.length > 0) return null;
+
+    return {
+      analysis: this.truncate(data.analysis, this.limits.analysis, report),
+      suggestions: this.normalizeSuggestions(data.suggestions, report)
+    };
+  }
+
+  /**
+   * Math reviews are document analyses that point at steps
+   * @param {Object} data - Parsed math review
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {Object} { analysis, suggestions, firstErrorStep }
+   */
+  checkMath(data, report) {
+    const value = this.checkAnalysis(data, report);
+    if (!value) return null;
+
+    // Bare step numbers become "Step N"
+    value.suggestions.forEach(suggestion => {
+      const step = suggestion.location.match(/^(?:step\s*)?(\d+)$/i);
+      if (step && suggestion.location !== `Step ${step[1]}`) {
+        suggestion.location = `Step ${step[1]}`;
+        report.normalized++;
+      }
+    });
+
+    let firstErrorStep = null;
+    const step = Number(data.firstErrorStep);
+    if (Number.isInteger(step) && step >= 1 && data.firstErrorStep !== null) {
+      firstErrorStep = step;
+      if (data.firstErrorStep !== step) report.normalized++;
+    } else if (data.firstErrorStep !== undefined && data.firstErrorStep !== null) {
+      report.normalized++;
+    }
+
+    return { ...value, firstErrorStep };
+  }
+
+  /**
+   * @param {Object} data - Parsed answer review
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {Object} { overall, mistakes, scoreHint10 }
+   */
+  checkAnswer(data, report) {
+    this.requireString(data, 'overall', report);
+    this.requireArray(data, 'mistakes', report);
+    if (report.errors.length > 0) return null;
+
+    const mistakes = this.keepItems(data.mistakes, item => typeof item.what === 'string' && item.what.trim(), report)
+      .map(item => ({
+        type: this.normalizeEnum(item.type, 'mistakeType', 'knowledge', report),
+        what: this.truncate(item.what, this.limits.mistake, report),
+        why: this.truncate(item.why, this.limits.mistake, report),
+        fix: this.truncate(item.fix, this.limits.mistake, report)
+      }));
+
+    let scoreHint10 = null;
+    const score = Number(data.scoreHint10);
+    if (Number.isFinite(score) && data.scoreHint10 !== null && data.scoreHint10 !== '') {
+      scoreHint10 = Math.min(10, Math.max(0, score));
+      if (scoreHint10 !== data.scoreHint10) report.normalized++;
+    } else if (data.scoreHint10 !== undefined && data.scoreHint10 !== null) {
+      report.normalized++;
+    }
+
+    return {
+      overall: this.truncate(data.overall, this.limits.analysis, report),
+      mistakes,
+      scoreHint10
+    };
+  }
+
+  /**
+   * Scores are clamped later against each criterion's points, see aiProcessor.mapRubricScores
+   * @param {Object} data - Parsed rubric grading
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {Object} { overall, criteria }
+   */
+  checkRubric(data, report) {
+    this.requireArray(data, 'criteria', report);
+    if (report.errors.length > 0) return null;
+
+    const criteria = this.keepItems(data.criteria, item =>
+      item.criterion !== undefined && item.criterion !== null && Number.isFinite(Number(item.score)), report
+    ).map(item => ({
+      criterion: item.criterion,
+      score: Number(item.score),
+      level: this.truncate(item.level, this.limits.level, report),
+      justification: this.truncate(item.justification, this.limits.justification, report)
+    }));
+
+    return {
+      overall: this.truncate(data.overall || 'Grading completed.', this.limits.rubricOverall, report),
+      criteria
+    };
+  }
+
+  /**
+   * @param {Object} data - Parsed model answer comparison
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {Object} { coverage }
+   */
+  checkComparison(data, report) {
+    this.requireArray(data, 'coverage', report);
+    if (report.errors.length > 0) return null;
+
+    const coverage = this.keepItems(data.coverage, item => typeof item.point === 'string' && item.point.trim(), report)
+      .map(item => {
+        const status = this.normalizeEnum(item.status, 'coverageStatus', 'missed', report);
+        return {
+          point: this.truncate(item.point, this.limits.point, report),
+          status,
+          evidence: status === 'missed' ? '' : this.truncate(item.evidence, this.limits.evidence, report)
+        };
+      });
+
+    return { coverage };
+  }
+
+  /**
+   * Normalize suggestions from the model or from text heuristics
+   * @param {Array} suggestions - Raw suggestions
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {Array} Suggestions that satisfy the Analysis schema
+   */
+  normalizeSuggestions(suggestions, report = { errors: [], normalized: 0 }) {
+    return this.keepItems(suggestions, item => typeof item.suggestion === 'string' && item.suggestion.trim(), report)
+      .map(item => ({
+        category: this.normalizeEnum(item.category, 'category', 'content', report),
+        priority: this.normalizeEnum(item.priority, 'priority', 'medium', report),
+        suggestion: this.truncate(item.suggestion, this.limits.suggestion, report),
+        location: this.truncate(item.location, this.limits.location, report),
+        ...(typeof item.formula === 'string' && item.formula.trim() && {
+          formula: this.truncate(item.formula, this.limits.formula, report)
+        })
+      }));
+  }
+
+  /**
+   * Map a value onto an enum, via synonyms, counting every change
+   * @param {*} value - Raw value
+   * @param {string} name - Key in this.enums
+   * @param {string} fallback - Value used when nothing matches
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {string} Allowed enum value
+   */
+  normalizeEnum(value, name, fallback, report) {
+    if (this.enums[name].includes(value)) return value;
+
+    report.normalized++;
+    const key = String(value ?? '').trim().toLowerCase();
+    if (this.enums[name].includes(key)) return key;
+    return this.synonyms[name][key] || fallback;
+  }
+
+  /**
+   * Coerce to a trimmed string within a maxlength, counting truncations
+   * @param {*} value - Raw value
+   * @param {number} max - Maximum length
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {string} String of at most max characters
+   */
+  truncate(value, max, report = { errors: [], normalized: 0 }) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text.length <= max) return text;
+
+    report.normalized++;
+    return text.substring(0, max);
+  }
+
+  /**
+   * Keep the list items that are objects passing a check, counting the rest as dropped
+   * @param {Array} items - Raw list
+   * @param {Function} check - Called with each object item
+   * @param {Object} report - { errors, normalized } collector
+   * @returns {Array} Kept items
+   */
+  keepItems(items, check, report) {
+    const kept = items.filter(item => item && typeof item === 'object' && check(item));
+    report.normalized += items.length - kept.length;
+    return kept;
+  }
+
+  /**
+   * @param {Object} data - Parsed object
+   * @param {string} field - Required non-empty string field
+   * @param {Object} report - { errors, normalized } collector
+   */
+  requireString(data, field, report) {
+    if (typeof data[field] !== 'string' || !data[field].trim()) {
+      report.errors.push(`"${field}" must be a non-empty string`);
+    }
+  }
+
+  /**
+   * @param {Object} data - Parsed object
+   * @param {string} field - Required array field
+   * @param {Object} report - { errors, normalized } collector
+   */
+  requireArray(data, field, report) {
+    if (!Array.isArray(data[field])) {
+      report.errors.push(`"${field}" must be an array`);
+    }
+  }
+}
+
+export default new OutputValidator();
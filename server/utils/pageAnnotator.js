@@ -0,0 +1,346 @@
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import { logger } from './logger.js';
+
+/**
+ * Draw suggestions onto the student's own pages: a highlight box where each one applies, a numbered marker
+ * and a legend under the page. Boxes come from the OCR layout, so they land on the page preview OCR read.
+ */
+class PageAnnotator {
+  constructor() {
+    this.formats = {
+      png: { contentType: 'image/png', extension: 'png' },
+      pdf: { contentType: 'application/pdf', extension: 'pdf' },
+      json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+    };
+    this.colors = { high: '#dc2626', medium: '#ea580c', low: '#2563eb' };
+    this.minMatchRatio = 0.6; // Share of a quoted phrase's words that must line up with the OCR words
+    this.maxPhraseWords = 40;
+  }
+
+  /**
+   * Find where each suggestion applies in a document's OCR layout.
+   * "Step N" and "Line N" point at the Nth OCR line and "Paragraph N" at the Nth block, counted across pages;
+   * otherwise quoted text from the location or suggestion, then the location itself, is looked up among the OCR words.
+   * @param {Array} suggestions - Analysis suggestions
+   * @param {Array} layouts - OcrLayout documents sorted by page
+   * @returns {Array} Markers { number, priority, category, suggestion, location, page, boxes, matchedBy }; page is null when not found
+   */
+  locateSuggestions(suggestions, layouts) {
+    const lines = layouts.flatMap(layout => layout.lines.map(line => ({ page: layout.page, line })));
+    const blocks = layouts.flatMap(layout => layout.blocks.map(block => ({ page: layout.page, bbox: block.bbox })));
+    const words = lines
+      .flatMap(({ page, line }, lineIndex) => (line.words || []).map(word => ({
+        page,
+        lineIndex,
+        bbox: word.bbox,
+        token: this.normalize(word.text)
+      })))
+      .filter(word => word.token);
+
+    return suggestions.map(({ priority, category, suggestion, location }, i) => ({
+      number: i + 1,
+      priority,
+      category,
+      suggestion,
+      location: location || null,
+      page: null,
+      boxes: [],
+      matchedBy: null,
+      ...this.findTarget({ suggestion, location }, { lines, blocks, words })
+    }));
+  }
+
+  /**
+   * @param {Object} suggestion - { suggestion, location }
+   * @param {Object} document - { lines, blocks, words } flattened across pages
+   * @returns {Object|null} { page, boxes, matchedBy }
+   */
+  findTarget({ suggestion, location }, { lines, blocks, words }) {
+    const position = String(location || '').match(/\b(step|line|paragraph)\s*(\d+)/i);
+    if (position) {
+      const index = parseInt(position[2]) - 1;
+      const target = position[1].toLowerCase() === 'paragraph'
+        ? blocks[index]
+        : lines[index] && { page: lines[index].page, bbox: lines[index].line.bbox };
+      if (target) {
+        return { page: target.page, boxes: [target.bbox], matchedBy: 'position' };
+      }
+    }
+
+    const phrases = [...this.quotes(location), ...this.quotes(suggestion), ...(location && !position ? [location] : [])];
+    for (const phrase of phrases) {
+      const found = this.findPhrase(phrase, words);
+      if (found) {
+        return { ...found, matchedBy: 'text' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the run of OCR words that best matches a phrase, tolerating OCR misreads of some words
+   * @param {string} phrase - Text to find
+   * @param {Array} words - Document words { page, lineIndex, bbox, token }
+   * @returns {Object|null} { page, boxes } with one box per OCR line the phrase covers
+   */
+  findPhrase(phrase, words) {
+    const tokens = String(phrase).split(/\s+/).map(token => this.normalize(token)).filter(Boolean).slice(0, this.maxPhraseWords);
+    if (tokens.length === 0 || (tokens.length === 1 && tokens[0].length < 3)) {
+      return null;
+    }
+
+    const needed = Math.ceil(tokens.length * this.minMatchRatio);
+    let best = null;
+    for (let start = 0; start + tokens.length <= words.length; start++) {
+      const hits = tokens.map((token, i) => words[start + i].token === token);
+      const score = hits.filter(Boolean).length;
+      if (score >= needed && (!best || score > best.score)) {
+        best = { start, score, first: hits.indexOf(true), last: hits.lastIndexOf(true) };
+        if (score === tokens.length) break;
+      }
+    }
+    if (!best) return null;
+
+    // A phrase running over a page break is marked where it starts
+    const matched = words.slice(best.start + best.first, best.start + best.last + 1);
+    const byLine = new Map();
+    for (const word of matched.filter(word => word.page === matched[0].page)) {
+      byLine.set(word.lineIndex, [...(byLine.get(word.lineIndex) || []), word.bbox]);
+    }
+
+    return { page: matched[0].page, boxes: [...byLine.values()].map(boxes => this.union(boxes)) };
+  }
+
+  /**
+   * Render annotated pages
+   * @param {Object} options - Render options
+   * @param {string} options.analysisId - Analysis ID, for the file name
+   * @param {Array} options.markers - Result of locateSuggestions
+   * @param {Array} options.pages - [{ page, image }] previews to draw on, sorted by page
+   * @param {string} options.format - png (one page), pdf (all pages) or json (marker positions only)
+   * @returns {Promise<Object>} { buffer, contentType, filename }
+   */
+  async render({ analysisId, markers, pages, format }) {
+    const startTime = Date.now();
+    const firstPage = pages[0]?.page;
+    // Suggestions that couldn't be placed are listed under the first page
+    const legendFor = page => markers.filter(marker => marker.page === page || (page === firstPage && marker.page === null));
+
+    let buffer;
+    let suffix = '';
+    if (format === 'json') {
+      buffer = Buffer.from(JSON.stringify({ analysisId, pages: pages.map(({ page }) => page), markers }, null, 2), 'utf8');
+    } else if (format === 'png') {
+      buffer = await this.renderPage(pages[0].image, legendFor(pages[0].page), { output: 'png' });
+      suffix = `-page-${pages[0].page}`;
+    } else {
+      const rendered = [];
+      for (const { page, image } of pages) {
+        rendered.push(await this.renderPage(image, legendFor(page), { output: 'jpeg' }));
+      }
+      buffer = await this.toPdf(rendered);
+    }
+
+    logger.info(`Rendered annotated ${format} for analysis ${analysisId} in ${Date.now() - startTime}ms`);
+
+    return {
+      buffer,
+      contentType: this.formats[format].contentType,
+      filename: `answerlense-annotated-${analysisId}${suffix}.${this.formats[format].extension}`
+    };
+  }
+
+  /**
+   * Draw the highlight boxes and markers of a page and append its legend
+   * @param {Buffer} image - Page preview
+   * @param {Array} markers - Markers on this page, plus unplaced ones listed in its legend
+   * @param {Object} options - { output } png or jpeg
+   * @returns {Promise<Buffer>} Annotated image
+   */
+  async renderPage(image, markers, { output = 'png' } = {}) {
+    const { width, height } = await sharp(image).metadata();
+    const radius = Math.round(Math.max(12, width / 80));
+    const strokeWidth = Math.max(2, Math.round(width / 600));
+
+    const shapes = markers.filter(marker => marker.boxes.length > 0).map(marker => {
+      const color = this.colors[marker.priority] || this.colors.medium;
+      const [first] = marker.boxes;
+      // On the box's top-left corner, covering as little of the writing as possible
+      const cx = Math.max(radius, first.x0 - radius * 0.3);
+      const cy = Math.min(height - radius, Math.max(radius, first.y0 - radius * 0.3));
+      return [
+        ...marker.boxes.map(box => `<rect x="${box.x0}" y="${box.y0}" width="${box.x1 - box.x0}" height="${box.y1 - box.y0}" fill="${color}" fill-opacity="0.18" stroke="${color}" stroke-width="${strokeWidth}"/>`),
+        this.badge(marker.number, cx, cy, radius, color)
+      ].join('');
+    });
+    const overlay = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+
+    const legend = this.renderLegend(markers, width);
+
+    return sharp(image)
+      .extend({ bottom: legend.height, background: '#ffffff' })
+      .composite([
+        { input: Buffer.from(overlay), top: 0, left: 0 },
+        { input: Buffer.from(legend.svg), top: height, left: 0 }
+      ])
+      .toFormat(output, output === 'jpeg' ? { quality: 85 } : {})
+      .toBuffer();
+  }
+
+  /**
+   * Lay out the legend: one wrapped entry per marker, with suggestions that couldn't be placed after the rest
+   * @param {Array} markers - Markers listed for the page
+   * @param {number} width - Page width in pixels
+   * @returns {Object} { svg, height }
+   */
+  renderLegend(markers, width) {
+    const fontSize = Math.round(Math.max(14, width / 65));
+    const lineHeight = Math.round(fontSize * 1.4);
+    const padding = fontSize;
+    const indent = Math.round(fontSize * 2.2);
+    // Rough average glyph width for a sans-serif font; SVG can't wrap text itself
+    const maxChars = Math.max(20, Math.floor((width - padding * 2 - indent) / (fontSize * 0.55)));
+
+    const elements = [];
+    let y = padding;
+    const heading = text => {
+      y += lineHeight;
+      elements.push(`<text x="${padding}" y="${y - lineHeight * 0.3}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" fill="#111111">${this.escape(text)}</text>`);
+    };
+    const entry = marker => {
+      const color = this.colors[marker.priority] || this.colors.medium;
+      const label = `${this.capitalize(marker.priority)} · ${this.capitalize(marker.category)}: ${marker.suggestion}${marker.location ? ` (${marker.location})` : ''}`;
+      const wrapped = this.wrap(label, maxChars);
+      elements.push(this.badge(marker.number, padding + fontSize * 0.7, y + lineHeight * 0.5, Math.round(fontSize * 0.7), color));
+      for (const line of wrapped) {
+        y += lineHeight;
+        elements.push(`<text x="${padding + indent}" y="${y - lineHeight * 0.3}" font-family="sans-serif" font-size="${fontSize}" fill="#222222">${this.escape(line)}</text>`);
+      }
+      y += Math.round(lineHeight * 0.3);
+    };
+
+    const placed = markers.filter(marker => marker.page !== null);
+    const unplaced = markers.filter(marker => marker.page === null);
+
+    heading(placed.length > 0 ? 'Suggestions on this page' : 'No suggestions marked on this page');
+    placed.forEach(entry);
+    if (unplaced.length > 0) {
+      y += Math.round(lineHeight * 0.5);
+      heading('Not located on the page');
+      unplaced.forEach(entry);
+    }
+
+    const height = Math.ceil(y + padding);
+    return {
+      height,
+      svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<line x1="0" y1="1" x2="${width}" y2="1" stroke="#d1d5db" stroke-width="2"/>${elements.join('')}</svg>`
+    };
+  }
+
+  /**
+   * Combine annotated page images into a PDF, one image per page at 150 dpi
+   * @param {Array<Buffer>} images - JPEG page images
+   * @returns {Promise<Buffer>} PDF file
+   */
+  async toPdf(images) {
+    const doc = new PDFDocument({ autoFirstPage: false, info: { Title: 'Annotated answer' } });
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    for (const image of images) {
+      const { width, height } = await sharp(image).metadata();
+      const size = [(width * 72) / 150, (height * 72) / 150];
+      doc.addPage({ size, margin: 0 });
+      doc.image(image, 0, 0, { width: size[0], height: size[1] });
+    }
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * @param {number} number - Marker number
+   * @param {number} cx - Centre x
+   * @param {number} cy - Centre y
+   * @param {number} radius - Circle radius
+   * @param {string} color - Fill colour
+   * @returns {string} SVG for a numbered circle
+   */
+  badge(number, cx, cy, radius, color) {
+    return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}" stroke="#ffffff" stroke-width="2"/>` +
+      `<text x="${cx}" y="${cy + radius * 0.38}" text-anchor="middle" font-family="sans-serif" font-size="${Math.round(radius * 1.1)}" font-weight="bold" fill="#ffffff">${number}</text>`;
+  }
+
+  /**
+   * @param {Array} boxes - Bounding boxes
+   * @returns {Object} Smallest box around all of them
+   */
+  union(boxes) {
+    return {
+      x0: Math.min(...boxes.map(box => box.x0)),
+      y0: Math.min(...boxes.map(box => box.y0)),
+      x1: Math.max(...boxes.map(box => box.x1)),
+      y1: Math.max(...boxes.map(box => box.y1))
+    };
+  }
+
+  /**
+   * @param {string} text - Suggestion or location
+   * @returns {Array<string>} Text inside double or curly quotes
+   */
+  quotes(text) {
+    return [...String(text || '').matchAll(/"([^"]{3,})"|“([^”]{3,})”|‘([^’]{3,})’/g)]
+      .map(match => match[1] || match[2] || match[3]);
+  }
+
+  /**
+   * @param {string} word - Word from OCR or a suggestion
+   * @returns {string} Lowercase letters, marks and digits only
+   */
+  normalize(word) {
+    return String(word || '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+  }
+
+  /**
+   * @param {string} text - Text to wrap
+   * @param {number} maxChars - Characters per line
+   * @returns {Array<string>} Lines
+   */
+  wrap(text, maxChars) {
+    const lines = [];
+    let current = '';
+    for (const word of text.split(/\s+/)) {
+      if (current && current.length + word.length + 1 > maxChars) {
+        lines.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+    }
+    return current ? [...lines, current] : lines;
+  }
+
+  /**
+   * @param {string} text - Text for an SVG element
+   * @returns {string} XML-escaped text
+   */
+  escape(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[char]));
+  }
+
+  /**
+   * @param {string} value - Word
+   * @returns {string} Word with a capital first letter
+   */
+  capitalize(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+  }
+}
+
+export default new PageAnnotator();
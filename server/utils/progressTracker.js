@@ -0,0 +1,112 @@
+import { EventEmitter } from 'events';
+import Analysis from '../models/Analysis.js';
+import AnalysisEvent from '../models/AnalysisEvent.js';
+import { logger } from './logger.js';
+
+class ProgressTracker {
+  constructor() {
+    // Wakes up SSE streams in this process; other processes pick events up from MongoDB
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.terminalStages = ['completed', 'failed'];
+  }
+
+  /**
+   * Record a progress event for an analysis. Never throws, progress must not break processing.
+   * @param {string} analysisId - Analysis ID
+   * @param {string} stage - Stage name (queued, file_processing, ocr, ai, completed, failed)
+   * @param {Object} data - Stage details, e.g. { page, totalPages, percent }
+   * @returns {Promise<Object|null>} Stored event
+   */
+  async record(analysisId, stage, data = {}) {
+    try {
+      const analysis = await Analysis.findByIdAndUpdate(
+        analysisId,
+        { $inc: { progressSeq: 1 } },
+        { new: true, projection: { progressSeq: 1 } }
+      );
+      if (!analysis) return null;
+
+      const event = await AnalysisEvent.create({
+        analysisId,
+        seq: analysis.progressSeq,
+        stage,
+        data
+      });
+
+      this.emitter.emit(analysisId.toString(), event);
+      return event;
+
+    } catch (error) {
+      logger.warn(`Failed to record ${stage} progress for analysis ${analysisId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get stored events after a given sequence number
+   * @param {string} analysisId - Analysis ID
+   * @param {number} afterSeq - Last sequence number the client has seen
+   * @returns {Promise<Array>} Events in order
+   */
+  async getEvents(analysisId, afterSeq = 0) {
+    return AnalysisEvent.find({ analysisId, seq: { $gt: afterSeq } })
+      .sort({ seq: 1 })
+      .lean();
+  }
+
+  /**
+   * Get the most recent event of each analysis, for showing many analyses' progress at once
+   * @param {Array} analysisIds - Analysis IDs
+   * @returns {Promise<Map>} Analysis ID string -> { stage, data }
+   */
+  async getLatestEvents(analysisIds) {
+    const latest = await AnalysisEvent.aggregate([
+      { $match: { analysisId: { $in: analysisIds } } },
+      { $sort: { analysisId: 1, seq: -1 } },
+      { $group: { _id: '$analysisId', stage: { $first: '$stage' }, data: { $first: '$data' } } }
+    ]);
+
+    return new Map(latest.map(event => [event._id.toString(), { stage: event.stage, data: event.data }]));
+  }
+
+  /**
+   * Listen for events recorded in this process
+   * @param {string} analysisId - Analysis ID
+   * @param {Function} listener - Called with each new event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(analysisId, listener) {
+    const key = analysisId.toString();
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  /**
+   * Check whether a stage ends the stream
+   * @param {string} stage - Stage name
+   * @returns {boolean} True for completed and failed
+   */
+  isTerminal(stage) {
+    return this.terminalStages.includes(stage);
+  }
+
+  /**
+   * Build a throttled OCR progress callback that records at most one event per 10% per page
+   * @param {string} analysisId - Analysis ID
+   * @returns {Function} Callback for ocrProcessor's onProgress option
+   */
+  ocrReporter(analysisId) {
+    const lastReported = new Map();
+
+    return ({ page, totalPages, percent }) => {
+      const step = Math.floor(percent / 10) * 10;
+      if (lastReported.get(page) === step) return;
+
+      lastReported.set(page, step);
+      this.record(analysisId, 'ocr', { page, totalPages, percent: step });
+    };
+  }
+}
+
+export default new ProgressTracker();
@@ -0,0 +1,110 @@
+/**
+ * Document analysis prompts (uploads). Variables: text, subject.
+ */
+
+const DOCUMENT = `Document Text:
+"""
+{{text}}
+"""`;
+
+const FORMAT = `Please provide your analysis in the following JSON format:
+{
+  "analysis": "Overall analysis of the document (2-3 paragraphs)",
+  "suggestions": [
+    {
+      "category": "grammar|clarity|structure|content|formatting",
+      "priority": "high|medium|low",
+      "suggestion": "Specific actionable suggestion",
+      "location": "Where in the document this applies (optional)"
+    }
+  ]
+}`;
+
+const CLOSING = 'Provide constructive, specific, and actionable feedback. Be encouraging while pointing out areas for improvement.';
+
+export default [
+  {
+    id: 'analysis/default',
+    task: 'analysis',
+    subjects: ['default'],
+    version: 1,
+    variables: ['text'],
+    template: `You are an expert academic writing assistant. Analyze the following student document for correctness, clarity, grammar, and improvements. Provide actionable feedback.
+
+${DOCUMENT}
+
+${FORMAT}
+
+Focus on:
+1. Grammar and language usage
+2. Clarity and coherence
+3. Structure and organization
+4. Content accuracy and completeness
+5. Formatting and presentation
+
+${CLOSING}`
+  },
+  {
+    id: 'analysis/science',
+    task: 'analysis',
+    subjects: ['science', 'chemistry', 'physics', 'biology'],
+    version: 1,
+    variables: ['text', 'subject'],
+    template: `You are an experienced {{subject}} teacher reviewing a student's written work. Check the science first: facts, definitions, equations, units and the reasoning that links them. Then comment on how clearly it is explained.
+
+${DOCUMENT}
+
+${FORMAT}
+
+Focus on:
+1. Scientific accuracy of facts, definitions and terminology ("content")
+2. Correct equations, formulas, units and significant figures ("content")
+3. Logical order of explanations and calculations ("structure")
+4. Precise, unambiguous wording ("clarity")
+5. Labelled diagrams, tables and working ("formatting")
+
+Use "high" priority for anything scientifically wrong. ${CLOSING}`
+  },
+  {
+    id: 'analysis/history',
+    task: 'analysis',
+    subjects: ['history'],
+    version: 1,
+    variables: ['text'],
+    template: `You are an experienced history teacher reviewing a student's written work. Judge it on historical accuracy, use of evidence and the quality of the argument before language and presentation.
+
+${DOCUMENT}
+
+${FORMAT}
+
+Focus on:
+1. Accuracy of dates, people, events and causes ("content")
+2. Use of evidence and sources to support claims ("content")
+3. A clear argument that answers the question, with balanced judgement ("structure")
+4. Clear, formal academic writing ("clarity", "grammar")
+5. Paragraphing and referencing ("formatting")
+
+Use "high" priority for factual errors and unsupported claims. ${CLOSING}`
+  },
+  {
+    id: 'analysis/english',
+    task: 'analysis',
+    subjects: ['english', 'literature'],
+    version: 1,
+    variables: ['text'],
+    template: `You are an experienced English teacher reviewing a student's written work. Pay close attention to language: grammar, vocabulary, style and how well the writing achieves its purpose.
+
+${DOCUMENT}
+
+${FORMAT}
+
+Focus on:
+1. Grammar, punctuation and spelling ("grammar")
+2. Vocabulary, tone and style suited to the task ("clarity")
+3. Paragraphing, cohesion and overall structure ("structure")
+4. Understanding of the text or topic, with quotations used well ("content")
+5. Presentation and layout ("formatting")
+
+${CLOSING}`
+  }
+];
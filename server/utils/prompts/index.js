@@ -0,0 +1,125 @@
+import analysisTemplates from './analysis.js';
+import mathTemplates from './math.js';
+import answerTemplates from './answer.js';
+import rubricTemplates from './rubric.js';
+import comparisonTemplates from './comparison.js';
+import synthesisTemplates from './synthesis.js';
+import repairTemplates from './repair.js';
+
+/**
+ * Registry of prompt templates keyed by task and subject.
+ * Templates never change once released: edit a prompt by registering a new version with the same id,
+ * so stored analyses (and their feedback) keep pointing at the exact text that produced them.
+ */
+class PromptRegistry {
+  constructor() {
+    this.templates = new Map(); // id -> versions sorted newest first
+    this.subjectIndex = new Map(); // "task:subject" -> id
+
+    [
+      ...analysisTemplates,
+      ...mathTemplates,
+      ...answerTemplates,
+      ...rubricTemplates,
+      ...comparisonTemplates,
+      ...synthesisTemplates,
+      ...repairTemplates
+    ].forEach(template => this.register(template));
+  }
+
+  /**
+   * Register a template version
+   * @param {Object} template - { id, task, subjects, version, variables, template }
+   */
+  register(template) {
+    const { id, task, subjects, version } = template;
+
+    if (!id || !task || !Array.isArray(subjects) || !Number.isInteger(version) || version < 1) {
+      throw new Error(`Invalid prompt template "${id}": id, task, subjects and a positive integer version are required`);
+    }
+
+    const versions = this.templates.get(id) || [];
+    if (versions.some(existing => existing.version === version)) {
+      throw new Error(`Prompt template ${id} v${version} is already registered`);
+    }
+
+    versions.push(template);
+    versions.sort((a, b) => b.version - a.version);
+    this.templates.set(id, versions);
+
+    for (const subject of subjects) {
+      const key = `${task}:${subject}`;
+      const owner = this.subjectIndex.get(key);
+      if (owner && owner !== id) {
+        throw new Error(`Subject "${subject}" for task ${task} is already handled by ${owner}`);
+      }
+      this.subjectIndex.set(key, id);
+    }
+  }
+
+  /**
+   * Find the template for a task and subject, falling back to the task's default
+   * @param {string} task - analysis, math, synthesis, answer, rubric, comparison or repair
+   * @param {Object} options - Lookup options
+   * @param {string} options.subject - Subject, matched case-insensitively
+   * @param {number} options.version - Specific version, defaults to the latest
+   * @returns {Object} Template definition
+   */
+  resolve(task, options = {}) {
+    const subject = String(options.subject || 'default').trim().toLowerCase();
+    const id = this.subjectIndex.get(`${task}:${subject}`) || this.subjectIndex.get(`${task}:default`);
+
+    if (!id) {
+      throw new Error(`No prompt template registered for task ${task}`);
+    }
+
+    const versions = this.templates.get(id);
+    if (options.version === undefined || options.version === null) {
+      return versions[0];
+    }
+
+    const template = versions.find(candidate => candidate.version === Number(options.version));
+    if (!template) {
+      throw new Error(`Prompt template ${id} has no version ${options.version} (available: ${versions.map(v => v.version).join(', ')})`);
+    }
+    return template;
+  }
+
+  /**
+   * Render the template for a task with variables
+   * @param {string} task - analysis, math, synthesis, answer, rubric, comparison or repair
+   * @param {Object} variables - Values for the template's {{placeholders}}
+   * @param {Object} options - { subject, version } passed to resolve
+   * @returns {Object} { id, version, text }
+   */
+  render(task, variables, options = {}) {
+    const template = this.resolve(task, options);
+
+    const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+    if (missing.length > 0) {
+      throw new Error(`Prompt template ${template.id} v${template.version} is missing variables: ${missing.join(', ')}`);
+    }
+
+    // Single pass, so placeholders inside student text are left alone
+    const text = template.template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+      variables[name] === undefined ? match : String(variables[name])
+    );
+
+    return { id: template.id, version: template.version, text };
+  }
+
+  /**
+   * List registered templates without their text
+   * @returns {Array} { id, task, subjects, versions }
+   */
+  list() {
+    return [...this.templates.entries()].map(([id, versions]) => ({
+      id,
+      task: versions[0].task,
+      subjects: versions[0].subjects,
+      versions: versions.map(template => template.version)
+    }));
+  }
+}
+
+export default new PromptRegistry();
@@ -0,0 +1,40 @@
+/**
+ * Step-by-step review of mathematical working (uploads detected as equations, or math subjects).
+ * The text arrives with each line labelled "[Step N]" and equations in $...$ notation.
+ * Variables: text, subject.
+ */
+
+export default [
+  {
+    id: 'math/default',
+    task: 'math',
+    subjects: ['default'],
+    version: 1,
+    variables: ['text', 'subject'],
+    template: `You are an experienced {{subject}} teacher checking a student's written working. Each line is labelled [Step N]. Equations were read by OCR and rewritten in LaTeX-like notation between $ signs, so ignore small notation glitches that do not change the mathematics.
+
+Working:
+"""
+{{text}}
+"""
+
+Check the working one step at a time. For each step, decide whether it follows correctly from the previous steps (algebra, arithmetic, signs, units, use of formulas). Find the first step where an error appears; later steps that follow correctly from a wrong value are consequences, not new errors.
+
+Please provide your review in the following JSON format:
+{
+  "analysis": "Overall review of the method and the result (1-2 paragraphs)",
+  "firstErrorStep": 3,
+  "suggestions": [
+    {
+      "category": "content|structure|clarity|formatting",
+      "priority": "high|medium|low",
+      "suggestion": "What is wrong in this step and how to fix it",
+      "location": "Step N",
+      "formula": "The corrected formula or line in LaTeX-like notation (optional)"
+    }
+  ]
+}
+
+Use "firstErrorStep": null if every step is correct. Give the first error "high" priority. Use "content" for mathematical errors, "structure" for missing or out-of-order steps, "clarity" for unexplained steps and "formatting" for notation and units. Do not comment on grammar or spelling. Be encouraging and specific.`
+  }
+];
@@ -0,0 +1,27 @@
+/**
+ * Repair prompts, sent when a response fails output validation. Variables: format, errors, response.
+ */
+
+export default [
+  {
+    id: 'repair/default',
+    task: 'repair',
+    subjects: ['default'],
+    version: 1,
+    variables: ['format', 'errors', 'response'],
+    template: `Your previous response could not be used because it is not valid JSON in the required format.
+
+Problems:
+{{errors}}
+
+Required format:
+{{format}}
+
+Previous response:
+"""
+{{response}}
+"""
+
+Return the corrected JSON only, with no markdown and no extra prose. Keep the content of the previous response; only fix the format.`
+  }
+];
@@ -0,0 +1,37 @@
+/**
+ * Rubric grading prompts. Variables: text, subject, rubricName, criteria (numbered list built by aiProcessor).
+ */
+
+export default [
+  {
+    id: 'rubric/default',
+    task: 'rubric',
+    subjects: ['default'],
+    version: 1,
+    variables: ['text', 'subject', 'rubricName', 'criteria'],
+    template: `You are AnswerLense, an exam grader. Grade the following student answer for a {{subject}} exam strictly against the rubric "{{rubricName}}". Score every criterion on its own, using the level descriptors where given, and justify each score with evidence from the answer.
+
+Rubric criteria:
+{{criteria}}
+
+Student Answer:
+"""
+{{text}}
+"""
+
+Return JSON only, with no markdown and no extra prose, in this format:
+{
+  "overall": "Short summary of the grade (2-4 sentences)",
+  "criteria": [
+    {
+      "criterion": 1,
+      "score": 3,
+      "level": "Level label that best matches, if the criterion has levels",
+      "justification": "Why the answer earns this score, quoting it where possible"
+    }
+  ]
+}
+
+"criterion" is the number in square brackets. Include every criterion exactly once. A score must be between 0 and that criterion's max points.`
+  }
+];
@@ -0,0 +1,35 @@
+/**
+ * Synthesis prompts, merging per-section findings of a long document into one report.
+ * Variables: subject, sectionCount, findings, failedSections.
+ */
+
+export default [
+  {
+    id: 'synthesis/default',
+    task: 'synthesis',
+    subjects: ['default'],
+    version: 1,
+    variables: ['subject', 'sectionCount', 'findings', 'failedSections'],
+    template: `You are an expert academic writing assistant. A long {{subject}} student document was split into {{sectionCount}} sections and each section was reviewed separately. Combine these reviews into a single report on the whole document.
+
+Section reviews:
+{{findings}}
+
+Sections that could not be reviewed: {{failedSections}}
+
+Please provide your analysis in the following JSON format:
+{
+  "analysis": "Overall analysis of the whole document (2-3 paragraphs)",
+  "suggestions": [
+    {
+      "category": "grammar|clarity|structure|content|formatting",
+      "priority": "high|medium|low",
+      "suggestion": "Specific actionable suggestion",
+      "location": "Section number and where in it this applies (optional)"
+    }
+  ]
+}
+
+Write the analysis about the document as a whole: identify themes that recur across sections and comment on how the sections fit together, instead of summarising each section in turn. If some sections could not be reviewed, say so briefly. Merge duplicate or overlapping suggestions, drop trivial ones, and order the suggestions from most to least important for the whole document, with at most 15 suggestions.`
+  }
+];
@@ -0,0 +1,523 @@
+import fs from 'fs/promises';
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+import { AlignmentType, Document, Footer, Header, HeadingLevel, ImageRun, Packer, PageNumber, Paragraph, TextRun } from 'docx';
+import { logger } from './logger.js';
+
+/**
+ * Render completed analyses as downloadable reports (PDF, DOCX, Markdown or JSON), entirely in-process.
+ * Every format is built from the same report outline, so they always carry the same content.
+ */
+class ReportExporter {
+  constructor() {
+    this.formats = {
+      pdf: { contentType: 'application/pdf', extension: 'pdf' },
+      docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+      md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+      json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+    };
+    // Content problems first: they cost the most marks
+    this.categoryOrder = ['content', 'structure', 'clarity', 'grammar', 'formatting'];
+    this.priorityOrder = ['high', 'medium', 'low'];
+    this.coverageLabels = { covered: 'Covered', missed: 'Missed', incorrect: 'Incorrect' };
+
+    // School branding; name, colour and footer can be overridden per request
+    this.branding = {
+      schoolName: process.env.REPORT_SCHOOL_NAME || '',
+      accentColor: /^#[0-9a-fA-F]{6}$/.test(process.env.REPORT_ACCENT_COLOR || '') ? process.env.REPORT_ACCENT_COLOR : '#1d4ed8',
+      footerText: process.env.REPORT_FOOTER_TEXT || ''
+    };
+    this.logoPath = process.env.REPORT_LOGO_PATH || null; // PNG or JPG
+    this.fontPath = process.env.REPORT_FONT_PATH || null; // TTF for PDFs with text outside Latin-1, e.g. Sinhala or Tamil
+    this.logo = undefined; // Read on first use
+  }
+
+  /**
+   * Parse and validate export query parameters
+   * @param {Object} query - { format, schoolName, accentColor, footerText }
+   * @returns {Object} { isValid, errors, format, branding }
+   */
+  parseOptions(query = {}) {
+    const errors = [];
+    const format = query.format === undefined ? 'pdf' : String(query.format).toLowerCase();
+    const branding = { ...this.branding };
+
+    if (!this.formats[format]) {
+      errors.push(`Unknown export format: ${query.format}. Available formats: ${Object.keys(this.formats).join(', ')}`);
+    }
+    if (query.schoolName !== undefined) {
+      if (typeof query.schoolName !== 'string' || query.schoolName.length > 200) {
+        errors.push('schoolName must be 200 characters or less');
+      } else {
+        branding.schoolName = query.schoolName.trim();
+      }
+    }
+    if (query.accentColor !== undefined) {
+      if (typeof query.accentColor !== 'string' || !/^#?[0-9a-fA-F]{6}$/.test(query.accentColor)) {
+        errors.push('accentColor must be a hex colour such as #1d4ed8');
+      } else {
+        branding.accentColor = `#${query.accentColor.replace('#', '')}`;
+      }
+    }
+    if (query.footerText !== undefined) {
+      if (typeof query.footerText !== 'string' || query.footerText.length > 300) {
+        errors.push('footerText must be 300 characters or less');
+      } else {
+        branding.footerText = query.footerText.trim();
+      }
+    }
+
+    return { isValid: errors.length === 0, errors, format, branding };
+  }
+
+  /**
+   * Build the format-independent outline of a report
+   * @param {Object} analysis - Completed Analysis document
+   * @returns {Object} Report outline
+   */
+  buildReport(analysis) {
+    const { metadata = {}, rubricGrade } = analysis;
+    const hasRubric = Boolean(rubricGrade?.rubricId && rubricGrade.criteria?.length);
+
+    const suggestionGroups = this.categoryOrder
+      .map(category => ({
+        category,
+        label: this.capitalize(category),
+        suggestions: analysis.suggestions
+          .filter(suggestion => suggestion.category === category)
+          .sort((a, b) => this.priorityOrder.indexOf(a.priority) - this.priorityOrder.indexOf(b.priority))
+          .map(({ priority, suggestion, location, formula }) => ({
+            priority,
+            suggestion,
+            location: location || null,
+            formula: formula || null
+          }))
+      }))
+      .filter(group => group.suggestions.length > 0);
+
+    const details = [
+      ['Date', this.formatDate(analysis.createdAt)],
+      ['Subject', this.capitalize(analysis.subject || 'general')],
+      ['Pages', metadata.pageCount],
+      ['File type', metadata.fileType?.toUpperCase()],
+      ['OCR confidence', Number.isFinite(metadata.ocrConfidence) ? `${Math.round(metadata.ocrConfidence)}%` : null],
+      ['OCR languages', metadata.ocrLanguages],
+      ['AI model', metadata.aiModel],
+      ['Analysis ID', analysis._id.toString()]
+    ]
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([label, value]) => ({ label, value: String(value) }));
+
+    return {
+      title: 'Answer Analysis Report',
+      analysisId: analysis._id.toString(),
+      subject: analysis.subject || 'general',
+      createdAt: analysis.createdAt,
+      scoreHint10: analysis.scoreHint10 ?? null,
+      analysis: analysis.analysis || '',
+      suggestionGroups,
+      rubric: hasRubric ? {
+        name: rubricGrade.rubricName,
+        totalScore: rubricGrade.totalScore,
+        maxScore: rubricGrade.maxScore,
+        criteria: rubricGrade.criteria.map(({ criterion, score, maxPoints, level, justification }) => ({
+          criterion, score, maxPoints, level: level || null, justification: justification || null
+        }))
+      } : null,
+      coverage: (analysis.coverage || []).map(({ point, status, evidence }) => ({ point, status, evidence: evidence || null })),
+      details,
+      ocrText: analysis.originalText || ''
+    };
+  }
+
+  /**
+   * Render an analysis in the requested format
+   * @param {Object} analysis - Completed Analysis document
+   * @param {Object} options - { format, branding } from parseOptions
+   * @returns {Promise<Object>} { buffer, contentType, filename }
+   */
+  async render(analysis, { format, branding }) {
+    const report = this.buildReport(analysis);
+    const startTime = Date.now();
+
+    let buffer;
+    switch (format) {
+      case 'pdf':
+        buffer = await this.toPdf(report, branding);
+        break;
+      case 'docx':
+        buffer = await this.toDocx(report, branding);
+        break;
+      case 'md':
+        buffer = Buffer.from(this.toMarkdown(report, branding), 'utf8');
+        break;
+      default:
+        buffer = Buffer.from(JSON.stringify({
+          schoolName: branding.schoolName || null,
+          generatedAt: new Date(),
+          ...report
+        }, null, 2), 'utf8');
+    }
+
+    logger.info(`Rendered ${format} report for analysis ${report.analysisId} in ${Date.now() - startTime}ms (${buffer.length} bytes)`);
+
+    return {
+      buffer,
+      contentType: this.formats[format].contentType,
+      filename: `answerlense-report-${report.analysisId}.${this.formats[format].extension}`
+    };
+  }
+
+  /**
+   * @param {Object} report - Report outline
+   * @returns {string} Subject, date and scores on one line
+   */
+  summaryLine(report) {
+    return [
+      this.capitalize(report.subject),
+      this.formatDate(report.createdAt),
+      report.scoreHint10 !== null && `Score ${report.scoreHint10}/10`,
+      report.rubric && `Rubric ${report.rubric.totalScore}/${report.rubric.maxScore}`
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * @param {Object} suggestion - Report suggestion
+   * @returns {string} Suggestion text with its location
+   */
+  suggestionText(suggestion) {
+    return `${suggestion.suggestion}${suggestion.location ? ` (${suggestion.location})` : ''}`;
+  }
+
+  /**
+   * @param {Object} criterion - Report rubric criterion
+   * @returns {string} Criterion score line
+   */
+  criterionText(criterion) {
+    return `${criterion.criterion}: ${criterion.score}/${criterion.maxPoints}${criterion.level ? ` (${criterion.level})` : ''}`;
+  }
+
+  /**
+   * Render a Markdown report
+   * @param {Object} report - Report outline
+   * @param {Object} branding - { schoolName, footerText }
+   * @returns {string} Markdown
+   */
+  toMarkdown(report, branding) {
+    const lines = [];
+
+    if (branding.schoolName) lines.push(`**${branding.schoolName}**`, '');
+    lines.push(`# ${report.title}`, '', this.summaryLine(report), '');
+
+    lines.push('## Overall Analysis', '', report.analysis, '');
+
+    if (report.suggestionGroups.length > 0) {
+      lines.push('## Suggestions', '');
+      for (const group of report.suggestionGroups) {
+        lines.push(`### ${group.label}`, '');
+        for (const suggestion of group.suggestions) {
+          lines.push(`- **${this.capitalize(suggestion.priority)}:** ${this.suggestionText(suggestion)}`);
+          if (suggestion.formula) lines.push(`  \`${suggestion.formula}\``);
+        }
+        lines.push('');
+      }
+    }
+
+    if (report.rubric) {
+      lines.push(`## Rubric: ${report.rubric.name} (${report.rubric.totalScore}/${report.rubric.maxScore})`, '');
+      for (const criterion of report.rubric.criteria) {
+        lines.push(`- **${this.criterionText(criterion)}**${criterion.justification ? ` ${criterion.justification}` : ''}`);
+      }
+      lines.push('');
+    }
+
+    if (report.coverage.length > 0) {
+      lines.push('## Model Answer Coverage', '');
+      for (const item of report.coverage) {
+        lines.push(`- **${this.coverageLabels[item.status]}:** ${item.point}${item.evidence ? ` (“${item.evidence}”)` : ''}`);
+      }
+      lines.push('');
+    }
+
+    lines.push('## Details', '', '| | |', '|---|---|');
+    for (const { label, value } of report.details) {
+      lines.push(`| ${label} | ${value.replace(/\|/g, '\\|')} |`);
+    }
+    lines.push('');
+
+    // A fence longer than any backtick run in the text can't be closed by it
+    const longestRun = Math.max(0, ...(report.ocrText.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    lines.push('## OCR Text', '', `${fence}text`, report.ocrText, fence, '');
+
+    if (branding.footerText) lines.push('---', '', branding.footerText, '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a PDF report
+   * @param {Object} report - Report outline
+   * @param {Object} branding - { schoolName, accentColor, footerText }
+   * @returns {Promise<Buffer>} PDF file
+   */
+  async toPdf(report, branding) {
+    const logo = await this.loadLogo();
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      bufferPages: true, // Footers are written once the page count is known
+      info: { Title: report.title, Author: branding.schoolName || 'AnswerLense' }
+    });
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    let regular = 'Helvetica';
+    let bold = 'Helvetica-Bold';
+    if (this.fontPath) {
+      doc.registerFont('report', this.fontPath);
+      regular = bold = 'report';
+    }
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const heading = text => {
+      doc.moveDown(0.8).font(bold).fontSize(14).fillColor(branding.accentColor).text(text);
+      doc.moveDown(0.3).font(regular).fontSize(11).fillColor('#111111');
+    };
+
+    // Letterhead
+    const top = doc.y;
+    if (logo) {
+      doc.image(logo.data, doc.page.margins.left, top, { fit: [120, 48] });
+    }
+    if (branding.schoolName) {
+      doc.font(bold).fontSize(12).fillColor('#333333').text(branding.schoolName, doc.page.margins.left, top + 16, { width, align: 'right' });
+    }
+    doc.y = top + (logo || branding.schoolName ? 60 : 0);
+    doc.x = doc.page.margins.left;
+
+    doc.font(bold).fontSize(22).fillColor(branding.accentColor).text(report.title);
+    doc.font(regular).fontSize(11).fillColor('#555555').text(this.summaryLine(report));
+    doc.moveDown(0.5)
+      .moveTo(doc.page.margins.left, doc.y).lineTo(doc.page.margins.left + width, doc.y)
+      .lineWidth(2).strokeColor(branding.accentColor).stroke();
+
+    heading('Overall Analysis');
+    doc.text(report.analysis);
+
+    if (report.suggestionGroups.length > 0) {
+      heading('Suggestions');
+      for (const group of report.suggestionGroups) {
+        doc.moveDown(0.4).font(bold).fontSize(12).fillColor('#111111').text(group.label);
+        doc.font(regular).fontSize(11);
+        for (const suggestion of group.suggestions) {
+          doc.font(bold).text(`${this.capitalize(suggestion.priority)}: `, { continued: true, indent: 10 })
+            .font(regular).text(this.suggestionText(suggestion));
+          if (suggestion.formula) {
+            doc.font('Courier').fontSize(10).text(suggestion.formula, { indent: 20 }).font(regular).fontSize(11);
+          }
+        }
+      }
+    }
+
+    if (report.rubric) {
+      heading(`Rubric: ${report.rubric.name} (${report.rubric.totalScore}/${report.rubric.maxScore})`);
+      for (const criterion of report.rubric.criteria) {
+        doc.font(bold).text(this.criterionText(criterion));
+        if (criterion.justification) doc.font(regular).text(criterion.justification, { indent: 10 });
+      }
+      doc.font(regular);
+    }
+
+    if (report.coverage.length > 0) {
+      heading('Model Answer Coverage');
+      for (const item of report.coverage) {
+        doc.font(bold).text(`${this.coverageLabels[item.status]}: `, { continued: true })
+          .font(regular).text(`${item.point}${item.evidence ? ` (“${item.evidence}”)` : ''}`);
+      }
+    }
+
+    heading('Details');
+    for (const { label, value } of report.details) {
+      doc.font(bold).text(`${label}: `, { continued: true }).font(regular).text(value);
+    }
+
+    heading('OCR Text');
+    doc.font(this.fontPath ? regular : 'Courier').fontSize(9).fillColor('#333333').text(report.ocrText || '(no text)');
+
+    // Footer with page numbers; the bottom margin is lifted so writing there doesn't start a new page
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font(regular).fontSize(8).fillColor('#888888').text(
+        [branding.footerText, `Page ${i + 1} of ${count}`].filter(Boolean).join('   ·   '),
+        doc.page.margins.left,
+        doc.page.height - 35,
+        { width, align: 'center', lineBreak: false }
+      );
+      doc.page.margins.bottom = bottomMargin;
+    }
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Render a DOCX report
+   * @param {Object} report - Report outline
+   * @param {Object} branding - { schoolName, accentColor, footerText }
+   * @returns {Promise<Buffer>} DOCX file
+   */
+  async toDocx(report, branding) {
+    const logo = await this.loadLogo();
+    const accent = branding.accentColor.replace('#', '');
+
+    const heading = text => new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      spacing: { before: 240, after: 120 },
+      children: [new TextRun({ text, color: accent, bold: true })]
+    });
+    // Line breaks inside a paragraph, so multi-line text keeps its shape
+    const runs = (text, options = {}) => String(text).split('\n')
+      .map((line, i) => new TextRun({ text: line, break: i > 0 ? 1 : 0, ...options }));
+
+    const children = [
+      new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun({ text: report.title, color: accent, bold: true })] }),
+      new Paragraph({ children: [new TextRun({ text: this.summaryLine(report), color: '555555' })] }),
+      heading('Overall Analysis'),
+      new Paragraph({ children: runs(report.analysis) })
+    ];
+
+    if (report.suggestionGroups.length > 0) {
+      children.push(heading('Suggestions'));
+      for (const group of report.suggestionGroups) {
+        children.push(new Paragraph({ heading: HeadingLevel.HEADING_3, children: [new TextRun({ text: group.label, bold: true })] }));
+        for (const suggestion of group.suggestions) {
+          children.push(new Paragraph({
+            bullet: { level: 0 },
+            children: [
+              new TextRun({ text: `${this.capitalize(suggestion.priority)}: `, bold: true }),
+              new TextRun(this.suggestionText(suggestion)),
+              ...(suggestion.formula ? [new TextRun({ text: suggestion.formula, font: 'Courier New', break: 1 })] : [])
+            ]
+          }));
+        }
+      }
+    }
+
+    if (report.rubric) {
+      children.push(heading(`Rubric: ${report.rubric.name} (${report.rubric.totalScore}/${report.rubric.maxScore})`));
+      for (const criterion of report.rubric.criteria) {
+        children.push(new Paragraph({
+          bullet: { level: 0 },
+          children: [
+            new TextRun({ text: this.criterionText(criterion), bold: true }),
+            ...(criterion.justification ? [new TextRun({ text: criterion.justification, break: 1 })] : [])
+          ]
+        }));
+      }
+    }
+
+    if (report.coverage.length > 0) {
+      children.push(heading('Model Answer Coverage'));
+      for (const item of report.coverage) {
+        children.push(new Paragraph({
+          bullet: { level: 0 },
+          children: [
+            new TextRun({ text: `${this.coverageLabels[item.status]}: `, bold: true }),
+            new TextRun(`${item.point}${item.evidence ? ` (“${item.evidence}”)` : ''}`)
+          ]
+        }));
+      }
+    }
+
+    children.push(heading('Details'));
+    for (const { label, value } of report.details) {
+      children.push(new Paragraph({ children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)] }));
+    }
+
+    children.push(heading('OCR Text'));
+    children.push(new Paragraph({ children: runs(report.ocrText || '(no text)', { font: 'Courier New', size: 18 }) }));
+
+    const letterhead = [
+      ...(logo ? [new ImageRun({ type: logo.type, data: logo.data, transformation: { width: logo.width, height: logo.height } })] : []),
+      ...(branding.schoolName ? [new TextRun({ text: `${logo ? '   ' : ''}${branding.schoolName}`, bold: true, color: '333333' })] : [])
+    ];
+
+    const doc = new Document({
+      title: report.title,
+      creator: branding.schoolName || 'AnswerLense',
+      sections: [{
+        headers: letterhead.length > 0
+          ? { default: new Header({ children: [new Paragraph({ children: letterhead })] }) }
+          : undefined,
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [new TextRun({
+                color: '888888',
+                size: 16,
+                children: [
+                  ...(branding.footerText ? [`${branding.footerText}   ·   `] : []),
+                  'Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES
+                ]
+              })]
+            })]
+          })
+        },
+        children
+      }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  /**
+   * Read the REPORT_LOGO_PATH image once, sized for a 48pt high letterhead
+   * @returns {Promise<Object|null>} { data, type, width, height }, or null without a usable logo
+   */
+  async loadLogo() {
+    if (this.logo !== undefined) return this.logo;
+    this.logo = null;
+    if (!this.logoPath) return null;
+
+    try {
+      const data = await fs.readFile(this.logoPath);
+      // The PDF renderer fits the logo itself; DOCX needs its display size
+      const { format, width, height } = await sharp(data).metadata();
+      if (!['png', 'jpeg'].includes(format)) {
+        throw new Error(`unsupported image format ${format}, use PNG or JPG`);
+      }
+      this.logo = { data, type: format === 'png' ? 'png' : 'jpg', width: Math.round((width * 48) / height), height: 48 };
+    } catch (error) {
+      logger.warn(`Ignoring REPORT_LOGO_PATH ${this.logoPath}:`, error);
+    }
+    return this.logo;
+  }
+
+  /**
+   * @param {Date} date - Date to show
+   * @returns {string} e.g. "19 October 2026"
+   */
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * @param {string} value - Word
+   * @returns {string} Word with a capital first letter
+   */
+  capitalize(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+  }
+}
+
+export default new ReportExporter();
@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import Analysis from '../models/Analysis.js';
+import OcrLayout from '../models/OcrLayout.js';
+import aiProcessor from './aiProcessor.js';
+import promptRegistry from './prompts/index.js';
+import { logger } from './logger.js';
+
+/**
+ * Reuses completed analyses for identical uploads and identical text.
+ * A result is only reused when everything that shapes it matches: the content hash plus a settings hash
+ * covering the task, subject, prompt template versions, provider and model, rubric and model answer.
+ */
+class ResultCache {
+  constructor() {
+    const ttlHours = parseFloat(process.env.RESULT_CACHE_TTL_HOURS);
+    // 0 disables the cache
+    this.ttlMs = (Number.isFinite(ttlHours) && ttlHours >= 0 ? ttlHours : 24) * 60 * 60 * 1000;
+
+    // Result fields copied from the cached analysis; OCR fields only when the file itself matched.
+    // The model answer comparison is coverage; the model answer itself belongs to the analysis, see applyResult
+    this.resultFields = ['analysis', 'suggestions', 'math', 'mistakes', 'scoreHint10', 'coverage', 'rubricGrade'];
+    this.resultMetadata = ['chunkCount', 'failedChunks', 'aiProvider', 'aiModel', 'promptId', 'promptVersion', 'prompts'];
+    this.ocrMetadata = [
+      'pageCount', 'textLayerPages', 'ocrConfidence', 'ocrLanguages', 'detectedLanguage', 'detectedScript', 'preprocessing'
+    ];
+  }
+
+  /**
+   * Whether cached results may be reused at all
+   * @returns {boolean} True unless RESULT_CACHE_TTL_HOURS is 0
+   */
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * SHA-256 hex digest
+   * @param {Buffer|string} data - Data to hash
+   * @returns {string} Hex digest
+   */
+  hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Hash text after normalizing Unicode and whitespace, so the same words hash the same
+   * however OCR spaced them
+   * @param {string} text - Document or model answer text
+   * @returns {string} Hex digest
+   */
+  hashText(text) {
+    return this.hash(String(text).normalize('NFC').replace(/\s+/g, ' ').trim());
+  }
+
+  /**
+   * Hash the OCR options, which only matter when reusing a result by file
+   * @param {Object} options - { languages, preprocess }
+   * @returns {string} Hex digest
+   */
+  ocrSettingsHash({ languages, preprocess }) {
+    return this.hash(JSON.stringify({ languages, preprocess }));
+  }
+
+  /**
+   * Hash everything besides the content that affects the result
+   * @param {Object} options - Settings
+   * @param {string} options.task - analysis (uploads) or answer (pasted text)
+   * @param {string} options.subject - Subject, which picks the prompt templates
+   * @param {Object} options.rubric - Rubric document to grade against, if any
+   * @param {string} options.modelAnswer - Hash of the model answer text or file, if any
+   * @returns {string} Hex digest
+   */
+  settingsHash({ task, subject, rubric, modelAnswer }) {
+    const tasks = [
+      task,
+      ...(task === 'analysis' ? ['math', 'synthesis'] : []),
+      ...(rubric ? ['rubric'] : []),
+      ...(modelAnswer ? ['comparison'] : [])
+    ];
+    const prompts = tasks.map(name => {
+      const template = promptRegistry.resolve(name, { subject });
+      return `${template.id}@${template.version}`;
+    });
+
+    return this.hash(JSON.stringify({
+      task,
+      subject,
+      prompts,
+      provider: aiProcessor.provider.name,
+      model: aiProcessor.provider.model,
+      // A rubric edit changes its criteria, so grades from before it can't be reused
+      rubric: rubric ? `${rubric._id}@${rubric.updatedAt.getTime()}` : null,
+      modelAnswer: modelAnswer || null
+    }));
+  }
+
+  /**
+   * Find a reusable analysis of the same file bytes
+   * @param {Object} contentHash - { file, ocr, settings }
+   * @returns {Promise<Object|null>} Cached analysis document
+   */
+  async findByFile({ file, ocr, settings }) {
+    return this.findSource({ 'contentHash.file': file, 'contentHash.ocr': ocr, 'contentHash.settings': settings });
+  }
+
+  /**
+   * Find a reusable analysis of the same text
+   * @param {Object} contentHash - { text, settings }
+   * @returns {Promise<Object|null>} Cached analysis document
+   */
+  async findByText({ text, settings }) {
+    return this.findSource({ 'contentHash.text': text, 'contentHash.settings': settings });
+  }
+
+  /**
+   * Find the newest completed, computed (not itself cached) analysis matching a filter within the TTL
+   * @param {Object} filter - Hash conditions
+   * @returns {Promise<Object|null>} Cached analysis document
+   */
+  async findSource(filter) {
+    if (!this.enabled || Object.values(filter).some(value => !value)) {
+      return null;
+    }
+
+    return Analysis.findOne({
+      ...filter,
+      status: 'completed',
+      cachedFrom: null,
+      createdAt: { $gte: new Date(Date.now() - this.ttlMs) }
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Complete an analysis by copying a cached result into it
+   * @param {string} analysisId - Analysis to complete
+   * @param {Object} source - Cached analysis document
+   * @param {Object} options - Copy options
+   * @param {boolean} options.ocr - Also copy the text, OCR metadata and layouts (the file matched, so OCR never ran).
+   *   The model answer is only copied when the analysis has none yet: a model answer file with the same bytes that
+   *   was never read. A model answer of its own keeps its source, e.g. an assignment's stays hidden from students.
+   * @returns {Promise<Object>} Updated analysis document
+   */
+  async applyResult(analysisId, source, { ocr = false } = {}) {
+    const data = source.toObject();
+    const update = { cachedFrom: source._id, status: 'completed', updatedAt: Date.now() };
+
+    for (const field of this.resultFields) {
+      if (data[field] !== undefined) update[field] = data[field];
+    }
+    for (const field of [...this.resultMetadata, ...(ocr ? this.ocrMetadata : [])]) {
+      if (data.metadata?.[field] !== undefined) update[`metadata.${field}`] = data.metadata[field];
+    }
+    if (ocr) {
+      // The text hash goes with the text, so later text matches and revision comparisons work on the copy too
+      update.originalText = data.originalText;
+      if (data.contentHash?.text) update['contentHash.text'] = data.contentHash.text;
+    }
+
+    const analysis = await Analysis.findById(analysisId, { createdAt: 1, 'modelAnswer.source': 1 });
+    update['metadata.processingTime'] = Date.now() - analysis.createdAt.getTime();
+    if (!analysis.modelAnswer?.source && data.modelAnswer?.text) {
+      update.modelAnswer = data.modelAnswer;
+    }
+
+    if (ocr) {
+      const layouts = await OcrLayout.find({ analysisId: source._id }).select('-_id -analysisId -createdAt +image').lean();
+      await OcrLayout.deleteMany({ analysisId });
+      if (layouts.length > 0) {
+        await OcrLayout.insertMany(layouts.map(layout => ({ ...layout, analysisId })));
+      }
+    }
+
+    logger.info(`Analysis ${analysisId} reused the result of ${source._id} (matched by ${ocr ? 'file' : 'text'})`);
+    return Analysis.findByIdAndUpdate(analysisId, update, { new: true });
+  }
+}
+
+export default new ResultCache();
@@ -0,0 +1,332 @@
+import promptRegistry from './prompts/index.js';
+import ocrProcessor from './ocrProcessor.js';
+import mathNormalizer from './mathNormalizer.js';
+import { getProviderClass, supportedProviders } from './llm/index.js';
+
+/**
+ * Revision history of analyses. The current result stays in the analysis' own fields, numbered revision.number;
+ * a re-analysis that completes moves it into revisions and takes its place, so no result is ever overwritten.
+ */
+class RevisionService {
+  constructor() {
+    this.maxModelLength = 200;
+    // Each revision keeps a full result, so only the latest are kept to stay well under MongoDB's document size limit
+    this.maxRevisions = parseInt(process.env.MAX_REVISIONS) || 20;
+    // Models a re-analysis may pick besides each provider's default and LLM_MODEL
+    this.allowedModels = (process.env.LLM_ALLOWED_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  }
+
+  /**
+   * Whether a re-analysis may use a model: the provider's default, LLM_MODEL for LLM_PROVIDER, or one in LLM_ALLOWED_MODELS
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {boolean} Whether the model is allowed
+   */
+  isModelAllowed(provider, model) {
+    const configuredProvider = process.env.LLM_PROVIDER || 'gemini';
+    return this.allowedModels.includes(model)
+      || model === getProviderClass(provider).defaultModel
+      || (provider === configuredProvider && model === process.env.LLM_MODEL);
+  }
+
+  /**
+   * Prompt task of an analysis' main review: pasted answers get the answer review, uploads the document or math review
+   * @param {Object} analysis - Analysis document
+   * @param {string} text - Text that will be reviewed, defaults to the analysis' own
+   * @returns {string} answer, math or analysis
+   */
+  reviewTask(analysis, text = analysis.math?.normalizedText || analysis.originalText) {
+    if (analysis.metadata?.fileType === 'text') return 'answer';
+    return mathNormalizer.isMathSubject(analysis.subject) || mathNormalizer.isMathText(text) ? 'math' : 'analysis';
+  }
+
+  /**
+   * Validate the settings a re-analysis changes. New OCR languages, or reocr, read the text again from the
+   * stored original; otherwise the stored text is analyzed again.
+   * @param {Object} body - Request body { promptVersion, provider, model, languages, reocr }
+   * @param {Object} analysis - Analysis to re-run
+   * @returns {Object} { isValid, errors, options }
+   */
+  parseOptions(body = {}, analysis) {
+    const errors = [];
+    const options = {};
+    const { promptVersion, provider, model, languages, reocr } = body;
+    const isUpload = analysis.metadata?.fileType !== 'text';
+    // A model without a provider belongs to the server's provider
+    const modelProvider = provider || process.env.LLM_PROVIDER || 'gemini';
+
+    if (provider !== undefined && provider !== null && provider !== '') {
+      if (!supportedProviders.includes(provider)) {
+        errors.push(`provider must be one of: ${supportedProviders.join(', ')}`);
+      } else {
+        const missing = getProviderClass(provider).requiredEnvVars.filter(name => !process.env[name]);
+        // The mock provider needs no configuration, but its canned results have no place in production
+        if (provider === 'mock' && process.env.LLM_PROVIDER !== 'mock' && process.env.NODE_ENV !== 'development') {
+          errors.push('provider mock is only available in development');
+        } else if (missing.length > 0) {
+          errors.push(`provider ${provider} is not configured on this server`);
+        } else {
+          options.provider = provider;
+        }
+      }
+    }
+
+    if (model !== undefined && model !== null && model !== '') {
+      if (typeof model !== 'string' || !model.trim() || model.length > this.maxModelLength) {
+        errors.push(`model must be a string of ${this.maxModelLength} characters or less`);
+      } else if (supportedProviders.includes(modelProvider) && !this.isModelAllowed(modelProvider, model.trim())) {
+        errors.push(`model ${model.trim()} is not allowed on this server`);
+      } else {
+        options.model = model.trim();
+      }
+    }
+
+    if (promptVersion !== undefined && promptVersion !== null && promptVersion !== '') {
+      const version = Number(promptVersion);
+      if (!Number.isInteger(version) || version < 1) {
+        errors.push('promptVersion must be a positive integer');
+      } else {
+        try {
+          promptRegistry.resolve(this.reviewTask(analysis), { subject: analysis.subject, version });
+          options.promptVersion = version;
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
+    if (languages !== undefined && languages !== null && languages !== '') {
+      const selection = ocrProcessor.parseLanguages(languages);
+      if (!isUpload) {
+        errors.push('languages only apply to uploaded files; this analysis is of pasted text');
+      } else if (!selection.isValid) {
+        errors.push(...selection.errors);
+      } else {
+        options.languages = selection.languages;
+      }
+    }
+
+    const reread = ['true', '1', 'yes'].includes(String(reocr).toLowerCase());
+    if (reread && !isUpload) {
+      errors.push('reocr only applies to uploaded files; this analysis is of pasted text');
+    }
+    options.reocr = isUpload && (reread || Boolean(options.languages));
+
+    return { isValid: errors.length === 0, errors, options };
+  }
+
+  /**
+   * Copy the current result of an analysis into a revision entry
+   * @param {Object} analysis - Analysis document
+   * @param {Object} options - { keepText } to keep the analyzed text, when the next revision replaces it
+   * @returns {Object} Entry for Analysis.revisions
+   */
+  snapshot(analysis, { keepText = false } = {}) {
+    const data = typeof analysis.toObject === 'function' ? analysis.toObject() : analysis;
+    const { revision = {}, metadata = {}, rubricGrade, math } = data;
+
+    return {
+      number: revision.number || 1,
+      status: data.status,
+      requestedBy: revision.requestedBy,
+      // The upload's own result has no request; it was asked for when the analysis was created
+      requestedAt: revision.requestedAt || data.createdAt,
+      completedAt: revision.completedAt || (metadata.processingTime
+        ? new Date(new Date(data.createdAt).getTime() + metadata.processingTime)
+        : data.updatedAt),
+      options: revision.options,
+      analysis: data.analysis,
+      suggestions: data.suggestions || [],
+      mistakes: data.mistakes || [],
+      scoreHint10: data.scoreHint10,
+      rubricScore: Number.isFinite(rubricGrade?.totalScore)
+        ? { totalScore: rubricGrade.totalScore, maxScore: rubricGrade.maxScore }
+        : undefined,
+      coverage: data.coverage || [],
+      math: math?.reviewed ? { reviewed: true, steps: math.steps, firstErrorStep: math.firstErrorStep } : undefined,
+      ...(keepText && { originalText: data.originalText }),
+      textHash: data.contentHash?.text,
+      ocrLanguages: metadata.ocrLanguages,
+      ocrConfidence: metadata.ocrConfidence,
+      aiProvider: metadata.aiProvider,
+      aiModel: metadata.aiModel,
+      promptId: metadata.promptId,
+      promptVersion: metadata.promptVersion,
+      prompts: metadata.prompts || []
+    };
+  }
+
+  /**
+   * $push value that moves the current result into the revision history, dropping the oldest
+   * revisions beyond maxRevisions
+   * @param {Object} analysis - Analysis document
+   * @param {Object} options - { newText } the text the next revision analyzed, when it was read again
+   * @returns {Object} Value for $push.revisions
+   */
+  archive(analysis, { newText } = {}) {
+    // The text only needs keeping when the next revision replaces it with a different one
+    const keepText = newText !== undefined && newText !== analysis.originalText;
+    return { $each: [this.snapshot(analysis, { keepText })], $slice: -this.maxRevisions };
+  }
+
+  /**
+   * Find a revision of an analysis, the current one included
+   * @param {Object} analysis - Analysis document
+   * @param {number} number - Revision number
+   * @returns {Object|null} Revision with current set, or null if there is no such revision
+   */
+  find(analysis, number) {
+    const currentNumber = analysis.revision?.number || 1;
+    if (number === currentNumber) {
+      return { ...this.snapshot(analysis), current: true };
+    }
+
+    const revision = (analysis.revisions || []).find(entry => entry.number === number);
+    if (!revision) return null;
+    return { ...(typeof revision.toObject === 'function' ? revision.toObject() : revision), current: false };
+  }
+
+  /**
+   * Every revision of an analysis, oldest first, the current one last
+   * @param {Object} analysis - Analysis document
+   * @returns {Array} Revisions with current set
+   */
+  list(analysis) {
+    return [
+      ...(analysis.revisions || []).map(revision => this.find(analysis, revision.number)),
+      this.find(analysis, analysis.revision?.number || 1)
+    ];
+  }
+
+  /**
+   * Revision fields for a list, without the analysis text and suggestions themselves
+   * @param {Object} revision - Revision from find
+   * @returns {Object} Revision summary
+   */
+  summarize(revision) {
+    return {
+      number: revision.number,
+      current: revision.current,
+      status: revision.status,
+      requestedBy: revision.requestedBy || null,
+      requestedAt: revision.requestedAt || null,
+      completedAt: revision.completedAt || null,
+      options: revision.options || null,
+      aiProvider: revision.aiProvider || null,
+      aiModel: revision.aiModel || null,
+      promptId: revision.promptId || null,
+      promptVersion: revision.promptVersion ?? null,
+      ocrLanguages: revision.ocrLanguages || null,
+      suggestionCount: revision.suggestions.length,
+      scoreHint10: revision.scoreHint10 ?? null,
+      rubricScore: revision.rubricScore?.maxScore !== undefined ? revision.rubricScore : null
+    };
+  }
+
+  /**
+   * Compare two revisions: what settings changed, whether the text changed, score changes, and which
+   * suggestions and coverage results were added, removed or changed
+   * @param {Object} from - Earlier revision from find
+   * @param {Object} to - Later revision from find
+   * @returns {Object} Comparison
+   */
+  compare(from, to) {
+    const settings = ['aiProvider', 'aiModel', 'promptId', 'promptVersion', 'ocrLanguages']
+      .filter(field => (from[field] ?? null) !== (to[field] ?? null))
+      .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+    const scoreChange = (before, after) => (Number.isFinite(before) || Number.isFinite(after)
+      ? {
+        from: before ?? null,
+        to: after ?? null,
+        change: Number.isFinite(before) && Number.isFinite(after) ? Math.round((after - before) * 100) / 100 : null
+      }
+      : null);
+
+    return {
+      from: this.summarize(from),
+      to: this.summarize(to),
+      settings,
+      textChanged: Boolean(from.textHash && to.textHash && from.textHash !== to.textHash),
+      analysisChanged: (from.analysis || '') !== (to.analysis || ''),
+      analysis: { from: from.analysis || '', to: to.analysis || '' },
+      scoreHint10: scoreChange(from.scoreHint10, to.scoreHint10),
+      rubricScore: from.rubricScore?.maxScore === to.rubricScore?.maxScore
+        ? scoreChange(from.rubricScore?.totalScore, to.rubricScore?.totalScore)
+        : { from: from.rubricScore || null, to: to.rubricScore || null, change: null },
+      suggestions: this.compareSuggestions(from.suggestions, to.suggestions),
+      coverage: this.compareCoverage(from.coverage, to.coverage)
+    };
+  }
+
+  /**
+   * Match suggestions by category and wording (ignoring case, spacing and punctuation)
+   * @param {Array} before - Suggestions of the earlier revision
+   * @param {Array} after - Suggestions of the later revision
+   * @returns {Object} { added, removed, changed: priority or location changes, unchanged: count }
+   */
+  compareSuggestions(before = [], after = []) {
+    const key = suggestion => `${suggestion.category}:${this.normalize(suggestion.suggestion)}`;
+    const strip = ({ category, priority, suggestion, location, formula }) => ({
+      category,
+      priority,
+      suggestion,
+      location: location || null,
+      ...(formula && { formula })
+    });
+
+    const remaining = new Map();
+    for (const suggestion of before) {
+      remaining.set(key(suggestion), [...(remaining.get(key(suggestion)) || []), suggestion]);
+    }
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    for (const suggestion of after) {
+      const previous = remaining.get(key(suggestion))?.shift();
+      if (!previous) {
+        added.push(strip(suggestion));
+      } else if (previous.priority !== suggestion.priority || (previous.location || '') !== (suggestion.location || '')) {
+        changed.push({ from: strip(previous), to: strip(suggestion) });
+      } else {
+        unchanged++;
+      }
+    }
+
+    return {
+      added,
+      removed: [...remaining.values()].flat().map(strip),
+      changed,
+      unchanged
+    };
+  }
+
+  /**
+   * Model answer points whose status differs between two revisions
+   * @param {Array} before - Coverage of the earlier revision
+   * @param {Array} after - Coverage of the later revision
+   * @returns {Array} { point, from, to } with null for a point only one revision has
+   */
+  compareCoverage(before = [], after = []) {
+    const statuses = new Map(before.map(entry => [this.normalize(entry.point), { point: entry.point, from: entry.status, to: null }]));
+    for (const entry of after) {
+      const key = this.normalize(entry.point);
+      statuses.set(key, { point: entry.point, from: statuses.get(key)?.from || null, to: entry.status });
+    }
+    return [...statuses.values()].filter(entry => entry.from !== entry.to);
+  }
+
+  /**
+   * @param {string} text - Text to match on
+   * @returns {string} Lowercased text with punctuation and repeated spaces removed
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .trim();
+  }
+}
+
+export default new RevisionService();
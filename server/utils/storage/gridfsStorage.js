@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+/**
+ * Keeps files in MongoDB GridFS (bucket STORAGE_GRIDFS_BUCKET), so every server sees them and they are
+ * backed up with the database.
+ */
+export class GridFsStorage {
+  constructor({ bucketName } = {}) {
+    this.name = 'gridfs';
+    this.bucketName = bucketName || process.env.STORAGE_GRIDFS_BUCKET || 'uploads';
+  }
+
+  /**
+   * The bucket is created on first use, once mongoose has connected
+   * @returns {GridFSBucket} Bucket on the current connection
+   */
+  get bucket() {
+    if (!mongoose.connection.db) {
+      throw new Error('GridFS storage needs a MongoDB connection');
+    }
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: this.bucketName });
+  }
+
+  /**
+   * Write a file to GridFS
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { filename, contentType, metadata }
+   * @returns {Promise<string>} Hex GridFS file ID
+   */
+  async save(buffer, { filename, contentType, metadata } = {}) {
+    const upload = this.bucket.openUploadStream(filename || 'upload', { metadata: { contentType, ...metadata } });
+
+    await new Promise((resolve, reject) => {
+      upload.once('finish', resolve);
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+
+    return upload.id.toString();
+  }
+
+  /**
+   * @param {string} key - Key returned by save
+   * @returns {Promise<Buffer>} File contents
+   */
+  async read(key) {
+    const chunks = [];
+    for await (const chunk of await this.createReadStream(key)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * @param {string} key - Key returned by save
+   * @returns {Promise<stream.Readable>} Stream of the file contents; rejects if the file is missing
+   */
+  async createReadStream(key) {
+    const id = this.idFor(key);
+    const [file] = await this.bucket.find({ _id: id }).limit(1).toArray();
+    if (!file) {
+      throw Object.assign(new Error(`GridFS file ${key} not found`), { code: 'ENOENT' });
+    }
+    return this.bucket.openDownloadStream(id);
+  }
+
+  /**
+   * Delete a file, ignoring files that are already gone
+   * @param {string} key - Key returned by save
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await this.bucket.delete(this.idFor(key));
+    } catch (error) {
+      if (!/not found/i.test(error.message)) throw error;
+    }
+  }
+
+  /**
+   * @param {string} key - Stored key
+   * @returns {ObjectId} GridFS file ID
+   */
+  idFor(key) {
+    if (!mongoose.isValidObjectId(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return new mongoose.Types.ObjectId(key);
+  }
+}
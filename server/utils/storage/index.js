@@ -0,0 +1,32 @@
+import { LocalStorage } from './localStorage.js';
+import { GridFsStorage } from './gridfsStorage.js';
+
+const adapters = {
+  local: LocalStorage,
+  gridfs: GridFsStorage
+};
+
+/**
+ * Get the adapter class for a name
+ * @param {string} name - Adapter name (local, gridfs)
+ * @returns {Function} Adapter class
+ */
+export function getStorageClass(name) {
+  const Adapter = adapters[name];
+  if (!Adapter) {
+    throw new Error(`Unknown storage adapter "${name}". Supported adapters: ${Object.keys(adapters).join(', ')}`);
+  }
+  return Adapter;
+}
+
+/**
+ * Create a storage adapter
+ * @param {string} name - Adapter name
+ * @returns {Object} Adapter instance exposing name, save(buffer, options), read(key), createReadStream(key) and remove(key)
+ */
+export function createStorage(name) {
+  const Adapter = getStorageClass(name);
+  return new Adapter();
+}
+
+export const supportedStorages = Object.keys(adapters);
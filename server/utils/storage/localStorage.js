@@ -0,0 +1,75 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Keeps files in a directory on local disk (STORAGE_LOCAL_DIR, relative to the project root).
+ * Only suits a single server, or several sharing one volume.
+ */
+export class LocalStorage {
+  constructor({ dir } = {}) {
+    this.name = 'local';
+    this.dir = path.join(__dirname, '../../../', dir || process.env.STORAGE_LOCAL_DIR || 'storage/');
+  }
+
+  /**
+   * Write a file under a new random key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { filename } used for the extension
+   * @returns {Promise<string>} Key to read the file back with
+   */
+  async save(buffer, { filename } = {}) {
+    const key = `${crypto.randomUUID()}${path.extname(filename || '').toLowerCase()}`;
+
+    await fsp.mkdir(this.dir, { recursive: true });
+    await fsp.writeFile(this.pathFor(key), buffer);
+
+    return key;
+  }
+
+  /**
+   * @param {string} key - Key returned by save
+   * @returns {Promise<Buffer>} File contents
+   */
+  async read(key) {
+    return fsp.readFile(this.pathFor(key));
+  }
+
+  /**
+   * @param {string} key - Key returned by save
+   * @returns {Promise<stream.Readable>} Stream of the file contents; rejects if the file is missing
+   */
+  async createReadStream(key) {
+    const filePath = this.pathFor(key);
+    await fsp.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a file, ignoring files that are already gone
+   * @param {string} key - Key returned by save
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await fsp.unlink(this.pathFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * @param {string} key - Stored key
+   * @returns {string} Absolute path of the file; keys never contain directories
+   */
+  pathFor(key) {
+    if (!key || path.basename(key) !== key) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(this.dir, key);
+  }
+}
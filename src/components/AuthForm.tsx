@@ -0,0 +1,97 @@
+import { useState, type FormEvent } from 'react';
+import type { User } from '../lib/api';
+
+type AuthFormProps = {
+  onLogin: (email: string, password: string) => Promise<User>;
+  onRegister: (email: string, password: string, name: string) => Promise<User>;
+  notice?: string;
+};
+
+const inputClassName =
+  'mb-4 w-full rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 px-3 py-2 outline-none focus:ring focus:ring-blue-500 dark:focus:ring-blue-400';
+
+export function AuthForm({ onLogin, onRegister, notice }: AuthFormProps) {
+  const [mode, setMode] = useState<'login' | 'register'>('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const registering = mode === 'register';
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      if (registering) {
+        await onRegister(email, password, name);
+      } else {
+        await onLogin(email, password);
+      }
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Something went wrong.');
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(registering ? 'login' : 'register');
+    setError('');
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mx-auto max-w-md rounded-2xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-6 shadow-sm"
+    >
+      <h2 className="text-lg font-semibold">{registering ? 'Create an account' : 'Sign in'}</h2>
+      <p className="mt-1 mb-4 text-sm text-slate-500 dark:text-gray-400">
+        {notice || 'Sign in to analyze your answers and keep your feedback.'}
+      </p>
+
+      {registering && (
+        <>
+          <label className="mb-2 block text-sm font-medium">Name (optional)</label>
+          <input value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" className={inputClassName} />
+        </>
+      )}
+      <label className="mb-2 block text-sm font-medium">Email</label>
+      <input
+        type="email"
+        required
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        autoComplete="email"
+        className={inputClassName}
+      />
+      <label className="mb-2 block text-sm font-medium">Password</label>
+      <input
+        type="password"
+        required
+        minLength={registering ? 8 : undefined}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete={registering ? 'new-password' : 'current-password'}
+        className={inputClassName}
+      />
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full rounded-xl bg-blue-600 dark:bg-blue-500 px-4 py-2 font-semibold text-white disabled:opacity-60 hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors"
+      >
+        {submitting ? 'Please wait…' : registering ? 'Create Account' : 'Sign In'}
+      </button>
+      {error && <p className="mt-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <p className="mt-4 text-center text-sm text-slate-500 dark:text-gray-400">
+        {registering ? 'Already have an account?' : 'New to AnswerLens?'}{' '}
+        <button type="button" onClick={switchMode} className="font-medium text-blue-600 dark:text-blue-400 hover:underline">
+          {registering ? 'Sign in' : 'Create an account'}
+        </button>
+      </p>
+    </form>
+  );
+}
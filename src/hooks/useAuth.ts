@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { getSession, onSessionChange, login, register, logout, type User } from '../lib/api';
+
+export function useAuth() {
+  const [user, setUser] = useState<User | null>(() => getSession()?.user ?? null);
+
+  // Follow sign-ins, refreshes and expiries, including those from API calls
+  useEffect(() => onSessionChange((session) => setUser(session?.user ?? null)), []);
+
+  return {
+    user,
+    login,
+    register,
+    logout
+  };
+}
@@ -1,10 +1,163 @@
 // src/lib/api.ts
+export type User = {
+  _id: string;
+  email: string;
+  name?: string;
+  role: 'student' | 'teacher' | 'admin' | string;
+};
+
+type Session = {
+  user: User;
+  accessToken: string;
+  refreshToken: string;
+};
+
+type SessionListener = (session: Session | null) => void;
+
+const SESSION_KEY = 'answerlens.session';
+const listeners = new Set<SessionListener>();
+let refreshing: Promise<boolean> | null = null;
+
+// Thrown when the session is missing or can no longer be refreshed; the user has to sign in again
+export class AuthError extends Error {}
+
+export function getSession(): Session | null {
+  try {
+    const saved = localStorage.getItem(SESSION_KEY);
+    return saved ? (JSON.parse(saved) as Session) : null;
+  } catch {
+    return null;
+  }
+}
+
+function setSession(session: Session | null) {
+  try {
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving session to localStorage:', error);
+  }
+  listeners.forEach((listener) => listener(session));
+}
+
+export function onSessionChange(listener: SessionListener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+// The API answers errors with { message, errors: [...] }; the first detail is the most useful to show
+async function errorMessage(res: Response, fallback: string) {
+  try {
+    const body = await res.json();
+    return body.errors?.[0] || body.message || body.error || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+async function signIn(path: string, payload: Record<string, string>) {
+  const res = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!res.ok) throw new Error(await errorMessage(res, 'Failed to sign in'));
+
+  const { data } = await res.json();
+  const session = { user: data.user, accessToken: data.accessToken, refreshToken: data.refreshToken };
+  setSession(session);
+  return session.user;
+}
+
+export function login(email: string, password: string) {
+  return signIn('/api/auth/login', { email, password });
+}
+
+export function register(email: string, password: string, name: string) {
+  return signIn('/api/auth/register', { email, password, ...(name.trim() && { name: name.trim() }) });
+}
+
+export async function logout() {
+  const session = getSession();
+  setSession(null);
+  if (!session) return;
+
+  // Revokes the refresh token server-side; signing out locally doesn't depend on it
+  try {
+    await fetch('/api/auth/logout', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.accessToken}` }
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+  }
+}
+
+// Swap the refresh token for a new pair; concurrent 401s share one refresh
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const session = getSession();
+      if (!session) return false;
+
+      try {
+        const res = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: session.refreshToken })
+        });
+        if (!res.ok) {
+          setSession(null);
+          return false;
+        }
+
+        const { data } = await res.json();
+        setSession({ ...session, accessToken: data.accessToken, refreshToken: data.refreshToken });
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+// fetch with the access token, refreshing it once if it has expired
+async function authFetch(path: string, init: RequestInit = {}) {
+  const send = () => {
+    const session = getSession();
+    if (!session) throw new AuthError('Please sign in to continue.');
+    return fetch(path, {
+      ...init,
+      headers: { ...init.headers, Authorization: `Bearer ${session.accessToken}` }
+    });
+  };
+
+  let res = await send();
+  if (res.status === 401) {
+    if (!(await refreshSession())) throw new AuthError('Your session has expired. Please sign in again.');
+    res = await send();
+    if (res.status === 401) {
+      setSession(null);
+      throw new AuthError('Your session has expired. Please sign in again.');
+    }
+  }
+  return res;
+}
+
 export async function analyzeAnswer(text: string, subject: string) {
-  const res = await fetch('/api/analyze', {
+  const res = await authFetch('/api/analyze', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ text, subject })
   });
-  if (!res.ok) throw new Error('Failed to analyze');
+  if (!res.ok) throw new Error(await errorMessage(res, 'Failed to analyze'));
   return res.json();
 }